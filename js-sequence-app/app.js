@@ -6,8 +6,30 @@
  * - Real-time diagram rendering
  * - File System Access API integration
  * - Clipboard functionality
+ * - PNG, self-contained SVG and vector PDF export
  * - Resizable panels with persistence
  * - Auto-save and unsaved changes detection
+ * - Multiple documents open in tabs
+ * - Crash-safe draft autosave in IndexedDB with recovery on startup
+ * - Undo/redo history and a snapshot timeline with diagram thumbnails
+ * - Code editor with syntax highlighting, line numbers and folding
+ * - Inline parse error markers; the last good diagram stays visible on error
+ * - Autocomplete for participants, arrows and keywords
+ * - Conversion between js-sequence and Mermaid sequence diagrams
+ * - PlantUML sequence diagram import and export
+ * - Share links with the diagram compressed into the URL fragment
+ * - Pan, zoom and fit-to-view in the diagram panel, kept per document
+ * - Mermaid theme and diagram options, overridable per file via front matter
+ * - Strict rendering mode that sanitizes diagram output (default for opened files and links)
+ * - Light, dark and system themes, with light or preview-themed exports
+ * - Customisable keyboard shortcuts and a command palette
+ * - Drag-and-drop loading of diagram files onto the editor or preview
+ * - Folder workspaces with a file tree sidebar and diagram thumbnails
+ * - Batch export of every diagram in a folder to PNG and SVG
+ * - Recent files menu that reopens files and export folders across sessions
+ * - Detection of changes made to the open file by other programs, with reload or merge
+ * - Renderer registry, so further diagram engines can be added by other scripts
+ * - Graphviz DOT diagrams, laid out by a bundled WebAssembly build that works offline
  * 
  * @version 1.0.0
  */
@@ -33,47 +55,603 @@ const STORAGE_KEY_PANEL_WIDTH = 'editorPanelWidth';
 /** @constant {string} LocalStorage key for diagram type selection */
 const STORAGE_KEY_DIAGRAM_TYPE = 'diagramType';
 
-/** @constant {string[]} Valid diagram type option values */
-const VALID_DIAGRAM_TYPES = ['mermaid', 'js-sequence-simple', 'js-sequence-hand'];
+/** @constant {string} Diagram type of new documents until another one is chosen */
+const DEFAULT_DIAGRAM_TYPE = 'js-sequence-simple';
+
+/** @constant {string} Mermaid build, loaded the first time a Mermaid diagram is rendered */
+const MERMAID_SCRIPT_URL = 'https://cdn.jsdelivr.net/npm/mermaid@11/dist/mermaid.min.js';
+
+/**
+ * @constant {string} Graphviz layout engine served with the app (the Viz.js 3 browser
+ * build, which embeds its WebAssembly), loaded the first time a DOT diagram is rendered
+ */
+const GRAPHVIZ_SCRIPT_URL = 'vendor/viz-global.js';
+
+/**
+ * @constant {string[]} Source file extensions accepted by drag and drop, besides those of
+ * the registered renderers
+ */
+const DIAGRAM_FILE_EXTENSIONS = ['.seq', '.txt', '.md', '.puml', '.plantuml'];
+
+/** @constant {string} LocalStorage key for the export format selection */
+const STORAGE_KEY_EXPORT_FORMAT = 'exportFormat';
+
+/**
+ * @constant {Object<string, {label: string, extension: string, mimeType: string, description: string}>}
+ * Supported image export formats
+ */
+const EXPORT_FORMATS = {
+  png: { label: 'PNG', extension: '.png', mimeType: 'image/png', description: 'PNG images' },
+  svg: { label: 'SVG', extension: '.svg', mimeType: 'image/svg+xml', description: 'SVG images' },
+  pdf: { label: 'PDF', extension: '.pdf', mimeType: 'application/pdf', description: 'PDF documents' },
+  puml: { label: 'PlantUML', extension: '.puml', mimeType: 'text/plain', description: 'PlantUML sources' }
+};
+
+/** @constant {string} LocalStorage key for PNG export / clipboard copy options */
+const STORAGE_KEY_RASTER_OPTIONS = 'rasterExportOptions';
+
+/** @constant {Object} Default PNG export / clipboard copy options */
+const DEFAULT_RASTER_OPTIONS = {
+  sizing: 'scale',
+  scale: 2,
+  targetWidth: 1600,
+  transparent: false,
+  background: '#ffffff',
+  padding: 0
+};
+
+/** @constant {number} Largest canvas width or height that every supported browser renders */
+const MAX_CANVAS_DIMENSION = 16384;
+
+/** @constant {number} Largest canvas area (pixels) that every supported browser renders */
+const MAX_CANVAS_AREA = 16777216;
+
+/** @constant {number} Largest stitched PNG (pixels); bigger exports are split into pages */
+const MAX_STITCHED_PIXELS = 268435456;
+
+/** @constant {number[]} Scale factors offered for PNG export */
+const RASTER_SCALES = [1, 1.5, 2, 3, 4];
+
+/** @constant {string} LocalStorage key for PDF page options */
+const STORAGE_KEY_PDF_OPTIONS = 'pdfExportOptions';
+
+/** @constant {Object<string, {label: string, width: number, height: number}>} PDF page presets (portrait, in points) */
+const PDF_PAGE_SIZES = {
+  a4: { label: 'A4', width: 595.28, height: 841.89 },
+  a3: { label: 'A3', width: 841.89, height: 1190.55 },
+  letter: { label: 'US Letter', width: 612, height: 792 },
+  legal: { label: 'US Legal', width: 612, height: 1008 },
+  tabloid: { label: 'Tabloid', width: 792, height: 1224 }
+};
+
+/** @constant {number} PDF page margin in points */
+const PDF_PAGE_MARGIN = 36;
+
+/** @constant {number} Space reserved for page numbers when tiling, in points */
+const PDF_FOOTER_HEIGHT = 18;
+
+/** @constant {number} PDF points per CSS pixel */
+const PDF_POINTS_PER_PIXEL = 0.75;
+
+/** @constant {string} LocalStorage key for Mermaid theme and diagram options */
+const STORAGE_KEY_MERMAID_SETTINGS = 'mermaidSettings';
+
+/** @constant {string[]} Built-in Mermaid themes */
+const MERMAID_THEMES = ['default', 'neutral', 'dark', 'forest', 'base'];
+
+/** @constant {string[]} Mermaid flowchart edge curves */
+const MERMAID_FLOWCHART_CURVES = ['basis', 'linear', 'cardinal', 'monotoneX', 'natural', 'step'];
+
+/** @constant {Array<{key: string, label: string, type: string}>} Mermaid theme variables offered in settings */
+const MERMAID_THEME_VARIABLES = [
+  { key: 'primaryColor', label: 'Primary colour', type: 'color' },
+  { key: 'primaryTextColor', label: 'Primary text colour', type: 'color' },
+  { key: 'primaryBorderColor', label: 'Border colour', type: 'color' },
+  { key: 'lineColor', label: 'Line colour', type: 'color' },
+  { key: 'secondaryColor', label: 'Secondary colour', type: 'color' },
+  { key: 'tertiaryColor', label: 'Tertiary colour', type: 'color' },
+  { key: 'noteBkgColor', label: 'Note background', type: 'color' },
+  { key: 'fontFamily', label: 'Font family', type: 'text' },
+  { key: 'fontSize', label: 'Font size', type: 'size' }
+];
+
+/** @constant {Object} Default Mermaid settings (matching Mermaid's own defaults) */
+const DEFAULT_MERMAID_SETTINGS = {
+  theme: 'default',
+  themeVariables: {},
+  sequence: { mirrorActors: true, showSequenceNumbers: false, actorMargin: 50, messageAlign: 'center' },
+  flowchart: { curve: 'basis', nodeSpacing: 50, rankSpacing: 50 }
+};
+
+/** @constant {string} LocalStorage key for the security level of new blank documents */
+const STORAGE_KEY_SECURITY_LEVEL = 'renderSecurityLevel';
+
+/** @constant {string} LocalStorage key for the app colour theme */
+const STORAGE_KEY_APP_THEME = 'appTheme';
+
+/** @constant {string[]} App colour themes ('system' follows the OS setting) */
+const APP_THEMES = ['system', 'light', 'dark'];
+
+/** @constant {string} LocalStorage key for the export theme ('preview' or 'light') */
+const STORAGE_KEY_EXPORT_THEME = 'exportTheme';
+
+/** @constant {{background: string, foreground: string}} Diagram colours in dark previews and exports */
+const DARK_DIAGRAM_COLORS = { background: '#1e293b', foreground: '#e2e8f0' };
+
+/** @constant {string} LocalStorage key for customised keyboard shortcuts */
+const STORAGE_KEY_SHORTCUTS = 'keyboardShortcuts';
+
+/** @constant {string} LocalStorage key for the open document tabs */
+const STORAGE_KEY_OPEN_DOCUMENTS = 'openDocuments';
+
+/** @constant {string} LocalStorage key for the active document tab */
+const STORAGE_KEY_ACTIVE_DOCUMENT = 'activeDocumentId';
+
+/** @constant {string} URL fragment key of share links (#diagram=...) */
+const SHARE_LINK_HASH_KEY = 'diagram';
+
+/** @constant {number} Share link payload format version */
+const SHARE_LINK_VERSION = 1;
+
+/** @constant {number} Share link length beyond which some chat and mail apps truncate URLs */
+const MAX_SHARE_LINK_LENGTH = 8000;
+
+/** @constant {number} Debounce delay for draft snapshots while typing */
+const AUTOSAVE_DEBOUNCE_DELAY = 750;
+
+/** @constant {string} IndexedDB database name */
+const INDEXED_DB_NAME = 'diagramEditor';
+
+/** @constant {number} IndexedDB schema version (bump when adding stores) */
+const INDEXED_DB_VERSION = 5;
+
+/** @constant {string} IndexedDB object store for autosaved drafts */
+const IDB_STORE_DRAFTS = 'drafts';
+
+/** @constant {string} IndexedDB object store for the file handles of open tabs (localStorage cannot hold them) */
+const IDB_STORE_TAB_HANDLES = 'tabHandles';
+
+/** @constant {string} IndexedDB object store for named timeline snapshots */
+const IDB_STORE_SNAPSHOTS = 'snapshots';
+
+/** @constant {string} IndexedDB object store for the open workspace folder handle */
+const IDB_STORE_WORKSPACE = 'workspace';
+
+/** @constant {string} IndexedDB object store for recent file handles and the last export folder */
+const IDB_STORE_RECENT_FILES = 'recentFiles';
+
+/** @constant {string[]} IndexedDB object stores, all keyed by `id` */
+const INDEXED_DB_STORES = [
+  IDB_STORE_DRAFTS,
+  IDB_STORE_TAB_HANDLES,
+  IDB_STORE_SNAPSHOTS,
+  IDB_STORE_WORKSPACE,
+  IDB_STORE_RECENT_FILES
+];
+
+/** @constant {number} How often the open file is checked for changes made elsewhere */
+const EXTERNAL_CHANGE_POLL_INTERVAL = 2000;
+
+/** @constant {number} Unpinned entries kept in the recent files menu */
+const MAX_RECENT_FILES = 10;
+
+/** @constant {string} Id of the last export folder in the recent files store */
+const RECENT_EXPORT_DIRECTORY_ID = 'export-directory';
+
+/** @constant {string} LocalStorage key for the collapsed state of the workspace sidebar */
+const STORAGE_KEY_WORKSPACE_COLLAPSED = 'workspaceSidebarCollapsed';
+
+/** @constant {string[]} Folders never listed in a workspace (hidden folders are skipped too) */
+const WORKSPACE_SKIPPED_FOLDERS = ['node_modules'];
+
+/**
+ * @constant {string[]} Source file extensions listed in a workspace besides those of the
+ * registered renderers. Plain .txt and .md files are only listed as name.<diagram-ext>.txt,
+ * so READMEs and notes stay out of the tree.
+ */
+const WORKSPACE_FILE_EXTENSIONS = ['.seq', '.puml', '.plantuml'];
+
+/** @constant {number} Deepest folder level scanned in a workspace */
+const MAX_WORKSPACE_DEPTH = 6;
+
+/** @constant {number} Hover delay before a workspace file's thumbnail is rendered */
+const THUMBNAIL_HOVER_DELAY = 400;
+
+/**
+ * @constant {Object<string, string>} Source file extensions picked up by batch export besides
+ * those of the registered renderers, with the diagram type they render as
+ */
+const BATCH_EXPORT_EXTENSIONS = { '.seq': 'js-sequence-simple' };
+
+/** @constant {number} Typing pause after which a new undo step starts */
+const HISTORY_GROUP_DELAY = 1000;
+
+/** @constant {number} Maximum undo steps kept per document */
+const MAX_HISTORY_ENTRIES = 200;
+
+/** @constant {number} Maximum timeline snapshots kept per document */
+const MAX_SNAPSHOTS_PER_DOCUMENT = 50;
+
+/** @constant {number} Smallest diagram zoom factor */
+const MIN_ZOOM = 0.1;
+
+/** @constant {number} Largest diagram zoom factor */
+const MAX_ZOOM = 8;
+
+/** @constant {number} Zoom factor applied per zoom button press */
+const ZOOM_STEP = 1.25;
+
+/** @constant {number} Margin in pixels kept around the diagram when fitting it to the panel */
+const VIEWPORT_FIT_MARGIN = 24;
+
+/** @constant {number} Pointer movement in pixels before a press on the diagram becomes a pan */
+const PAN_DRAG_THRESHOLD = 4;
 
 // =============================================================================
 // DOM ELEMENT REFERENCES
 // =============================================================================
 
-/** @type {Object<string, HTMLElement>} Cached DOM element references */
+/**
+ * Cached DOM element references. `diagramText` is swapped for the CodeEditor at
+ * startup, which keeps the textarea's value/selection/event surface.
+ * @type {Object<string, HTMLElement>}
+ */
 const elements = {
   diagramText: document.getElementById('diagramText'),
+  undoBtn: document.getElementById('undoBtn'),
+  redoBtn: document.getElementById('redoBtn'),
+  snapshotBtn: document.getElementById('snapshotBtn'),
+  historyBtn: document.getElementById('historyBtn'),
+  convertBtn: document.getElementById('convertBtn'),
+  mermaidSettingsBtn: document.getElementById('mermaidSettingsBtn'),
+  shareBtn: document.getElementById('shareBtn'),
+  historyPanel: document.getElementById('historyPanel'),
+  snapshotList: document.getElementById('snapshotList'),
+  tabStrip: document.getElementById('tabStrip'),
+  externalChangeBanner: document.getElementById('externalChangeBanner'),
+  externalChangeMessage: document.getElementById('externalChangeMessage'),
+  externalReloadBtn: document.getElementById('externalReloadBtn'),
+  externalKeepBtn: document.getElementById('externalKeepBtn'),
+  externalDiffBtn: document.getElementById('externalDiffBtn'),
   diagramContainer: document.getElementById('diagram'),
+  zoomOutBtn: document.getElementById('zoomOutBtn'),
+  zoomInBtn: document.getElementById('zoomInBtn'),
+  zoomPreset: document.getElementById('zoomPreset'),
+  securityLevel: document.getElementById('securityLevel'),
   fileInput: document.getElementById('fileInput'),
   loadBtn: document.getElementById('loadBtn'),
+  recentBtn: document.getElementById('recentBtn'),
+  openFolderBtn: document.getElementById('openFolderBtn'),
+  workspaceSidebar: document.getElementById('workspaceSidebar'),
+  workspaceTitle: document.getElementById('workspaceTitle'),
+  workspaceTree: document.getElementById('workspaceTree'),
+  workspaceNewBtn: document.getElementById('workspaceNewBtn'),
+  workspaceRefreshBtn: document.getElementById('workspaceRefreshBtn'),
+  workspaceCollapseBtn: document.getElementById('workspaceCollapseBtn'),
+  workspaceCloseBtn: document.getElementById('workspaceCloseBtn'),
   saveBtn: document.getElementById('saveBtn'),
   savePngBtn: document.getElementById('savePngBtn'),
   renderBtn: document.getElementById('renderBtn'),
   filenameInput: document.getElementById('filenameInput'),
   imageFilename: document.getElementById('imageFilename'),
+  exportFormat: document.getElementById('exportFormat'),
+  exportOptionsBtn: document.getElementById('exportOptionsBtn'),
+  batchExportBtn: document.getElementById('batchExportBtn'),
   diagramSelect: document.getElementById('diagramSelect'),
   notification: document.getElementById('notification'),
+  appTheme: document.getElementById('appTheme'),
   resizer: document.getElementById('resizer'),
   editorPanel: document.getElementById('editorPanel'),
   diagramPanel: document.getElementById('diagramPanel')
 };
 
+// =============================================================================
+// DIAGRAM ENGINES
+// =============================================================================
+
+/**
+ * Registry of diagram engines. Each engine declares its id, label, file
+ * extensions, library loader, render function and error parser; the type
+ * dropdown, file type detection and saved settings all come from here.
+ *
+ * Scripts loaded after this one can add engines without changing it:
+ *
+ *   RendererRegistry.register({
+ *     id: 'acme-flow', label: 'Acme Flow', extensions: ['.flow'],
+ *     load: () => RendererRegistry.loadScript('vendor/acme-flow.js'),
+ *     render: (text, { container }) => { container.innerHTML = AcmeFlow.toSvg(text); }
+ *   });
+ * @class
+ */
+class RendererRegistry {
+  /**
+   * @typedef {Object} DiagramEngine
+   * @property {string} id - Diagram type value kept in documents, settings and links
+   * @property {string} label - Name shown in the diagram type dropdown
+   * @property {string[]} [extensions] - File extensions that select this engine on load
+   * @property {string} [grammar] - Source syntax, for highlighting, completion and conversion (defaults to id)
+   * @property {function(): (Promise<void>|void)} [load] - Loads the engine's library; called once, before the first render
+   * @property {function(string, {container: HTMLElement, securityLevel: string, dark: boolean}): (Promise<void>|void)} render -
+   *   Draws the diagram into `container`, an element laid out off screen. Markup must go through
+   *   SvgSanitizer.sanitizeMarkup when securityLevel is 'strict'.
+   * @property {function(*, string): {line: number, column: number, message: string}} [parseError] -
+   *   Locates a render error in the text (defaults to RenderErrorParser.parse)
+   * @property {boolean} [themed] - Whether dark diagrams are drawn by the engine rather than recoloured afterwards
+   */
+
+  /** @private {Map<string, DiagramEngine>} Registered engines, in dropdown order */
+  static _engines = new Map();
+
+  /** @private {Map<string, Promise<void>>} Library loads started, by engine id */
+  static _loads = new Map();
+
+  /** @private {Set<string>} Engines whose library is ready */
+  static _loaded = new Set();
+
+  /**
+   * Add an engine and its dropdown option
+   * @param {DiagramEngine} engine - Engine definition
+   * @throws {Error} When the definition is incomplete or the id is taken
+   */
+  static register(engine) {
+    if (!engine?.id || !engine.label || typeof engine.render !== 'function') {
+      throw new Error('A diagram engine needs an id, a label and a render function');
+    }
+    if (RendererRegistry._engines.has(engine.id)) {
+      throw new Error(`A diagram engine with id "${engine.id}" is already registered`);
+    }
+
+    RendererRegistry._engines.set(engine.id, {
+      grammar: engine.id,
+      ...engine,
+      extensions: (engine.extensions || []).map((ext) => ext.toLowerCase())
+    });
+
+    const option = new Option(engine.label, engine.id);
+    option.selected = engine.id === DEFAULT_DIAGRAM_TYPE;
+    elements.diagramSelect?.appendChild(option);
+  }
+
+  /**
+   * Look up an engine
+   * @param {string} id - Diagram type
+   * @returns {DiagramEngine|null}
+   */
+  static get(id) {
+    return RendererRegistry._engines.get(id) || null;
+  }
+
+  /**
+   * Check whether a diagram type has an engine
+   * @param {string} id - Diagram type
+   * @returns {boolean}
+   */
+  static has(id) {
+    return RendererRegistry._engines.has(id);
+  }
+
+  /**
+   * All engines in registration order
+   * @returns {DiagramEngine[]}
+   */
+  static list() {
+    return [...RendererRegistry._engines.values()];
+  }
+
+  /**
+   * Engines that open files with an extension
+   * @param {string} ext - Extension including the dot
+   * @returns {DiagramEngine[]}
+   */
+  static forExtension(ext) {
+    return RendererRegistry.list().filter((engine) => engine.extensions.includes(ext.toLowerCase()));
+  }
+
+  /**
+   * First engine for a source syntax
+   * @param {string} grammar - Grammar key
+   * @returns {DiagramEngine|null}
+   */
+  static forGrammar(grammar) {
+    return RendererRegistry.list().find((engine) => engine.grammar === grammar) || null;
+  }
+
+  /**
+   * Extensions claimed by any engine, followed by extra ones
+   * @param {string[]} [extra] - Further extensions to include
+   * @returns {string[]} Extensions without duplicates
+   */
+  static fileExtensions(extra = []) {
+    return [...new Set([...RendererRegistry.list().flatMap((engine) => engine.extensions), ...extra])];
+  }
+
+  /**
+   * Check whether an engine's library is ready, so it can render without waiting
+   * @param {DiagramEngine} engine - Engine
+   * @returns {boolean}
+   */
+  static isLoaded(engine) {
+    return !engine.load || RendererRegistry._loaded.has(engine.id);
+  }
+
+  /**
+   * Load an engine's library once; a failed load is tried again next time
+   * @param {DiagramEngine} engine - Engine
+   * @returns {Promise<void>}
+   */
+  static load(engine) {
+    if (RendererRegistry.isLoaded(engine)) return Promise.resolve();
+
+    if (!RendererRegistry._loads.has(engine.id)) {
+      const loading = Promise.resolve()
+        .then(() => engine.load())
+        .then(() => {
+          RendererRegistry._loaded.add(engine.id);
+        }, (error) => {
+          RendererRegistry._loads.delete(engine.id);
+          throw new Error(`Could not load the ${engine.label} renderer: ${error.message}`);
+        });
+      RendererRegistry._loads.set(engine.id, loading);
+    }
+    return RendererRegistry._loads.get(engine.id);
+  }
+
+  /**
+   * Add a script to the page, for engine loaders
+   * @param {string} src - Script URL
+   * @returns {Promise<void>} Resolves once the script has run
+   */
+  static loadScript(src) {
+    return new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.src = src;
+      script.onload = () => resolve();
+      script.onerror = () => {
+        script.remove();
+        reject(new Error(`${src} did not load`));
+      };
+      document.head.appendChild(script);
+    });
+  }
+
+  /**
+   * Locate a render error with the engine's parser
+   * @param {string} id - Diagram type that was rendered
+   * @param {*} error - Error thrown by the engine
+   * @param {string} text - Text that was rendered
+   * @returns {{line: number, column: number, message: string}} 1-based position and summary
+   */
+  static parseError(id, error, text) {
+    const parse = RendererRegistry.get(id)?.parseError || RenderErrorParser.parse;
+    return parse(error, text);
+  }
+}
+
 // =============================================================================
 // APPLICATION STATE
 // =============================================================================
 
+/**
+ * A single open diagram document (one editor tab)
+ * @class
+ */
+class DiagramDocument {
+  /**
+   * @param {Object} [options] - Initial document values
+   * @param {string} [options.id] - Unique document id
+   * @param {string|null} [options.name] - File name
+   * @param {FileSystemFileHandle|null} [options.handle] - File handle
+   * @param {string} [options.text] - Editor content
+   * @param {string} [options.diagramType] - Selected diagram type
+   * @param {boolean} [options.hasUnsavedChanges] - Dirty flag
+   * @param {string} [options.inputName] - Pending value of the filename input
+   * @param {Object} [options.viewport] - Zoom and pan of the diagram panel
+   * @param {string} [options.securityLevel] - 'strict' (sanitized output) or 'loose'
+   */
+  constructor({
+    id = `doc-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    name = null,
+    handle = null,
+    text = '',
+    diagramType = DEFAULT_DIAGRAM_TYPE,
+    hasUnsavedChanges = false,
+    inputName = name || '',
+    viewport = null,
+    securityLevel = 'strict'
+  } = {}) {
+    this.id = id;
+    this.name = name;
+    this.handle = handle;
+    this.text = text;
+    this.diagramType = RendererRegistry.has(diagramType) ? diagramType : DEFAULT_DIAGRAM_TYPE;
+    this.hasUnsavedChanges = hasUnsavedChanges;
+    this.inputName = inputName;
+
+    /** @type {{zoom: number, x: number, y: number, fit: string|null}} Zoom and pan of the diagram panel */
+    this.viewport = DiagramDocument.normalizeViewport(viewport);
+
+    /** @type {string} Rendering security level; anything but an explicit 'loose' is strict */
+    this.securityLevel = securityLevel === 'loose' ? 'loose' : 'strict';
+
+    /** @type {string|null} Markup of the last successfully rendered diagram */
+    this.lastSvg = null;
+
+    /** @type {{text: string, lastModified: number}|null} File content as last loaded or saved (merge base) */
+    this.diskVersion = null;
+
+    /** @type {{text: string, lastModified: number}|null} Newer file content written by another program */
+    this.externalChange = null;
+
+    /** @type {{undo: Object[], redo: Object[], current: string, lastEditAt: number}} Undo/redo state */
+    this.history = { undo: [], redo: [], current: text, lastEditAt: 0 };
+  }
+
+  /**
+   * Label shown in the tab strip
+   * @returns {string}
+   */
+  get displayName() {
+    return this.name || 'Untitled';
+  }
+
+  /**
+   * Whether the document is an untouched blank tab that can be reused
+   * @returns {boolean}
+   */
+  get isPristine() {
+    return !this.name && !this.handle && !this.text.trim() && !this.hasUnsavedChanges;
+  }
+
+  /**
+   * Serializable form for localStorage (file handles are kept in IndexedDB by
+   * TabManager; SVG is not persisted)
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      text: this.text,
+      diagramType: this.diagramType,
+      hasUnsavedChanges: this.hasUnsavedChanges,
+      inputName: this.inputName,
+      viewport: this.viewport,
+      securityLevel: this.securityLevel
+    };
+  }
+
+  /**
+   * Validate a stored viewport, falling back to shrink-to-fit
+   * @param {*} viewport - Stored viewport value
+   * @returns {{zoom: number, x: number, y: number, fit: string|null}}
+   */
+  static normalizeViewport(viewport) {
+    const fits = ['auto', 'width', 'page'];
+    if (!viewport || typeof viewport !== 'object') {
+      return { zoom: 1, x: 0, y: 0, fit: 'auto' };
+    }
+
+    const number = (value, fallback) => (Number.isFinite(value) ? value : fallback);
+    return {
+      zoom: Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, number(viewport.zoom, 1))),
+      x: number(viewport.x, 0),
+      y: number(viewport.y, 0),
+      fit: fits.includes(viewport.fit) ? viewport.fit : null
+    };
+  }
+}
+
 /**
  * Application state manager
  * @class
  */
 class ApplicationState {
   constructor() {
-    /** @private {Object} Current file information */
-    this._fileInfo = {
-      name: null,
-      handle: null,
-      hasUnsavedChanges: false
-    };
+    /** @private {DiagramDocument[]} Open documents, in tab order */
+    this._documents = [new DiagramDocument()];
+
+    /** @private {string} Id of the document shown in the editor */
+    this._activeDocumentId = this._documents[0].id;
 
     /** @private {FileSystemDirectoryHandle|null} Last PNG save directory */
     this._lastPngDirectory = null;
@@ -81,27 +659,67 @@ class ApplicationState {
     /** @private {number|null} Current render timeout ID */
     this._renderTimeoutId = null;
 
+    /** @private {number|null} Pending draft snapshot timeout ID */
+    this._autosaveTimeoutId = null;
+
     /** @private {boolean} Panel resize state */
     this._isResizing = false;
   }
 
-  // File info getters/setters
-  get fileName() { return this._fileInfo.name; }
-  get fileHandle() { return this._fileInfo.handle; }
-  get hasUnsavedChanges() { return this._fileInfo.hasUnsavedChanges; }
+  // Document management
+  get documents() { return this._documents; }
+  get activeDocument() {
+    return this._documents.find((doc) => doc.id === this._activeDocumentId) || this._documents[0];
+  }
+
+  /**
+   * Replace the list of open documents
+   * @param {DiagramDocument[]} documents - Documents to open (at least one)
+   * @param {string} [activeId] - Document to activate
+   */
+  setDocuments(documents, activeId) {
+    this._documents = documents.length ? documents : [new DiagramDocument()];
+    this.setActiveDocument(activeId);
+  }
+
+  addDocument(doc) {
+    this._documents.push(doc);
+  }
+
+  removeDocument(id) {
+    this._documents = this._documents.filter((doc) => doc.id !== id);
+    if (this._documents.length === 0) {
+      this._documents.push(new DiagramDocument());
+    }
+    if (!this._documents.some((doc) => doc.id === this._activeDocumentId)) {
+      this._activeDocumentId = this._documents[this._documents.length - 1].id;
+    }
+  }
+
+  setActiveDocument(id) {
+    const doc = this._documents.find((item) => item.id === id) || this._documents[0];
+    this._activeDocumentId = doc.id;
+  }
+
+  // File info getters/setters (always refer to the active document)
+  get fileName() { return this.activeDocument.name; }
+  get fileHandle() { return this.activeDocument.handle; }
+  get hasUnsavedChanges() { return this.activeDocument.hasUnsavedChanges; }
 
   setFileInfo(name, handle = null) {
-    this._fileInfo = { name, handle, hasUnsavedChanges: false };
+    const doc = this.activeDocument;
+    doc.name = name;
+    doc.handle = handle;
+    doc.hasUnsavedChanges = false;
   }
 
   markAsChanged() {
-    if (this._fileInfo.name) {
-      this._fileInfo.hasUnsavedChanges = true;
-    }
+    // Untitled documents count as changed too, so they get autosaved and close warnings
+    this.activeDocument.hasUnsavedChanges = true;
   }
 
   markAsSaved() {
-    this._fileInfo.hasUnsavedChanges = false;
+    this.activeDocument.hasUnsavedChanges = false;
   }
 
   // PNG directory management
@@ -112,6 +730,10 @@ class ApplicationState {
   get renderTimeoutId() { return this._renderTimeoutId; }
   set renderTimeoutId(id) { this._renderTimeoutId = id; }
 
+  // Autosave timeout management
+  get autosaveTimeoutId() { return this._autosaveTimeoutId; }
+  set autosaveTimeoutId(id) { this._autosaveTimeoutId = id; }
+
   // Resize state management
   get isResizing() { return this._isResizing; }
   set isResizing(state) { this._isResizing = state; }
@@ -190,6 +812,87 @@ class NotificationManager {
   }
 }
 
+/**
+ * Modal dialog utility
+ * @class
+ */
+class DialogManager {
+  /**
+   * Open a modal dialog
+   * @param {Object} options - Dialog options
+   * @param {string} options.title - Dialog title
+   * @param {HTMLElement|string} options.content - Body element or plain text
+   * @param {Array<{label: string, className?: string, onClick?: Function}>} [options.actions] - Footer buttons;
+   *   a button closes the dialog unless its handler returns false
+   * @param {Function} [options.onClose] - Called once the dialog is closed
+   * @returns {{element: HTMLElement, close: Function}} Dialog handle
+   */
+  static open({ title, content, actions = [], onClose }) {
+    const overlay = document.createElement('div');
+    overlay.className = 'modal-overlay';
+
+    const dialog = document.createElement('div');
+    dialog.className = 'modal';
+    dialog.setAttribute('role', 'dialog');
+    dialog.setAttribute('aria-modal', 'true');
+    dialog.setAttribute('aria-label', title);
+
+    const heading = document.createElement('h2');
+    heading.className = 'modal-title';
+    heading.textContent = title;
+    dialog.appendChild(heading);
+
+    const body = document.createElement('div');
+    body.className = 'modal-body';
+    if (typeof content === 'string') {
+      body.textContent = content;
+    } else if (content) {
+      body.appendChild(content);
+    }
+    dialog.appendChild(body);
+
+    let closed = false;
+    const close = () => {
+      if (closed) return;
+      closed = true;
+      document.removeEventListener('keydown', handleKeyDown);
+      overlay.remove();
+      onClose?.();
+    };
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') close();
+    };
+
+    if (actions.length) {
+      const footer = document.createElement('div');
+      footer.className = 'modal-actions';
+      actions.forEach(({ label, className = 'btn-secondary', onClick }) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = `btn ${className}`;
+        button.textContent = label;
+        button.addEventListener('click', async () => {
+          const result = await onClick?.();
+          if (result !== false) close();
+        });
+        footer.appendChild(button);
+      });
+      dialog.appendChild(footer);
+    }
+
+    overlay.addEventListener('click', (event) => {
+      if (event.target === overlay) close();
+    });
+    document.addEventListener('keydown', handleKeyDown);
+
+    overlay.appendChild(dialog);
+    document.body.appendChild(overlay);
+    dialog.querySelector('button')?.focus();
+
+    return { element: dialog, close };
+  }
+}
+
 /**
  * Local storage utility with error handling
  * @class
@@ -221,1003 +924,9882 @@ class StorageManager {
       console.warn(`Failed to write to localStorage: ${error.message}`);
     }
   }
-}
 
-// =============================================================================
-// EVENT HANDLERS
-// =============================================================================
-
-/**
- * Handle load button click with proper error handling
- */
-const handleLoadClick = ErrorHandler.asyncWrapper(async () => {
-  if (!ConfirmationManager.confirmUnsavedChanges()) {
-    return;
-  }
+  /**
+   * Safely read and parse a JSON value from localStorage
+   * @param {string} key - Storage key
+   * @param {*} [fallback=null] - Value returned when missing or invalid
+   * @returns {*} Parsed value or fallback
+   */
+  static getJSON(key, fallback = null) {
+    const raw = StorageManager.getItem(key);
+    if (raw === null) return fallback;
 
-  if (supportsFileSystemAccess) {
     try {
-      await FileManager.loadWithFilePicker();
+      return JSON.parse(raw);
     } catch (error) {
-      if (error.name === 'AbortError') return;
-      console.warn('File picker failed, falling back to file input:', error.message);
-      elements.fileInput.click();
+      console.warn(`Ignoring invalid JSON in localStorage "${key}": ${error.message}`);
+      return fallback;
     }
-  } else {
-    elements.fileInput.click();
   }
-}, 'Failed to load file', 'LoadButton');
 
-/**
- * Confirmation dialog utility
- * @class
- */
-class ConfirmationManager {
   /**
-   * Confirm action when there are unsaved changes
-   * @returns {boolean} True if user confirms or no unsaved changes
+   * Serialize and store a JSON value in localStorage
+   * @param {string} key - Storage key
+   * @param {*} value - JSON-serializable value
    */
-  static confirmUnsavedChanges() {
-    if (!appState.hasUnsavedChanges) return true;
-
-    return confirm(
-      `You have unsaved changes to "${appState.fileName}". ` +
-      'Loading a new file will discard these changes. Continue?'
-    );
+  static setJSON(key, value) {
+    StorageManager.setItem(key, JSON.stringify(value));
   }
 }
 
 /**
- * Handle file input change with proper error handling
+ * IndexedDB utility with promise-based helpers
+ * @class
  */
-const handleFileInputChange = ErrorHandler.asyncWrapper(async (event) => {
-  const file = event.target.files?.[0];
-  if (!file) return;
+class IndexedDbManager {
+  /** @private {Promise<IDBDatabase>|null} Shared connection */
+  static _dbPromise = null;
 
-  try {
-    const content = await FileManager.readFileContent(file);
-    FileManager.loadFileContent(content, file.name);
-    NotificationManager.show('File loaded successfully', 'success');
-  } catch (error) {
-    throw new Error(`Failed to read file: ${error.message}`);
-  } finally {
-    // Clear the input to allow reloading the same file
-    event.target.value = '';
+  /**
+   * Check if IndexedDB is available
+   * @returns {boolean} True if supported
+   */
+  static isSupported() {
+    return typeof indexedDB !== 'undefined';
   }
-}, 'Failed to load selected file', 'FileInput');
 
-/**
- * File management utility class
- * @class
- */
-class FileManager {
   /**
-   * Read file content as text
-   * @param {File} file - File to read
-   * @returns {Promise<string>} File content
+   * Open (and upgrade when needed) the application database
+   * @returns {Promise<IDBDatabase>}
    */
-  static readFileContent(file) {
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader();
-      reader.onload = (event) => resolve(event.target.result);
-      reader.onerror = () => reject(new Error('Failed to read file'));
-      reader.readAsText(file);
-    });
+  static open() {
+    if (!IndexedDbManager.isSupported()) {
+      return Promise.reject(new Error('IndexedDB not supported in this browser'));
+    }
+
+    if (!IndexedDbManager._dbPromise) {
+      IndexedDbManager._dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(INDEXED_DB_NAME, INDEXED_DB_VERSION);
+
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          INDEXED_DB_STORES.forEach((storeName) => {
+            if (!db.objectStoreNames.contains(storeName)) {
+              db.createObjectStore(storeName, { keyPath: 'id' });
+            }
+          });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error || new Error('Failed to open IndexedDB'));
+        request.onblocked = () => reject(new Error('IndexedDB upgrade blocked by another open tab'));
+      }).catch((error) => {
+        IndexedDbManager._dbPromise = null;
+        throw error;
+      });
+    }
+
+    return IndexedDbManager._dbPromise;
   }
 
   /**
-   * Load file content into the editor
-   * @param {string} content - File content
-   * @param {string} fileName - File name
-   * @param {FileSystemFileHandle} [handle] - File handle for File System Access API
+   * Run a single request against an object store
+   * @private
+   * @param {string} storeName - Object store name
+   * @param {IDBTransactionMode} mode - Transaction mode
+   * @param {function(IDBObjectStore): IDBRequest} operation - Builds the request
+   * @returns {Promise<*>} Request result
    */
-  static loadFileContent(content, fileName, handle = null) {
-    elements.diagramText.value = content;
-    elements.filenameInput.value = fileName;
+  static async request(storeName, mode, operation) {
+    const db = await IndexedDbManager.open();
 
-    DiagramTypeSelector.fromFilename(fileName);
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeName, mode);
+      const request = operation(transaction.objectStore(storeName));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error || new Error(`IndexedDB ${mode} on "${storeName}" failed`));
+      transaction.onabort = () => reject(transaction.error || new Error(`IndexedDB ${mode} on "${storeName}" aborted`));
+    });
+  }
 
-    appState.setFileInfo(fileName, handle);
-    UIManager.updatePngFilename();
-    UIManager.updateFileStatus();
-    DiagramRenderer.render();
+  static get(storeName, id) {
+    return IndexedDbManager.request(storeName, 'readonly', (store) => store.get(id));
   }
 
-  /**
-   * Load file using File System Access API
-   * @returns {Promise<void>}
-   */
-  static async loadWithFilePicker() {
-    const [fileHandle] = await window.showOpenFilePicker();
+  static getAll(storeName) {
+    return IndexedDbManager.request(storeName, 'readonly', (store) => store.getAll());
+  }
 
-    const file = await fileHandle.getFile();
-    const content = await file.text();
-    let fileName
-    if (file.name.toLowerCase().endsWith('.txt') && file.name.indexOf('.') !== file.name.toLowerCase().lastIndexOf('.txt')) {
-      fileName = file.name.slice(0, -4);
-    } else {
-      fileName = file.name;
-    }
+  static put(storeName, value) {
+    return IndexedDbManager.request(storeName, 'readwrite', (store) => store.put(value));
+  }
 
-    FileManager.loadFileContent(content, fileName, fileHandle);
-    NotificationManager.show('File loaded from original location', 'success');
+  static delete(storeName, id) {
+    return IndexedDbManager.request(storeName, 'readwrite', (store) => store.delete(id));
   }
+}
+
+/**
+ * Line-based text diff utility
+ * @class
+ */
+class TextDiff {
+  /** @constant {number} Above this many line pairs the diff falls back to a plain replace */
+  static MAX_CELLS = 4000000;
 
   /**
-   * Save file content
-   * @param {string} content - Content to save
-   * @returns {Promise<void>}
+   * Compute a line diff between two texts (longest common subsequence)
+   * @param {string} before - Original text
+   * @param {string} after - Changed text
+   * @returns {Array<{type: ('same'|'added'|'removed'), text: string}>} Diff lines in order
    */
-  static async save(content) {
-    if (!content.trim()) {
-      throw new Error('Cannot save empty diagram');
+  static diffLines(before, after) {
+    const a = before.split('\n');
+    const b = after.split('\n');
+
+    if (a.length * b.length > TextDiff.MAX_CELLS) {
+      return [
+        ...a.map((text) => ({ type: 'removed', text })),
+        ...b.map((text) => ({ type: 'added', text }))
+      ];
     }
 
-    const inputFilename = elements.filenameInput.value.trim();
-    const filenameChanged = appState.fileHandle && inputFilename && inputFilename !== appState.fileName;
-
-    if (supportsFileSystemAccess && appState.fileHandle && !filenameChanged) {
-      await FileManager.saveToOriginalLocation(content);
-    } else if (supportsFileSystemAccess) {
-      await FileManager.saveWithFilePicker(content);
-    } else {
-      FileManager.saveAsDownload(content);
+    // lengths[i][j] = LCS length of a[i..] and b[j..]
+    const lengths = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        lengths[i][j] = a[i] === b[j]
+          ? lengths[i + 1][j + 1] + 1
+          : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+      }
     }
-  }
 
-  /**
-   * Save to original file location
-   * @param {string} content - Content to save
-   * @returns {Promise<void>}
-   */
-  static async saveToOriginalLocation(content) {
-    const writable = await appState.fileHandle.createWritable();
-    await writable.write(content);
-    await writable.close();
+    const result = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+      if (a[i] === b[j]) {
+        result.push({ type: 'same', text: a[i] });
+        i++;
+        j++;
+      } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+        result.push({ type: 'removed', text: a[i++] });
+      } else {
+        result.push({ type: 'added', text: b[j++] });
+      }
+    }
+    while (i < a.length) result.push({ type: 'removed', text: a[i++] });
+    while (j < b.length) result.push({ type: 'added', text: b[j++] });
 
-    appState.markAsSaved();
-    UIManager.updateFileStatus();
-    NotificationManager.show(`File saved: ${appState.fileName}`, 'success');
+    return result;
   }
 
   /**
-   * Save with file picker
-   * @param {string} content - Content to save
-   * @returns {Promise<void>}
+   * Group a line diff into hunks: ranges of `before` lines replaced by new lines
+   * @param {string} before - Original text
+   * @param {string} after - Changed text
+   * @returns {Array<{start: number, end: number, lines: string[]}>} Hunks in order (end exclusive)
    */
-  static async saveWithFilePicker(content) {
-    const filename = elements.filenameInput.value.trim() || appState.fileName || 'diagram.txt';
+  static hunks(before, after) {
+    const result = [];
+    let index = 0;
+    let hunk = null;
+
+    TextDiff.diffLines(before, after).forEach(({ type, text }) => {
+      if (type === 'same') {
+        if (hunk) result.push(hunk);
+        hunk = null;
+        index++;
+        return;
+      }
 
-    const fileHandle = await window.showSaveFilePicker({
-      suggestedName: filename
+      hunk = hunk || { start: index, end: index, lines: [] };
+      if (type === 'removed') {
+        index++;
+        hunk.end = index;
+      } else {
+        hunk.lines.push(text);
+      }
     });
+    if (hunk) result.push(hunk);
 
-    const writable = await fileHandle.createWritable();
-    await writable.write(content);
-    await writable.close();
-
-    const file = await fileHandle.getFile();
-    appState.setFileInfo(file.name, fileHandle);
-    UIManager.updateFileStatus();
-    NotificationManager.show(`File saved: ${file.name}`, 'success');
+    return result;
   }
 
   /**
-   * Save as download (fallback)
-   * @param {string} content - Content to save
+   * Three-way line merge. Changes from both sides are combined; where they touch
+   * the same lines differently, both versions are kept between conflict markers.
+   * @param {string} base - Common ancestor
+   * @param {string} mine - One changed version
+   * @param {string} theirs - The other changed version
+   * @returns {{text: string, conflicts: number}} Merged text and number of conflicts
    */
-  static saveAsDownload(content) {
-    const filename = elements.filenameInput.value.trim() || appState.fileName || 'diagram.txt';
+  static merge3(base, mine, theirs) {
+    const baseLines = base.split('\n');
+    const changes = [
+      ...TextDiff.hunks(base, mine).map((hunk) => ({ ...hunk, side: 'mine' })),
+      ...TextDiff.hunks(base, theirs).map((hunk) => ({ ...hunk, side: 'theirs' }))
+    ].sort((a, b) => a.start - b.start || a.end - b.end);
+
+    const output = [];
+    let conflicts = 0;
+    let position = 0;
+    let i = 0;
+
+    while (i < changes.length) {
+      // Collect every change that overlaps or touches the region
+      const cluster = [changes[i]];
+      const start = changes[i].start;
+      let end = changes[i].end;
+      for (i++; i < changes.length && changes[i].start <= end; i++) {
+        cluster.push(changes[i]);
+        end = Math.max(end, changes[i].end);
+      }
 
-    const blob = new Blob([content], { type: 'text/plain' });
-    const url = URL.createObjectURL(blob);
+      const version = (side) => {
+        const lines = [];
+        let at = start;
+        cluster.filter((change) => change.side === side).forEach((change) => {
+          lines.push(...baseLines.slice(at, change.start), ...change.lines);
+          at = change.end;
+        });
+        return [...lines, ...baseLines.slice(at, end)];
+      };
 
-    const link = document.createElement('a');
-    link.href = url;
-    link.download = filename;
-    link.click();
+      output.push(...baseLines.slice(position, start));
+      const sides = new Set(cluster.map((change) => change.side));
+      if (sides.size === 1) {
+        output.push(...version(cluster[0].side));
+      } else {
+        const ours = version('mine');
+        const other = version('theirs');
+        if (ours.join('\n') === other.join('\n')) {
+          output.push(...ours);
+        } else {
+          conflicts++;
+          output.push('<<<<<<< yours', ...ours, '=======', ...other, '>>>>>>> file on disk');
+        }
+      }
+      position = end;
+    }
+    output.push(...baseLines.slice(position));
 
-    URL.revokeObjectURL(url);
+    return { text: output.join('\n'), conflicts };
+  }
 
-    appState.markAsSaved();
-    UIManager.updateFileStatus();
+  /**
+   * Render a line diff as a preformatted element
+   * @param {string} before - Original text
+   * @param {string} after - Changed text
+   * @returns {HTMLElement} Diff view
+   */
+  static render(before, after) {
+    const pre = document.createElement('pre');
+    pre.className = 'diff-view';
+
+    TextDiff.diffLines(before, after).forEach(({ type, text }) => {
+      const line = document.createElement('span');
+      line.className = `diff-line diff-${type}`;
+      const marker = type === 'added' ? '+ ' : type === 'removed' ? '- ' : '  ';
+      line.textContent = `${marker}${text}\n`;
+      pre.appendChild(line);
+    });
 
-    const message = appState.fileName
-      ? `File downloaded: ${filename} (browser limitation)`
-      : `File downloaded: ${filename}`;
-    NotificationManager.show(message, 'success');
+    return pre;
   }
 }
 
-/**
- * Handle save button click
- */
-const handleSaveClick = ErrorHandler.asyncWrapper(async () => {
-  await FileManager.save(elements.diagramText.value);
-}, 'Failed to save file', 'SaveButton');
+// =============================================================================
+// CODE EDITOR
+// =============================================================================
 
 /**
- * Diagram rendering utility class
+ * Line tokenizers for the editor's syntax highlighting
  * @class
  */
-class DiagramRenderer {
+class SyntaxHighlighter {
+  /** @constant {Set<string>} Mermaid diagram type declarations */
+  static MERMAID_DIAGRAM_TYPES = new Set([
+    'sequenceDiagram', 'flowchart', 'graph', 'classDiagram', 'stateDiagram', 'stateDiagram-v2', 'erDiagram',
+    'gantt', 'pie', 'journey', 'gitGraph', 'mindmap', 'timeline', 'quadrantChart', 'requirementDiagram',
+    'C4Context', 'C4Container', 'C4Component', 'C4Dynamic', 'C4Deployment', 'sankey-beta', 'xychart-beta',
+    'block-beta', 'packet-beta', 'architecture-beta', 'kanban'
+  ]);
+
+  /** @constant {Set<string>} Mermaid keywords */
+  static MERMAID_KEYWORDS = new Set([
+    'participant', 'actor', 'as', 'loop', 'alt', 'else', 'opt', 'par', 'and', 'critical', 'break', 'rect', 'end',
+    'note', 'Note', 'over', 'left', 'right', 'of', 'activate', 'deactivate', 'autonumber', 'title', 'accTitle',
+    'accDescr', 'box', 'create', 'destroy', 'link', 'links', 'subgraph', 'direction', 'TB', 'TD', 'BT', 'RL', 'LR',
+    'class', 'classDef', 'style', 'linkStyle', 'click', 'callback', 'call', 'href', 'section', 'dateFormat',
+    'axisFormat', 'excludes', 'includes', 'todayMarker', 'tickInterval', 'weekday', 'showData', 'commit', 'branch',
+    'checkout', 'merge', 'cherry-pick', 'state', 'fork', 'join', 'choice', 'namespace', 'interface', 'abstract', 'enum'
+  ]);
+
+  /** @constant {Set<string>} Mermaid line keywords whose text after ':' is free text */
+  static MERMAID_TEXT_KEYWORDS = new Set(['note', 'Note', 'title', 'accTitle', 'accDescr', 'section']);
+
+  /** @constant {Set<string>} Graphviz DOT keywords (matched case-insensitively) */
+  static DOT_KEYWORDS = new Set(['strict', 'graph', 'digraph', 'subgraph', 'node', 'edge']);
+
   /**
-   * Render the current diagram
+   * Pick the tokenizer for a diagram type
+   * @param {string} diagramType - Diagram type option value
+   * @returns {('mermaid'|'js-sequence'|'dot')}
    */
-  static render() {
-    const text = elements.diagramText.value.trim();
+  static modeFor(diagramType) {
+    const grammar = RendererRegistry.get(diagramType)?.grammar;
+    return grammar === 'mermaid' || grammar === 'dot' ? grammar : 'js-sequence';
+  }
 
-    if (!text) {
-      DiagramRenderer.showEmptyState();
-      return;
-    }
+  /**
+   * Split a line into typed tokens
+   * @param {string} line - Source line
+   * @param {('mermaid'|'js-sequence'|'dot')} mode - Grammar
+   * @returns {Array<{type: string, text: string}>} Tokens covering the whole line
+   */
+  static tokenizeLine(line, mode) {
+    const tokenizers = {
+      mermaid: SyntaxHighlighter.tokenizeMermaid,
+      dot: SyntaxHighlighter.tokenizeDot,
+      'js-sequence': SyntaxHighlighter.tokenizeJsSequence
+    };
+    return tokenizers[mode](line).filter((token) => token.text);
+  }
 
-    const selection = elements.diagramSelect.value;
+  /**
+   * js-sequence grammar: Title, participant, Note and message lines
+   * @private
+   * @param {string} line - Source line
+   * @returns {Array<{type: string, text: string}>} Tokens covering the whole line
+   */
+  static tokenizeJsSequence(line) {
+    let match;
 
-    try {
-      if (selection === 'mermaid') {
-        DiagramRenderer.renderMermaid(text);
-      } else if (selection === 'js-sequence-simple') {
-        DiagramRenderer.renderJsSequence(text, 'simple');
-      } else if (selection === 'js-sequence-hand') {
-        DiagramRenderer.renderJsSequence(text, 'hand');
-      }
-    } catch (error) {
-      DiagramRenderer.showErrorState(error.message);
-      throw new Error(`Diagram rendering failed: ${error.message}`);
+    if (/^\s*#/.test(line)) {
+      return [{ type: 'comment', text: line }];
+    }
+    if ((match = /^(\s*)(title)(\s*:\s*)(.*)$/i.exec(line))) {
+      return [
+        { type: 'plain', text: match[1] }, { type: 'keyword', text: match[2] },
+        { type: 'punct', text: match[3] }, { type: 'text', text: match[4] }
+      ];
+    }
+    if ((match = /^(\s*)(participant)(\s+)(.*?)(\s+as\s+)(.*)$/i.exec(line))) {
+      return [
+        { type: 'plain', text: match[1] }, { type: 'keyword', text: match[2] }, { type: 'plain', text: match[3] },
+        { type: /^".*"$/.test(match[4]) ? 'string' : 'actor', text: match[4] },
+        { type: 'keyword', text: match[5] }, { type: 'actor', text: match[6] }
+      ];
+    }
+    if ((match = /^(\s*)(participant)(\s+)(.*)$/i.exec(line))) {
+      return [
+        { type: 'plain', text: match[1] }, { type: 'keyword', text: match[2] },
+        { type: 'plain', text: match[3] }, { type: 'actor', text: match[4] }
+      ];
+    }
+    if ((match = /^(\s*)(note)(\s+)(left of|right of|over)(\s+)([^:]*?)(\s*:\s*)(.*)$/i.exec(line))) {
+      return [
+        { type: 'plain', text: match[1] }, { type: 'keyword', text: match[2] }, { type: 'plain', text: match[3] },
+        { type: 'keyword', text: match[4] }, { type: 'plain', text: match[5] }, { type: 'actor', text: match[6] },
+        { type: 'punct', text: match[7] }, { type: 'text', text: match[8] }
+      ];
     }
+    if ((match = /^(\s*)([^:]*?)(\s*)(-->>|->>|-->|->)(\s*)([^:]*?)(\s*:\s*)(.*)$/.exec(line))) {
+      return [
+        { type: 'plain', text: match[1] }, { type: 'actor', text: match[2] }, { type: 'plain', text: match[3] },
+        { type: 'arrow', text: match[4] }, { type: 'plain', text: match[5] }, { type: 'actor', text: match[6] },
+        { type: 'punct', text: match[7] }, { type: 'text', text: match[8] }
+      ];
+    }
+    return [{ type: 'plain', text: line }];
   }
 
   /**
-   * Render js-sequence diagram
+   * Mermaid grammars: diagram types, keywords, arrows, strings, comments
    * @private
-   * @param {string} text - Diagram syntax
-   * @param {string} theme - Theme to use (simple or hand)
+   * @param {string} line - Source line
+   * @returns {Array<{type: string, text: string}>} Tokens covering the whole line
    */
-  static renderJsSequence(text, theme = 'simple') {
-    elements.diagramContainer.innerHTML = '';
-    const diagram = Diagram.parse(text);
-    diagram.drawSVG(elements.diagramContainer, { theme: theme });
+  static tokenizeMermaid(line) {
+    const rules = [
+      ['comment', /%%.*/y],
+      ['string', /"[^"]*"?/y],
+      ['word', /stateDiagram-v2|[A-Za-z]+-beta|cherry-pick|[A-Za-z_][\w]*/y],
+      ['arrow', /<<-{1,2}>>|<?(?:-{1,2}|={2,3}|-\.+-?)(?:>>|>|x|o|\))|[ox<]?-{2,}[ox>]?|={3,}|~~~/y],
+      ['number', /\d+(?:\.\d+)?/y],
+      ['punct', /[[\](){}|;,:]/y],
+      ['space', /\s+/y]
+    ];
+
+    const tokens = [];
+    let position = 0;
+    let hasArrow = false;
+    let firstWord = null;
+
+    while (position < line.length) {
+      let matched = false;
+
+      for (const [type, pattern] of rules) {
+        pattern.lastIndex = position;
+        const match = pattern.exec(line);
+        if (!match || !match[0]) continue;
+
+        const text = match[0];
+        let tokenType = type;
+
+        if (type === 'word') {
+          firstWord = firstWord ?? text;
+          if (SyntaxHighlighter.MERMAID_DIAGRAM_TYPES.has(text)) {
+            tokenType = 'diagram';
+          } else if (SyntaxHighlighter.MERMAID_KEYWORDS.has(text)) {
+            tokenType = 'keyword';
+          } else {
+            tokenType = 'plain';
+          }
+        } else if (type === 'arrow') {
+          hasArrow = true;
+        } else if (type === 'space') {
+          tokenType = 'plain';
+        }
 
-    DiagramRenderer.enhanceSVG();
+        tokens.push({ type: tokenType, text });
+        position += text.length;
+        matched = true;
+
+        // After "A->>B:" or "Note over A:" the rest of the line is free text
+        if (text === ':' && (hasArrow || SyntaxHighlighter.MERMAID_TEXT_KEYWORDS.has(firstWord))) {
+          tokens.push({ type: 'text', text: line.slice(position) });
+          position = line.length;
+        }
+        break;
+      }
+
+      if (!matched) {
+        tokens.push({ type: 'plain', text: line[position] });
+        position += 1;
+      }
+    }
+
+    // Identifiers on a message/edge line are participants or nodes
+    if (hasArrow) {
+      tokens.forEach((token) => {
+        if (token.type === 'plain' && /^[A-Za-z_]\w*$/.test(token.text)) token.type = 'actor';
+      });
+    }
+    return tokens;
   }
 
   /**
-   * Render Mermaid diagram
+   * Graphviz DOT: keywords, node ids, edge operators and [attribute=value] lists.
+   * Block comments are only recognised within one line.
    * @private
-   * @param {string} text - Diagram syntax
+   * @param {string} line - Source line
+   * @returns {Array<{type: string, text: string}>} Tokens covering the whole line
    */
-  static async renderMermaid(text) {
-    elements.diagramContainer.innerHTML = '';
-
-    // Create a div for mermaid to render into
-    const renderDiv = document.createElement('div');
-    renderDiv.className = 'mermaid-diagram';
-    renderDiv.style.textAlign = 'center';
-    elements.diagramContainer.appendChild(renderDiv);
-
-    try {
-      // Initialize mermaid if not already done
-      if (typeof mermaid !== 'undefined') {
-        mermaid.initialize({
-          startOnLoad: false,
-          theme: 'default',
-          securityLevel: 'loose',
-          // Use native SVG text instead of foreignObject labels so PNG export/copy keeps text.
-          flowchart: { htmlLabels: false }
-        });
+  static tokenizeDot(line) {
+    const rules = [
+      ['comment', /(?:\/\/|#).*|\/\*.*?(?:\*\/|$)/y],
+      ['string', /"(?:[^"\\]|\\.)*"?|<[^>]*>?/y],
+      ['arrow', /->|--/y],
+      ['number', /-?(?:\.\d+|\d+(?:\.\d*)?)/y],
+      ['word', /[A-Za-z_\u0080-\uffff][\w\u0080-\uffff]*/y],
+      ['punct', /[[\]{};,:=]/y],
+      ['space', /\s+/y]
+    ];
+
+    const tokens = [];
+    let position = 0;
+    let hasArrow = false;
+    let inAttributes = false;
+
+    while (position < line.length) {
+      let matched = false;
+
+      for (const [type, pattern] of rules) {
+        pattern.lastIndex = position;
+        const match = pattern.exec(line);
+        if (!match || !match[0]) continue;
+
+        const text = match[0];
+        let tokenType = type === 'space' ? 'plain' : type;
+
+        if (type === 'word') {
+          if (SyntaxHighlighter.DOT_KEYWORDS.has(text.toLowerCase())) {
+            tokenType = 'keyword';
+          } else if (/^\s*=/.test(line.slice(position + text.length))) {
+            // Attribute name, in a list or as a graph attribute statement
+            tokenType = 'text';
+          } else {
+            tokenType = inAttributes ? 'plain' : 'node';
+          }
+        } else if (type === 'arrow') {
+          hasArrow = true;
+        } else if (text === '[' || text === ']') {
+          inAttributes = text === '[';
+        }
 
-        const { svg } = await mermaid.render('mermaid-diagram-' + Date.now(), text);
-        renderDiv.innerHTML = svg;
+        tokens.push({ type: tokenType, text });
+        position += text.length;
+        matched = true;
+        break;
+      }
 
-        DiagramRenderer.enhanceSVG();
-      } else {
-        throw new Error('Mermaid library not loaded');
+      if (!matched) {
+        tokens.push({ type: 'plain', text: line[position] });
+        position += 1;
       }
-    } catch (error) {
-      throw new Error(`Mermaid rendering failed: ${error.message}`);
     }
+
+    // Identifiers outside attribute lists on an edge line are nodes
+    tokens.forEach((token) => {
+      if (token.type === 'node') token.type = hasArrow ? 'actor' : 'plain';
+    });
+    return tokens;
   }
 
   /**
-   * Show empty state message
-   * @private
+   * Escape text for HTML
+   * @param {string} text - Raw text
+   * @returns {string}
    */
-  static showEmptyState() {
-    elements.diagramContainer.innerHTML =
-      '<p style="color: #64748b; text-align: center; margin-top: 2rem; font-style: italic;">' +
-      'Enter diagram syntax and click "Draw" to generate your diagram</p>';
+  static escapeHtml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
   }
 
   /**
-   * Show error state message
-   * @private
-   * @param {string} errorMessage - Error message to display
+   * Render a line's tokens as HTML spans
+   * @param {string} line - Source line
+   * @param {('mermaid'|'js-sequence')} mode - Grammar
+   * @returns {string} HTML
    */
-  static showErrorState(errorMessage) {
-    elements.diagramContainer.innerHTML =
-      `<p style="color: #ef4444; padding: 1rem; background: #fee2e2; border-radius: 8px; border-left: 4px solid #ef4444;">` +
-      `<strong>Rendering Error:</strong><br/>${errorMessage}</p>`;
+  static highlightLine(line, mode) {
+    return SyntaxHighlighter.tokenizeLine(line, mode)
+      .map(({ type, text }) => (type === 'plain'
+        ? SyntaxHighlighter.escapeHtml(text)
+        : `<span class="tok-${type}">${SyntaxHighlighter.escapeHtml(text)}</span>`))
+      .join('');
   }
 
   /**
-   * Enhance SVG with interactive features
-   * @private
+   * Find foldable regions: Mermaid blocks closed by `end` or `}`, DOT braces, and indented blocks
+   * @param {string[]} lines - Source lines
+   * @param {('mermaid'|'js-sequence'|'dot')} mode - Grammar
+   * @returns {Map<number, number>} Header line → last line to hide
    */
-  static enhanceSVG() {
-    const svg = elements.diagramContainer.querySelector('svg');
-    if (svg && ClipboardManager.isSupported()) {
-      svg.style.cursor = 'pointer';
-      svg.title = 'Click to copy diagram to clipboard';
+  static findFoldRegions(lines, mode) {
+    const regions = new Map();
+
+    if (mode === 'mermaid' || mode === 'dot') {
+      const stack = [];
+      lines.forEach((line, index) => {
+        const trimmed = line.trim();
+        if (/^(loop|alt|opt|par|critical|break|rect|box|subgraph)\b/.test(trimmed) || /\{\s*$/.test(trimmed)) {
+          stack.push(index);
+        } else if ((trimmed === 'end' || /^}/.test(trimmed)) && stack.length) {
+          const start = stack.pop();
+          if (index - 1 > start) regions.set(start, index - 1);
+        }
+      });
     }
-  }
 
+    const indentOf = (line) => line.match(/^\s*/)[0].length;
+    lines.forEach((line, index) => {
+      if (regions.has(index) || !line.trim()) return;
+
+      const indent = indentOf(line);
+      let last = index;
+      for (let next = index + 1; next < lines.length; next++) {
+        if (!lines[next].trim()) continue;
+        if (indentOf(lines[next]) <= indent) break;
+        last = next;
+      }
+      if (last > index) regions.set(index, last);
+    });
 
+    return regions;
+  }
 }
 
 /**
- * UI management utility class
+ * In-page code editor: a transparent textarea over a highlighted layer, with a
+ * line-number gutter, current-line highlight and code folding.
+ *
+ * It stands in for the plain textarea in `elements.diagramText` and exposes the
+ * same surface (value, selection, events), always in terms of the full text,
+ * so existing callers work unchanged whether or not regions are folded.
  * @class
  */
-class UIManager {
+class CodeEditor {
+  /** @private {number} Measured width of one monospace character */
+  static _charWidth = 0;
+
   /**
-   * Update file status display
+   * Replace a textarea with a code editor and return the editor
+   * @param {HTMLTextAreaElement} textarea - Existing editor textarea
+   * @returns {CodeEditor}
    */
-  static updateFileStatus() {
-    const displayName = elements.filenameInput.value.trim();
-
-    if (!displayName) {
-      elements.saveBtn.textContent = '💾 Save';
-      elements.saveBtn.style.backgroundColor = '';
-      return;
-    }
-
-    const isOriginal = appState.fileHandle && displayName === appState.fileName;
-    const status = appState.hasUnsavedChanges ? ' (unsaved changes)' : ' ';
-
-    elements.saveBtn.textContent = `💾 Save "${displayName}"${status}`;
-    elements.saveBtn.style.backgroundColor = appState.hasUnsavedChanges ? '#f59e0b' : '#10b981';
+  static attach(textarea) {
+    return new CodeEditor(textarea);
   }
 
   /**
-   * Update PNG filename based on current file
+   * @param {HTMLTextAreaElement} textarea - Textarea to wrap (kept as the input surface)
    */
-  static updatePngFilename() {
-    if (!appState.fileName) return;
-
-    const baseName = appState.fileName.replace(/\.[^/.]+$/, '');
-    elements.imageFilename.value = `${baseName}.png`;
+  constructor(textarea) {
+    /** @type {HTMLTextAreaElement} */
+    this.textarea = textarea;
+
+    /** @private {Array<{line: number, hidden: string[]}>} Folded regions, anchored to a visible header line */
+    this._folds = [];
+    /** @private {string} Visible text at the last refresh, used to track edits */
+    this._lastVisible = textarea.value;
+    /** @private {boolean} Refresh queued */
+    this._refreshQueued = false;
+    /** @private {Array<{line: number, column: number, message: string}>} Errors to mark, 1-based full-text positions */
+    this._diagnostics = [];
+
+    this.buildDom();
+
+    // Registered before any app listener so fold anchors are current when they run
+    textarea.addEventListener('input', () => this.handleInput());
+    textarea.addEventListener('scroll', () => this.syncScroll());
+    document.addEventListener('selectionchange', () => {
+      if (document.activeElement === textarea) this.updateCurrentLine();
+    });
+    textarea.addEventListener('focus', () => this.updateCurrentLine());
+    textarea.addEventListener('blur', () => this.root.classList.remove('focused'));
+    this.gutter.addEventListener('click', (event) => this.handleGutterClick(event));
+    elements.diagramSelect?.addEventListener('change', () => this.refresh());
 
-    // Update PNG button text
-    if (supportsFileSystemAccess && appState.fileHandle) {
-      elements.savePngBtn.textContent = '📷 Export PNG (same directory)';
-    } else if (supportsFileSystemAccess) {
-      elements.savePngBtn.textContent = '📷 Export PNG (with picker)';
-    } else {
-      elements.savePngBtn.textContent = '📷 Export PNG (download)';
-    }
+    this.refresh();
   }
-}
 
-/**
- * Diagram type auto-selection utility
- * @class
- */
-class DiagramTypeSelector {
   /**
-   * Update the diagram type selector based on a filename's extension.
-   * - .mmd  → always switches to 'mermaid'
-   * - .jsq  → switches to 'js-sequence-simple' only when a js-sequence type is NOT already selected
-   * - other → no change
-   * Persists any change to localStorage.
-   * @param {string} fileName - The loaded file name
+   * Build the editor DOM around the textarea
+   * @private
    */
-  static fromFilename(fileName) {
-    if (!fileName) return;
+  buildDom() {
+    const { textarea } = this;
 
-    const ext = fileName.slice(fileName.lastIndexOf('.')).toLowerCase();
-    const current = elements.diagramSelect.value;
+    this.root = document.createElement('div');
+    this.root.className = 'code-editor';
 
-    let newType = null;
+    this.gutter = document.createElement('div');
+    this.gutter.className = 'code-gutter';
+    this.gutter.setAttribute('aria-hidden', 'true');
+    this.gutterInner = document.createElement('div');
+    this.gutterInner.className = 'code-gutter-inner';
+    this.gutter.appendChild(this.gutterInner);
 
-    if (ext === '.mmd') {
-      newType = 'mermaid';
-    } else if (ext === '.jsq') {
-      const isAlreadyJsSequence = current === 'js-sequence-simple' || current === 'js-sequence-hand';
-      if (!isAlreadyJsSequence) {
-        newType = 'js-sequence-simple';
-      }
+    this.area = document.createElement('div');
+    this.area.className = 'code-area';
+
+    this.currentLine = document.createElement('div');
+    this.currentLine.className = 'code-current-line';
+
+    this.highlight = document.createElement('pre');
+    this.highlight.className = 'code-highlight';
+    this.highlight.setAttribute('aria-hidden', 'true');
+
+    textarea.parentNode.insertBefore(this.root, textarea);
+    textarea.classList.add('code-input');
+    textarea.spellcheck = false;
+    textarea.setAttribute('autocapitalize', 'off');
+    textarea.setAttribute('autocomplete', 'off');
+
+    this.area.append(this.currentLine, this.highlight, textarea);
+    this.root.append(this.gutter, this.area);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Textarea-compatible surface (always the full, unfolded text)
+  // ---------------------------------------------------------------------------
+
+  get value() {
+    if (!this._folds.length) return this.textarea.value;
+
+    const lines = this.textarea.value.split('\n');
+    const result = [];
+    lines.forEach((line, index) => {
+      result.push(line);
+      this._folds.filter((fold) => fold.line === index).forEach((fold) => result.push(...fold.hidden));
+    });
+    return result.join('\n');
+  }
+
+  set value(text) {
+    this._folds = [];
+    this._diagnostics = [];
+    this.textarea.value = text;
+    this._lastVisible = text;
+    this.scheduleRefresh();
+  }
+
+  get selectionStart() { return this.visibleToFull(this.textarea.selectionStart); }
+  get selectionEnd() { return this.visibleToFull(this.textarea.selectionEnd); }
+  get placeholder() { return this.textarea.placeholder; }
+  get id() { return this.textarea.id; }
+
+  setSelectionRange(start, end = start, direction) {
+    this.unfoldAt(start);
+    this.unfoldAt(end);
+    this.textarea.setSelectionRange(this.fullToVisible(start), this.fullToVisible(end), direction);
+    this.updateCurrentLine();
+  }
+
+  focus(options) { this.textarea.focus(options); }
+  blur() { this.textarea.blur(); }
+  addEventListener(...args) { this.textarea.addEventListener(...args); }
+  removeEventListener(...args) { this.textarea.removeEventListener(...args); }
+  dispatchEvent(event) { return this.textarea.dispatchEvent(event); }
+
+  // ---------------------------------------------------------------------------
+  // Offsets between visible (folded) and full text
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Insertion points of folded text in the visible text, in order
+   * @private
+   * @returns {Array<{at: number, length: number, fold: Object}>}
+   */
+  foldInsertions() {
+    if (!this._folds.length) return [];
+
+    const visible = this.textarea.value;
+    const lineEnds = [];
+    for (let i = 0; i < visible.length; i++) {
+      if (visible[i] === '\n') lineEnds.push(i);
+    }
+    lineEnds.push(visible.length);
+
+    return this._folds
+      .map((fold) => ({
+        at: lineEnds[Math.min(fold.line, lineEnds.length - 1)],
+        length: fold.hidden.reduce((sum, line) => sum + line.length + 1, 0),
+        fold
+      }))
+      .sort((a, b) => a.at - b.at);
+  }
+
+  /**
+   * Map an offset in the visible text to the same position in the full text
+   * @private
+   * @param {number} offset - Offset in the textarea
+   * @returns {number} Offset in the full text
+   */
+  visibleToFull(offset) {
+    let shift = 0;
+    for (const { at, length } of this.foldInsertions()) {
+      if (offset > at) shift += length;
+    }
+    return offset + shift;
+  }
+
+  /**
+   * Map an offset in the full text to the visible text; offsets inside a
+   * folded region land at the end of its header line
+   * @private
+   * @param {number} offset - Offset in the full text
+   * @returns {number} Offset in the textarea
+   */
+  fullToVisible(offset) {
+    let shift = 0;
+    for (const { at, length } of this.foldInsertions()) {
+      const fullAt = at + shift;
+      if (offset <= fullAt) break;
+      if (offset <= fullAt + length) return at;
+      shift += length;
+    }
+    return offset - shift;
+  }
+
+  /**
+   * Unfold any region that hides a full-text offset
+   * @private
+   * @param {number} offset - Offset in the full text
+   */
+  unfoldAt(offset) {
+    let shift = 0;
+    for (const { at, length, fold } of this.foldInsertions()) {
+      const fullAt = at + shift;
+      if (offset > fullAt && offset <= fullAt + length) {
+        this.unfold(fold.line);
+        this.unfoldAt(offset);
+        return;
+      }
+      shift += length;
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Folding
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Fold or unfold the region starting at a visible line
+   * @param {number} line - Visible line index
+   */
+  toggleFold(line) {
+    if (this._folds.some((fold) => fold.line === line)) {
+      this.unfold(line);
+      return;
+    }
+
+    const lines = this.textarea.value.split('\n');
+    const end = SyntaxHighlighter.findFoldRegions(lines, this.mode).get(line);
+    if (end === undefined) return;
+
+    const { selectionStart, selectionEnd } = this;
+    const hidden = lines.splice(line + 1, end - line);
+
+    // Folds inside the new region travel with it
+    const nested = this._folds.filter((fold) => fold.line > line && fold.line <= end);
+    nested.sort((a, b) => b.line - a.line).forEach((fold) => {
+      hidden.splice(fold.line - line, 0, ...fold.hidden);
+    });
+    this._folds = this._folds
+      .filter((fold) => !nested.includes(fold))
+      .map((fold) => (fold.line > end ? { ...fold, line: fold.line - (end - line) } : fold));
+    this._folds.push({ line, hidden });
+
+    this.textarea.value = lines.join('\n');
+    this._lastVisible = this.textarea.value;
+    this.restoreSelection(selectionStart, selectionEnd);
+    this.refresh();
+  }
+
+  /**
+   * Show the lines hidden under a visible header line
+   * @param {number} line - Visible line index
+   */
+  unfold(line) {
+    const fold = this._folds.find((item) => item.line === line);
+    if (!fold) return;
+
+    const { selectionStart, selectionEnd } = this;
+    const lines = this.textarea.value.split('\n');
+    lines.splice(line + 1, 0, ...fold.hidden);
+
+    this._folds = this._folds
+      .filter((item) => item !== fold)
+      .map((item) => (item.line > line ? { ...item, line: item.line + fold.hidden.length } : item));
+
+    this.textarea.value = lines.join('\n');
+    this._lastVisible = this.textarea.value;
+    this.restoreSelection(selectionStart, selectionEnd);
+    this.refresh();
+  }
+
+  /**
+   * Unfold everything
+   */
+  unfoldAll() {
+    while (this._folds.length) {
+      this.unfold(this._folds[0].line);
+    }
+  }
+
+  /**
+   * Select a range given in full-text offsets
+   * @private
+   * @param {number} start - Selection start in the full text
+   * @param {number} end - Selection end in the full text
+   */
+  restoreSelection(start, end) {
+    const visibleStart = this.fullToVisible(start);
+    const visibleEnd = this.fullToVisible(end);
+    this.textarea.setSelectionRange(visibleStart, visibleEnd);
+  }
+
+  /**
+   * Keep fold anchors on the right lines after the user edits the visible text
+   * @private
+   */
+  handleInput() {
+    const before = this._lastVisible;
+    const after = this.textarea.value;
+    this._lastVisible = after;
+
+    if (this._folds.length) {
+      let prefix = 0;
+      while (prefix < before.length && prefix < after.length && before[prefix] === after[prefix]) prefix++;
+      let suffix = 0;
+      while (
+        suffix < before.length - prefix && suffix < after.length - prefix &&
+        before[before.length - 1 - suffix] === after[after.length - 1 - suffix]
+      ) suffix++;
+
+      const countLines = (text) => (text.match(/\n/g) || []).length;
+      const startLine = countLines(before.slice(0, prefix));
+      const oldEndLine = startLine + countLines(before.slice(prefix, before.length - suffix));
+      const newEndLine = startLine + countLines(after.slice(prefix, after.length - suffix));
+
+      this._folds.forEach((fold) => {
+        if (fold.line > oldEndLine) {
+          fold.line += newEndLine - oldEndLine;
+        } else if (fold.line > startLine) {
+          fold.line = Math.min(fold.line, newEndLine);
+        }
+      });
+    }
+
+    this.refresh();
+  }
+
+  /**
+   * Handle a click in the gutter
+   * @private
+   * @param {MouseEvent} event - Click event
+   */
+  handleGutterClick(event) {
+    const toggle = event.target.closest('[data-fold-line]');
+    if (toggle) {
+      this.toggleFold(Number(toggle.dataset.foldLine));
+      this.textarea.focus();
+      return;
+    }
+
+    const errorLine = event.target.closest('.gutter-line.has-error');
+    if (errorLine) {
+      const line = Number(errorLine.dataset.line);
+      const diagnostic = this._diagnostics.find((item) => this.visibleLineOf(item.line) === line);
+      if (diagnostic) this.goTo(diagnostic.line, diagnostic.column);
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Diagnostics and navigation
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Mark error lines with a squiggle and a gutter marker
+   * @param {Array<{line: number, column: number, message: string}>} diagnostics - 1-based positions in the full text
+   */
+  setDiagnostics(diagnostics) {
+    this._diagnostics = diagnostics;
+    this.refresh();
+  }
+
+  /**
+   * Full-text offset of a 1-based line and column
+   * @private
+   * @param {number} line - 1-based line, clamped to the text
+   * @param {number} [column=1] - 1-based column, clamped to the line
+   * @returns {number}
+   */
+  offsetOf(line, column = 1) {
+    const lines = this.value.split('\n');
+    const index = Math.min(Math.max(line, 1), lines.length) - 1;
+    let offset = 0;
+    for (let i = 0; i < index; i++) {
+      offset += lines[i].length + 1;
+    }
+    return offset + Math.min(Math.max(column - 1, 0), lines[index].length);
+  }
+
+  /**
+   * Visible line index showing a 1-based full-text line (its fold header when folded away)
+   * @private
+   * @param {number} line - 1-based line in the full text
+   * @returns {number} 0-based line in the textarea
+   */
+  visibleLineOf(line) {
+    const offset = this.fullToVisible(this.offsetOf(line));
+    return this.textarea.value.slice(0, offset).split('\n').length - 1;
+  }
+
+  /**
+   * Move the caret to a position, unfolding and scrolling as needed
+   * @param {number} line - 1-based line
+   * @param {number} [column=1] - 1-based column
+   */
+  goTo(line, column = 1) {
+    const offset = this.offsetOf(line, column);
+    this.textarea.focus();
+    this.setSelectionRange(offset, offset);
+
+    const visibleLine = this.caretLine;
+    const top = visibleLine * this.lineHeight;
+    const { scrollTop, clientHeight } = this.textarea;
+    if (top < scrollTop || top + this.lineHeight > scrollTop + clientHeight) {
+      this.textarea.scrollTop = Math.max(0, top - clientHeight / 2);
+    }
+    this.syncScroll();
+  }
+
+  // ---------------------------------------------------------------------------
+  // Rendering
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Current tokenizer mode, from the diagram type selector
+   * @returns {('mermaid'|'js-sequence')}
+   */
+  get mode() {
+    return SyntaxHighlighter.modeFor(elements.diagramSelect?.value);
+  }
+
+  /**
+   * Refresh once the current task has finished (after callers also update the type selector)
+   * @private
+   */
+  scheduleRefresh() {
+    if (this._refreshQueued) return;
+    this._refreshQueued = true;
+    queueMicrotask(() => {
+      this._refreshQueued = false;
+      this.refresh();
+    });
+  }
+
+  /**
+   * Re-render highlighting, gutter and current line
+   */
+  refresh() {
+    const lines = this.textarea.value.split('\n');
+    const mode = this.mode;
+    const regions = SyntaxHighlighter.findFoldRegions(lines, mode);
+    const foldedLines = new Map(this._folds.map((fold) => [fold.line, fold.hidden.length]));
+    const errorLines = new Map(this._diagnostics.map((diagnostic) => [this.visibleLineOf(diagnostic.line), diagnostic]));
+
+    this.highlight.innerHTML = lines.map((line, index) => {
+      const hiddenCount = foldedLines.get(index);
+      const badge = hiddenCount ? ` <span class="fold-badge">⋯ ${hiddenCount} line${hiddenCount === 1 ? '' : 's'}</span>` : '';
+      const className = errorLines.has(index) ? 'code-line has-error' : 'code-line';
+      return `<span class="${className}">${SyntaxHighlighter.highlightLine(line, mode)}${badge}</span>`;
+    }).join('\n') + '\n';
+
+    let lineNumber = 1;
+    this.gutterInner.innerHTML = lines.map((_, index) => {
+      const number = lineNumber;
+      lineNumber += 1 + (foldedLines.get(index) || 0);
+
+      let toggle = '<span class="fold-toggle"></span>';
+      if (foldedLines.has(index)) {
+        toggle = `<span class="fold-toggle folded" data-fold-line="${index}" title="Unfold">▸</span>`;
+      } else if (regions.has(index)) {
+        toggle = `<span class="fold-toggle" data-fold-line="${index}" title="Fold">▾</span>`;
+      }
+      const diagnostic = errorLines.get(index);
+      if (diagnostic) {
+        const title = SyntaxHighlighter.escapeHtml(`Line ${diagnostic.line}, column ${diagnostic.column}: ${diagnostic.message}`).replace(/"/g, '&quot;');
+        return `<div class="gutter-line has-error" data-line="${index}" title="${title}">` +
+          `<span class="line-number">${number}</span>${toggle}</div>`;
+      }
+      return `<div class="gutter-line" data-line="${index}"><span class="line-number">${number}</span>${toggle}</div>`;
+    }).join('');
+
+    this.syncScroll();
+    this.updateCurrentLine();
+  }
+
+  /**
+   * Keep the highlight layer and gutter aligned with the textarea scroll position
+   * @private
+   */
+  syncScroll() {
+    const { scrollTop, scrollLeft } = this.textarea;
+    this.highlight.style.transform = `translate(${-scrollLeft}px, ${-scrollTop}px)`;
+    this.gutterInner.style.transform = `translateY(${-scrollTop}px)`;
+    this.updateCurrentLine();
+  }
+
+  /**
+   * Line height of the editor text in pixels
+   * @returns {number}
+   */
+  get lineHeight() {
+    const style = getComputedStyle(this.textarea);
+    const parsed = parseFloat(style.lineHeight);
+    return Number.isFinite(parsed) ? parsed : (parseFloat(style.fontSize) || 14) * 1.6;
+  }
+
+  /**
+   * Position of a visible-text offset, relative to the editor area
+   * @param {number} [offset] - Visible offset (defaults to the caret)
+   * @returns {{left: number, top: number}} Top-left corner of the character cell
+   */
+  caretCoordinates(offset = this.textarea.selectionStart) {
+    const lines = this.textarea.value.slice(0, offset).split('\n');
+    const column = lines[lines.length - 1].replace(/\t/g, '    ').length;
+    const style = getComputedStyle(this.textarea);
+
+    if (!CodeEditor._charWidth) {
+      const context = document.createElement('canvas').getContext?.('2d');
+      if (context) {
+        context.font = style.font || `${style.fontSize} ${style.fontFamily}`;
+        CodeEditor._charWidth = context.measureText('M'.repeat(10)).width / 10;
+      }
+    }
+    const charWidth = CodeEditor._charWidth || (parseFloat(style.fontSize) || 14) * 0.6;
+
+    return {
+      left: (parseFloat(style.paddingLeft) || 0) + column * charWidth - this.textarea.scrollLeft,
+      top: (parseFloat(style.paddingTop) || 0) + (lines.length - 1) * this.lineHeight - this.textarea.scrollTop
+    };
+  }
+
+  /**
+   * Visible line index of the caret
+   * @returns {number}
+   */
+  get caretLine() {
+    return this.textarea.value.slice(0, this.textarea.selectionStart).split('\n').length - 1;
+  }
+
+  /**
+   * Move the current-line highlight under the caret
+   * @private
+   */
+  updateCurrentLine() {
+    const focused = document.activeElement === this.textarea;
+    this.root.classList.toggle('focused', focused);
+
+    const paddingTop = parseFloat(getComputedStyle(this.textarea).paddingTop) || 0;
+    const line = this.caretLine;
+    const top = paddingTop + line * this.lineHeight - this.textarea.scrollTop;
+
+    this.currentLine.style.transform = `translateY(${top}px)`;
+    this.currentLine.style.height = `${this.lineHeight}px`;
+    this.gutterInner.querySelectorAll('.gutter-line.active').forEach((node) => node.classList.remove('active'));
+    this.gutterInner.querySelector(`.gutter-line[data-line="${line}"]`)?.classList.add('active');
+  }
+}
+
+/**
+ * Editor autocomplete for participants, arrows and keywords
+ * @class
+ */
+class AutocompleteManager {
+  /** @constant {Object<string, string[]>} Arrows per grammar (Mermaid keyed by diagram declaration) */
+  static ARROWS = {
+    'js-sequence': ['->', '-->', '->>', '-->>'],
+    sequenceDiagram: ['->>', '-->>', '->', '-->', '-x', '--x', '-)', '--)', '<<->>', '<<-->>'],
+    flowchart: ['-->', '---', '-.->', '==>', '--o', '--x', '<-->', '~~~'],
+    classDiagram: ['<|--', '*--', 'o--', '-->', '..>', '..|>', '--', '..'],
+    stateDiagram: ['-->'],
+    erDiagram: ['||--o{', '||--|{', '}o--o{', '||--||', '|o--o|', '}|..|{'],
+    dot: ['->', '--']
+  };
+
+  /** @constant {Object<string, string[]>} Keywords per grammar (Mermaid keyed by diagram declaration) */
+  static KEYWORDS = {
+    'js-sequence': ['Title: ', 'participant ', 'Note left of ', 'Note right of ', 'Note over '],
+    sequenceDiagram: [
+      'participant ', 'actor ', 'Note left of ', 'Note right of ', 'Note over ', 'loop ', 'alt ', 'else ', 'opt ',
+      'par ', 'and ', 'critical ', 'break ', 'rect ', 'box ', 'end', 'autonumber', 'activate ', 'deactivate ', 'title '
+    ],
+    flowchart: ['subgraph ', 'end', 'direction ', 'classDef ', 'class ', 'style ', 'linkStyle ', 'click '],
+    classDiagram: ['class ', 'namespace ', 'direction ', 'note ', 'classDef ', 'style '],
+    stateDiagram: ['state ', 'note left of ', 'note right of ', 'end note', 'direction ', '[*]'],
+    erDiagram: ['title '],
+    dot: ['digraph ', 'graph ', 'subgraph ', 'node ', 'edge ', 'strict ', 'rankdir='],
+    declarations: [...SyntaxHighlighter.MERMAID_DIAGRAM_TYPES].map((type) => `${type}\n`)
+  };
+
+  /** @constant {number} Most suggestions shown at once */
+  static MAX_SUGGESTIONS = 12;
+
+  /** @private {?HTMLUListElement} Suggestion popup */
+  static _list = null;
+  /** @private {Array<{label: string, insert: string, kind: string}>} Current suggestions */
+  static _items = [];
+  /** @private {number} Highlighted suggestion */
+  static _selected = 0;
+  /** @private {?{start: number, end: number}} Visible-text range the suggestion replaces */
+  static _range = null;
+
+  /**
+   * Grammar key for arrows and keywords: js-sequence, dot, or the Mermaid diagram declaration
+   * @param {string} text - Full document text
+   * @returns {string}
+   */
+  static grammarFor(text) {
+    const mode = SyntaxHighlighter.modeFor(elements.diagramSelect.value);
+    if (mode !== 'mermaid') return mode;
+
+    const lines = text.split('\n').map((line) => line.trim());
+    // Skip front matter (title and config) before the declaration
+    const frontMatterEnd = lines[0] === '---' ? lines.indexOf('---', 1) : -1;
+    const declaration = lines.slice(frontMatterEnd + 1)
+      .find((line) => line && !line.startsWith('%%') && line !== '---');
+    const type = declaration?.split(/\s+/)[0] ?? '';
+    if (type === 'graph' || type === 'flowchart') return 'flowchart';
+    if (type.startsWith('stateDiagram')) return 'stateDiagram';
+    return AutocompleteManager.ARROWS[type] ? type : 'declarations';
+  }
+
+  /**
+   * Participant (or node) names declared or used in the text, most used first
+   * @param {string} text - Document text
+   * @returns {string[]}
+   */
+  static collectParticipants(text) {
+    const counts = new Map();
+    const add = (name) => {
+      const trimmed = name?.trim().replace(/^"(.*)"$/, '$1');
+      if (trimmed && !SyntaxHighlighter.MERMAID_KEYWORDS.has(trimmed)) {
+        counts.set(trimmed, (counts.get(trimmed) || 0) + 1);
+      }
+    };
+    const arrow = /<<-{1,2}>>|<\|--|[*o]--|\.\.\|?>|[|}][|o]--[|o][|{]|[|}][|o]\.\.[|o][|{]|-\.+->|==>|--[>ox-]|-->>|->>|-->|->|-[x)]|--[x)]|~~~|--|\.\./;
+
+    text.split('\n').forEach((line) => {
+      const trimmed = line.trim();
+      if (!trimmed || trimmed.startsWith('#') || trimmed.startsWith('%%')) return;
+
+      let match;
+      if ((match = /^(?:participant|actor)\s+(.+?)(?:\s+as\s+(.+))?$/i.exec(trimmed))) {
+        // js-sequence aliases come after "as"; Mermaid ids come first
+        add(SyntaxHighlighter.modeFor(elements.diagramSelect.value) === 'mermaid' ? match[1] : (match[2] ?? match[1]));
+      } else if ((match = /^note\s+(?:left of|right of|over)\s+([^:]+):/i.exec(trimmed))) {
+        match[1].split(',').forEach(add);
+      } else if ((match = /^(?:activate|deactivate)\s+(.+)$/.exec(trimmed))) {
+        add(match[1]);
+      } else {
+        const body = trimmed.split(':')[0];
+        const parts = body.split(arrow);
+        if (parts.length < 2) return;
+        parts.forEach((part) => {
+          const name = part.replace(/[[({].*$/, '').replace(/;\s*$/, '').replace(/^[+-]/, '').replace(/\|.*?\|/, '');
+          if (/^[^\s;&]+( [^\s;&]+)*$/.test(name.trim())) add(name);
+        });
+      }
+    });
+
+    return [...counts.entries()].sort((a, b) => b[1] - a[1]).map(([name]) => name);
+  }
+
+  /**
+   * Work out what can be typed at the caret
+   * @private
+   * @param {CodeEditor} editor - Editor
+   * @param {boolean} explicit - Opened with Ctrl+Space
+   * @returns {?{items: Array, start: number, end: number}} Suggestions and the visible range they replace
+   */
+  static suggestionsAt(editor, explicit) {
+    const { textarea } = editor;
+    if (textarea.selectionStart !== textarea.selectionEnd) return null;
+
+    const caret = textarea.selectionStart;
+    const visible = textarea.value;
+    const lineStart = visible.lastIndexOf('\n', caret - 1) + 1;
+    const before = visible.slice(lineStart, caret);
+    const wordAfter = /^[\w]*/.exec(visible.slice(caret))[0];
+
+    // Free text after "A->B:" or "Note over A:" is not completed
+    if (before.includes(':') || /^\s*(#|%%)/.test(before)) return null;
+
+    const full = editor.value;
+    const fullCaret = editor.selectionStart;
+    const grammar = AutocompleteManager.grammarFor(full);
+    let items = [];
+    let prefix = '';
+
+    const participantsExcluding = (word) => {
+      // Leave out the word being typed so it is not suggested to itself
+      const start = fullCaret - word.length;
+      const text = full.slice(0, start) + full.slice(fullCaret + wordAfter.length);
+      return AutocompleteManager.collectParticipants(text)
+        .map((name) => ({ label: name, insert: name, kind: 'participant' }));
+    };
+
+    const arrows = (AutocompleteManager.ARROWS[grammar] || [])
+      .map((arrow) => ({ label: arrow, insert: arrow, kind: 'arrow' }));
+    let match;
+
+    if ((match = /^\s*\w[\w ]*?\s*([-=.~<>|*{}ox)]+)$/.exec(before)) &&
+        arrows.some((item) => item.label.startsWith(match[1]) && item.label !== match[1])) {
+      // Part of an arrow after the sender
+      prefix = match[1];
+      items = arrows;
+    } else if ((match = /(?:[-=.~<>|*{})]|\b(?:over|of|activate|deactivate)\s+(?:[\w ]+,\s*)?)\s*[+-]?(\w*)$/.exec(before)) &&
+        !/^\s*\w*$/.test(before)) {
+      // Receiver after an arrow, or a participant after Note/activate
+      prefix = match[1];
+      items = participantsExcluding(prefix);
+    } else if (explicit && /^\s*\w[\w ]*\s$/.test(before)) {
+      items = arrows;
+    } else if ((match = /^\s*(\w*)$/.exec(before))) {
+      prefix = match[1];
+      if (!prefix && !explicit) return null;
+      items = [
+        ...(AutocompleteManager.KEYWORDS[grammar] || [])
+          .map((keyword) => ({ label: keyword.trim(), insert: keyword, kind: 'keyword' })),
+        ...participantsExcluding(prefix)
+      ];
+    } else {
+      return null;
+    }
+
+    const lower = prefix.toLowerCase();
+    items = items
+      .filter((item) => item.label.toLowerCase().startsWith(lower) && item.label !== prefix)
+      .slice(0, AutocompleteManager.MAX_SUGGESTIONS);
+
+    if (!items.length) return null;
+    return { items, start: caret - prefix.length, end: caret + (items[0].kind === 'arrow' ? 0 : wordAfter.length) };
+  }
+
+  /**
+   * Update suggestions after typing
+   * @param {InputEvent} event - Input event
+   */
+  static handleInput(event) {
+    if (!/^insert(Text|CompositionText)$/.test(event?.inputType || '')) {
+      AutocompleteManager.close();
+      return;
+    }
+    AutocompleteManager.open(false);
+  }
+
+  /**
+   * Show suggestions for the caret position
+   * @param {boolean} [explicit=true] - Requested by the user rather than triggered by typing
+   */
+  static open(explicit = true) {
+    const editor = elements.diagramText;
+    const result = AutocompleteManager.suggestionsAt(editor, explicit);
+    if (!result) {
+      AutocompleteManager.close();
+      return;
+    }
+
+    AutocompleteManager._items = result.items;
+    AutocompleteManager._range = { start: result.start, end: result.end };
+    AutocompleteManager._selected = 0;
+
+    if (!AutocompleteManager._list) {
+      const list = document.createElement('ul');
+      list.className = 'autocomplete-list';
+      list.setAttribute('role', 'listbox');
+      // Keep focus in the editor while clicking a suggestion
+      list.addEventListener('mousedown', (event) => event.preventDefault());
+      list.addEventListener('click', (event) => {
+        const item = event.target.closest('[data-index]');
+        if (item) AutocompleteManager.accept(Number(item.dataset.index));
+      });
+      editor.area.appendChild(list);
+      AutocompleteManager._list = list;
+    }
+
+    AutocompleteManager.renderList();
+
+    const { left, top } = editor.caretCoordinates(result.start);
+    Object.assign(AutocompleteManager._list.style, { left: `${left}px`, top: `${top + editor.lineHeight}px` });
+    AutocompleteManager._list.hidden = false;
+  }
+
+  /**
+   * Rebuild the suggestion list, marking the selected item
+   * @private
+   */
+  static renderList() {
+    const list = AutocompleteManager._list;
+    list.innerHTML = '';
+    AutocompleteManager._items.forEach((item, index) => {
+      const option = document.createElement('li');
+      option.className = `autocomplete-item autocomplete-${item.kind}`;
+      option.setAttribute('role', 'option');
+      option.dataset.index = index;
+      option.classList.toggle('selected', index === AutocompleteManager._selected);
+      option.setAttribute('aria-selected', String(index === AutocompleteManager._selected));
+
+      const label = document.createElement('span');
+      label.textContent = item.label;
+      const kind = document.createElement('span');
+      kind.className = 'autocomplete-kind';
+      kind.textContent = item.kind;
+      option.append(label, kind);
+      list.appendChild(option);
+    });
+    list.querySelector('.selected')?.scrollIntoView?.({ block: 'nearest' });
+  }
+
+  /**
+   * Hide the suggestion popup
+   */
+  static close() {
+    if (AutocompleteManager._list) AutocompleteManager._list.hidden = true;
+    AutocompleteManager._items = [];
+    AutocompleteManager._range = null;
+  }
+
+  /**
+   * @returns {boolean} True while suggestions are shown
+   */
+  static get isOpen() {
+    return AutocompleteManager._items.length > 0;
+  }
+
+  /**
+   * Insert a suggestion in place of the partially typed word
+   * @param {number} index - Suggestion index
+   */
+  static accept(index) {
+    const item = AutocompleteManager._items[index];
+    const range = AutocompleteManager._range;
+    AutocompleteManager.close();
+    if (!item || !range) return;
+
+    const { textarea } = elements.diagramText;
+    textarea.setRangeText(item.insert, range.start, range.end, 'end');
+    textarea.dispatchEvent(new InputEvent('input', { inputType: 'insertReplacementText', bubbles: true }));
+  }
+
+  /**
+   * Navigate and accept suggestions; Ctrl+Space opens them
+   * @param {KeyboardEvent} event - Keydown event
+   */
+  static handleKeyDown(event) {
+    if (event.key === ' ' && event.ctrlKey) {
+      event.preventDefault();
+      AutocompleteManager.open(true);
+      return;
+    }
+    if (!AutocompleteManager.isOpen) return;
+
+    const count = AutocompleteManager._items.length;
+    switch (event.key) {
+      case 'ArrowDown':
+        AutocompleteManager._selected = (AutocompleteManager._selected + 1) % count;
+        AutocompleteManager.renderList();
+        break;
+      case 'ArrowUp':
+        AutocompleteManager._selected = (AutocompleteManager._selected - 1 + count) % count;
+        AutocompleteManager.renderList();
+        break;
+      case 'Enter':
+      case 'Tab':
+        AutocompleteManager.accept(AutocompleteManager._selected);
+        break;
+      case 'Escape':
+        AutocompleteManager.close();
+        break;
+      default:
+        return;
+    }
+    event.preventDefault();
+    event.stopImmediatePropagation();
+  }
+}
+
+// =============================================================================
+// EVENT HANDLERS
+// =============================================================================
+
+/**
+ * Handle load button click with proper error handling
+ */
+const handleLoadClick = ErrorHandler.asyncWrapper(async () => {
+  // Loaded files open in their own tab, so nothing in the editor is discarded here
+  if (supportsFileSystemAccess) {
+    try {
+      await FileManager.loadWithFilePicker();
+    } catch (error) {
+      if (error.name === 'AbortError') return;
+      console.warn('File picker failed, falling back to file input:', error.message);
+      elements.fileInput.click();
+    }
+  } else {
+    elements.fileInput.click();
+  }
+}, 'Failed to load file', 'LoadButton');
+
+/**
+ * Confirmation dialog utility
+ * @class
+ */
+class ConfirmationManager {
+  /**
+   * Confirm action when there are unsaved changes
+   * @param {DiagramDocument} [doc] - Document to check (defaults to the active tab)
+   * @param {string} [consequence] - What happens to the changes if the user continues
+   * @returns {boolean} True if user confirms or no unsaved changes
+   */
+  static confirmUnsavedChanges(doc = appState.activeDocument, consequence = 'Loading a new file will discard these changes.') {
+    const text = doc === appState.activeDocument ? elements.diagramText.value : doc.text;
+    const hasUntitledContent = !doc.name && text.trim() !== '';
+    if (!doc.hasUnsavedChanges && !hasUntitledContent) return true;
+
+    return confirm(
+      `You have unsaved changes to "${doc.displayName}". ` +
+      `${consequence} Continue?`
+    );
+  }
+}
+
+/**
+ * Handle files dropped onto the editor or preview panel
+ */
+const handleFileDrop = ErrorHandler.asyncWrapper(
+  (event) => FileDropManager.handleDrop(event), 'Failed to load dropped file', 'FileDrop'
+);
+
+/**
+ * Handle file input change with proper error handling
+ */
+const handleFileInputChange = ErrorHandler.asyncWrapper(async (event) => {
+  const file = event.target.files?.[0];
+  if (!file) return;
+
+  try {
+    const content = await FileManager.readFileContent(file);
+    FileManager.loadFileContent(content, file.name);
+    NotificationManager.show('File loaded successfully', 'success');
+  } catch (error) {
+    throw new Error(`Failed to read file: ${error.message}`);
+  } finally {
+    // Clear the input to allow reloading the same file
+    event.target.value = '';
+  }
+}, 'Failed to load selected file', 'FileInput');
+
+/**
+ * File management utility class
+ * @class
+ */
+class FileManager {
+  /**
+   * Read file content as text
+   * @param {File} file - File to read
+   * @returns {Promise<string>} File content
+   */
+  static readFileContent(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = (event) => resolve(event.target.result);
+      reader.onerror = () => reject(new Error('Failed to read file'));
+      reader.readAsText(file);
+    });
+  }
+
+  /**
+   * Load file content into the editor
+   * @param {string} content - File content
+   * @param {string} fileName - File name
+   * @param {FileSystemFileHandle} [handle] - File handle for File System Access API
+   */
+  static loadFileContent(content, fileName, handle = null) {
+    RecentFilesManager.add(handle);
+
+    if (DiagramTypeSelector.isPlantUml(fileName)) {
+      SyntaxConverter.importPlantUml(content, fileName);
+      return;
+    }
+
+    TabManager.openDocumentTab();
+
+    HistoryManager.applyEdit(content, 'Load file', { notify: false });
+    elements.filenameInput.value = fileName;
+
+    DiagramTypeSelector.fromFilename(fileName);
+
+    appState.setFileInfo(fileName, handle);
+    ExternalChangeWatcher.markSynced(appState.activeDocument, content);
+    TabManager.persist();
+    UIManager.updatePngFilename();
+    UIManager.updateFileStatus();
+    WorkspaceManager.highlightActive();
+    try {
+      DiagramRenderer.render();
+    } catch (error) {
+      // Error already shown in the diagram panel
+    }
+  }
+
+  /**
+   * Load file using File System Access API
+   * @returns {Promise<void>}
+   */
+  static async loadWithFilePicker() {
+    const [fileHandle] = await window.showOpenFilePicker();
+
+    const file = await fileHandle.getFile();
+    const content = await file.text();
+
+    FileManager.loadFileContent(content, FileManager.sourceFileName(file.name), fileHandle);
+    NotificationManager.show('File loaded from original location', 'success');
+  }
+
+  /**
+   * Drop the .txt suffix some systems append to diagram files (diagram.mmd.txt)
+   * @param {string} fileName - File name on disk
+   * @returns {string} File name used to pick the diagram type
+   */
+  static sourceFileName(fileName) {
+    const lower = fileName.toLowerCase();
+    if (lower.endsWith('.txt') && fileName.indexOf('.') !== lower.lastIndexOf('.txt')) {
+      return fileName.slice(0, -4);
+    }
+    return fileName;
+  }
+
+  /**
+   * Save file content
+   * @param {string} content - Content to save
+   * @returns {Promise<void>}
+   */
+  static async save(content) {
+    if (!content.trim()) {
+      throw new Error('Cannot save empty diagram');
+    }
+
+    const inputFilename = elements.filenameInput.value.trim();
+    const filenameChanged = appState.fileHandle && inputFilename && inputFilename !== appState.fileName;
+
+    if (supportsFileSystemAccess && appState.fileHandle && !filenameChanged) {
+      await FileManager.saveToOriginalLocation(content);
+    } else if (supportsFileSystemAccess) {
+      await FileManager.saveWithFilePicker(content);
+    } else {
+      FileManager.saveAsDownload(content);
+    }
+  }
+
+  /**
+   * Save to original file location
+   * @param {string} content - Content to save
+   * @returns {Promise<void>}
+   */
+  static async saveToOriginalLocation(content) {
+    const doc = appState.activeDocument;
+    if (!await ExternalChangeWatcher.confirmOverwrite(doc)) {
+      NotificationManager.show('Not saved: the newer file on disk was kept', 'info');
+      return;
+    }
+
+    const writable = await appState.fileHandle.createWritable();
+    await writable.write(content);
+    await writable.close();
+
+    await ExternalChangeWatcher.markSynced(doc, content);
+    appState.markAsSaved();
+    UIManager.updateFileStatus();
+    RecentFilesManager.add(appState.fileHandle);
+    NotificationManager.show(`File saved: ${appState.fileName}`, 'success');
+  }
+
+  /**
+   * Save with file picker
+   * @param {string} content - Content to save
+   * @returns {Promise<void>}
+   */
+  static async saveWithFilePicker(content) {
+    const filename = elements.filenameInput.value.trim() || appState.fileName || 'diagram.txt';
+
+    const fileHandle = await window.showSaveFilePicker({
+      suggestedName: filename,
+      // New files go into the open workspace folder by default
+      startIn: WorkspaceManager.directory || undefined
+    });
+
+    const writable = await fileHandle.createWritable();
+    await writable.write(content);
+    await writable.close();
+
+    const file = await fileHandle.getFile();
+    appState.setFileInfo(file.name, fileHandle);
+    ExternalChangeWatcher.markSynced(appState.activeDocument, content);
+    UIManager.updateFileStatus();
+    RecentFilesManager.add(fileHandle);
+    NotificationManager.show(`File saved: ${file.name}`, 'success');
+    WorkspaceManager.refresh().catch((error) => console.warn(`Failed to refresh workspace: ${error.message}`));
+  }
+
+  /**
+   * Save as download (fallback)
+   * @param {string} content - Content to save
+   */
+  static saveAsDownload(content) {
+    const filename = elements.filenameInput.value.trim() || appState.fileName || 'diagram.txt';
+
+    const blob = new Blob([content], { type: 'text/plain' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+
+    URL.revokeObjectURL(url);
+
+    appState.markAsSaved();
+    UIManager.updateFileStatus();
+
+    const message = appState.fileName
+      ? `File downloaded: ${filename} (browser limitation)`
+      : `File downloaded: ${filename}`;
+    NotificationManager.show(message, 'success');
+  }
+}
+
+/**
+ * Handle save button click
+ */
+const handleSaveClick = ErrorHandler.asyncWrapper(async () => {
+  await FileManager.save(elements.diagramText.value);
+  TabManager.persist();
+  if (!appState.hasUnsavedChanges) {
+    clearTimeout(appState.autosaveTimeoutId);
+    appState.autosaveTimeoutId = null;
+    DraftStore.discard(appState.activeDocument.id);
+  }
+}, 'Failed to save file', 'SaveButton');
+
+/**
+ * Turns renderer exceptions into a line, column and short message
+ * @class
+ */
+class RenderErrorParser {
+  /**
+   * Locate a js-sequence or Mermaid parse error in the source text
+   * @param {*} error - Error thrown by Diagram.parse or mermaid.render
+   * @param {string} text - Text that was rendered
+   * @returns {{line: number, column: number, message: string}} 1-based position and summary
+   */
+  static parse(error, text) {
+    const message = String(error?.message ?? error ?? 'Unknown error');
+    const lines = text.split('\n');
+    // js-sequence copies the jison hash onto the error; Mermaid attaches it as `hash`
+    const hash = error?.hash ?? error;
+
+    let line = null;
+    let column = null;
+
+    if (hash?.loc && Number.isInteger(hash.loc.first_line)) {
+      line = hash.loc.first_line;
+      column = hash.loc.first_column + 1;
+    } else if (Number.isInteger(hash?.line)) {
+      line = hash.line + 1;
+    }
+
+    if (line === null) {
+      const match = /line (\d+)(?:,? column (\d+))?/i.exec(message);
+      if (match) {
+        line = Number(match[1]);
+        column = match[2] ? Number(match[2]) : null;
+      }
+    }
+
+    if (line === null) {
+      const match = /offset:? (\d+)/i.exec(message);
+      if (match) {
+        const before = text.slice(0, Number(match[1])).split('\n');
+        line = before.length;
+        column = before[before.length - 1].length + 1;
+      }
+    }
+
+    line = Math.min(Math.max(line ?? 1, 1), lines.length);
+    if (column === null) {
+      column = RenderErrorParser.columnFromPointer(message, lines[line - 1]);
+    }
+
+    return { line, column, message: RenderErrorParser.summarize(message) };
+  }
+
+  /**
+   * Locate a Graphviz error ("syntax error in line 3 near '->'"), using the
+   * quoted token for the column
+   * @param {*} error - Error thrown by the Graphviz engine
+   * @param {string} text - Text that was rendered
+   * @returns {{line: number, column: number, message: string}} 1-based position and summary
+   */
+  static parseGraphviz(error, text) {
+    const diagnostic = RenderErrorParser.parse(error, text);
+    const message = String(error?.message ?? error ?? '');
+    const near = /near '([^']*)'/.exec(message);
+    if (near) {
+      const index = text.split('\n')[diagnostic.line - 1].indexOf(near[1]);
+      if (index >= 0) diagnostic.column = index + 1;
+    }
+    diagnostic.message = diagnostic.message.replace(/^Error:\s*(?:<stdin>:\s*)?/i, '');
+    return diagnostic;
+  }
+
+  /**
+   * Work out the column from jison's "excerpt / ----^" position display
+   * @private
+   * @param {string} message - Error message
+   * @param {string} sourceLine - Text of the faulty line
+   * @returns {number} 1-based column
+   */
+  static columnFromPointer(message, sourceLine) {
+    const parts = message.split('\n');
+    const pointerIndex = parts.findIndex((part) => /^-*\^\s*$/.test(part));
+    if (pointerIndex < 1) return 1;
+
+    let excerpt = parts[pointerIndex - 1];
+    let caret = parts[pointerIndex].indexOf('^');
+    if (excerpt.startsWith('...')) {
+      excerpt = excerpt.slice(3);
+      caret -= 3;
+    }
+
+    // The excerpt runs previous lines together, so match the longest tail that starts this line
+    const beforeCaret = excerpt.slice(0, Math.max(caret, 0));
+    for (let start = 0; start <= beforeCaret.length; start++) {
+      const tail = beforeCaret.slice(start);
+      if (sourceLine.startsWith(tail)) return tail.length + 1;
+    }
+    return 1;
+  }
+
+  /**
+   * Strip the position display and "on line N" prefix from a parser message
+   * @private
+   * @param {string} message - Error message
+   * @returns {string} One-line summary
+   */
+  static summarize(message) {
+    const parts = message.split('\n');
+    const pointerIndex = parts.findIndex((part) => /^-*\^\s*$/.test(part));
+    const detail = pointerIndex >= 0 ? parts.slice(pointerIndex + 1).join(' ').trim() : '';
+    const summary = detail || parts[0].replace(/^.*?\bline \d+(?:,? column \d+)?\s*[.:]\s*/i, '').trim() || parts[0];
+    return summary.length > 200 ? `${summary.slice(0, 197)}...` : summary;
+  }
+}
+
+/**
+ * Sanitizer for rendered diagrams in strict mode. Markup is parsed into an
+ * inert document and cleaned there, so nothing in it can run or load before
+ * it reaches the page.
+ * @class
+ */
+class SvgSanitizer {
+  /** @constant {Set<string>} Elements removed with their content */
+  static BLOCKED_ELEMENTS = new Set([
+    'script', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet', 'base', 'link', 'meta', 'form',
+    'input', 'button', 'textarea', 'select', 'audio', 'video', 'animate', 'set', 'animatemotion',
+    'animatetransform', 'handler', 'listener'
+  ]);
+
+  /** @constant {Set<string>} Attributes holding URLs */
+  static URL_ATTRIBUTES = new Set(['href', 'xlink:href', 'src', 'srcset', 'action', 'formaction', 'data', 'poster', 'background']);
+
+  /**
+   * Parse and sanitize diagram markup
+   * @param {string} markup - SVG or HTML markup
+   * @returns {DocumentFragment} Sanitized nodes, ready to insert
+   */
+  static sanitizeMarkup(markup) {
+    const parsed = new DOMParser().parseFromString(markup, 'text/html');
+    SvgSanitizer.sanitizeTree(parsed.body);
+
+    const fragment = document.createDocumentFragment();
+    fragment.append(...Array.from(parsed.body.childNodes).map((node) => document.importNode(node, true)));
+    return fragment;
+  }
+
+  /**
+   * Remove scripts, event handlers, external resources and script URLs in place
+   * @param {Element} root - Root of the tree to clean (kept itself)
+   */
+  static sanitizeTree(root) {
+    Array.from(root.querySelectorAll('*')).forEach((element) => {
+      if (SvgSanitizer.BLOCKED_ELEMENTS.has(element.localName.toLowerCase())) {
+        element.remove();
+        return;
+      }
+
+      Array.from(element.attributes).forEach(({ name, value }) => {
+        const lower = name.toLowerCase();
+        if (lower.startsWith('on') ||
+          (SvgSanitizer.URL_ATTRIBUTES.has(lower) && !SvgSanitizer.isSafeUrl(value))) {
+          element.removeAttribute(name);
+        } else if (lower === 'style') {
+          element.setAttribute(name, SvgSanitizer.sanitizeCss(value));
+        }
+      });
+
+      if (element.localName.toLowerCase() === 'style') {
+        element.textContent = SvgSanitizer.sanitizeCss(element.textContent);
+      }
+    });
+  }
+
+  /**
+   * Only same-document references and inline images may be loaded
+   * @private
+   * @param {string} value - URL attribute value
+   * @returns {boolean}
+   */
+  static isSafeUrl(value) {
+    const url = value.trim();
+    return url.startsWith('#') || /^data:image\/(?:png|jpe?g|gif|webp);/i.test(url);
+  }
+
+  /**
+   * Drop imports and external url() references from CSS
+   * @private
+   * @param {string} css - Style sheet or style attribute
+   * @returns {string}
+   */
+  static sanitizeCss(css) {
+    return css
+      .replace(/@import[^;]*;?/gi, '')
+      .replace(/url\(\s*(['"]?)([^)]*?)\1\s*\)/gi, (match, quote, url) => (SvgSanitizer.isSafeUrl(url) ? match : 'none'));
+  }
+}
+
+/**
+ * Mermaid theme and diagram options. Saved settings apply to every Mermaid
+ * diagram; a file can override them with a `config:` block in its front matter,
+ * which Mermaid merges over these during render.
+ * @class
+ */
+class MermaidSettings {
+  /**
+   * Read saved settings, falling back to defaults for anything missing or invalid
+   * @returns {{theme: string, themeVariables: Object<string, string>, sequence: Object, flowchart: Object}}
+   */
+  static load() {
+    return MermaidSettings.normalize(StorageManager.getJSON(STORAGE_KEY_MERMAID_SETTINGS, {}));
+  }
+
+  /**
+   * Save settings
+   * @param {Object} settings - Settings to save
+   */
+  static save(settings) {
+    StorageManager.setJSON(STORAGE_KEY_MERMAID_SETTINGS, MermaidSettings.normalize(settings));
+  }
+
+  /**
+   * Validate settings. Theme variables are kept only when set, so unset ones
+   * fall back to the theme's own colours.
+   * @private
+   * @param {Object} settings - Raw settings
+   * @returns {Object} Normalized settings
+   */
+  static normalize(settings) {
+    const raw = settings && typeof settings === 'object' ? settings : {};
+    const section = (name) => ({
+      ...DEFAULT_MERMAID_SETTINGS[name],
+      ...(raw[name] && typeof raw[name] === 'object' ? raw[name] : {})
+    });
+    const sequence = section('sequence');
+    const flowchart = section('flowchart');
+    const clamp = (value, min, max, fallback) => {
+      const parsed = Number(value);
+      return Number.isFinite(parsed) ? Math.round(Math.min(max, Math.max(min, parsed))) : fallback;
+    };
+
+    const themeVariables = {};
+    const variables = raw.themeVariables && typeof raw.themeVariables === 'object' ? raw.themeVariables : {};
+    MERMAID_THEME_VARIABLES.forEach(({ key, type }) => {
+      const value = typeof variables[key] === 'string' ? variables[key].trim() : '';
+      const valid = type === 'color'
+        ? /^#(?:[0-9a-f]{3}){1,2}$/i.test(value)
+        : type === 'size'
+          ? /^\d+(?:\.\d+)?(?:px|pt|em|rem)$/.test(value)
+          : value && !/[;{}<>]/.test(value);
+      if (valid) themeVariables[key] = value.slice(0, 200);
+    });
+
+    return {
+      theme: MERMAID_THEMES.includes(raw.theme) ? raw.theme : DEFAULT_MERMAID_SETTINGS.theme,
+      themeVariables,
+      sequence: {
+        mirrorActors: Boolean(sequence.mirrorActors),
+        showSequenceNumbers: Boolean(sequence.showSequenceNumbers),
+        actorMargin: clamp(sequence.actorMargin, 0, 500, DEFAULT_MERMAID_SETTINGS.sequence.actorMargin),
+        messageAlign: ['left', 'center', 'right'].includes(sequence.messageAlign)
+          ? sequence.messageAlign
+          : DEFAULT_MERMAID_SETTINGS.sequence.messageAlign
+      },
+      flowchart: {
+        curve: MERMAID_FLOWCHART_CURVES.includes(flowchart.curve) ? flowchart.curve : DEFAULT_MERMAID_SETTINGS.flowchart.curve,
+        nodeSpacing: clamp(flowchart.nodeSpacing, 10, 500, DEFAULT_MERMAID_SETTINGS.flowchart.nodeSpacing),
+        rankSpacing: clamp(flowchart.rankSpacing, 10, 500, DEFAULT_MERMAID_SETTINGS.flowchart.rankSpacing)
+      }
+    };
+  }
+
+  /**
+   * Build the configuration passed to `mermaid.initialize`
+   * @param {Object} [settings] - Normalized settings (default: saved settings)
+   * @returns {Object} Mermaid configuration
+   */
+  static toConfig(settings = MermaidSettings.load()) {
+    return {
+      startOnLoad: false,
+      theme: settings.theme,
+      themeVariables: { ...settings.themeVariables },
+      sequence: { ...settings.sequence },
+      // Use native SVG text instead of foreignObject labels so PNG export/copy keeps text.
+      flowchart: { ...settings.flowchart, htmlLabels: false }
+    };
+  }
+
+  /**
+   * Show the settings dialog, then save and re-render
+   */
+  static showDialog() {
+    const current = MermaidSettings.load();
+    const form = document.createElement('div');
+    form.className = 'options-form';
+
+    const note = document.createElement('p');
+    note.className = 'options-note';
+    note.textContent = 'Applies to all Mermaid diagrams. A file can override any option in its front matter, for example:';
+    const example = document.createElement('pre');
+    example.className = 'options-example';
+    example.textContent = '---\nconfig:\n  theme: forest\n  sequence:\n    mirrorActors: false\n---';
+    form.append(note, example);
+
+    const addHeading = (text) => {
+      const heading = document.createElement('h3');
+      heading.className = 'options-heading';
+      heading.textContent = text;
+      form.appendChild(heading);
+    };
+    const addRow = (label, control) => {
+      const row = document.createElement('label');
+      row.className = 'options-row';
+      row.textContent = label;
+      row.appendChild(control);
+      form.appendChild(row);
+    };
+    const numberInput = (value, min, max) => {
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.min = String(min);
+      input.max = String(max);
+      input.value = String(value);
+      return input;
+    };
+    const checkbox = (checked) => {
+      const input = document.createElement('input');
+      input.type = 'checkbox';
+      input.checked = checked;
+      return input;
+    };
+    const select = (values, selected) => {
+      const element = document.createElement('select');
+      values.forEach((value) => element.add(new Option(value, value, false, value === selected)));
+      return element;
+    };
+
+    addHeading('Theme');
+    const theme = select(MERMAID_THEMES, current.theme);
+    addRow('Theme', theme);
+
+    const variableInputs = MERMAID_THEME_VARIABLES.map(({ key, label, type }) => {
+      const value = current.themeVariables[key] || '';
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.placeholder = 'Theme default';
+      input.value = value;
+
+      if (type !== 'color') {
+        addRow(label, input);
+        return { key, input };
+      }
+
+      // Colour variables: a picker for convenience, the text field so the value can be left unset
+      const field = document.createElement('span');
+      field.className = 'color-field';
+      const picker = document.createElement('input');
+      picker.type = 'color';
+      picker.value = /^#[0-9a-f]{6}$/i.test(value) ? value : '#ffffff';
+      picker.addEventListener('input', () => { input.value = picker.value; });
+      input.addEventListener('input', () => {
+        if (/^#[0-9a-f]{6}$/i.test(input.value.trim())) picker.value = input.value.trim();
+      });
+      field.append(picker, input);
+      addRow(label, field);
+      return { key, input };
+    });
+
+    const themeNote = document.createElement('p');
+    themeNote.className = 'options-note';
+    themeNote.textContent = 'Colours are hex values and work best with the "base" theme.';
+    form.appendChild(themeNote);
+
+    addHeading('Sequence diagrams');
+    const mirrorActors = checkbox(current.sequence.mirrorActors);
+    addRow('Repeat participants at the bottom', mirrorActors);
+    const showSequenceNumbers = checkbox(current.sequence.showSequenceNumbers);
+    addRow('Number messages', showSequenceNumbers);
+    const actorMargin = numberInput(current.sequence.actorMargin, 0, 500);
+    addRow('Space between participants (px)', actorMargin);
+    const messageAlign = select(['left', 'center', 'right'], current.sequence.messageAlign);
+    addRow('Message text alignment', messageAlign);
+
+    addHeading('Flowcharts');
+    const curve = select(MERMAID_FLOWCHART_CURVES, current.flowchart.curve);
+    addRow('Edge curve', curve);
+    const nodeSpacing = numberInput(current.flowchart.nodeSpacing, 10, 500);
+    addRow('Node spacing (px)', nodeSpacing);
+    const rankSpacing = numberInput(current.flowchart.rankSpacing, 10, 500);
+    addRow('Rank spacing (px)', rankSpacing);
+
+    const apply = (settings) => {
+      MermaidSettings.save(settings);
+      if (RendererRegistry.get(elements.diagramSelect.value)?.grammar === 'mermaid' && elements.diagramText.value.trim()) {
+        try {
+          DiagramRenderer.render();
+        } catch (error) {
+          // Error already shown in the diagram panel
+        }
+      }
+    };
+
+    DialogManager.open({
+      title: 'Mermaid settings',
+      content: form,
+      actions: [
+        { label: 'Reset', className: 'btn-secondary', onClick: () => apply(DEFAULT_MERMAID_SETTINGS) },
+        { label: 'Cancel', className: 'btn-secondary' },
+        {
+          label: 'Save',
+          className: 'btn-primary',
+          onClick: () => {
+            apply({
+              theme: theme.value,
+              themeVariables: Object.fromEntries(variableInputs.map(({ key, input }) => [key, input.value])),
+              sequence: {
+                mirrorActors: mirrorActors.checked,
+                showSequenceNumbers: showSequenceNumbers.checked,
+                actorMargin: actorMargin.value,
+                messageAlign: messageAlign.value
+              },
+              flowchart: {
+                curve: curve.value,
+                nodeSpacing: nodeSpacing.value,
+                rankSpacing: rankSpacing.value
+              }
+            });
+            NotificationManager.show('Mermaid settings saved', 'success');
+          }
+        }
+      ]
+    });
+  }
+}
+
+/**
+ * Diagram rendering utility class
+ * @class
+ */
+class DiagramRenderer {
+  /** @private {number} Incremented per render so a slow result cannot overwrite a newer one */
+  static _renderId = 0;
+
+  /** @private {number} Counter for unique Mermaid render ids */
+  static _mermaidId = 0;
+
+  /** @private {Promise<void>} Last queued Mermaid render; each one waits for the previous */
+  static _mermaidQueue = Promise.resolve();
+
+  /** @private {?Object} Graphviz (Viz.js) instance, created when the engine is loaded */
+  static _graphviz = null;
+
+  /**
+   * Render the current diagram with the selected engine. Engines that are
+   * loaded and render synchronously throw their errors from here.
+   */
+  static render() {
+    const source = elements.diagramText.value;
+    const text = source.trim();
+    const renderId = ++DiagramRenderer._renderId;
+
+    if (!text) {
+      DiagramRenderer.clearErrorState();
+      DiagramRenderer.showEmptyState();
+      return;
+    }
+
+    const engine = RendererRegistry.get(elements.diagramSelect.value) || RendererRegistry.get(DEFAULT_DIAGRAM_TYPE);
+    // Parser positions are relative to the trimmed text
+    const lineOffset = (source.slice(0, source.indexOf(text)).match(/\n/g) || []).length;
+
+    try {
+      const pending = RendererRegistry.isLoaded(engine)
+        ? DiagramRenderer.renderEngine(engine, text, renderId)
+        : RendererRegistry.load(engine).then(() => {
+          if (renderId === DiagramRenderer._renderId) return DiagramRenderer.renderEngine(engine, text, renderId);
+        });
+      pending?.catch((error) => {
+        if (renderId !== DiagramRenderer._renderId) return;
+        DiagramRenderer.reportError(error, text, lineOffset, engine.id);
+      });
+    } catch (error) {
+      DiagramRenderer.reportError(error, text, lineOffset, engine.id);
+      throw new Error(`Diagram rendering failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Draw with an engine off screen, then swap the result into the preview.
+   * Drawing first leaves the last good diagram in place when the text has an error.
+   * @private
+   * @param {DiagramEngine} engine - Engine to render with
+   * @param {string} text - Trimmed diagram syntax
+   * @param {number} renderId - Render this result belongs to
+   * @returns {Promise<void>|null} Pending render for asynchronous engines
+   */
+  static renderEngine(engine, text, renderId) {
+    const options = {
+      container: DiagramRenderer.createOffscreenHost(),
+      securityLevel: appState.activeDocument.securityLevel,
+      dark: ThemeManager.isDark()
+    };
+
+    let result;
+    try {
+      result = engine.render(text, options);
+    } catch (error) {
+      options.container.remove();
+      throw error;
+    }
+
+    if (typeof result?.then !== 'function') {
+      DiagramRenderer.showRendered(engine, options, renderId);
+      return null;
+    }
+    return result.then(
+      () => DiagramRenderer.showRendered(engine, options, renderId),
+      (error) => {
+        options.container.remove();
+        throw error;
+      }
+    );
+  }
+
+  /**
+   * Move an engine's output into the preview unless a newer render started
+   * @private
+   * @param {DiagramEngine} engine - Engine that rendered
+   * @param {{container: HTMLElement, securityLevel: string, dark: boolean}} options - Options it rendered with
+   * @param {number} renderId - Render this result belongs to
+   */
+  static showRendered(engine, { container, securityLevel, dark }, renderId) {
+    if (renderId !== DiagramRenderer._renderId) {
+      container.remove();
+      return;
+    }
+
+    const svg = container.querySelector('svg');
+    if (svg && dark && !engine.themed) {
+      ThemeManager.darkenSvg(svg);
+    }
+    if (securityLevel === 'strict') {
+      SvgSanitizer.sanitizeTree(container);
+    }
+
+    elements.diagramContainer.innerHTML = '';
+    DiagramRenderer.clearErrorState();
+    elements.diagramContainer.append(...container.childNodes);
+    container.remove();
+
+    DiagramRenderer.enhanceSVG();
+  }
+
+  /**
+   * Create an element in the document, out of view, for engines to draw into
+   * (measuring text needs a layout)
+   * @private
+   * @returns {HTMLElement}
+   */
+  static createOffscreenHost() {
+    const host = document.createElement('div');
+    host.className = 'offscreen-render';
+    document.body.appendChild(host);
+    return host;
+  }
+
+  /**
+   * Show previously rendered output without re-rendering
+   * @param {string} markup - Preview HTML kept from an earlier render
+   */
+  static restore(markup) {
+    // Drop any Mermaid render still in flight for the previous document
+    DiagramRenderer._renderId++;
+    DiagramRenderer.clearErrorState();
+    if (appState.activeDocument.securityLevel === 'strict') {
+      elements.diagramContainer.innerHTML = '';
+      elements.diagramContainer.appendChild(SvgSanitizer.sanitizeMarkup(markup));
+    } else {
+      elements.diagramContainer.innerHTML = markup;
+    }
+    DiagramRenderer.enhanceSVG();
+  }
+
+  /**
+   * Render js-sequence diagram (engine render function)
+   * @private
+   * @param {string} text - Diagram syntax
+   * @param {string} theme - Theme to use (simple or hand)
+   * @param {{container: HTMLElement}} options - Render options
+   */
+  static renderJsSequence(text, theme, { container }) {
+    // js-sequence builds its SVG with DOM calls and never parses markup from the
+    // text, so the tree clean-up after rendering is enough for strict mode
+    Diagram.parse(text).drawSVG(container, { theme: theme });
+  }
+
+  /**
+   * Render Mermaid diagram (engine render function)
+   * @private
+   * @param {string} text - Diagram syntax
+   * @param {{container: HTMLElement, securityLevel: string, dark: boolean}} options - Render options
+   * @returns {Promise<void>}
+   */
+  static async renderMermaid(text, { container, securityLevel, dark }) {
+    // The configuration is global and applies at once, while mermaid.render queues:
+    // run one initialize and render pair at a time so a thumbnail or export render
+    // cannot change the theme or security level of a render still in progress
+    const run = DiagramRenderer._mermaidQueue.then(async () => {
+      mermaid.initialize(DiagramRenderer.mermaidConfig(securityLevel, dark));
+      return mermaid.render(`mermaid-diagram-${++DiagramRenderer._mermaidId}`, text);
+    });
+    DiagramRenderer._mermaidQueue = run.then(() => undefined, () => undefined);
+
+    const { svg } = await run;
+    container.appendChild(DiagramRenderer.createMermaidHost(svg, securityLevel));
+  }
+
+  /**
+   * Create the Graphviz instance, loading the bundled build if needed (engine loader)
+   * @private
+   * @returns {Promise<void>}
+   */
+  static async loadGraphviz() {
+    if (typeof Viz === 'undefined') {
+      await RendererRegistry.loadScript(GRAPHVIZ_SCRIPT_URL);
+    }
+    DiagramRenderer._graphviz = await Viz.instance();
+  }
+
+  /**
+   * Render Graphviz DOT diagram (engine render function). Layout runs synchronously
+   * once the engine is loaded, so errors surface like js-sequence ones.
+   * @private
+   * @param {string} text - DOT source
+   * @param {{container: HTMLElement, securityLevel: string}} options - Render options
+   */
+  static renderGraphviz(text, { container, securityLevel }) {
+    const result = DiagramRenderer._graphviz.render(text, { format: 'svg' });
+    if (result.status !== 'success') {
+      const messages = result.errors
+        .filter((error) => error.level !== 'warning')
+        .map((error) => error.message.trim());
+      throw new Error(messages.join('\n') || 'Graphviz could not lay out the graph');
+    }
+
+    if (securityLevel === 'strict') {
+      container.appendChild(SvgSanitizer.sanitizeMarkup(result.output));
+    } else {
+      container.innerHTML = result.output;
+    }
+    // Labels use the SVG default fill; spell it out so dark mode recolours them like the strokes
+    container.querySelectorAll('text:not([fill])').forEach((label) => label.setAttribute('fill', 'black'));
+  }
+
+  /**
+   * Mermaid configuration for a render. Front matter `config:` in the text is
+   * applied over it by Mermaid itself, except securityLevel, which Mermaid does
+   * not let diagrams change.
+   * @param {string} securityLevel - 'strict' or 'loose'
+   * @param {boolean} dark - Whether to use the dark variant of light themes
+   * @returns {Object} Mermaid configuration
+   */
+  static mermaidConfig(securityLevel, dark) {
+    const config = MermaidSettings.toConfig();
+    return {
+      ...config,
+      theme: dark ? ThemeManager.previewMermaidTheme(config.theme) : config.theme,
+      securityLevel
+    };
+  }
+
+  /**
+   * Wrap Mermaid output in the preview's container element, sanitized in strict mode
+   * @param {string} svg - SVG markup returned by mermaid.render
+   * @param {string} securityLevel - 'strict' or 'loose'
+   * @returns {HTMLElement}
+   */
+  static createMermaidHost(svg, securityLevel) {
+    const renderDiv = document.createElement('div');
+    renderDiv.className = 'mermaid-diagram';
+    renderDiv.style.textAlign = 'center';
+    if (securityLevel === 'strict') {
+      renderDiv.appendChild(SvgSanitizer.sanitizeMarkup(svg));
+    } else {
+      renderDiv.innerHTML = svg;
+    }
+    return renderDiv;
+  }
+
+  /**
+   * Render a diagram away from the preview, light themed, for thumbnails,
+   * exports of files that are not open and light exports of dark previews
+   * @param {string} text - Diagram syntax
+   * @param {string} diagramType - Diagram type to render as
+   * @param {string} [securityLevel] - 'strict' (sanitized, the default) or 'loose'
+   * @returns {Promise<SVGElement>} Detached SVG with its natural size set
+   */
+  static async renderDetached(text, diagramType, securityLevel = 'strict') {
+    const engine = RendererRegistry.get(diagramType);
+    if (!engine) {
+      throw new Error(`No renderer for diagram type "${diagramType}"`);
+    }
+    await RendererRegistry.load(engine);
+
+    const host = DiagramRenderer.createOffscreenHost();
+    try {
+      await engine.render(text, { container: host, securityLevel, dark: false });
+      if (securityLevel === 'strict') {
+        SvgSanitizer.sanitizeTree(host);
+      }
+
+      const svg = host.querySelector('svg');
+      if (!svg) {
+        throw new Error('The renderer produced no diagram');
+      }
+      ThemeManager.setNaturalSize(svg);
+      svg.remove();
+      return svg;
+    } finally {
+      host.remove();
+    }
+  }
+
+  /**
+   * Show a render failure in the preview and mark the faulty line in the editor
+   * @private
+   * @param {*} error - Error thrown by the renderer
+   * @param {string} text - Trimmed text that was rendered
+   * @param {number} lineOffset - Blank lines trimmed from the start of the editor text
+   * @param {string} diagramType - Diagram type that was rendered
+   */
+  static reportError(error, text, lineOffset, diagramType) {
+    const diagnostic = RendererRegistry.parseError(diagramType, error, text);
+    diagnostic.line += lineOffset;
+
+    DiagramRenderer.showErrorState(diagnostic);
+    elements.diagramText.setDiagnostics?.([diagnostic]);
+  }
+
+  /**
+   * Show empty state message
+   * @private
+   */
+  static showEmptyState() {
+    elements.diagramContainer.innerHTML =
+      '<p style="color: #64748b; text-align: center; margin-top: 2rem; font-style: italic;">' +
+      'Enter diagram syntax and click "Draw" to generate your diagram</p>';
+  }
+
+  /**
+   * Show an error banner over the last good diagram, which stays visible but dimmed
+   * @private
+   * @param {{line: number, column: number, message: string}} diagnostic - Parsed error
+   */
+  static showErrorState(diagnostic) {
+    const container = elements.diagramContainer;
+    container.querySelector('.render-error')?.remove();
+    if (!container.querySelector('svg')) {
+      container.innerHTML = '';
+    }
+
+    const banner = document.createElement('div');
+    banner.className = 'render-error';
+    banner.setAttribute('role', 'alert');
+    banner.title = 'Go to the error in the editor';
+
+    const location = document.createElement('strong');
+    location.textContent = `Line ${diagnostic.line}, column ${diagnostic.column}:`;
+    const message = document.createElement('span');
+    message.textContent = ` ${diagnostic.message}`;
+    banner.append(location, message);
+
+    banner.addEventListener('click', (event) => {
+      // Keep the click from reaching the preview's copy-to-clipboard handler
+      event.stopPropagation();
+      elements.diagramText.goTo?.(diagnostic.line, diagnostic.column);
+    });
+
+    container.classList.add('has-error');
+    container.prepend(banner);
+  }
+
+  /**
+   * Remove the error banner and editor markers after a successful render
+   * @private
+   */
+  static clearErrorState() {
+    elements.diagramContainer.classList.remove('has-error');
+    elements.diagramContainer.querySelector('.render-error')?.remove();
+    elements.diagramText.setDiagnostics?.([]);
+  }
+
+  /**
+   * Enhance SVG with interactive features
+   * @private
+   */
+  static enhanceSVG() {
+    const svg = elements.diagramContainer.querySelector('svg');
+    if (svg && ClipboardManager.isSupported()) {
+      svg.style.cursor = 'pointer';
+      svg.title = 'Click to copy diagram to clipboard';
+    }
+
+    // Keep the rendered output with its tab so switching back does not need a re-render
+    if (svg) {
+      appState.activeDocument.lastSvg = elements.diagramContainer.innerHTML;
+      ViewportManager.mount();
+    }
+  }
+}
+
+// Built-in engines. Further ones can be registered by scripts loaded after this one.
+RendererRegistry.register({
+  id: 'mermaid',
+  label: 'Mermaid',
+  extensions: ['.mmd'],
+  themed: true,
+  load: () => (typeof mermaid === 'undefined' ? RendererRegistry.loadScript(MERMAID_SCRIPT_URL) : undefined),
+  render: (text, options) => DiagramRenderer.renderMermaid(text, options)
+});
+
+RendererRegistry.register({
+  id: 'js-sequence-simple',
+  label: 'js-sequence Simple',
+  extensions: ['.jsq'],
+  grammar: 'js-sequence',
+  render: (text, options) => DiagramRenderer.renderJsSequence(text, 'simple', options)
+});
+
+RendererRegistry.register({
+  id: 'js-sequence-hand',
+  label: 'js-sequence Hand',
+  extensions: ['.jsq'],
+  grammar: 'js-sequence',
+  render: (text, options) => DiagramRenderer.renderJsSequence(text, 'hand', options)
+});
+
+RendererRegistry.register({
+  id: 'graphviz',
+  label: 'Graphviz (DOT)',
+  extensions: ['.dot', '.gv'],
+  grammar: 'dot',
+  load: () => DiagramRenderer.loadGraphviz(),
+  render: (text, options) => DiagramRenderer.renderGraphviz(text, options),
+  parseError: (error, text) => RenderErrorParser.parseGraphviz(error, text)
+});
+
+/**
+ * Zoom and pan of the diagram panel. Rendered output is wrapped in a stage that
+ * is moved with a CSS transform, so the SVG itself never carries the zoom and
+ * copy, export and thumbnails keep using its natural size.
+ * @class
+ */
+class ViewportManager {
+  /** @private {Map<number, {x: number, y: number}>} Pointers currently pressed on the diagram */
+  static _pointers = new Map();
+
+  /** @private {Object|null} Pan or pinch gesture in progress */
+  static _gesture = null;
+
+  /** @private {boolean} Whether the last press panned, so its click must not copy */
+  static _suppressClick = false;
+
+  /**
+   * Wrap freshly rendered output in the zoom stage and apply the document's view
+   */
+  static mount() {
+    const container = elements.diagramContainer;
+    const svg = container.querySelector('svg');
+    if (!svg) return;
+
+    let stage = ViewportManager.getStage();
+    if (!stage) {
+      stage = document.createElement('div');
+      stage.className = 'diagram-stage';
+      Array.from(container.childNodes)
+        .filter((node) => !node.classList?.contains('render-error'))
+        .forEach((node) => stage.appendChild(node));
+      container.appendChild(stage);
+    }
+
+    const { width, height } = ViewportManager.getNaturalSize(svg);
+    stage.style.width = `${width}px`;
+    stage.style.height = `${height}px`;
+    ViewportManager.apply();
+  }
+
+  /**
+   * Get the zoom stage of the current preview
+   * @private
+   * @returns {HTMLElement|null}
+   */
+  static getStage() {
+    return elements.diagramContainer?.querySelector(':scope > .diagram-stage') || null;
+  }
+
+  /**
+   * Size of the SVG at 100% zoom, from its width/height attributes or viewBox.
+   * Mermaid sizes its SVG with a percentage width, which only the viewBox resolves.
+   * @private
+   * @param {SVGElement} svg - Rendered SVG
+   * @returns {{width: number, height: number}}
+   */
+  static getNaturalSize(svg) {
+    const viewBox = ClipboardManager.getViewBoxSize(svg);
+    const length = (name) => {
+      const value = svg.getAttribute(name);
+      return value && !value.trim().endsWith('%') ? ClipboardManager.parseSvgLength(value) : 0;
+    };
+
+    const width = length('width') || viewBox.width || 300;
+    const height = length('height') ||
+      (viewBox.width ? (width * viewBox.height) / viewBox.width : 0) || 150;
+    return { width, height };
+  }
+
+  /**
+   * Zoom factor applied to an element on screen
+   * @param {Element} element - Element inside or outside the preview
+   * @returns {number} Current zoom for elements on the stage, otherwise 1
+   */
+  static scaleOf(element) {
+    return element.closest?.('.diagram-stage') ? appState.activeDocument.viewport.zoom : 1;
+  }
+
+  /**
+   * Apply the active document's view to the stage, re-fitting when a fit preset is active
+   */
+  static apply() {
+    const view = appState.activeDocument.viewport;
+    const stage = ViewportManager.getStage();
+
+    if (stage) {
+      if (view.fit) {
+        Object.assign(view, ViewportManager.computeFit(view.fit, stage));
+      }
+      stage.style.transform = `translate(${view.x}px, ${view.y}px) scale(${view.zoom})`;
+    }
+    ViewportManager.updateControls();
+  }
+
+  /**
+   * Zoom and offset that fit the stage into the panel
+   * @private
+   * @param {string} fit - 'width', 'page', or 'auto' (fit the page but never enlarge)
+   * @param {HTMLElement} stage - Zoom stage
+   * @returns {{zoom: number, x: number, y: number}|{}} New view, or nothing while the panel has no size
+   */
+  static computeFit(fit, stage) {
+    const container = elements.diagramContainer;
+    const width = parseFloat(stage.style.width);
+    const height = parseFloat(stage.style.height);
+    if (!container.clientWidth || !container.clientHeight || !width || !height) return {};
+
+    const widthZoom = (container.clientWidth - VIEWPORT_FIT_MARGIN * 2) / width;
+    const pageZoom = Math.min(widthZoom, (container.clientHeight - VIEWPORT_FIT_MARGIN * 2) / height);
+    const zoom = ViewportManager.clampZoom(
+      fit === 'width' ? widthZoom : fit === 'page' ? pageZoom : Math.min(1, pageZoom)
+    );
+
+    return {
+      zoom,
+      x: (container.clientWidth - width * zoom) / 2,
+      y: VIEWPORT_FIT_MARGIN
+    };
+  }
+
+  /**
+   * Keep a zoom level within MIN_ZOOM and MAX_ZOOM
+   * @private
+   * @param {number} zoom - Requested zoom
+   * @returns {number} Zoom within the allowed range
+   */
+  static clampZoom(zoom) {
+    return Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, zoom));
+  }
+
+  /**
+   * Zoom by a factor, keeping the given panel point fixed on screen
+   * @param {number} factor - Zoom multiplier
+   * @param {number} [originX] - Panel x coordinate to zoom around (default: centre)
+   * @param {number} [originY] - Panel y coordinate to zoom around (default: centre)
+   */
+  static zoomBy(factor, originX, originY) {
+    const view = appState.activeDocument.viewport;
+    const container = elements.diagramContainer;
+    const zoom = ViewportManager.clampZoom(view.zoom * factor);
+    const x = originX ?? container.clientWidth / 2;
+    const y = originY ?? container.clientHeight / 2;
+
+    view.x = x - ((x - view.x) * zoom) / view.zoom;
+    view.y = y - ((y - view.y) * zoom) / view.zoom;
+    view.zoom = zoom;
+    view.fit = null;
+    ViewportManager.apply();
+  }
+
+  /**
+   * Move the diagram by a screen distance
+   * @param {number} dx - Horizontal distance in pixels
+   * @param {number} dy - Vertical distance in pixels
+   */
+  static panBy(dx, dy) {
+    const view = appState.activeDocument.viewport;
+    view.x += dx;
+    view.y += dy;
+    view.fit = null;
+    ViewportManager.apply();
+  }
+
+  /**
+   * Apply a zoom preset
+   * @param {string} preset - 'actual' (100%), 'width' or 'page'
+   */
+  static setPreset(preset) {
+    if (preset === 'actual') {
+      ViewportManager.zoomBy(1 / appState.activeDocument.viewport.zoom);
+      return;
+    }
+    appState.activeDocument.viewport.fit = preset;
+    ViewportManager.apply();
+  }
+
+  /**
+   * Show the current zoom level in the toolbar
+   */
+  static updateControls() {
+    const select = elements.zoomPreset;
+    if (!select) return;
+
+    const zoom = appState.activeDocument.viewport.zoom;
+    const current = select.querySelector('option[value="current"]');
+    if (current) current.textContent = `${Math.round(zoom * 100)}%`;
+    select.value = 'current';
+
+    if (elements.zoomInBtn) elements.zoomInBtn.disabled = zoom >= MAX_ZOOM;
+    if (elements.zoomOutBtn) elements.zoomOutBtn.disabled = zoom <= MIN_ZOOM;
+  }
+
+  /**
+   * Whether the click being handled ends a pan, and so must not copy the diagram
+   * @returns {boolean}
+   */
+  static consumePanClick() {
+    const suppress = ViewportManager._suppressClick;
+    ViewportManager._suppressClick = false;
+    return suppress;
+  }
+
+  /**
+   * Zoom with the mouse wheel around the pointer. Trackpad pinches arrive as
+   * wheel events with ctrlKey set and small deltas, so they zoom faster per unit.
+   * @param {WheelEvent} event - Wheel event
+   */
+  static handleWheel(event) {
+    if (!ViewportManager.getStage()) return;
+    event.preventDefault();
+
+    const rect = elements.diagramContainer.getBoundingClientRect();
+    const delta = event.deltaMode === 1 ? event.deltaY * 16 : event.deltaY;
+    const speed = event.ctrlKey ? 0.01 : 0.002;
+    ViewportManager.zoomBy(Math.exp(-delta * speed), event.clientX - rect.left, event.clientY - rect.top);
+  }
+
+  /**
+   * Start a pan (one pointer) or pinch (two pointers)
+   * @param {PointerEvent} event - Pointer event
+   */
+  static handlePointerDown(event) {
+    if (event.button !== 0 || !ViewportManager.getStage()) return;
+    if (event.target.closest?.('.render-error')) return;
+
+    const pointers = ViewportManager._pointers;
+    pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+
+    if (pointers.size === 1) {
+      ViewportManager._suppressClick = false;
+      ViewportManager._gesture = { type: 'pan', x: event.clientX, y: event.clientY, moved: false };
+    } else if (pointers.size === 2) {
+      ViewportManager._gesture = { type: 'pinch', distance: ViewportManager.pinchDistance(), moved: true };
+    }
+  }
+
+  /**
+   * Pan or pinch-zoom while pointers move
+   * @param {PointerEvent} event - Pointer event
+   */
+  static handlePointerMove(event) {
+    const pointers = ViewportManager._pointers;
+    const gesture = ViewportManager._gesture;
+    if (!gesture || !pointers.has(event.pointerId)) return;
+
+    pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+
+    if (gesture.type === 'pinch') {
+      const [a, b] = pointers.values();
+      const distance = ViewportManager.pinchDistance();
+      const rect = elements.diagramContainer.getBoundingClientRect();
+      if (gesture.distance && distance) {
+        ViewportManager.zoomBy(distance / gesture.distance, (a.x + b.x) / 2 - rect.left, (a.y + b.y) / 2 - rect.top);
+      }
+      gesture.distance = distance;
+      return;
+    }
+
+    const dx = event.clientX - gesture.x;
+    const dy = event.clientY - gesture.y;
+    if (!gesture.moved) {
+      // Small movements are still a click (copy to clipboard)
+      if (Math.hypot(dx, dy) < PAN_DRAG_THRESHOLD) return;
+      gesture.moved = true;
+      elements.diagramContainer.setPointerCapture?.(event.pointerId);
+      elements.diagramContainer.classList.add('panning');
+    }
+
+    gesture.x = event.clientX;
+    gesture.y = event.clientY;
+    ViewportManager.panBy(dx, dy);
+  }
+
+  /**
+   * End the gesture for a released pointer
+   * @param {PointerEvent} event - Pointer event
+   */
+  static handlePointerUp(event) {
+    const pointers = ViewportManager._pointers;
+    if (!pointers.delete(event.pointerId)) return;
+
+    const gesture = ViewportManager._gesture;
+    if (gesture?.moved) {
+      ViewportManager._suppressClick = true;
+    }
+
+    if (pointers.size === 1) {
+      // Continue panning with the finger left on the screen after a pinch
+      const [remaining] = pointers.values();
+      ViewportManager._gesture = { type: 'pan', x: remaining.x, y: remaining.y, moved: true };
+    } else if (pointers.size === 0) {
+      ViewportManager._gesture = null;
+      elements.diagramContainer.classList.remove('panning');
+    }
+  }
+
+  /**
+   * Measure the current pinch
+   * @private
+   * @returns {number} Distance between the first two pressed pointers
+   */
+  static pinchDistance() {
+    const [a, b] = ViewportManager._pointers.values();
+    return a && b ? Math.hypot(a.x - b.x, a.y - b.y) : 0;
+  }
+}
+
+/**
+ * Light, dark and system-following colour theme for the app and its previews,
+ * and the theme diagrams are exported in
+ * @class
+ */
+class ThemeManager {
+  /**
+   * Saved app theme
+   * @returns {string} One of APP_THEMES
+   */
+  static getSetting() {
+    const stored = StorageManager.getItem(STORAGE_KEY_APP_THEME);
+    return APP_THEMES.includes(stored) ? stored : 'system';
+  }
+
+  /**
+   * Whether the app is currently dark, resolving 'system' through the OS setting
+   * @returns {boolean}
+   */
+  static isDark() {
+    const setting = ThemeManager.getSetting();
+    return setting === 'dark' || (setting === 'system' && Boolean(ThemeManager.systemQuery()?.matches));
+  }
+
+  /**
+   * Media query that follows the OS colour scheme
+   * @returns {MediaQueryList|null} OS dark mode query, where supported
+   */
+  static systemQuery() {
+    return window.matchMedia?.('(prefers-color-scheme: dark)') || null;
+  }
+
+  /**
+   * Apply the resolved theme to the page
+   */
+  static apply() {
+    document.documentElement.dataset.theme = ThemeManager.isDark() ? 'dark' : 'light';
+    if (elements.appTheme) {
+      elements.appTheme.value = ThemeManager.getSetting();
+    }
+  }
+
+  /**
+   * Change the app theme and redraw previews in it
+   * @param {string} theme - One of APP_THEMES
+   */
+  static setTheme(theme) {
+    const wasDark = ThemeManager.isDark();
+    StorageManager.setItem(STORAGE_KEY_APP_THEME, APP_THEMES.includes(theme) ? theme : 'system');
+    ThemeManager.apply();
+
+    if (ThemeManager.isDark() !== wasDark) {
+      ThemeManager.refreshPreviews();
+    }
+  }
+
+  /**
+   * Drop previews kept for other tabs, which were drawn in the old theme, and redraw this one
+   */
+  static refreshPreviews() {
+    appState.documents.forEach((doc) => { doc.lastSvg = null; });
+
+    if (elements.diagramText.value.trim()) {
+      try {
+        DiagramRenderer.render();
+      } catch (error) {
+        // Error already shown in the diagram panel
+      }
+    }
+  }
+
+  /**
+   * Mermaid theme for the preview: the light built-in themes become 'dark' in dark mode
+   * @param {string} theme - Configured Mermaid theme
+   * @returns {string}
+   */
+  static previewMermaidTheme(theme) {
+    return ThemeManager.isDark() && (theme === 'default' || theme === 'neutral') ? 'dark' : theme;
+  }
+
+  /**
+   * Saved export theme
+   * @returns {string} 'preview' (match the app) or 'light'
+   */
+  static getExportTheme() {
+    return StorageManager.getItem(STORAGE_KEY_EXPORT_THEME) === 'preview' ? 'preview' : 'light';
+  }
+
+  /**
+   * Whether exports come out dark
+   * @returns {boolean}
+   */
+  static exportsDark() {
+    return ThemeManager.isDark() && ThemeManager.getExportTheme() === 'preview';
+  }
+
+  /**
+   * Recolour a js-sequence SVG for a dark background: black becomes the light
+   * foreground and white the dark background. Original colours are kept in
+   * data-light-* attributes so a light copy can be exported.
+   * @param {SVGElement} svg - Rendered js-sequence SVG
+   */
+  static darkenSvg(svg) {
+    const swap = (value) => {
+      const color = value.trim().toLowerCase();
+      if (['#000', '#000000', 'black'].includes(color)) return DARK_DIAGRAM_COLORS.foreground;
+      if (['#fff', '#ffffff', 'white'].includes(color)) return DARK_DIAGRAM_COLORS.background;
+      return null;
+    };
+
+    [svg, ...svg.querySelectorAll('*')].forEach((element) => {
+      ['fill', 'stroke'].forEach((name) => {
+        const value = element.getAttribute(name);
+        const dark = value && swap(value);
+        if (dark) {
+          element.setAttribute(`data-light-${name}`, value);
+          element.setAttribute(name, dark);
+        }
+      });
+
+      const style = element.getAttribute('style');
+      if (style && /(?:^|;)\s*(?:fill|stroke)\s*:/i.test(style)) {
+        const darkStyle = style.replace(/((?:^|;)\s*(?:fill|stroke)\s*:\s*)([^;]+)/gi,
+          (match, property, value) => `${property}${swap(value) || value}`);
+        if (darkStyle !== style) {
+          element.setAttribute('data-light-style', style);
+          element.setAttribute('style', darkStyle);
+        }
+      }
+    });
+  }
+
+  /**
+   * Pick the SVG to export: the preview itself in light mode, otherwise a detached copy
+   * in the export theme (dark with a background, or light again)
+   * @param {SVGElement} svg - Rendered preview SVG
+   * @returns {Promise<SVGElement>}
+   */
+  static async prepareExport(svg) {
+    if (!ThemeManager.isDark()) return svg;
+
+    if (ThemeManager.getExportTheme() === 'preview') {
+      const copy = ThemeManager.detachedCopy(svg);
+      ThemeManager.stripLightColors(copy, false);
+      ThemeManager.addBackground(copy);
+      return copy;
+    }
+
+    if (RendererRegistry.get(elements.diagramSelect.value)?.themed) {
+      return ThemeManager.renderLight();
+    }
+    const copy = ThemeManager.detachedCopy(svg);
+    ThemeManager.stripLightColors(copy, true);
+    return copy;
+  }
+
+  /**
+   * Raster options for exports: dark exports replace the default white background
+   * (a colour the user picked is kept)
+   * @param {Object} [options] - Raster options (defaults to the saved export options)
+   * @returns {Object}
+   */
+  static exportRasterOptions(options = RasterExportOptions.load()) {
+    if (ThemeManager.exportsDark() && options.background === DEFAULT_RASTER_OPTIONS.background) {
+      return { ...options, background: DARK_DIAGRAM_COLORS.background };
+    }
+    return options;
+  }
+
+  /**
+   * Copy of the SVG sized for export
+   * @private
+   * @param {SVGElement} svg - SVG to copy
+   * @returns {SVGElement}
+   */
+  static detachedCopy(svg) {
+    const copy = svg.cloneNode(true);
+    ThemeManager.setNaturalSize(copy);
+    return copy;
+  }
+
+  /**
+   * Write the natural size into width/height, since a detached SVG cannot be
+   * measured on screen and Mermaid sizes its SVG in percent
+   * @private
+   * @param {SVGElement} svg - Detached SVG
+   */
+  static setNaturalSize(svg) {
+    const { width, height } = ViewportManager.getNaturalSize(svg);
+    svg.setAttribute('width', `${width}`);
+    svg.setAttribute('height', `${height}`);
+    svg.style.removeProperty('max-width');
+    if (!svg.getAttribute('style')) svg.removeAttribute('style');
+  }
+
+  /**
+   * Remove the data-light-* attributes left by darkenSvg
+   * @private
+   * @param {SVGElement} svg - SVG to clean
+   * @param {boolean} restore - Put the original light colours back
+   */
+  static stripLightColors(svg, restore) {
+    [svg, ...svg.querySelectorAll('*')].forEach((element) => {
+      ['fill', 'stroke', 'style'].forEach((name) => {
+        const original = element.getAttribute(`data-light-${name}`);
+        if (original === null) return;
+        if (restore) element.setAttribute(name, original);
+        element.removeAttribute(`data-light-${name}`);
+      });
+    });
+  }
+
+  /**
+   * Paint the dark background behind the diagram, over its whole viewBox
+   * @private
+   * @param {SVGElement} svg - SVG to modify
+   */
+  static addBackground(svg) {
+    const rect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+    const viewBox = (svg.getAttribute('viewBox') || '').split(/[\s,]+/).map(Number);
+
+    if (viewBox.length === 4 && viewBox.every(Number.isFinite)) {
+      ['x', 'y', 'width', 'height'].forEach((name, index) => rect.setAttribute(name, `${viewBox[index]}`));
+    } else {
+      rect.setAttribute('width', '100%');
+      rect.setAttribute('height', '100%');
+    }
+    rect.setAttribute('fill', DARK_DIAGRAM_COLORS.background);
+    svg.insertBefore(rect, svg.firstChild);
+  }
+
+  /**
+   * Render the source again in the engine's light theme
+   * @private
+   * @returns {Promise<SVGElement>}
+   */
+  static async renderLight() {
+    const text = elements.diagramText.value.trim();
+    const diagramType = elements.diagramSelect.value;
+    try {
+      return await DiagramRenderer.renderDetached(text, diagramType, appState.activeDocument.securityLevel);
+    } catch (error) {
+      const { message } = RendererRegistry.parseError(diagramType, error, text);
+      throw new Error(`Could not render the diagram in light mode: ${message}`);
+    }
+  }
+}
+
+/**
+ * UI management utility class
+ * @class
+ */
+class UIManager {
+  /**
+   * Update file status display
+   */
+  static updateFileStatus() {
+    const displayName = elements.filenameInput.value.trim();
+
+    TabManager.renderTabs();
+
+    if (!displayName) {
+      elements.saveBtn.textContent = '💾 Save';
+      elements.saveBtn.style.backgroundColor = '';
+      return;
+    }
+
+    const isOriginal = appState.fileHandle && displayName === appState.fileName;
+    const status = appState.hasUnsavedChanges ? ' (unsaved changes)' : ' ';
+
+    elements.saveBtn.textContent = `💾 Save "${displayName}"${status}`;
+    elements.saveBtn.style.backgroundColor = appState.hasUnsavedChanges ? '#f59e0b' : '#10b981';
+  }
+
+  /**
+   * Enable/disable undo and redo buttons for the active document
+   */
+  static updateHistoryButtons() {
+    const { undo, redo } = appState.activeDocument.history;
+
+    if (elements.undoBtn) {
+      elements.undoBtn.disabled = undo.length === 0;
+      elements.undoBtn.title = undo.length ? `Undo ${undo[undo.length - 1].label}` : 'Nothing to undo';
+    }
+    if (elements.redoBtn) {
+      elements.redoBtn.disabled = redo.length === 0;
+      elements.redoBtn.title = redo.length ? `Redo ${redo[redo.length - 1].label}` : 'Nothing to redo';
+    }
+  }
+
+  /**
+   * Show the active document's rendering security level
+   */
+  static updateSecurityLevel() {
+    if (!elements.securityLevel) return;
+
+    const level = appState.activeDocument.securityLevel;
+    elements.securityLevel.value = level;
+    elements.securityLevel.classList.toggle('is-loose', level === 'loose');
+  }
+
+  /**
+   * Update export filename based on current file and export format
+   */
+  static updatePngFilename() {
+    const format = PngExporter.getFormat();
+    elements.imageFilename.placeholder = `diagram${format.extension}`;
+
+    if (!appState.fileName) {
+      const inputBase = elements.imageFilename.value.trim().replace(/\.[^/.]+$/, '');
+      elements.imageFilename.value = inputBase ? `${inputBase}${format.extension}` : '';
+      elements.savePngBtn.textContent = '📷 Export';
+      return;
+    }
+
+    const baseName = appState.fileName.replace(/\.[^/.]+$/, '');
+    elements.imageFilename.value = `${baseName}${format.extension}`;
+
+    // Update export button text
+    if (supportsFileSystemAccess && appState.fileHandle) {
+      elements.savePngBtn.textContent = `📷 Export ${format.label} (same directory)`;
+    } else if (supportsFileSystemAccess) {
+      elements.savePngBtn.textContent = `📷 Export ${format.label} (with picker)`;
+    } else {
+      elements.savePngBtn.textContent = `📷 Export ${format.label} (download)`;
+    }
+  }
+}
+
+/**
+ * Multi-document tab strip management
+ * @class
+ */
+class TabManager {
+  /** @private {Map<string, {handle: FileSystemFileHandle, diskVersion: ?Object}>} Records last written to IndexedDB, by document id */
+  static _storedHandles = new Map();
+
+  /**
+   * Restore open tabs from storage, or start with a single blank tab
+   */
+  static initialize() {
+    const stored = StorageManager.getJSON(STORAGE_KEY_OPEN_DOCUMENTS, []);
+    const documents = Array.isArray(stored)
+      ? stored.filter((item) => item && typeof item === 'object').map((item) => new DiagramDocument(item))
+      : [];
+
+    if (documents.length === 0) {
+      documents.push(new DiagramDocument({
+        text: elements.diagramText.value,
+        diagramType: elements.diagramSelect.value,
+        securityLevel: StorageManager.getItem(STORAGE_KEY_SECURITY_LEVEL)
+      }));
+    }
+
+    appState.setDocuments(documents, StorageManager.getItem(STORAGE_KEY_ACTIVE_DOCUMENT));
+    TabManager.showActiveDocument();
+
+    TabManager.restoreHandles().catch((error) => {
+      console.warn(`Failed to restore file handles: ${error.message}`);
+    });
+  }
+
+  /**
+   * Reattach the file handles of restored tabs, so Save writes back to the file
+   * @private
+   * @returns {Promise<void>}
+   */
+  static async restoreHandles() {
+    if (!IndexedDbManager.isSupported()) return;
+
+    const records = await IndexedDbManager.getAll(IDB_STORE_TAB_HANDLES);
+    for (const record of records) {
+      const doc = appState.documents.find((item) => item.id === record.id);
+      if (!doc || doc.name !== record.handle?.name) {
+        // The tab was closed, or now holds another file
+        await IndexedDbManager.delete(IDB_STORE_TAB_HANDLES, record.id);
+        continue;
+      }
+
+      TabManager._storedHandles.set(doc.id, { handle: record.handle, diskVersion: record.diskVersion });
+      if (!doc.handle) {
+        doc.handle = record.handle;
+        // The last loaded or saved version, so external changes are still noticed
+        doc.diskVersion = record.diskVersion || null;
+      }
+    }
+    UIManager.updateFileStatus();
+    WorkspaceManager.highlightActive();
+    ExternalChangeWatcher.watch();
+    ExternalChangeWatcher.checkActive();
+  }
+
+  /**
+   * Write the file handles of open tabs to IndexedDB, dropping those of closed tabs
+   * @returns {Promise<void>}
+   */
+  static async persistHandles() {
+    if (!IndexedDbManager.isSupported()) return;
+
+    const stored = TabManager._storedHandles;
+    try {
+      for (const doc of appState.documents) {
+        const record = stored.get(doc.id);
+        if (doc.handle && (record?.handle !== doc.handle || record.diskVersion !== doc.diskVersion)) {
+          const { handle, diskVersion } = doc;
+          await IndexedDbManager.put(IDB_STORE_TAB_HANDLES, { id: doc.id, handle, diskVersion });
+          stored.set(doc.id, { handle, diskVersion });
+        }
+      }
+      for (const id of Array.from(stored.keys())) {
+        if (!appState.documents.some((doc) => doc.id === id && doc.handle)) {
+          await IndexedDbManager.delete(IDB_STORE_TAB_HANDLES, id);
+          stored.delete(id);
+        }
+      }
+    } catch (error) {
+      console.warn(`Failed to store file handles: ${error.message}`);
+    }
+  }
+
+  /**
+   * Copy the editor state (text, type, filename input) into the active document
+   */
+  static syncActiveDocument() {
+    const doc = appState.activeDocument;
+    doc.text = elements.diagramText.value;
+    doc.diagramType = elements.diagramSelect.value;
+    doc.inputName = elements.filenameInput.value;
+  }
+
+  /**
+   * Persist open tabs to storage
+   */
+  static persist() {
+    TabManager.syncActiveDocument();
+    StorageManager.setJSON(STORAGE_KEY_OPEN_DOCUMENTS, appState.documents);
+    StorageManager.setItem(STORAGE_KEY_ACTIVE_DOCUMENT, appState.activeDocument.id);
+    TabManager.persistHandles();
+  }
+
+  /**
+   * Switch the editor to another tab
+   * @param {string} id - Document id
+   */
+  static activate(id) {
+    if (id === appState.activeDocument.id) return;
+
+    TabManager.syncActiveDocument();
+    DraftStore.flush();
+    appState.setActiveDocument(id);
+    TabManager.showActiveDocument();
+    TabManager.persist();
+  }
+
+  /**
+   * Load the active document into the editor, selector and preview
+   * @private
+   */
+  static showActiveDocument() {
+    const doc = appState.activeDocument;
+
+    clearTimeout(appState.renderTimeoutId);
+    elements.diagramText.value = doc.text;
+    elements.filenameInput.value = doc.inputName;
+    elements.diagramSelect.value = doc.diagramType;
+    UIManager.updateSecurityLevel();
+
+    doc.history.current = doc.text;
+    UIManager.updatePngFilename();
+    UIManager.updateFileStatus();
+    UIManager.updateHistoryButtons();
+    SnapshotManager.renderTimeline();
+    ViewportManager.updateControls();
+    WorkspaceManager.highlightActive();
+    ExternalChangeWatcher.updateBanner();
+    ExternalChangeWatcher.watch();
+    ExternalChangeWatcher.checkActive();
+
+    if (doc.lastSvg) {
+      DiagramRenderer.restore(doc.lastSvg);
+    } else {
+      try {
+        DiagramRenderer.render();
+      } catch (error) {
+        // Error already shown in the diagram panel
+      }
+    }
+  }
+
+  /**
+   * Make room for a file or shared link being opened: reuse the active tab when
+   * it is blank, otherwise open and activate a new tab. Content from outside the
+   * app is of unknown origin, so the tab always starts in strict mode.
+   */
+  static openDocumentTab() {
+    if (!appState.activeDocument.isPristine || elements.diagramText.value.trim()) {
+      TabManager.syncActiveDocument();
+      DraftStore.flush();
+      const doc = new DiagramDocument({ diagramType: elements.diagramSelect.value });
+      appState.addDocument(doc);
+      appState.setActiveDocument(doc.id);
+    }
+
+    appState.activeDocument.securityLevel = 'strict';
+    UIManager.updateSecurityLevel();
+  }
+
+  /**
+   * Find the tab that already holds a file
+   * @param {FileSystemFileHandle|null} handle - File's handle
+   * @returns {Promise<DiagramDocument|null>} Matching document, or null
+   */
+  static async findByHandle(handle) {
+    if (!handle) return null;
+
+    for (const doc of appState.documents) {
+      try {
+        if (doc.handle && await doc.handle.isSameEntry(handle)) return doc;
+      } catch (error) {
+        // Handles restored from storage can go stale; treat them as different files
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Open a new blank tab
+   */
+  static newTab() {
+    const defaultType = StorageManager.getItem(STORAGE_KEY_DIAGRAM_TYPE);
+    const doc = new DiagramDocument({
+      diagramType: defaultType || elements.diagramSelect.value,
+      securityLevel: StorageManager.getItem(STORAGE_KEY_SECURITY_LEVEL)
+    });
+
+    TabManager.syncActiveDocument();
+    DraftStore.flush();
+    appState.addDocument(doc);
+    appState.setActiveDocument(doc.id);
+    TabManager.showActiveDocument();
+    TabManager.persist();
+  }
+
+  /**
+   * Close a tab, asking first when it holds unsaved work
+   * @param {string} id - Document id
+   */
+  static close(id) {
+    const doc = appState.documents.find((item) => item.id === id);
+    if (!doc) return;
+
+    if (!ConfirmationManager.confirmUnsavedChanges(doc, 'Closing the tab will discard these changes.')) {
+      return;
+    }
+
+    const wasActive = doc.id === appState.activeDocument.id;
+    if (wasActive) {
+      clearTimeout(appState.autosaveTimeoutId);
+      appState.autosaveTimeoutId = null;
+    } else {
+      TabManager.syncActiveDocument();
+    }
+    DraftStore.discard(doc.id);
+    SnapshotManager.discardAll(doc.id);
+
+    appState.removeDocument(id);
+    if (wasActive) {
+      TabManager.showActiveDocument();
+    } else {
+      TabManager.renderTabs();
+    }
+    TabManager.persist();
+  }
+
+  /**
+   * Rebuild the tab strip from the open documents
+   */
+  static renderTabs() {
+    if (!elements.tabStrip) return;
+
+    const activeId = appState.activeDocument.id;
+    elements.tabStrip.innerHTML = '';
+
+    appState.documents.forEach((doc) => {
+      const tab = document.createElement('div');
+      tab.className = `tab${doc.id === activeId ? ' active' : ''}${doc.hasUnsavedChanges ? ' unsaved' : ''}`;
+      tab.setAttribute('role', 'tab');
+      tab.setAttribute('aria-selected', String(doc.id === activeId));
+      tab.dataset.documentId = doc.id;
+      tab.title = doc.handle ? `${doc.displayName} (opened from disk)` : doc.displayName;
+
+      const label = document.createElement('span');
+      label.className = 'tab-label';
+      label.textContent = doc.displayName;
+      tab.appendChild(label);
+
+      const closeBtn = document.createElement('button');
+      closeBtn.type = 'button';
+      closeBtn.className = 'tab-close';
+      closeBtn.dataset.action = 'close';
+      closeBtn.setAttribute('aria-label', `Close ${doc.displayName}`);
+      closeBtn.textContent = '×';
+      tab.appendChild(closeBtn);
+
+      elements.tabStrip.appendChild(tab);
+    });
+
+    const newBtn = document.createElement('button');
+    newBtn.type = 'button';
+    newBtn.className = 'tab-new';
+    newBtn.dataset.action = 'new';
+    newBtn.title = 'New diagram';
+    newBtn.textContent = '+';
+    elements.tabStrip.appendChild(newBtn);
+  }
+}
+
+/**
+ * Crash-safe autosave of editor content into IndexedDB
+ * @class
+ */
+class DraftStore {
+  /**
+   * Snapshot the active document after a short pause in typing
+   */
+  static scheduleSnapshot() {
+    if (!IndexedDbManager.isSupported()) return;
+
+    clearTimeout(appState.autosaveTimeoutId);
+    appState.autosaveTimeoutId = setTimeout(() => {
+      appState.autosaveTimeoutId = null;
+      DraftStore.snapshot(appState.activeDocument);
+    }, AUTOSAVE_DEBOUNCE_DELAY);
+  }
+
+  /**
+   * Write any pending snapshot of the active document immediately
+   * (call before the active tab changes)
+   */
+  static flush() {
+    if (appState.autosaveTimeoutId === null) return;
+
+    clearTimeout(appState.autosaveTimeoutId);
+    appState.autosaveTimeoutId = null;
+    DraftStore.snapshot(appState.activeDocument);
+  }
+
+  /**
+   * Store a draft of a document, or drop it when there is nothing unsaved
+   * @param {DiagramDocument} doc - Document to snapshot
+   * @returns {Promise<void>}
+   */
+  static async snapshot(doc) {
+    if (doc === appState.activeDocument) {
+      TabManager.syncActiveDocument();
+    }
+
+    try {
+      if (!doc.hasUnsavedChanges) {
+        await IndexedDbManager.delete(IDB_STORE_DRAFTS, doc.id);
+        return;
+      }
+
+      await IndexedDbManager.put(IDB_STORE_DRAFTS, {
+        id: doc.id,
+        name: doc.name,
+        handle: doc.handle,
+        diskVersion: doc.diskVersion,
+        text: doc.text,
+        diagramType: doc.diagramType,
+        savedAt: Date.now()
+      });
+    } catch (error) {
+      console.warn(`Failed to autosave draft: ${error.message}`);
+    }
+  }
+
+  /**
+   * Remove the draft of a document (after save or close)
+   * @param {string} id - Document id
+   * @returns {Promise<void>}
+   */
+  static async discard(id) {
+    if (!IndexedDbManager.isSupported()) return;
+
+    try {
+      await IndexedDbManager.delete(IDB_STORE_DRAFTS, id);
+    } catch (error) {
+      console.warn(`Failed to remove draft: ${error.message}`);
+    }
+  }
+
+  /**
+   * Read every stored draft
+   * @returns {Promise<Object[]>} Drafts (empty when IndexedDB is unavailable)
+   */
+  static async getAll() {
+    if (!IndexedDbManager.isSupported()) return [];
+
+    try {
+      return await IndexedDbManager.getAll(IDB_STORE_DRAFTS);
+    } catch (error) {
+      console.warn(`Failed to read drafts: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Read the on-disk version of a draft's file without prompting
+   * @param {FileSystemFileHandle|null} handle - File handle stored with the draft
+   * @param {boolean} [askPermission=false] - Request read permission (needs a user gesture)
+   * @returns {Promise<{text: string, lastModified: number}|null>} Disk version, or null when unreadable
+   */
+  static async readDiskVersion(handle, askPermission = false) {
+    if (!handle?.getFile) return null;
+
+    try {
+      let permission = await handle.queryPermission?.({ mode: 'read' });
+      if (permission === 'prompt' && askPermission) {
+        permission = await handle.requestPermission({ mode: 'read' });
+      }
+      if (permission && permission !== 'granted') return null;
+
+      const file = await handle.getFile();
+      return { text: await file.text(), lastModified: file.lastModified };
+    } catch (error) {
+      console.warn(`Failed to read "${handle.name}" for draft comparison: ${error.message}`);
+      return null;
+    }
+  }
+}
+
+/**
+ * Loading diagram files dropped onto the editor or preview panel
+ * @class
+ */
+class FileDropManager {
+  /**
+   * Check whether a drag carries files (text dragged inside the editor does not)
+   * @private
+   * @param {DragEvent} event - Drag event
+   * @returns {boolean} True when files are being dragged
+   */
+  static hasFiles(event) {
+    return Array.from(event.dataTransfer?.types || []).includes('Files');
+  }
+
+  /**
+   * Accept file drags and highlight the panel under the pointer
+   * @param {DragEvent} event - dragenter or dragover event
+   */
+  static handleDragOver(event) {
+    if (!FileDropManager.hasFiles(event)) return;
+
+    event.preventDefault();
+    event.dataTransfer.dropEffect = 'copy';
+    event.currentTarget.classList.add('drop-target');
+  }
+
+  /**
+   * Remove the highlight once the pointer leaves the panel
+   * @param {DragEvent} event - dragleave event
+   */
+  static handleDragLeave(event) {
+    if (event.currentTarget.contains(event.relatedTarget)) return;
+    event.currentTarget.classList.remove('drop-target');
+  }
+
+  /**
+   * Load every supported file from a drop, each in its own tab
+   * @param {DragEvent} event - drop event
+   * @returns {Promise<void>}
+   */
+  static async handleDrop(event) {
+    if (!FileDropManager.hasFiles(event)) return;
+
+    event.preventDefault();
+    event.currentTarget.classList.remove('drop-target');
+
+    // Items are only readable during the event, so ask for every handle up front
+    const entries = Array.from(event.dataTransfer.items || [])
+      .filter((item) => item.kind === 'file')
+      .map((item) => ({
+        file: item.getAsFile(),
+        handle: supportsFileSystemAccess ? item.getAsFileSystemHandle?.() : null
+      }))
+      .filter((entry) => entry.file);
+
+    const rejected = [];
+    const failed = [];
+    let loaded = 0;
+
+    for (const { file, handle } of entries) {
+      if (!DiagramTypeSelector.isDiagramFile(file.name)) {
+        rejected.push(file.name);
+        continue;
+      }
+
+      // One unreadable file must not keep the rest of the drop from loading
+      try {
+        const fileHandle = await Promise.resolve(handle).catch(() => null);
+        if (await FileDropManager.loadFile(file, fileHandle?.kind === 'file' ? fileHandle : null)) {
+          loaded++;
+        }
+      } catch (error) {
+        console.error(`[FileDrop] ${file.name}: ${error.message}`, error);
+        failed.push(file.name);
+      }
+    }
+
+    if (failed.length) {
+      NotificationManager.show(`Failed to load ${failed.join(', ')}`, 'error');
+    } else if (rejected.length) {
+      NotificationManager.show(
+        `Skipped ${rejected.join(', ')}: drop ${DiagramTypeSelector.fileExtensions().join(', ')} files`,
+        'error'
+      );
+    } else if (loaded) {
+      NotificationManager.show(loaded === 1 ? 'File loaded successfully' : `${loaded} files loaded`, 'success');
+    }
+  }
+
+  /**
+   * Load one dropped file. A file that is already open replaces that tab's
+   * content (after confirming unsaved changes); anything else opens as usual.
+   * @private
+   * @param {File} file - Dropped file
+   * @param {FileSystemFileHandle|null} handle - Handle for saving in place, when available
+   * @returns {Promise<boolean>} True when the file was loaded
+   */
+  static async loadFile(file, handle) {
+    const content = await FileManager.readFileContent(file);
+    const fileName = FileManager.sourceFileName(file.name);
+    const existing = await TabManager.findByHandle(handle);
+
+    if (!existing) {
+      FileManager.loadFileContent(content, fileName, handle);
+      return true;
+    }
+
+    TabManager.activate(existing.id);
+    if (!ConfirmationManager.confirmUnsavedChanges(existing, 'Reloading it from the dropped file will discard these changes.')) {
+      return false;
+    }
+
+    HistoryManager.applyEdit(content, 'Reload file', { notify: false });
+    elements.filenameInput.value = fileName;
+    DiagramTypeSelector.fromFilename(fileName);
+
+    appState.setFileInfo(fileName, handle);
+    ExternalChangeWatcher.markSynced(existing, content);
+    TabManager.persist();
+    UIManager.updatePngFilename();
+    UIManager.updateFileStatus();
+    try {
+      DiagramRenderer.render();
+    } catch (error) {
+      // Error already shown in the diagram panel
+    }
+    return true;
+  }
+}
+
+/**
+ * Notices when the open file is changed by another program. The version last
+ * loaded or saved is kept with each document as the base of a three-way merge.
+ * Uses FileSystemObserver where the browser has it and polls lastModified otherwise.
+ * @class
+ */
+class ExternalChangeWatcher {
+  /** @private {number|null} Polling interval id */
+  static _intervalId = null;
+
+  /** @private {FileSystemObserver|null} Observer of the active document's file */
+  static _observer = null;
+
+  /** @private {boolean} Whether a check is running, so polls do not overlap */
+  static _checking = false;
+
+  /**
+   * Start watching: observe or poll the active file and check again on focus
+   */
+  static start() {
+    if (!supportsFileSystemAccess) return;
+
+    if (typeof FileSystemObserver !== 'undefined') {
+      ExternalChangeWatcher._observer = new FileSystemObserver(() => ExternalChangeWatcher.checkActive());
+    } else {
+      ExternalChangeWatcher._intervalId = setInterval(() => {
+        if (document.visibilityState !== 'hidden') ExternalChangeWatcher.checkActive();
+      }, EXTERNAL_CHANGE_POLL_INTERVAL);
+    }
+    window.addEventListener('focus', () => ExternalChangeWatcher.checkActive());
+  }
+
+  /**
+   * Point the observer at the active document's file
+   */
+  static watch() {
+    const observer = ExternalChangeWatcher._observer;
+    if (!observer) return;
+
+    observer.disconnect();
+    const { handle } = appState.activeDocument;
+    if (handle) {
+      observer.observe(handle).catch((error) => {
+        console.warn(`Failed to observe "${handle.name}": ${error.message}`);
+      });
+    }
+  }
+
+  /**
+   * Record the version a document now matches on disk (after loading or saving)
+   * @param {DiagramDocument} doc - Document
+   * @param {string} text - Text that was read from or written to the file
+   * @returns {Promise<void>}
+   */
+  static async markSynced(doc, text) {
+    doc.externalChange = null;
+    doc.diskVersion = null;
+    if (doc === appState.activeDocument) ExternalChangeWatcher.updateBanner();
+    if (!doc.handle) return;
+
+    try {
+      const file = await doc.handle.getFile();
+      doc.diskVersion = { text, lastModified: file.lastModified };
+    } catch (error) {
+      console.warn(`Failed to read "${doc.handle.name}" after syncing: ${error.message}`);
+    }
+    TabManager.persistHandles();
+    if (doc === appState.activeDocument) ExternalChangeWatcher.watch();
+  }
+
+  /**
+   * Check the active document's file and show the banner when it changed
+   * @returns {Promise<void>}
+   */
+  static async checkActive() {
+    if (ExternalChangeWatcher._checking) return;
+
+    ExternalChangeWatcher._checking = true;
+    try {
+      await ExternalChangeWatcher.check(appState.activeDocument);
+    } catch (error) {
+      console.warn(`Failed to check for external changes: ${error.message}`);
+    } finally {
+      ExternalChangeWatcher._checking = false;
+    }
+  }
+
+  /**
+   * Compare a document's file with the version it was synced with
+   * @private
+   * @param {DiagramDocument} doc - Document to check
+   * @returns {Promise<void>}
+   */
+  static async check(doc) {
+    const disk = await ExternalChangeWatcher.readChange(doc);
+    if (!disk) return;
+
+    const current = doc === appState.activeDocument ? elements.diagramText.value : doc.text;
+    if (disk.text === current) {
+      // Same content as the editor (our own save, or the same edit made twice)
+      doc.diskVersion = disk;
+      doc.externalChange = null;
+    } else {
+      doc.externalChange = disk;
+    }
+    if (doc === appState.activeDocument) ExternalChangeWatcher.updateBanner();
+  }
+
+  /**
+   * Read the file when it has really changed since the document was synced.
+   * Only reads that need no permission prompt are made.
+   * @private
+   * @param {DiagramDocument} doc - Document to check
+   * @returns {Promise<{text: string, lastModified: number}|null>} New disk version, or null
+   */
+  static async readChange(doc) {
+    const base = doc.diskVersion;
+    if (!doc.handle || !base) return null;
+    if (await doc.handle.queryPermission?.({ mode: 'read' }) === 'prompt') return null;
+
+    const file = await doc.handle.getFile();
+    if (file.lastModified === base.lastModified) return null;
+    if (file.lastModified === doc.externalChange?.lastModified) return doc.externalChange;
+
+    const text = await file.text();
+    if (text === base.text) {
+      // Touched without a content change
+      base.lastModified = file.lastModified;
+      return null;
+    }
+    return { text, lastModified: file.lastModified };
+  }
+
+  /**
+   * Show or hide the banner for the active document
+   */
+  static updateBanner() {
+    const banner = elements.externalChangeBanner;
+    if (!banner) return;
+
+    const doc = appState.activeDocument;
+    banner.hidden = !doc.externalChange;
+    if (doc.externalChange) {
+      elements.externalChangeMessage.textContent = doc.hasUnsavedChanges
+        ? `"${doc.displayName}" was changed on disk, and you have unsaved edits.`
+        : `"${doc.displayName}" was changed on disk.`;
+    }
+  }
+
+  /**
+   * Replace the editor text with the file on disk (undoable)
+   */
+  static reload() {
+    const doc = appState.activeDocument;
+    const disk = doc.externalChange;
+    if (!disk) return;
+
+    HistoryManager.applyEdit(disk.text, 'Reload from disk', { notify: false });
+    ExternalChangeWatcher.adopt(doc, disk, false);
+    try {
+      DiagramRenderer.render();
+    } catch (error) {
+      // Error already shown in the diagram panel
+    }
+    NotificationManager.show(`Reloaded ${doc.displayName} from disk`, 'success');
+  }
+
+  /**
+   * Keep the editor text. The disk version becomes the new base, so the next
+   * save overwrites it without asking again.
+   */
+  static keepMine() {
+    const doc = appState.activeDocument;
+    const disk = doc.externalChange;
+    if (!disk) return;
+
+    ExternalChangeWatcher.adopt(doc, disk, elements.diagramText.value !== disk.text);
+  }
+
+  /**
+   * Put merged text in the editor; it still differs from disk until saved
+   * @param {string} text - Merged text
+   */
+  static applyMerge(text) {
+    const doc = appState.activeDocument;
+    const disk = doc.externalChange;
+    if (!disk) return;
+
+    HistoryManager.applyEdit(text, 'Merge with disk', { notify: false });
+    ExternalChangeWatcher.adopt(doc, disk, text !== disk.text);
+    try {
+      // Conflict markers do not parse; the error shows where they are
+      DiagramRenderer.render();
+    } catch (error) {
+      // Error already shown in the diagram panel
+    }
+  }
+
+  /**
+   * Make a disk version the document's base and clear the banner
+   * @private
+   * @param {DiagramDocument} doc - Active document
+   * @param {{text: string, lastModified: number}} disk - Disk version
+   * @param {boolean} unsaved - Whether the editor still differs from disk
+   */
+  static adopt(doc, disk, unsaved) {
+    doc.diskVersion = disk;
+    doc.externalChange = null;
+    if (unsaved) {
+      appState.markAsChanged();
+    } else {
+      appState.markAsSaved();
+      DraftStore.discard(doc.id);
+    }
+    UIManager.updateFileStatus();
+    TabManager.persist();
+    ExternalChangeWatcher.updateBanner();
+  }
+
+  /**
+   * Three-way view: what you changed and what changed on disk since the file
+   * was loaded or saved, and the merge of both
+   */
+  static showDiff() {
+    const doc = appState.activeDocument;
+    const disk = doc.externalChange;
+    if (!disk) return;
+
+    const base = doc.diskVersion?.text ?? '';
+    const mine = elements.diagramText.value;
+    const merge = TextDiff.merge3(base, mine, disk.text);
+
+    const content = document.createElement('div');
+    content.className = 'three-way-diff';
+
+    const addPane = (caption, view) => {
+      const pane = document.createElement('div');
+      pane.className = 'three-way-pane';
+      const label = document.createElement('p');
+      label.className = 'diff-caption';
+      label.textContent = caption;
+      pane.append(label, view);
+      content.appendChild(pane);
+    };
+
+    addPane('Your changes (last loaded or saved → editor)', TextDiff.render(base, mine));
+    addPane('Changes on disk (last loaded or saved → file)', TextDiff.render(base, disk.text));
+
+    const merged = document.createElement('pre');
+    merged.className = 'diff-view merge-view';
+    merged.textContent = merge.text;
+    addPane(merge.conflicts
+      ? `Merged, with ${merge.conflicts} conflict${merge.conflicts === 1 ? '' : 's'} marked <<<<<<< … >>>>>>>`
+      : 'Merged (no conflicts)', merged);
+
+    DialogManager.open({
+      title: `${doc.displayName} changed on disk`,
+      content,
+      actions: [
+        { label: 'Cancel', className: 'btn-secondary' },
+        { label: 'Keep mine', className: 'btn-secondary', onClick: () => ExternalChangeWatcher.keepMine() },
+        { label: 'Reload', className: 'btn-secondary', onClick: () => ExternalChangeWatcher.reload() },
+        { label: 'Use merge', className: 'btn-primary', onClick: () => ExternalChangeWatcher.applyMerge(merge.text) }
+      ]
+    });
+  }
+
+  /**
+   * Before saving over a file, ask when it changed on disk since it was loaded
+   * or saved here
+   * @param {DiagramDocument} doc - Document being saved
+   * @returns {Promise<boolean>} True when saving may go ahead
+   */
+  static async confirmOverwrite(doc) {
+    // Saving needs write access anyway; asking for it now lets the file be read first
+    if (await doc.handle.queryPermission?.({ mode: 'readwrite' }) === 'prompt') {
+      await doc.handle.requestPermission({ mode: 'readwrite' });
+    }
+
+    if (!doc.diskVersion) {
+      // No known base (e.g. a draft from an older version): compare with the file itself
+      const disk = await DraftStore.readDiskVersion(doc.handle);
+      if (!disk || disk.text === elements.diagramText.value) return true;
+      return confirm(
+        `"${doc.displayName}" on disk differs from what you are saving, and it is not known ` +
+        'whether it was changed elsewhere since you opened it. Overwrite it?'
+      );
+    }
+
+    let disk = null;
+    try {
+      disk = await ExternalChangeWatcher.readChange(doc);
+    } catch (error) {
+      // Unreadable files (e.g. deleted) are simply written again
+      return true;
+    }
+    if (!disk || disk.text === elements.diagramText.value) return true;
+
+    doc.externalChange = disk;
+    ExternalChangeWatcher.updateBanner();
+    return confirm(
+      `"${doc.displayName}" was changed on disk since you opened or last saved it. ` +
+      'Saving will overwrite those changes. Save anyway?'
+    );
+  }
+}
+
+/**
+ * Folder workspace: a sidebar tree of the diagram files in a folder opened with
+ * showDirectoryPicker. The folder handle is kept in IndexedDB, so the workspace
+ * comes back on the next visit once the browser grants access again.
+ * @class
+ */
+class WorkspaceManager {
+  /** @private {FileSystemDirectoryHandle|null} Open workspace folder */
+  static _directory = null;
+
+  /** @private {Object|null} Scanned folder tree */
+  static _tree = null;
+
+  /** @private {Set<string>} Paths of the folders the user collapsed */
+  static _collapsed = new Set();
+
+  /** @private {Map<string, {lastModified: number, url: string}>} Rendered thumbnails by path */
+  static _thumbnails = new Map();
+
+  /** @private {number|null} Pending hover before a thumbnail is shown */
+  static _hoverTimeoutId = null;
+
+  /** @private {string|null} Row whose thumbnail is wanted, so late renders for other rows are dropped */
+  static _hoverPath = null;
+
+  /**
+   * Check if folders can be opened in this browser
+   * @returns {boolean} True if showDirectoryPicker is available
+   */
+  static isSupported() {
+    return 'showDirectoryPicker' in window;
+  }
+
+  /**
+   * Extensions of the files listed in a workspace
+   * @returns {string[]}
+   */
+  static fileExtensions() {
+    return RendererRegistry.fileExtensions(WORKSPACE_FILE_EXTENSIONS);
+  }
+
+  /**
+   * Check whether a file belongs in the workspace tree
+   * @param {string} fileName - File name
+   * @returns {boolean} True for diagram sources, including name.<diagram-ext>.txt
+   */
+  static isListed(fileName) {
+    const sourceName = FileManager.sourceFileName(fileName);
+    const ext = sourceName.slice(sourceName.lastIndexOf('.')).toLowerCase();
+    return sourceName.includes('.') && WorkspaceManager.fileExtensions().includes(ext);
+  }
+
+  /**
+   * Open workspace folder
+   * @returns {FileSystemDirectoryHandle|null}
+   */
+  static get directory() {
+    return WorkspaceManager._directory;
+  }
+
+  /**
+   * Offer the folder buttons where supported and reopen the last workspace
+   */
+  static initialize() {
+    [elements.openFolderBtn, elements.batchExportBtn].forEach((button) => {
+      if (button) button.hidden = !WorkspaceManager.isSupported();
+    });
+
+    WorkspaceManager.restore().catch((error) => {
+      console.warn(`Failed to restore workspace: ${error.message}`);
+    });
+  }
+
+  /**
+   * Reopen the folder stored by the last session. Without a user gesture the
+   * browser can only confirm access that is still granted, so otherwise the
+   * sidebar offers a button to ask again.
+   * @private
+   * @returns {Promise<void>}
+   */
+  static async restore() {
+    if (!WorkspaceManager.isSupported() || !IndexedDbManager.isSupported()) return;
+
+    const record = await IndexedDbManager.get(IDB_STORE_WORKSPACE, 'current');
+    if (!record?.handle) return;
+
+    if (await WorkspaceManager.hasPermission(record.handle, false)) {
+      await WorkspaceManager.setDirectory(record.handle);
+    } else {
+      WorkspaceManager.showReconnect(record.handle);
+    }
+  }
+
+  /**
+   * Let the user pick a folder and show its diagrams in the sidebar
+   * @returns {Promise<void>}
+   */
+  static async openFolder() {
+    if (!WorkspaceManager.isSupported()) {
+      throw new Error('Opening folders is not supported in this browser');
+    }
+
+    const handle = await window.showDirectoryPicker({ id: 'workspace', mode: 'readwrite' });
+    WorkspaceManager._collapsed.clear();
+    WorkspaceManager._thumbnails.clear();
+    await WorkspaceManager.setDirectory(handle);
+
+    try {
+      await IndexedDbManager.put(IDB_STORE_WORKSPACE, { id: 'current', handle });
+    } catch (error) {
+      console.warn(`Failed to remember workspace: ${error.message}`);
+    }
+    NotificationManager.show(`Opened folder: ${handle.name}`, 'success');
+  }
+
+  /**
+   * Close the workspace and forget it for future sessions
+   * @returns {Promise<void>}
+   */
+  static async close() {
+    WorkspaceManager._directory = null;
+    WorkspaceManager._tree = null;
+    WorkspaceManager._collapsed.clear();
+    WorkspaceManager._thumbnails.clear();
+    WorkspaceManager.hideThumbnail();
+    if (elements.workspaceSidebar) elements.workspaceSidebar.hidden = true;
+
+    try {
+      await IndexedDbManager.delete(IDB_STORE_WORKSPACE, 'current');
+    } catch (error) {
+      console.warn(`Failed to forget workspace: ${error.message}`);
+    }
+  }
+
+  /**
+   * Check, and optionally request, read/write access to a folder
+   * @private
+   * @param {FileSystemDirectoryHandle} handle - Folder handle
+   * @param {boolean} request - Ask the user when access is not granted (needs a user gesture)
+   * @returns {Promise<boolean>} True when access is granted
+   */
+  static async hasPermission(handle, request) {
+    const options = { mode: 'readwrite' };
+    if (await handle.queryPermission?.(options) === 'granted') return true;
+    return request && await handle.requestPermission?.(options) === 'granted';
+  }
+
+  /**
+   * Make a folder the workspace and list its diagrams
+   * @private
+   * @param {FileSystemDirectoryHandle} handle - Folder handle
+   * @returns {Promise<void>}
+   */
+  static async setDirectory(handle) {
+    WorkspaceManager._directory = handle;
+    WorkspaceManager.showSidebar(handle.name);
+    await WorkspaceManager.refresh();
+  }
+
+  /**
+   * Show the sidebar titled with the folder name, in its saved collapsed state
+   * @private
+   * @param {string} name - Folder name
+   */
+  static showSidebar(name) {
+    if (!elements.workspaceSidebar) return;
+
+    elements.workspaceSidebar.hidden = false;
+    elements.workspaceTitle.textContent = name;
+    elements.workspaceTitle.title = name;
+    WorkspaceManager.setCollapsed(StorageManager.getItem(STORAGE_KEY_WORKSPACE_COLLAPSED) === 'true');
+  }
+
+  /**
+   * Show the remembered folder with a button to grant access to it again
+   * @private
+   * @param {FileSystemDirectoryHandle} handle - Remembered folder handle
+   */
+  static showReconnect(handle) {
+    WorkspaceManager.showSidebar(handle.name);
+    if (!elements.workspaceTree) return;
+
+    const message = document.createElement('p');
+    message.className = 'workspace-empty';
+    message.textContent = `Allow access to "${handle.name}" again to browse its diagrams.`;
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'btn btn-secondary';
+    button.textContent = '🔓 Reconnect';
+    button.addEventListener('click', ErrorHandler.asyncWrapper(async () => {
+      if (!await WorkspaceManager.hasPermission(handle, true)) {
+        throw new Error(`Access to "${handle.name}" was not granted`);
+      }
+      await WorkspaceManager.setDirectory(handle);
+    }, 'Failed to reopen folder', 'WorkspaceReconnect'));
+
+    elements.workspaceTree.innerHTML = '';
+    elements.workspaceTree.append(message, button);
+  }
+
+  /**
+   * Show or hide the sidebar's file tree, remembering the choice
+   */
+  static toggleCollapsed() {
+    if (!elements.workspaceSidebar || elements.workspaceSidebar.hidden) {
+      NotificationManager.show('Open a folder first', 'info');
+      return;
+    }
+
+    const collapsed = !elements.workspaceSidebar.classList.contains('collapsed');
+    WorkspaceManager.setCollapsed(collapsed);
+    StorageManager.setItem(STORAGE_KEY_WORKSPACE_COLLAPSED, String(collapsed));
+  }
+
+  /**
+   * Apply the collapsed state to the sidebar
+   * @private
+   * @param {boolean} collapsed - Hide the file tree
+   */
+  static setCollapsed(collapsed) {
+    elements.workspaceSidebar.classList.toggle('collapsed', collapsed);
+    if (elements.workspaceCollapseBtn) {
+      elements.workspaceCollapseBtn.textContent = collapsed ? '»' : '«';
+      elements.workspaceCollapseBtn.title = collapsed ? 'Show the file tree' : 'Hide the file tree';
+      elements.workspaceCollapseBtn.setAttribute('aria-expanded', String(!collapsed));
+    }
+  }
+
+  /**
+   * Rescan the workspace folder and redraw the tree
+   * @returns {Promise<void>}
+   */
+  static async refresh() {
+    const directory = WorkspaceManager._directory;
+    if (!directory) return;
+
+    const tree = await WorkspaceManager.scan(directory, '', 0);
+    if (directory !== WorkspaceManager._directory) return;
+
+    WorkspaceManager._tree = tree;
+    WorkspaceManager.renderTree();
+    await WorkspaceManager.highlightActive();
+  }
+
+  /**
+   * List the diagram files below a folder. Hidden and dependency folders are
+   * skipped, and folders without diagrams are left out.
+   * @param {FileSystemDirectoryHandle} directory - Folder to scan
+   * @param {string} path - Folder path relative to the workspace ('' for the root)
+   * @param {number} depth - Nesting level
+   * @returns {Promise<Object>} Folder node with sorted children
+   */
+  static async scan(directory, path, depth) {
+    const children = [];
+
+    for await (const [name, handle] of directory.entries()) {
+      const childPath = path ? `${path}/${name}` : name;
+
+      if (handle.kind === 'directory') {
+        if (name.startsWith('.') || WORKSPACE_SKIPPED_FOLDERS.includes(name) || depth >= MAX_WORKSPACE_DEPTH) {
+          continue;
+        }
+        const folder = await WorkspaceManager.scan(handle, childPath, depth + 1);
+        if (folder.children.length) children.push(folder);
+      } else if (WorkspaceManager.isListed(name)) {
+        children.push({ kind: 'file', name, path: childPath, handle, parent: directory });
+      }
+    }
+
+    children.sort((a, b) => {
+      if (a.kind !== b.kind) return a.kind === 'directory' ? -1 : 1;
+      return a.name.localeCompare(b.name, undefined, { numeric: true });
+    });
+
+    return { kind: 'directory', name: directory.name, path, handle: directory, children };
+  }
+
+  /**
+   * Find a node of the scanned tree
+   * @private
+   * @param {string} path - Path relative to the workspace ('' for the root)
+   * @returns {Object|null} File or folder node
+   */
+  static findNode(path) {
+    let node = WorkspaceManager._tree;
+    if (!node || !path) return node;
+
+    for (const name of path.split('/')) {
+      node = node.children?.find((child) => child.name === name);
+      if (!node) return null;
+    }
+    return node;
+  }
+
+  /**
+   * Redraw the file tree from the last scan
+   * @private
+   */
+  static renderTree() {
+    const container = elements.workspaceTree;
+    if (!container) return;
+
+    container.innerHTML = '';
+    container.dataset.path = '';
+
+    if (!WorkspaceManager._tree.children.length) {
+      const empty = document.createElement('p');
+      empty.className = 'workspace-empty';
+      empty.textContent = `No diagrams here yet. Use ➕ to create one (${WorkspaceManager.fileExtensions().join(', ')}).`;
+      container.appendChild(empty);
+      return;
+    }
+
+    container.appendChild(WorkspaceManager.renderEntries(WorkspaceManager._tree.children));
+  }
+
+  /**
+   * Build the list for one folder level
+   * @private
+   * @param {Object[]} entries - File and folder nodes
+   * @returns {HTMLUListElement}
+   */
+  static renderEntries(entries) {
+    const list = document.createElement('ul');
+    list.className = 'workspace-list';
+    list.setAttribute('role', 'group');
+
+    entries.forEach((entry) => {
+      const item = document.createElement('li');
+      item.setAttribute('role', 'treeitem');
+
+      if (entry.kind === 'directory') {
+        const folder = document.createElement('details');
+        folder.className = 'workspace-folder';
+        folder.dataset.path = entry.path;
+        folder.open = !WorkspaceManager._collapsed.has(entry.path);
+        folder.addEventListener('toggle', () => {
+          if (folder.open) {
+            WorkspaceManager._collapsed.delete(entry.path);
+          } else {
+            WorkspaceManager._collapsed.add(entry.path);
+          }
+        });
+
+        const summary = document.createElement('summary');
+        const name = document.createElement('span');
+        name.className = 'workspace-name';
+        name.textContent = `📁 ${entry.name}`;
+        summary.append(name, WorkspaceManager.createActionButton('new', '➕', `New diagram in ${entry.name}`));
+
+        folder.append(summary, WorkspaceManager.renderEntries(entry.children));
+        item.appendChild(folder);
+      } else {
+        const row = document.createElement('div');
+        row.className = 'workspace-file';
+        row.dataset.path = entry.path;
+        row.addEventListener('mouseenter', WorkspaceManager.handleRowEnter);
+        row.addEventListener('mouseleave', WorkspaceManager.handleRowLeave);
+
+        const open = WorkspaceManager.createActionButton('open', entry.name, entry.path);
+        open.classList.add('workspace-name');
+
+        row.append(
+          open,
+          WorkspaceManager.createActionButton('rename', '✏️', `Rename ${entry.name}`),
+          WorkspaceManager.createActionButton('delete', '🗑️', `Delete ${entry.name}`)
+        );
+        item.appendChild(row);
+      }
+
+      list.appendChild(item);
+    });
+
+    return list;
+  }
+
+  /**
+   * Button for a tree row, handled by handleWorkspaceTreeClick
+   * @private
+   * @param {string} action - open, new, rename or delete
+   * @param {string} text - Button text
+   * @param {string} title - Tooltip and accessible name
+   * @returns {HTMLButtonElement}
+   */
+  static createActionButton(action, text, title) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = action === 'open' ? 'workspace-action' : 'workspace-action workspace-icon';
+    button.dataset.action = action;
+    button.textContent = text;
+    button.title = title;
+    if (action !== 'open') button.setAttribute('aria-label', title);
+    return button;
+  }
+
+  /**
+   * Run the action of a clicked tree button
+   * @param {MouseEvent} event - Click inside the tree
+   * @returns {Promise<void>}
+   */
+  static async handleTreeClick(event) {
+    const button = event.target.closest('button[data-action]');
+    const node = button && WorkspaceManager.findNode(button.closest('[data-path]')?.dataset.path ?? '');
+    if (!node) return;
+
+    // Buttons inside a folder's summary must not also toggle the folder
+    event.preventDefault();
+
+    switch (button.dataset.action) {
+      case 'open':
+        await WorkspaceManager.open(node);
+        break;
+      case 'new':
+        await WorkspaceManager.createFile(node);
+        break;
+      case 'rename':
+        await WorkspaceManager.rename(node);
+        break;
+      case 'delete':
+        await WorkspaceManager.remove(node);
+        break;
+    }
+  }
+
+  /**
+   * Open a workspace file, or switch to its tab when it is already open
+   * @param {{handle: FileSystemFileHandle}} node - File node
+   * @returns {Promise<void>}
+   */
+  static async open(node) {
+    const existing = await TabManager.findByHandle(node.handle);
+    if (existing) {
+      TabManager.activate(existing.id);
+      return;
+    }
+
+    const file = await node.handle.getFile();
+    FileManager.loadFileContent(await file.text(), FileManager.sourceFileName(file.name), node.handle);
+  }
+
+  /**
+   * Ask for a name and create an empty diagram in a folder
+   * @param {Object} folder - Folder node
+   * @returns {Promise<void>}
+   */
+  static async createFile(folder) {
+    const name = prompt(`New diagram in ${folder.path || folder.name}:`, 'diagram.mmd')?.trim();
+    if (!name) return;
+
+    const problem = await WorkspaceManager.checkName(folder.handle, name);
+    if (problem) {
+      NotificationManager.show(problem, 'error');
+      return;
+    }
+
+    const handle = await folder.handle.getFileHandle(name, { create: true });
+    await WorkspaceManager.writeFile(handle, '');
+    await WorkspaceManager.refresh();
+    await WorkspaceManager.open({ handle });
+    NotificationManager.show(`Created ${name}`, 'success');
+  }
+
+  /**
+   * Ask for a new name and rename a file, keeping its open tab attached
+   * @param {Object} node - File node
+   * @returns {Promise<void>}
+   */
+  static async rename(node) {
+    const name = prompt(`Rename ${node.name} to:`, node.name)?.trim();
+    if (!name || name === node.name) return;
+
+    const problem = await WorkspaceManager.checkName(node.parent, name, node.name);
+    if (problem) {
+      NotificationManager.show(problem, 'error');
+      return;
+    }
+
+    const doc = await TabManager.findByHandle(node.handle);
+    let handle = node.handle;
+    if (typeof handle.move === 'function') {
+      await handle.move(name);
+    } else {
+      handle = await WorkspaceManager.copyToName(node, name);
+    }
+
+    if (doc) {
+      doc.handle = handle;
+      doc.name = name;
+      doc.inputName = name;
+      if (doc === appState.activeDocument) {
+        elements.filenameInput.value = name;
+        UIManager.updatePngFilename();
+      }
+      UIManager.updateFileStatus();
+      TabManager.persist();
+    }
+
+    WorkspaceManager._thumbnails.delete(node.path);
+    await WorkspaceManager.refresh();
+    NotificationManager.show(`Renamed to ${name}`, 'success');
+  }
+
+  /**
+   * Rename by copying, for browsers without FileSystemHandle.move(). A name that
+   * differs only in case is the same file on case-insensitive file systems, so
+   * such renames go through a temporary copy; the source is never removed when
+   * it turns out to be the new file.
+   * @private
+   * @param {Object} node - File node
+   * @param {string} name - New name
+   * @returns {Promise<FileSystemFileHandle>} Handle of the renamed file
+   */
+  static async copyToName(node, name) {
+    const text = await (await node.handle.getFile()).text();
+    let source = node.handle;
+    let sourceName = node.name;
+
+    if (name.toLowerCase() === node.name.toLowerCase()) {
+      sourceName = `${node.name}.${Date.now()}.renaming`;
+      source = await node.parent.getFileHandle(sourceName, { create: true });
+      await WorkspaceManager.writeFile(source, text);
+      await node.parent.removeEntry(node.name);
+    }
+
+    const handle = await node.parent.getFileHandle(name, { create: true });
+    if (await handle.isSameEntry(source)) {
+      throw new Error(`${node.name} could not be renamed to ${name} in this browser`);
+    }
+    await WorkspaceManager.writeFile(handle, text);
+    await node.parent.removeEntry(sourceName);
+    return handle;
+  }
+
+  /**
+   * Delete a file after confirming. An open tab keeps the text as unsaved work.
+   * @param {Object} node - File node
+   * @returns {Promise<void>}
+   */
+  static async remove(node) {
+    if (node.kind !== 'file') return;
+    if (!confirm(`Delete "${node.path}" from ${WorkspaceManager._directory.name}? This cannot be undone.`)) return;
+
+    const doc = await TabManager.findByHandle(node.handle);
+    await node.parent.removeEntry(node.name);
+
+    if (doc) {
+      doc.handle = null;
+      doc.hasUnsavedChanges = true;
+      UIManager.updateFileStatus();
+      TabManager.persist();
+    }
+
+    WorkspaceManager._thumbnails.delete(node.path);
+    await WorkspaceManager.refresh();
+    NotificationManager.show(
+      doc ? `Deleted ${node.name}; its tab keeps the text until you close it` : `Deleted ${node.name}`,
+      'success'
+    );
+  }
+
+  /**
+   * Check a proposed file name: a plain diagram file name that is not taken
+   * @private
+   * @param {FileSystemDirectoryHandle} directory - Folder the file goes into
+   * @param {string} name - Proposed file name
+   * @param {string} [currentName] - Name being replaced (a change of case only is allowed)
+   * @returns {Promise<string|null>} Problem to show the user, or null when the name is fine
+   */
+  static async checkName(directory, name, currentName = null) {
+    if (/[\\/:*?"<>|]/.test(name)) {
+      return 'File names cannot contain \\ / : * ? " < > |';
+    }
+    if (!WorkspaceManager.isListed(name)) {
+      return `Use one of these extensions: ${WorkspaceManager.fileExtensions().join(', ')}`;
+    }
+    if (name.toLowerCase() === currentName?.toLowerCase()) {
+      return null;
+    }
+
+    try {
+      await directory.getFileHandle(name);
+      return `"${name}" already exists`;
+    } catch (error) {
+      // TypeMismatchError means a folder has the name
+      return error.name === 'NotFoundError' ? null : `"${name}" already exists`;
+    }
+  }
+
+  /**
+   * Replace a file's content
+   * @param {FileSystemFileHandle} handle - File handle
+   * @param {string|Blob} content - New content
+   * @returns {Promise<void>}
+   */
+  static async writeFile(handle, content) {
+    const writable = await handle.createWritable();
+    await writable.write(content);
+    await writable.close();
+  }
+
+  /**
+   * Mark the tree row of the active tab's file
+   * @returns {Promise<void>}
+   */
+  static async highlightActive() {
+    const rows = elements.workspaceTree?.querySelectorAll('.workspace-file') || [];
+    const handle = appState.activeDocument.handle;
+
+    for (const row of rows) {
+      const node = WorkspaceManager.findNode(row.dataset.path);
+      const isActive = Boolean(handle && node && await node.handle.isSameEntry(handle).catch(() => false));
+      row.classList.toggle('active', isActive);
+    }
+  }
+
+  /**
+   * Show a row's thumbnail after a short hover
+   * @param {MouseEvent} event - mouseenter on a file row
+   */
+  static handleRowEnter(event) {
+    const row = event.currentTarget;
+    clearTimeout(WorkspaceManager._hoverTimeoutId);
+    WorkspaceManager._hoverPath = row.dataset.path;
+    WorkspaceManager._hoverTimeoutId = setTimeout(() => {
+      WorkspaceManager.showThumbnail(row).catch((error) => {
+        console.warn(`Failed to show thumbnail: ${error.message}`);
+      });
+    }, THUMBNAIL_HOVER_DELAY);
+  }
+
+  /**
+   * Hide the thumbnail when the pointer leaves a row
+   */
+  static handleRowLeave() {
+    clearTimeout(WorkspaceManager._hoverTimeoutId);
+    WorkspaceManager._hoverPath = null;
+    WorkspaceManager.hideThumbnail();
+  }
+
+  /**
+   * Show the thumbnail popover beside a file row
+   * @private
+   * @param {HTMLElement} row - File row
+   * @returns {Promise<void>}
+   */
+  static async showThumbnail(row) {
+    const path = row.dataset.path;
+    const node = WorkspaceManager.findNode(path);
+    if (!node) return;
+
+    let popover = document.getElementById('workspaceThumbnail');
+    if (!popover) {
+      popover = document.createElement('div');
+      popover.id = 'workspaceThumbnail';
+      popover.className = 'workspace-thumbnail';
+      document.body.appendChild(popover);
+    }
+
+    const rect = row.getBoundingClientRect();
+    popover.style.left = `${rect.right + 8}px`;
+    popover.style.top = `${Math.max(8, Math.min(rect.top, window.innerHeight - 240))}px`;
+    popover.textContent = 'Rendering preview…';
+    popover.hidden = false;
+
+    let content;
+    try {
+      const img = document.createElement('img');
+      img.src = await WorkspaceManager.getThumbnail(node);
+      img.alt = `Preview of ${node.name}`;
+      content = img;
+    } catch (error) {
+      content = `No preview: ${error.message}`;
+    }
+
+    if (WorkspaceManager._hoverPath !== path) return;
+    popover.innerHTML = '';
+    popover.append(content);
+  }
+
+  /**
+   * Hide the thumbnail popover
+   * @private
+   */
+  static hideThumbnail() {
+    const popover = document.getElementById('workspaceThumbnail');
+    if (popover) popover.hidden = true;
+  }
+
+  /**
+   * Render a file's diagram as an SVG data URL, cached until the file changes
+   * @private
+   * @param {Object} node - File node
+   * @returns {Promise<string>} Thumbnail data URL
+   */
+  static async getThumbnail(node) {
+    const file = await node.handle.getFile();
+    const cached = WorkspaceManager._thumbnails.get(node.path);
+    if (cached?.lastModified === file.lastModified) return cached.url;
+
+    let text = (await file.text()).trim();
+    let diagramType = DiagramTypeSelector.typeForFile(FileManager.sourceFileName(file.name), elements.diagramSelect.value);
+    if (DiagramTypeSelector.isPlantUml(file.name)) {
+      text = SyntaxConverter.convert(text, 'plantuml', 'mermaid').text;
+      diagramType = 'mermaid';
+    }
+    if (!text) {
+      throw new Error('the file is empty');
+    }
+
+    let svg;
+    try {
+      svg = await DiagramRenderer.renderDetached(text, diagramType);
+    } catch (error) {
+      throw new Error(RendererRegistry.parseError(diagramType, error, text).message);
+    }
+
+    const { width, height } = ViewportManager.getNaturalSize(svg);
+    const markup = ClipboardManager.serializeSvgWithSize(svg, width, height, true);
+    const url = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(markup)}`;
+    WorkspaceManager._thumbnails.set(node.path, { lastModified: file.lastModified, url });
+    return url;
+  }
+}
+
+/**
+ * Handle Open Folder button click
+ */
+const handleOpenFolderClick = ErrorHandler.asyncWrapper(
+  () => WorkspaceManager.openFolder(), 'Failed to open folder', 'OpenFolder'
+);
+
+/**
+ * Handle clicks on the workspace tree's buttons
+ */
+const handleWorkspaceTreeClick = ErrorHandler.asyncWrapper(
+  (event) => WorkspaceManager.handleTreeClick(event), 'Workspace action failed', 'WorkspaceTree'
+);
+
+/**
+ * Handle the sidebar's New button (creates in the workspace root)
+ */
+const handleWorkspaceNewClick = ErrorHandler.asyncWrapper(async () => {
+  const root = WorkspaceManager.findNode('');
+  if (!root) throw new Error('Reconnect the folder first');
+  await WorkspaceManager.createFile(root);
+}, 'Failed to create file', 'WorkspaceNew');
+
+/**
+ * Handle the sidebar's Refresh button
+ */
+const handleWorkspaceRefreshClick = ErrorHandler.asyncWrapper(
+  () => WorkspaceManager.refresh(), 'Failed to refresh folder', 'WorkspaceRefresh'
+);
+
+/**
+ * Recently opened and saved files, kept with their handles in IndexedDB so they
+ * can be reopened after a reload. The last export folder is stored alongside.
+ * @class
+ */
+class RecentFilesManager {
+  /**
+   * Offer the Recent menu where file handles exist and restore the last export folder
+   */
+  static initialize() {
+    if (elements.recentBtn) {
+      elements.recentBtn.hidden = !supportsFileSystemAccess;
+    }
+    if (!supportsFileSystemAccess || !IndexedDbManager.isSupported()) return;
+
+    IndexedDbManager.get(IDB_STORE_RECENT_FILES, RECENT_EXPORT_DIRECTORY_ID)
+      .then((record) => {
+        if (record?.handle && !appState.lastPngDirectory) {
+          appState.lastPngDirectory = record.handle;
+        }
+      })
+      .catch((error) => console.warn(`Failed to restore export folder: ${error.message}`));
+  }
+
+  /**
+   * Read the recent files, pinned first and then most recently used
+   * @returns {Promise<Object[]>} Recent file entries
+   */
+  static async list() {
+    const records = await IndexedDbManager.getAll(IDB_STORE_RECENT_FILES);
+    return records
+      .filter((record) => record.id !== RECENT_EXPORT_DIRECTORY_ID)
+      .sort((a, b) => Number(b.pinned) - Number(a.pinned) || b.openedAt - a.openedAt);
+  }
+
+  /**
+   * Record a file that was opened or saved
+   * @param {FileSystemFileHandle} handle - File handle
+   * @returns {Promise<void>}
+   */
+  static async add(handle) {
+    if (!handle || !IndexedDbManager.isSupported()) return;
+
+    try {
+      const existing = await RecentFilesManager.findEntry(await RecentFilesManager.list(), handle);
+      let lastModified = existing?.lastModified ?? null;
+      try {
+        lastModified = (await handle.getFile()).lastModified;
+      } catch (error) {
+        // Keep the last known time when the file cannot be read right now
+      }
+
+      await IndexedDbManager.put(IDB_STORE_RECENT_FILES, {
+        id: existing?.id || `recent-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+        kind: 'file',
+        handle,
+        name: handle.name,
+        pinned: existing?.pinned || false,
+        openedAt: Date.now(),
+        lastModified
+      });
+      await RecentFilesManager.prune();
+    } catch (error) {
+      console.warn(`Failed to update recent files: ${error.message}`);
+    }
+  }
+
+  /**
+   * Remember the folder of the last export for the next session
+   * @param {FileSystemHandle|null|undefined} directory - Export folder, or the last file exported into it
+   * @returns {Promise<void>}
+   */
+  static async rememberExportDirectory(directory) {
+    if (!directory || !IndexedDbManager.isSupported()) return;
+
+    try {
+      await IndexedDbManager.put(IDB_STORE_RECENT_FILES, {
+        id: RECENT_EXPORT_DIRECTORY_ID,
+        kind: 'exportLocation',
+        handle: directory,
+        name: directory.name
+      });
+    } catch (error) {
+      console.warn(`Failed to remember export folder: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find the entry for a file
+   * @private
+   * @param {Object[]} entries - Recent file entries
+   * @param {FileSystemFileHandle} handle - File handle
+   * @returns {Promise<Object|null>} Matching entry, or null
+   */
+  static async findEntry(entries, handle) {
+    for (const entry of entries) {
+      try {
+        if (await entry.handle.isSameEntry(handle)) return entry;
+      } catch (error) {
+        // A stale handle cannot match
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Drop the oldest unpinned entries beyond the limit
+   * @private
+   * @returns {Promise<void>}
+   */
+  static async prune() {
+    const unpinned = (await RecentFilesManager.list()).filter((entry) => !entry.pinned);
+    const excess = unpinned.slice(MAX_RECENT_FILES);
+    await Promise.all(excess.map((entry) => IndexedDbManager.delete(IDB_STORE_RECENT_FILES, entry.id)));
+  }
+
+  /**
+   * Reopen a recent file, asking for access again when the browser needs it
+   * @param {Object} entry - Recent file entry
+   * @returns {Promise<void>}
+   */
+  static async open(entry) {
+    const options = { mode: 'readwrite' };
+    let permission = await entry.handle.queryPermission?.(options);
+    if (permission && permission !== 'granted') {
+      permission = await entry.handle.requestPermission(options);
+    }
+    if (permission && permission !== 'granted') {
+      NotificationManager.show(`Access to ${entry.name} was not granted`, 'error');
+      return;
+    }
+
+    const existing = await TabManager.findByHandle(entry.handle);
+    if (existing) {
+      TabManager.activate(existing.id);
+      return;
+    }
+
+    let file;
+    try {
+      file = await entry.handle.getFile();
+    } catch (error) {
+      if (error.name !== 'NotFoundError') throw error;
+      await IndexedDbManager.delete(IDB_STORE_RECENT_FILES, entry.id);
+      NotificationManager.show(`${entry.name} no longer exists and was removed from the recent files`, 'error');
+      return;
+    }
+
+    FileManager.loadFileContent(await file.text(), FileManager.sourceFileName(file.name), entry.handle);
+    NotificationManager.show(`Opened ${file.name}`, 'success');
+  }
+
+  /**
+   * Open the Recent menu below its button, or close it when open
+   * @returns {Promise<void>}
+   */
+  static async toggleMenu() {
+    if (document.getElementById('recentMenu')) {
+      RecentFilesManager.closeMenu();
+      return;
+    }
+
+    const menu = document.createElement('div');
+    menu.id = 'recentMenu';
+    menu.className = 'recent-menu';
+    menu.setAttribute('role', 'menu');
+    menu.addEventListener('click', handleRecentMenuClick);
+
+    const rect = elements.recentBtn?.getBoundingClientRect();
+    menu.style.left = `${rect?.left ?? 16}px`;
+    menu.style.top = `${(rect?.bottom ?? 16) + 4}px`;
+    document.body.appendChild(menu);
+    elements.recentBtn?.setAttribute('aria-expanded', 'true');
+
+    document.addEventListener('mousedown', RecentFilesManager.handleOutsideClick);
+    document.addEventListener('keydown', RecentFilesManager.handleMenuKeyDown);
+    await RecentFilesManager.renderMenu(menu);
+  }
+
+  /**
+   * Close the Recent menu
+   */
+  static closeMenu() {
+    document.getElementById('recentMenu')?.remove();
+    elements.recentBtn?.setAttribute('aria-expanded', 'false');
+    document.removeEventListener('mousedown', RecentFilesManager.handleOutsideClick);
+    document.removeEventListener('keydown', RecentFilesManager.handleMenuKeyDown);
+  }
+
+  /**
+   * Close the menu on a press outside it (the Recent button toggles it itself)
+   * @private
+   * @param {MouseEvent} event - mousedown event
+   */
+  static handleOutsideClick(event) {
+    if (event.target.closest('#recentMenu, #recentBtn')) return;
+    RecentFilesManager.closeMenu();
+  }
+
+  /**
+   * Close the menu on Escape
+   * @private
+   * @param {KeyboardEvent} event - keydown event
+   */
+  static handleMenuKeyDown(event) {
+    if (event.key === 'Escape') RecentFilesManager.closeMenu();
+  }
+
+  /**
+   * Fill the menu with the recent files, then refresh their modified times
+   * @private
+   * @param {HTMLElement} menu - Menu element
+   * @returns {Promise<void>}
+   */
+  static async renderMenu(menu) {
+    const entries = await RecentFilesManager.list();
+    menu.innerHTML = '';
+
+    if (!entries.length) {
+      const empty = document.createElement('p');
+      empty.className = 'recent-empty';
+      empty.textContent = 'No recent files yet. Files you open or save appear here.';
+      menu.appendChild(empty);
+      return;
+    }
+
+    entries.forEach((entry) => {
+      const row = document.createElement('div');
+      row.className = `recent-item${entry.pinned ? ' pinned' : ''}`;
+      row.dataset.id = entry.id;
+
+      const open = document.createElement('button');
+      open.type = 'button';
+      open.className = 'recent-open';
+      open.dataset.action = 'open';
+      open.setAttribute('role', 'menuitem');
+
+      const name = document.createElement('span');
+      name.className = 'recent-name';
+      name.textContent = entry.name;
+      const time = document.createElement('span');
+      time.className = 'recent-time';
+      time.textContent = RecentFilesManager.describeModified(entry.lastModified);
+      open.append(name, time);
+
+      const pin = document.createElement('button');
+      pin.type = 'button';
+      pin.className = 'recent-action';
+      pin.dataset.action = 'pin';
+      pin.textContent = '📌';
+      pin.title = entry.pinned ? 'Unpin' : 'Pin to the top';
+      pin.setAttribute('aria-pressed', String(entry.pinned));
+
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.className = 'recent-action';
+      remove.dataset.action = 'remove';
+      remove.textContent = '✖';
+      remove.title = 'Remove from this list';
+
+      row.append(open, pin, remove);
+      menu.appendChild(row);
+    });
+
+    if (entries.some((entry) => !entry.pinned)) {
+      const clear = document.createElement('button');
+      clear.type = 'button';
+      clear.className = 'recent-clear';
+      clear.dataset.action = 'clear';
+      clear.textContent = 'Clear unpinned';
+      menu.appendChild(clear);
+    }
+
+    RecentFilesManager.refreshModifiedTimes(menu, entries);
+  }
+
+  /**
+   * Read the current modified time of entries that are still accessible
+   * without a prompt, updating the menu and the stored entries
+   * @private
+   * @param {HTMLElement} menu - Menu element
+   * @param {Object[]} entries - Entries shown in the menu
+   * @returns {Promise<void>}
+   */
+  static async refreshModifiedTimes(menu, entries) {
+    for (const entry of entries) {
+      try {
+        if (await entry.handle.queryPermission?.({ mode: 'read' }) !== 'granted') continue;
+        const { lastModified } = await entry.handle.getFile();
+        if (lastModified === entry.lastModified) continue;
+
+        await IndexedDbManager.put(IDB_STORE_RECENT_FILES, { ...entry, lastModified });
+        const time = menu.querySelector(`[data-id="${entry.id}"] .recent-time`);
+        if (time) time.textContent = RecentFilesManager.describeModified(lastModified);
+      } catch (error) {
+        // Moved or deleted files keep their last known time until reopened
+      }
+    }
+  }
+
+  /**
+   * Label for a file's last-modified time
+   * @private
+   * @param {number|null} lastModified - Timestamp in milliseconds
+   * @returns {string}
+   */
+  static describeModified(lastModified) {
+    return lastModified ? `Modified ${new Date(lastModified).toLocaleString()}` : 'Modified time unknown';
+  }
+
+  /**
+   * Run the action of a clicked menu button
+   * @param {MouseEvent} event - Click inside the menu
+   * @returns {Promise<void>}
+   */
+  static async handleMenuClick(event) {
+    const button = event.target.closest('button[data-action]');
+    if (!button) return;
+
+    const menu = event.currentTarget;
+    const entries = await RecentFilesManager.list();
+
+    if (button.dataset.action === 'clear') {
+      await Promise.all(entries.filter((entry) => !entry.pinned)
+        .map((entry) => IndexedDbManager.delete(IDB_STORE_RECENT_FILES, entry.id)));
+      await RecentFilesManager.renderMenu(menu);
+      return;
+    }
+
+    const entry = entries.find((item) => item.id === button.closest('[data-id]')?.dataset.id);
+    if (!entry) return;
+
+    switch (button.dataset.action) {
+      case 'open':
+        RecentFilesManager.closeMenu();
+        await RecentFilesManager.open(entry);
+        break;
+      case 'pin':
+        await IndexedDbManager.put(IDB_STORE_RECENT_FILES, { ...entry, pinned: !entry.pinned });
+        await RecentFilesManager.prune();
+        await RecentFilesManager.renderMenu(menu);
+        break;
+      case 'remove':
+        await IndexedDbManager.delete(IDB_STORE_RECENT_FILES, entry.id);
+        await RecentFilesManager.renderMenu(menu);
+        break;
+    }
+  }
+}
+
+/**
+ * Handle Recent button click
+ */
+const handleRecentClick = ErrorHandler.asyncWrapper(
+  () => RecentFilesManager.toggleMenu(), 'Failed to read recent files', 'RecentFiles'
+);
+
+/**
+ * Handle clicks inside the Recent menu
+ */
+const handleRecentMenuClick = ErrorHandler.asyncWrapper(
+  (event) => RecentFilesManager.handleMenuClick(event), 'Failed to open recent file', 'RecentFiles'
+);
+
+/**
+ * Startup recovery of drafts left behind by a crash or closed browser
+ * @class
+ */
+class DraftRecovery {
+  /**
+   * Find drafts that differ from (and are newer than) what would otherwise be
+   * shown, and offer to restore, compare or discard them
+   * @returns {Promise<void>}
+   */
+  static async checkForDrafts() {
+    const drafts = await DraftStore.getAll();
+    const candidates = [];
+
+    for (const draft of drafts) {
+      const doc = appState.documents.find((item) => item.id === draft.id) || null;
+
+      // Reattach the file handle that localStorage could not keep
+      if (doc && !doc.handle && draft.handle && draft.name === doc.name) {
+        doc.handle = draft.handle;
+        // The last loaded or saved version, so external changes are still noticed
+        doc.diskVersion = draft.diskVersion || null;
+      }
+
+      const disk = await DraftStore.readDiskVersion(draft.handle);
+      if (disk && disk.lastModified >= draft.savedAt) {
+        await DraftStore.discard(draft.id);
+        continue;
+      }
+
+      const baseText = disk?.text ?? doc?.text ?? '';
+      if (draft.text === baseText || (doc && doc.text === draft.text)) {
+        // Nothing to recover: drop it so it is not checked again on every start
+        await DraftStore.discard(draft.id);
+        continue;
+      }
+
+      candidates.push({ draft, doc, disk });
+    }
+
+    if (candidates.length) {
+      DraftRecovery.showDialog(candidates);
+    }
+  }
+
+  /**
+   * Show the recovery dialog
+   * @private
+   * @param {Array<{draft: Object, doc: DiagramDocument|null, disk: Object|null}>} candidates - Drafts to offer
+   */
+  static showDialog(candidates) {
+    const list = document.createElement('div');
+    list.className = 'draft-list';
+
+    const intro = document.createElement('p');
+    intro.textContent = 'Unsaved work from a previous session was found. Choose what to keep:';
+    list.appendChild(intro);
+
+    let dialog = null;
+    let remaining = candidates.length;
+    const settle = (entry) => {
+      entry.remove();
+      remaining -= 1;
+      if (remaining === 0) dialog?.close();
+    };
+
+    candidates.forEach((candidate) => {
+      const { draft } = candidate;
+      const entry = document.createElement('div');
+      entry.className = 'draft-entry';
+
+      const title = document.createElement('div');
+      title.className = 'draft-title';
+      title.textContent = `${draft.name || 'Untitled'} — autosaved ${new Date(draft.savedAt).toLocaleString()}`;
+      entry.appendChild(title);
+
+      const buttons = document.createElement('div');
+      buttons.className = 'draft-actions';
+      const diffHolder = document.createElement('div');
+
+      const addButton = (label, className, onClick) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = `btn ${className}`;
+        button.textContent = label;
+        button.addEventListener('click', onClick);
+        buttons.appendChild(button);
+      };
+
+      addButton('Restore', 'btn-primary', () => {
+        DraftRecovery.restore(candidate);
+        settle(entry);
+      });
+      addButton('Compare', 'btn-secondary', async () => {
+        if (diffHolder.firstChild) {
+          diffHolder.innerHTML = '';
+          return;
+        }
+        const disk = candidate.disk || await DraftStore.readDiskVersion(draft.handle, true);
+        const baseText = disk?.text ?? candidate.doc?.text ?? '';
+        const label = document.createElement('p');
+        label.className = 'diff-caption';
+        label.textContent = disk ? 'File on disk → draft' : 'Last saved session → draft';
+        diffHolder.append(label, TextDiff.render(baseText, draft.text));
+      });
+      addButton('Discard', 'btn-secondary', () => {
+        DraftStore.discard(draft.id);
+        settle(entry);
+      });
+
+      entry.append(buttons, diffHolder);
+      list.appendChild(entry);
+    });
+
+    dialog = DialogManager.open({
+      title: 'Recover unsaved drafts',
+      content: list,
+      actions: [{ label: 'Decide later', className: 'btn-secondary' }]
+    });
+  }
+
+  /**
+   * Restore a draft into its tab, or into a new tab if it is no longer open
+   * @private
+   * @param {{draft: Object, doc: DiagramDocument|null}} candidate - Draft to restore
+   */
+  static restore({ draft, doc }) {
+    TabManager.syncActiveDocument();
+
+    let target = doc;
+    if (!target) {
+      target = new DiagramDocument({ id: draft.id, name: draft.name });
+      appState.addDocument(target);
+    }
+
+    target.text = draft.text;
+    target.diagramType = draft.diagramType;
+    target.handle = target.handle || draft.handle || null;
+    target.hasUnsavedChanges = true;
+    target.lastSvg = null;
+
+    appState.setActiveDocument(target.id);
+    TabManager.showActiveDocument();
+    TabManager.persist();
+    NotificationManager.show(`Draft restored: ${target.displayName}`, 'success');
+  }
+}
+
+/**
+ * App-level undo/redo history, independent of the textarea's native undo
+ * @class
+ */
+class HistoryManager {
+  /**
+   * Record a user edit from the editor's input event. Consecutive keystrokes
+   * are grouped into one step; pastes, drops and cuts always start a new step.
+   * @param {InputEvent} event - Input event
+   */
+  static recordInput(event) {
+    const doc = appState.activeDocument;
+    const { history } = doc;
+    const now = Date.now();
+    const forcesNewStep = /^(insertFromPaste|insertFromDrop|deleteByCut)$/.test(event?.inputType || '');
+
+    if (forcesNewStep || now - history.lastEditAt > HISTORY_GROUP_DELAY) {
+      HistoryManager.pushUndo(doc, forcesNewStep ? 'Paste' : 'Typing');
+    }
+
+    history.current = elements.diagramText.value;
+    history.lastEditAt = forcesNewStep ? 0 : now;
+    UIManager.updateHistoryButtons();
+  }
+
+  /**
+   * Push the current state of a document onto its undo stack
+   * @private
+   * @param {DiagramDocument} doc - Document
+   * @param {string} label - Description of the change that follows
+   */
+  static pushUndo(doc, label) {
+    const { history } = doc;
+    history.undo.push({
+      text: history.current,
+      diagramType: elements.diagramSelect.value,
+      selectionStart: elements.diagramText.selectionStart,
+      selectionEnd: elements.diagramText.selectionEnd,
+      label
+    });
+    if (history.undo.length > MAX_HISTORY_ENTRIES) {
+      history.undo.shift();
+    }
+    history.redo = [];
+  }
+
+  /**
+   * Replace the editor text as one undoable step (loads, find/replace,
+   * format conversions, snapshot restores)
+   * @param {string} text - New editor text
+   * @param {string} label - Description shown in the undo tooltip and timeline
+   * @param {Object} [options]
+   * @param {boolean} [options.notify=true] - Run the normal text-change handling (dirty flag, autosave, render)
+   */
+  static applyEdit(text, label, { notify = true } = {}) {
+    const doc = appState.activeDocument;
+    const { history } = doc;
+
+    if (history.current.trim() && history.current !== text) {
+      SnapshotManager.capture(`Before ${label.toLowerCase()}`, { automatic: true });
+    }
+
+    HistoryManager.pushUndo(doc, label);
+    elements.diagramText.value = text;
+    history.current = text;
+    history.lastEditAt = 0;
+
+    UIManager.updateHistoryButtons();
+    if (notify) {
+      handleTextInput();
+    }
+  }
+
+  /**
+   * Undo the last step of the active document
+   */
+  static undo() {
+    HistoryManager.step('undo', 'redo');
+  }
+
+  /**
+   * Redo the last undone step of the active document
+   */
+  static redo() {
+    HistoryManager.step('redo', 'undo');
+  }
+
+  /**
+   * Move one entry between the undo and redo stacks
+   * @private
+   * @param {('undo'|'redo')} from - Stack to take the state from
+   * @param {('undo'|'redo')} to - Stack that receives the current state
+   */
+  static step(from, to) {
+    const { history } = appState.activeDocument;
+    const entry = history[from].pop();
+    if (!entry) return;
+
+    history[to].push({
+      text: elements.diagramText.value,
+      diagramType: elements.diagramSelect.value,
+      selectionStart: elements.diagramText.selectionStart,
+      selectionEnd: elements.diagramText.selectionEnd,
+      label: entry.label
+    });
+
+    elements.diagramText.value = entry.text;
+    elements.diagramText.setSelectionRange(entry.selectionStart, entry.selectionEnd);
+    history.current = entry.text;
+    history.lastEditAt = 0;
+
+    UIManager.updateHistoryButtons();
+    handleTextInput();
+
+    // Steps such as format conversions also changed the diagram type
+    if (entry.diagramType && entry.diagramType !== elements.diagramSelect.value) {
+      elements.diagramSelect.value = entry.diagramType;
+      handleDiagramChange();
+    }
+  }
+
+  /**
+   * Handle undo/redo keyboard shortcuts in the editor
+   * @param {KeyboardEvent} event - Keydown event
+   */
+  static handleKeyDown(event) {
+    if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+
+    const key = event.key.toLowerCase();
+    if (key === 'z' && !event.shiftKey) {
+      event.preventDefault();
+      HistoryManager.undo();
+    } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+      event.preventDefault();
+      HistoryManager.redo();
+    }
+  }
+}
+
+/**
+ * Named snapshots of a document shown in the history timeline
+ * @class
+ */
+class SnapshotManager {
+  /**
+   * Store a snapshot of the active document with a thumbnail of its diagram
+   * @param {string} name - Snapshot name
+   * @param {Object} [options]
+   * @param {boolean} [options.automatic=false] - Taken by the app rather than the user
+   * @returns {Promise<boolean>} Whether the snapshot was stored
+   */
+  static async capture(name, { automatic = false } = {}) {
+    const doc = appState.activeDocument;
+    const snapshot = {
+      id: `snap-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+      documentId: doc.id,
+      name,
+      automatic,
+      text: doc.history.current,
+      diagramType: elements.diagramSelect.value,
+      thumbnail: SnapshotManager.createThumbnail(),
+      createdAt: Date.now()
+    };
+
+    let stored = false;
+    try {
+      await IndexedDbManager.put(IDB_STORE_SNAPSHOTS, snapshot);
+      stored = true;
+      await SnapshotManager.prune(doc.id);
+    } catch (error) {
+      console.warn(`Failed to store snapshot: ${error.message}`);
+    }
+    SnapshotManager.renderTimeline();
+    return stored;
+  }
+
+  /**
+   * Serialize the rendered diagram as a self-contained SVG data URL
+   * @private
+   * @returns {string|null} Thumbnail data URL, or null without a diagram
+   */
+  static createThumbnail() {
+    const svg = elements.diagramContainer.querySelector('svg');
+    if (!svg) return null;
+
+    const { width, height } = ClipboardManager.getSvgRenderSize(svg);
+    const markup = ClipboardManager.serializeSvgWithSize(svg, width, height, true);
+    return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(markup)}`;
+  }
+
+  /**
+   * Read the snapshots of a document, newest first
+   * @param {string} documentId - Document id
+   * @returns {Promise<Object[]>}
+   */
+  static async list(documentId) {
+    if (!IndexedDbManager.isSupported()) return [];
+
+    try {
+      const all = await IndexedDbManager.getAll(IDB_STORE_SNAPSHOTS);
+      return all
+        .filter((snapshot) => snapshot.documentId === documentId)
+        .sort((a, b) => b.createdAt - a.createdAt);
+    } catch (error) {
+      console.warn(`Failed to read snapshots: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Drop the oldest snapshots beyond the per-document limit
+   * @private
+   * @param {string} documentId - Document id
+   * @returns {Promise<void>}
+   */
+  static async prune(documentId) {
+    const snapshots = await SnapshotManager.list(documentId);
+    const excess = snapshots.slice(MAX_SNAPSHOTS_PER_DOCUMENT);
+    await Promise.all(excess.map((snapshot) => IndexedDbManager.delete(IDB_STORE_SNAPSHOTS, snapshot.id)));
+  }
+
+  /**
+   * Delete every snapshot of a document (when its tab is closed)
+   * @param {string} documentId - Document id
+   * @returns {Promise<void>}
+   */
+  static async discardAll(documentId) {
+    const snapshots = await SnapshotManager.list(documentId);
+    try {
+      await Promise.all(snapshots.map((snapshot) => IndexedDbManager.delete(IDB_STORE_SNAPSHOTS, snapshot.id)));
+    } catch (error) {
+      console.warn(`Failed to remove snapshots: ${error.message}`);
+    }
+  }
+
+  /**
+   * Ask for a name and snapshot the active document
+   * @returns {Promise<void>}
+   */
+  static async promptAndCapture() {
+    const defaultName = `Snapshot ${new Date().toLocaleTimeString()}`;
+    const name = prompt('Name this snapshot:', defaultName);
+    if (name === null) return;
+
+    if (await SnapshotManager.capture(name.trim() || defaultName)) {
+      NotificationManager.show('Snapshot saved to the history timeline', 'success');
+    } else {
+      NotificationManager.show('Failed to save the snapshot', 'error');
+    }
+  }
+
+  /**
+   * Show or hide the timeline panel
+   */
+  static toggleTimeline() {
+    if (!elements.historyPanel) return;
+
+    elements.historyPanel.hidden = !elements.historyPanel.hidden;
+    elements.historyBtn?.classList.toggle('active', !elements.historyPanel.hidden);
+    SnapshotManager.renderTimeline();
+  }
+
+  /**
+   * Rebuild the timeline for the active document (only while it is visible)
+   * @returns {Promise<void>}
+   */
+  static async renderTimeline() {
+    if (!elements.snapshotList || elements.historyPanel?.hidden) return;
+
+    const documentId = appState.activeDocument.id;
+    const snapshots = await SnapshotManager.list(documentId);
+    if (documentId !== appState.activeDocument.id) return;
+
+    elements.snapshotList.innerHTML = '';
+    if (!snapshots.length) {
+      const empty = document.createElement('p');
+      empty.className = 'timeline-empty';
+      empty.textContent = 'No snapshots yet. Use "📌 Snapshot" to save a named version.';
+      elements.snapshotList.appendChild(empty);
+      return;
+    }
+
+    snapshots.forEach((snapshot) => {
+      const card = document.createElement('button');
+      card.type = 'button';
+      card.className = `snapshot-card${snapshot.automatic ? ' automatic' : ''}`;
+      card.title = 'Preview this version';
+
+      const thumb = document.createElement('div');
+      thumb.className = 'snapshot-thumb';
+      if (snapshot.thumbnail) {
+        const img = document.createElement('img');
+        img.src = snapshot.thumbnail;
+        img.alt = '';
+        thumb.appendChild(img);
+      } else {
+        thumb.textContent = 'No diagram';
+      }
+
+      const name = document.createElement('span');
+      name.className = 'snapshot-name';
+      name.textContent = snapshot.name;
+
+      const time = document.createElement('span');
+      time.className = 'snapshot-time';
+      time.textContent = new Date(snapshot.createdAt).toLocaleString();
+
+      card.append(thumb, name, time);
+      card.addEventListener('click', () => SnapshotManager.preview(snapshot));
+      elements.snapshotList.appendChild(card);
+    });
+  }
+
+  /**
+   * Preview a snapshot and offer to restore it
+   * @private
+   * @param {Object} snapshot - Snapshot to preview
+   */
+  static preview(snapshot) {
+    const content = document.createElement('div');
+    content.className = 'snapshot-preview';
+
+    if (snapshot.thumbnail) {
+      const img = document.createElement('img');
+      img.src = snapshot.thumbnail;
+      img.alt = `Diagram at "${snapshot.name}"`;
+      content.appendChild(img);
+    }
+
+    const caption = document.createElement('p');
+    caption.className = 'diff-caption';
+    caption.textContent = 'Current text → snapshot';
+    content.append(caption, TextDiff.render(elements.diagramText.value, snapshot.text));
+
+    DialogManager.open({
+      title: `${snapshot.name} — ${new Date(snapshot.createdAt).toLocaleString()}`,
+      content,
+      actions: [
+        {
+          label: 'Delete',
+          className: 'btn-secondary',
+          onClick: async () => {
+            try {
+              await IndexedDbManager.delete(IDB_STORE_SNAPSHOTS, snapshot.id);
+            } catch (error) {
+              NotificationManager.show(`Failed to delete snapshot: ${error.message}`, 'error');
+              return false;
+            }
+            SnapshotManager.renderTimeline();
+          }
+        },
+        { label: 'Close', className: 'btn-secondary' },
+        {
+          label: 'Restore',
+          className: 'btn-primary',
+          onClick: () => SnapshotManager.restore(snapshot)
+        }
+      ]
+    });
+  }
+
+  /**
+   * Restore a snapshot into the editor as an undoable step
+   * @private
+   * @param {Object} snapshot - Snapshot to restore
+   */
+  static restore(snapshot) {
+    if (RendererRegistry.has(snapshot.diagramType)) {
+      elements.diagramSelect.value = snapshot.diagramType;
+    }
+    HistoryManager.applyEdit(snapshot.text, `Restore "${snapshot.name}"`);
+    NotificationManager.show(`Restored snapshot: ${snapshot.name}`, 'success');
+  }
+}
+
+/**
+ * Diagram type auto-selection utility
+ * @class
+ */
+class DiagramTypeSelector {
+  /**
+   * Update the diagram type selector based on a filename's extension.
+   * - an extension registered by engines → switches to the first of them, unless
+   *   the selected type is one of them (.jsq keeps js-sequence Hand selected)
+   * - .puml/.plantuml → no change: PlantUML is translated into the selected syntax on load
+   * - other → no change
+   * Persists any change to localStorage.
+   * @param {string} fileName - The loaded file name
+   */
+  static fromFilename(fileName) {
+    if (!fileName) return;
+
+    const current = elements.diagramSelect.value;
+    const newType = DiagramTypeSelector.typeForFile(fileName, current);
+
+    if (newType !== current) {
+      elements.diagramSelect.value = newType;
+      StorageManager.setItem(STORAGE_KEY_DIAGRAM_TYPE, newType);
+    }
+  }
+
+  /**
+   * Diagram type a file opens as, following the rules of fromFilename
+   * @param {string} fileName - File name
+   * @param {string} current - Currently selected diagram type
+   * @returns {string} Diagram type
+   */
+  static typeForFile(fileName, current) {
+    const ext = fileName.slice(fileName.lastIndexOf('.')).toLowerCase();
+    const engines = fileName.includes('.') ? RendererRegistry.forExtension(ext) : [];
+
+    if (!engines.length || engines.some((engine) => engine.id === current)) return current;
+    return engines[0].id;
+  }
+
+  /**
+   * Check whether a file name has a diagram source extension
+   * @param {string} fileName - File name
+   * @returns {boolean} True for diagram sources
+   */
+  static isDiagramFile(fileName) {
+    const ext = fileName.slice(fileName.lastIndexOf('.')).toLowerCase();
+    return fileName.includes('.') && DiagramTypeSelector.fileExtensions().includes(ext);
+  }
+
+  /**
+   * Extensions of diagram source files: the engines' own and the other accepted ones
+   * @returns {string[]}
+   */
+  static fileExtensions() {
+    return RendererRegistry.fileExtensions(DIAGRAM_FILE_EXTENSIONS);
+  }
+
+  /**
+   * Check whether a file is a PlantUML source
+   * @param {string} fileName - File name
+   * @returns {boolean} True for .puml and .plantuml files
+   */
+  static isPlantUml(fileName) {
+    return /\.(puml|plantuml)$/i.test(fileName || '');
+  }
+}
+
+/**
+ * Translates sequence diagrams between js-sequence, Mermaid sequenceDiagram and
+ * PlantUML. Each grammar is parsed into a shared list of entries (participants,
+ * messages, notes, blocks...) which any grammar can then be emitted from.
+ * @class
+ */
+class SyntaxConverter {
+  /** @constant {Object<string, string>} Display names of the supported grammars */
+  static GRAMMAR_LABELS = {
+    'js-sequence': 'js-sequence',
+    mermaid: 'Mermaid',
+    plantuml: 'PlantUML'
+  };
+
+  /** @constant {Object<string, {dotted: boolean, head: string, both?: boolean}>} js-sequence arrows */
+  static JS_ARROWS = {
+    '->': { dotted: false, head: 'filled' },
+    '-->': { dotted: true, head: 'filled' },
+    '->>': { dotted: false, head: 'open' },
+    '-->>': { dotted: true, head: 'open' }
+  };
+
+  /** @constant {Object<string, {dotted: boolean, head: string, both?: boolean}>} Mermaid arrows */
+  static MERMAID_ARROWS = {
+    '->>': { dotted: false, head: 'filled' },
+    '-->>': { dotted: true, head: 'filled' },
+    '->': { dotted: false, head: 'none' },
+    '-->': { dotted: true, head: 'none' },
+    '-)': { dotted: false, head: 'open' },
+    '--)': { dotted: true, head: 'open' },
+    '-x': { dotted: false, head: 'cross' },
+    '--x': { dotted: true, head: 'cross' },
+    '<<->>': { dotted: false, head: 'filled', both: true },
+    '<<-->>': { dotted: true, head: 'filled', both: true }
+  };
+
+  /** @constant {Set<string>} Block keywords that open a nested section */
+  static BLOCK_OPENERS = new Set(['loop', 'alt', 'opt', 'par', 'critical', 'break', 'rect', 'box', 'group']);
+
+  /** @constant {Set<string>} Block keywords that start another branch of the open section */
+  static BLOCK_BRANCHES = new Set(['else', 'and', 'option']);
+
+  /** @constant {Set<string>} PlantUML participant shapes */
+  static PLANTUML_SHAPES = new Set([
+    'participant', 'actor', 'boundary', 'control', 'entity', 'database', 'collections', 'queue'
+  ]);
+
+  /**
+   * Grammar of a diagram type option value
+   * @param {string} diagramType - Diagram type
+   * @returns {string} 'mermaid', 'js-sequence', or the grammar of an engine that cannot be converted
+   */
+  static grammarOf(diagramType) {
+    return RendererRegistry.get(diagramType)?.grammar ?? 'js-sequence';
+  }
+
+  /**
+   * Convert diagram source between grammars
+   * @param {string} text - Source text
+   * @param {('js-sequence'|'mermaid'|'plantuml')} from - Source grammar
+   * @param {('js-sequence'|'mermaid'|'plantuml')} to - Target grammar
+   * @returns {{text: string, warnings: Array<{line: number, message: string}>}} Converted text and
+   *   the constructs that could not be translated exactly
+   * @throws {Error} When the source is not a sequence diagram
+   */
+  static convert(text, from, to) {
+    const parsers = {
+      'js-sequence': SyntaxConverter.parseJsSequence,
+      mermaid: SyntaxConverter.parseMermaid,
+      plantuml: SyntaxConverter.parsePlantUml
+    };
+    const emitters = {
+      'js-sequence': SyntaxConverter.emitJsSequence,
+      mermaid: SyntaxConverter.emitMermaid,
+      plantuml: SyntaxConverter.emitPlantUml
+    };
+
+    if (!parsers[from] || !emitters[to]) {
+      throw new Error('Only js-sequence, Mermaid and PlantUML sequence diagrams can be converted');
+    }
+
+    const warnings = [];
+    const entries = parsers[from](text, warnings);
+    const output = emitters[to](entries, warnings, from);
+
+    // Stable sort keeps parser and emitter warnings for the same line in order
+    warnings.sort((a, b) => a.line - b.line);
+    return { text: output, warnings };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Parsers: source text → entries
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Strip the double quotes around a participant name
+   * @private
+   * @param {string} name - Name as written in the source
+   * @returns {string} Trimmed name without surrounding quotes
+   */
+  static unquote(name) {
+    return name.trim().replace(/^"(.*)"$/, '$1');
+  }
+
+  /**
+   * Parse js-sequence source into entries, one per line
+   * @private
+   * @param {string} text - js-sequence source
+   * @param {Array<{line: number, message: string}>} warnings - Collects the constructs that are lost or changed
+   * @returns {Array<Object>} Entries in source order
+   */
+  static parseJsSequence(text, warnings) {
+    const unquote = SyntaxConverter.unquote;
+    const fromEscapes = (value) => value.trim().replace(/\\n/g, '\n');
+
+    return text.split('\n').map((raw, index) => {
+      const line = index + 1;
+      const trimmed = raw.trim();
+      let match;
+
+      if (!trimmed) return { kind: 'blank', line };
+      if (trimmed.startsWith('#')) return { kind: 'comment', line, text: trimmed.slice(1) };
+      if ((match = /^title\s*:\s*(.*)$/i.exec(trimmed))) return { kind: 'title', line, text: fromEscapes(match[1]) };
+      if ((match = /^participant\s+(.+)$/i.exec(trimmed))) {
+        const alias = /^([\s\S]+) as (\S+)$/i.exec(match[1]);
+        return {
+          kind: 'participant',
+          line,
+          shape: 'participant',
+          reference: alias ? alias[2] : unquote(match[1]),
+          display: fromEscapes(alias ? unquote(alias[1]) : unquote(match[1]))
+        };
+      }
+      if ((match = /^note\s+(left of|right of|over)\s+([^:]+):(.*)$/i.exec(trimmed))) {
+        return {
+          kind: 'note',
+          line,
+          position: match[1].toLowerCase(),
+          references: match[2].split(',').map(unquote),
+          text: fromEscapes(match[3])
+        };
+      }
+      if ((match = /^([^:]+?)\s*(-->>|->>|-->|->)\s*([^:]+?)\s*:(.*)$/.exec(trimmed))) {
+        return {
+          kind: 'message',
+          line,
+          from: unquote(match[1]),
+          to: unquote(match[3]),
+          arrow: SyntaxConverter.JS_ARROWS[match[2]],
+          activation: '',
+          text: fromEscapes(match[4])
+        };
+      }
+      return { kind: 'raw', line, grammar: 'js-sequence', text: trimmed };
+    });
+  }
+
+  /**
+   * Parse a Mermaid sequenceDiagram into entries. Front matter and directives are
+   * read for the title and otherwise dropped.
+   * @private
+   * @param {string} text - Mermaid source
+   * @param {Array<{line: number, message: string}>} warnings - Collects the constructs that are lost or changed
+   * @returns {Array<Object>} Entries in source order
+   * @throws {Error} When the text is not a Mermaid sequence diagram
+   */
+  static parseMermaid(text, warnings) {
+    const lines = text.split('\n');
+    const entries = [];
+    const fromBreaks = (value) => value.trim().replace(/<br\s*\/?>/gi, '\n');
+    let index = 0;
+
+    // Front matter (title and config) before the declaration
+    if (lines[0]?.trim() === '---') {
+      const end = lines.findIndex((line, i) => i > 0 && line.trim() === '---');
+      if (end > 0) {
+        const frontMatter = lines.slice(1, end);
+        const title = frontMatter.map((line) => /^\s*title\s*:\s*(.*)$/.exec(line)).find(Boolean);
+        if (title) {
+          entries.push({ kind: 'title', line: 1, text: title[1].replace(/^["']|["']$/g, '') });
+        }
+        if (frontMatter.some((line) => line.trim() && !/^\s*title\s*:/.test(line))) {
+          warnings.push({ line: 1, message: 'Front matter configuration dropped' });
+        }
+        index = end + 1;
+      }
+    }
+
+    let declared = false;
+    for (; index < lines.length; index++) {
+      const line = index + 1;
+      const trimmed = lines[index].trim();
+      let match;
+
+      if (!trimmed) {
+        entries.push({ kind: 'blank', line });
+      } else if (/^%%\{.*\}%%$/.test(trimmed)) {
+        warnings.push({ line, message: 'Mermaid directive dropped' });
+      } else if (trimmed.startsWith('%%')) {
+        entries.push({ kind: 'comment', line, text: trimmed.slice(2) });
+      } else if (!declared) {
+        if (trimmed !== 'sequenceDiagram') {
+          throw new Error('Only Mermaid sequence diagrams can be converted');
+        }
+        declared = true;
+      } else if ((match = /^(participant|actor)\s+(.+?)(?:\s+as\s+(.+))?$/.exec(trimmed))) {
+        entries.push({
+          kind: 'participant',
+          line,
+          shape: match[1],
+          reference: match[2].trim(),
+          display: fromBreaks(match[3] ?? match[2])
+        });
+      } else if ((match = /^title\s*:?\s*(.*)$/.exec(trimmed))) {
+        entries.push({ kind: 'title', line, text: fromBreaks(match[1]) });
+      } else if ((match = /^note\s+(left of|right of|over)\s+([^:]+):(.*)$/i.exec(trimmed))) {
+        entries.push({
+          kind: 'note',
+          line,
+          position: match[1].toLowerCase(),
+          references: match[2].split(',').map((name) => name.trim()),
+          text: fromBreaks(match[3])
+        });
+      } else if ((match = /^(.+?)\s*(<<-->>|<<->>|-->>|->>|--x|-x|--\)|-\)|-->|->)\s*([+-]?)(.+?)\s*:(.*)$/.exec(trimmed))) {
+        entries.push({
+          kind: 'message',
+          line,
+          from: match[1].trim(),
+          to: match[4].trim(),
+          arrow: SyntaxConverter.MERMAID_ARROWS[match[2]],
+          activation: match[3],
+          text: fromBreaks(match[5])
+        });
+      } else if ((match = /^(loop|alt|else|opt|par|and|critical|option|break|rect|box|end)\b\s*(.*)$/.exec(trimmed))) {
+        entries.push({ kind: 'block', line, keyword: match[1], label: match[2] });
+      } else if ((match = /^(autonumber|activate|deactivate|destroy)\b\s*(.*)$/.exec(trimmed))) {
+        entries.push({ kind: 'command', line, keyword: match[1], references: match[2] ? [match[2].trim()] : [] });
+      } else {
+        entries.push({ kind: 'raw', line, grammar: 'mermaid', text: trimmed });
+      }
+    }
+
+    if (!declared) {
+      throw new Error('Only Mermaid sequence diagrams can be converted');
+    }
+    return entries;
+  }
+
+  /**
+   * Parse a PlantUML sequence diagram into entries. Multi-line notes and block
+   * comments become single entries; @startuml/@enduml are skipped.
+   * @private
+   * @param {string} text - PlantUML source
+   * @param {Array<{line: number, message: string}>} warnings - Collects the constructs that are lost or changed
+   * @returns {Array<Object>} Entries in source order
+   * @throws {Error} When the text declares no participants or messages
+   */
+  static parsePlantUml(text, warnings) {
+    const lines = text.split('\n');
+    const entries = [];
+    const unquote = SyntaxConverter.unquote;
+    const fromEscapes = (value) => value.trim().replace(/\\n/g, '\n');
+    const name = '("[^"]*"|[\\w.@]+)';
+    const blocks = [];
+    let lastMessage = null;
+
+    for (let index = 0; index < lines.length; index++) {
+      const line = index + 1;
+      const trimmed = lines[index].trim();
+      let match;
+
+      if (!trimmed) {
+        entries.push({ kind: 'blank', line });
+      } else if (/^@(start|end)uml\b/i.test(trimmed)) {
+        continue;
+      } else if (trimmed.startsWith("/'")) {
+        // Block comment, possibly spanning lines
+        const comment = [trimmed.slice(2)];
+        while (!comment[comment.length - 1].includes("'/") && index + 1 < lines.length) {
+          comment.push(lines[++index].trim());
+        }
+        comment[comment.length - 1] = comment[comment.length - 1].replace(/'\/.*$/, '');
+        comment.filter(Boolean).forEach((part) => entries.push({ kind: 'comment', line, text: ` ${part.trim()}` }));
+      } else if (trimmed.startsWith("'")) {
+        entries.push({ kind: 'comment', line, text: trimmed.slice(1) });
+      } else if ((match = /^title\s+(.*)$/i.exec(trimmed))) {
+        entries.push({ kind: 'title', line, text: fromEscapes(match[1]) });
+      } else if ((match = /^(participant|actor|boundary|control|entity|database|collections|queue)\s+(.+)$/.exec(trimmed))) {
+        const rest = match[2];
+        let declaration;
+        if ((declaration = new RegExp(`^"([^"]*)"\\s+as\\s+([\\w.@]+)(.*)$`).exec(rest))) {
+          declaration = { display: declaration[1], reference: declaration[2], extra: declaration[3] };
+        } else if ((declaration = new RegExp(`^([\\w.@]+)\\s+as\\s+"([^"]*)"(.*)$`).exec(rest))) {
+          declaration = { display: declaration[2], reference: declaration[1], extra: declaration[3] };
+        } else if ((declaration = new RegExp(`^([\\w.@]+)\\s+as\\s+([\\w.@]+)(.*)$`).exec(rest))) {
+          declaration = { display: declaration[1], reference: declaration[2], extra: declaration[3] };
+        } else if ((declaration = new RegExp(`^${name}(.*)$`).exec(rest))) {
+          declaration = { display: unquote(declaration[1]), reference: unquote(declaration[1]), extra: declaration[2] };
+        }
+
+        if (!declaration) {
+          // Stereotype-only or ":name:" forms have no name this converter can use
+          warnings.push({ line, message: `Participant declaration not recognised: ${rest}` });
+          entries.push({ kind: 'raw', line, grammar: 'plantuml', text: trimmed });
+          continue;
+        }
+        if (declaration.extra.trim()) {
+          warnings.push({ line, message: `Participant styling dropped: ${declaration.extra.trim()}` });
+        }
+        entries.push({
+          kind: 'participant',
+          line,
+          shape: match[1],
+          reference: declaration.reference,
+          display: fromEscapes(declaration.display)
+        });
+      } else if ((match = /^[hr]?note\s+(left of|right of|over)\s+(.+?)\s*(?::\s*(.*))?$/i.exec(trimmed))) {
+        let noteText = match[3];
+        if (noteText === undefined) {
+          // Multi-line note up to "end note"
+          const body = [];
+          while (index + 1 < lines.length && !/^end\s*[hr]?note$/i.test(lines[index + 1].trim())) {
+            body.push(lines[++index].trim());
+          }
+          index++;
+          noteText = body.join('\\n');
+        }
+        entries.push({
+          kind: 'note',
+          line,
+          position: match[1].toLowerCase(),
+          references: match[2].split(',').map(unquote),
+          text: fromEscapes(noteText)
+        });
+      } else if ((match = /^[hr]?note\s+(left|right)\s*:\s*(.*)$/i.exec(trimmed)) && lastMessage) {
+        warnings.push({ line, message: 'Note attached to the previous message placed beside its participant' });
+        entries.push({
+          kind: 'note',
+          line,
+          position: `${match[1].toLowerCase()} of`,
+          references: [match[1].toLowerCase() === 'left' ? lastMessage.from : lastMessage.to],
+          text: fromEscapes(match[2])
+        });
+      } else if ((match = new RegExp(
+        `^${name}\\s*([ox]?)(<<|<|\\\\\\\\|\\\\|//|/)?-(\\[[^\\]]*\\])?(-?)(>>|>|\\\\\\\\|\\\\|//|/)?([ox]?)\\s*${name}\\s*(\\+\\+|--|\\*\\*|!!)?\\s*(?::\\s*(.*))?$`
+      ).exec(trimmed))) {
+        const [, left, leftMark, leftHead, color, dash, rightHead, rightMark, right, activation, messageText] = match;
+        const arrow = { dotted: dash === '-', head: 'filled' };
+        const headOf = (head, mark) => {
+          if (mark === 'x') return 'cross';
+          if (mark === 'o') {
+            warnings.push({ line, message: 'Circle arrow end drawn as a plain arrowhead' });
+          }
+          if (head === '>>') return 'open';
+          if (head && head !== '>' && head !== '<' && head !== '<<') {
+            warnings.push({ line, message: 'Half arrowhead drawn as a full arrowhead' });
+          }
+          return head === '<<' ? 'open' : 'filled';
+        };
+
+        let from = unquote(left);
+        let to = unquote(right);
+        if (leftHead && (rightHead || rightMark)) {
+          arrow.both = true;
+          arrow.head = headOf(rightHead, rightMark);
+        } else if (leftHead) {
+          // "A <- B" is a message from B to A
+          [from, to] = [to, from];
+          arrow.head = headOf(leftHead, leftMark);
+        } else {
+          arrow.head = rightHead || rightMark ? headOf(rightHead, rightMark) : 'none';
+        }
+
+        if (color) {
+          warnings.push({ line, message: `Arrow colour ${color} dropped` });
+        }
+
+        let activationMark = '';
+        if (activation === '++') activationMark = '+';
+        else if (activation === '--') activationMark = '-';
+        else if (activation) warnings.push({ line, message: `Lifeline shorthand "${activation}" dropped` });
+
+        lastMessage = { from, to };
+        entries.push({
+          kind: 'message',
+          line,
+          from,
+          to,
+          arrow,
+          activation: activationMark,
+          text: fromEscapes(messageText ?? '')
+        });
+      } else if ((match = /^end\s+box$/i.exec(trimmed))) {
+        blocks.pop();
+        entries.push({ kind: 'block', line, keyword: 'end', label: '' });
+      } else if ((match = /^box\b\s*(.*)$/i.exec(trimmed))) {
+        blocks.push('box');
+        const label = unquote(match[1].replace(/#\w+\s*$/, ''));
+        entries.push({ kind: 'block', line, keyword: 'box', label });
+      } else if ((match = /^(alt|else|opt|loop|par|break|critical|group|end)\b\s*(.*)$/i.exec(trimmed))) {
+        let keyword = match[1].toLowerCase();
+        if (SyntaxConverter.BLOCK_OPENERS.has(keyword)) blocks.push(keyword);
+        if (keyword === 'end') blocks.pop();
+        // PlantUML separates par branches with "else"
+        if (keyword === 'else' && blocks[blocks.length - 1] === 'par') keyword = 'and';
+        entries.push({ kind: 'block', line, keyword, label: match[2].trim() });
+      } else if ((match = /^==\s*(.*?)\s*==$/.exec(trimmed))) {
+        entries.push({ kind: 'separator', line, text: match[1] });
+      } else if ((match = /^(autonumber|activate|deactivate|destroy)\b\s*(.*)$/i.exec(trimmed))) {
+        const keyword = match[1].toLowerCase();
+        const argument = match[2].trim();
+        if (keyword === 'autonumber' && argument) {
+          warnings.push({ line, message: `Autonumber options dropped: ${argument}` });
+        }
+        entries.push({
+          kind: 'command',
+          line,
+          keyword,
+          references: keyword === 'autonumber' || !argument ? [] : [unquote(argument.split(/\s+/)[0])]
+        });
+      } else {
+        entries.push({ kind: 'raw', line, grammar: 'plantuml', text: trimmed });
+      }
+    }
+
+    if (!entries.some(({ kind }) => kind === 'message' || kind === 'participant')) {
+      throw new Error('Only PlantUML sequence diagrams can be converted');
+    }
+    return entries;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Emitters: entries → target text
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Assign target-grammar ids to every participant, in order of appearance
+   * @private
+   * @param {Array<Object>} entries - Parsed entries
+   * @param {function(string): string} toId - Turns a reference into a valid id for the target grammar
+   * @returns {{participants: Map<string, {id: string, display: string, shape: string, line: number}>,
+   *   hoistAt: number}} Participants by source reference, and the entry index before which declarations
+   *   must all be emitted (-1 when they can stay where they are)
+   */
+  static resolveParticipants(entries, toId) {
+    const participants = new Map();
+    const used = new Set();
+    const add = (reference, line, display = reference, shape = 'participant') => {
+      if (participants.has(reference)) return;
+
+      const base = toId(reference) || 'Participant';
+      let id = base;
+      for (let suffix = 2; used.has(id); suffix++) {
+        id = `${base}_${suffix}`;
+      }
+      used.add(id);
+      participants.set(reference, { id, display, shape, line });
+    };
+
+    entries.forEach((entry) => {
+      if (entry.kind === 'participant') add(entry.reference, entry.line, entry.display, entry.shape);
+      if (entry.kind === 'message') {
+        add(entry.from, entry.line);
+        add(entry.to, entry.line);
+      }
+      if (entry.kind === 'note' || entry.kind === 'command') {
+        entry.references.forEach((reference) => add(reference, entry.line));
+      }
+    });
+
+    // Aliased names must be declared before they are used; declaring them all
+    // up front keeps the lifeline order of the source
+    const needsHoisting = [...participants.entries()].some(([reference, { id, display }]) =>
+      id !== display || id !== reference);
+    const hoistAt = needsHoisting
+      ? entries.findIndex(({ kind }) => !['blank', 'comment', 'title'].includes(kind))
+      : -1;
+
+    return { participants, hoistAt };
+  }
+
+  /**
+   * Identifier for Mermaid and PlantUML: the reference itself when it is a plain
+   * word, otherwise its word characters joined by underscores
+   * @private
+   * @param {string} reference - Participant reference from the source
+   * @returns {string} Identifier
+   */
+  static identifier(reference) {
+    return /^[A-Za-z_]\w*$/.test(reference)
+      ? reference
+      : reference.replace(/\n/g, ' ').replace(/\W+/g, '_').replace(/^_+|_+$/g, '');
+  }
+
+  /**
+   * Emit entries that only the source grammar understands as comments
+   * @private
+   * @param {{line: number, text: string}} entry - Raw entry
+   * @param {string} comment - Line comment marker of the target grammar
+   * @param {Array<{line: number, message: string}>} warnings - Collects the constructs that are lost or changed
+   * @param {('js-sequence'|'mermaid'|'plantuml')} target - Target grammar
+   * @returns {string} Comment line
+   */
+  static emitRaw(entry, comment, warnings, target) {
+    warnings.push({
+      line: entry.line,
+      message: `Not translated to ${SyntaxConverter.GRAMMAR_LABELS[target]}, kept as a comment: ${entry.text}`
+    });
+    return `${comment} ${entry.text}`;
+  }
+
+  /**
+   * Note spanning every participant, used for separators in grammars without them
+   * @private
+   * @param {{line: number}} entry - Separator entry
+   * @param {Map<string, {id: string}>} participants - Resolved participants
+   * @param {Array<{line: number, message: string}>} warnings - Collects the constructs that are lost or changed
+   * @returns {{position: string, ids: string[]}} Note placement over the first and last participant
+   */
+  static separatorNote(entry, participants, warnings) {
+    const ids = [...participants.values()].map(({ id }) => id);
+    warnings.push({ line: entry.line, message: 'Separator drawn as a note over all participants' });
+    return { position: 'over', ids: ids.length > 1 ? [ids[0], ids[ids.length - 1]] : ids };
+  }
+
+  /**
+   * Emit entries as a Mermaid sequenceDiagram
+   * @private
+   * @param {Array<Object>} entries - Parsed entries
+   * @param {Array<{line: number, message: string}>} warnings - Collects the constructs that are lost or changed
+   * @returns {string} Mermaid source
+   */
+  static emitMermaid(entries, warnings) {
+    const { participants, hoistAt } = SyntaxConverter.resolveParticipants(entries, SyntaxConverter.identifier);
+    const toBreaks = (value) => value.replace(/\n/g, '<br/>');
+    const idOf = (reference) => participants.get(reference).id;
+    const output = ['sequenceDiagram'];
+    let depth = 1;
+    const push = (line) => output.push(`${'  '.repeat(Math.max(depth, 1))}${line}`);
+
+    const declare = ({ id, display, shape, line }) => {
+      if (shape !== 'participant' && shape !== 'actor') {
+        warnings.push({ line, message: `${shape} "${display}" drawn as a participant box` });
+      }
+      const keyword = shape === 'actor' ? 'actor' : 'participant';
+      push(id === display ? `${keyword} ${id}` : `${keyword} ${id} as ${toBreaks(display)}`);
+    };
+
+    entries.forEach((entry, index) => {
+      if (index === hoistAt) participants.forEach(declare);
+
+      switch (entry.kind) {
+        case 'blank':
+          output.push('');
+          break;
+        case 'comment':
+          push(`%%${entry.text}`);
+          break;
+        case 'title':
+          push(`title ${toBreaks(entry.text)}`);
+          break;
+        case 'participant':
+          if (hoistAt === -1) declare(participants.get(entry.reference));
+          break;
+        case 'note':
+          push(`Note ${entry.position} ${entry.references.map(idOf).join(',')}: ${toBreaks(entry.text)}`);
+          break;
+        case 'message': {
+          const { dotted, head, both } = entry.arrow;
+          let arrow = Object.keys(SyntaxConverter.MERMAID_ARROWS).find((key) => {
+            const candidate = SyntaxConverter.MERMAID_ARROWS[key];
+            return candidate.dotted === dotted && candidate.head === head && Boolean(candidate.both) === Boolean(both);
+          });
+          if (!arrow) {
+            warnings.push({ line: entry.line, message: 'Bidirectional arrow drawn with filled arrowheads' });
+            arrow = dotted ? '<<-->>' : '<<->>';
+          }
+          push(`${idOf(entry.from)}${arrow}${entry.activation}${idOf(entry.to)}: ${toBreaks(entry.text)}`);
+          break;
+        }
+        case 'block': {
+          let { keyword, label } = entry;
+          if (keyword === 'group') {
+            if (label) warnings.push({ line: entry.line, message: `Group label "${label}" dropped` });
+            keyword = 'rect';
+            label = 'rgb(240, 240, 240)';
+          }
+          if (keyword === 'end') depth--;
+          if (SyntaxConverter.BLOCK_BRANCHES.has(keyword)) depth--;
+          push(label ? `${keyword} ${label}` : keyword);
+          if (SyntaxConverter.BLOCK_OPENERS.has(keyword) || SyntaxConverter.BLOCK_BRANCHES.has(keyword)) depth++;
+          break;
+        }
+        case 'command':
+          push([entry.keyword, ...entry.references.map(idOf)].join(' '));
+          break;
+        case 'separator': {
+          const { position, ids } = SyntaxConverter.separatorNote(entry, participants, warnings);
+          if (ids.length) push(`Note ${position} ${ids.join(',')}: ${toBreaks(entry.text)}`);
+          break;
+        }
+        default:
+          push(entry.grammar === 'mermaid' ? entry.text : SyntaxConverter.emitRaw(entry, '%%', warnings, 'mermaid'));
+      }
+    });
+
+    return output.join('\n').replace(/\n+$/, '') + '\n';
+  }
+
+  /**
+   * Emit entries as js-sequence source
+   * @private
+   * @param {Array<Object>} entries - Parsed entries
+   * @param {Array<{line: number, message: string}>} warnings - Collects the constructs that are lost or changed
+   * @returns {string} js-sequence source
+   */
+  static emitJsSequence(entries, warnings) {
+    // js-sequence names cannot contain these characters
+    const toName = (value) => value.replace(/\n/g, '\\n').replace(/[-:,>"]/g, ' ').replace(/\s+/g, ' ').trim();
+    const { participants, hoistAt } = SyntaxConverter.resolveParticipants(entries, toName);
+    const toEscapes = (value) => value.replace(/\n/g, '\\n');
+    const idOf = (reference) => participants.get(reference).id;
+    const output = [];
+
+    participants.forEach(({ id, line }, reference) => {
+      if (id !== reference.replace(/\n/g, '\\n')) {
+        warnings.push({ line, message: `Characters not allowed in js-sequence names removed from "${reference}"` });
+      }
+    });
+
+    const declare = ({ id, display, shape, line }) => {
+      if (shape !== 'participant') {
+        warnings.push({ line, message: `${shape === 'actor' ? 'Actor' : shape} "${display}" drawn as a participant box` });
+      }
+      const name = toName(display);
+      if (name !== display.replace(/\n/g, '\\n')) {
+        warnings.push({ line, message: `Characters not allowed in js-sequence names removed from "${display}"` });
+      }
+      output.push(name && name !== id ? `participant ${name} as ${id}` : `participant ${id}`);
+    };
+
+    entries.forEach((entry, index) => {
+      if (index === hoistAt) participants.forEach(declare);
+
+      switch (entry.kind) {
+        case 'blank':
+          output.push('');
+          break;
+        case 'comment':
+          output.push(`#${entry.text}`);
+          break;
+        case 'title':
+          output.push(`Title: ${toEscapes(entry.text)}`);
+          break;
+        case 'participant':
+          if (hoistAt === -1) declare(participants.get(entry.reference));
+          break;
+        case 'note':
+          output.push(`Note ${entry.position} ${entry.references.map(idOf).join(',')}: ${toEscapes(entry.text)}`);
+          break;
+        case 'message': {
+          const { dotted, head, both } = entry.arrow;
+          const losses = {
+            none: 'line without arrowhead drawn with an arrowhead',
+            cross: 'cross arrowhead drawn as a plain arrow'
+          };
+          if (losses[head]) warnings.push({ line: entry.line, message: `Arrow: ${losses[head]}` });
+          if (both) warnings.push({ line: entry.line, message: 'Arrow: bidirectional arrow drawn one way' });
+          if (entry.activation) warnings.push({ line: entry.line, message: 'Activation shorthand (+/-) dropped' });
+
+          const arrow = `${dotted ? '--' : '-'}>${head === 'open' ? '>' : ''}`;
+          output.push(`${idOf(entry.from)}${arrow}${idOf(entry.to)}: ${toEscapes(entry.text)}`);
+          break;
+        }
+        case 'block':
+          warnings.push({
+            line: entry.line,
+            message: `"${entry.keyword}" block dropped; the messages inside it were kept`
+          });
+          break;
+        case 'command':
+          warnings.push({ line: entry.line, message: `"${entry.keyword}" has no js-sequence equivalent and was dropped` });
+          break;
+        case 'separator': {
+          const { position, ids } = SyntaxConverter.separatorNote(entry, participants, warnings);
+          if (ids.length) output.push(`Note ${position} ${ids.join(',')}: ${toEscapes(entry.text)}`);
+          break;
+        }
+        default:
+          output.push(entry.grammar === 'js-sequence' ? entry.text : SyntaxConverter.emitRaw(entry, '#', warnings, 'js-sequence'));
+      }
+    });
+
+    return output.join('\n').replace(/^\n+|\n+$/g, '') + '\n';
+  }
+
+  /**
+   * Emit entries as a PlantUML sequence diagram, between @startuml and @enduml
+   * @private
+   * @param {Array<Object>} entries - Parsed entries
+   * @param {Array<{line: number, message: string}>} warnings - Collects the constructs that are lost or changed
+   * @returns {string} PlantUML source
+   */
+  static emitPlantUml(entries, warnings) {
+    const { participants, hoistAt } = SyntaxConverter.resolveParticipants(entries, SyntaxConverter.identifier);
+    const toEscapes = (value) => value.replace(/\n/g, '\\n');
+    const idOf = (reference) => participants.get(reference).id;
+    const output = ['@startuml'];
+    const blocks = [];
+
+    const declare = ({ id, display, shape }) => {
+      const keyword = SyntaxConverter.PLANTUML_SHAPES.has(shape) ? shape : 'participant';
+      output.push(id === display ? `${keyword} ${id}` : `${keyword} "${toEscapes(display)}" as ${id}`);
+    };
+
+    entries.forEach((entry, index) => {
+      if (index === hoistAt) participants.forEach(declare);
+
+      switch (entry.kind) {
+        case 'blank':
+          output.push('');
+          break;
+        case 'comment':
+          output.push(`'${entry.text}`);
+          break;
+        case 'title':
+          output.push(`title ${toEscapes(entry.text)}`);
+          break;
+        case 'participant':
+          if (hoistAt === -1) declare(participants.get(entry.reference));
+          break;
+        case 'note':
+          output.push(`note ${entry.position} ${entry.references.map(idOf).join(', ')} : ${toEscapes(entry.text)}`);
+          break;
+        case 'message': {
+          const { dotted, head, both } = entry.arrow;
+          if (head === 'none') {
+            warnings.push({ line: entry.line, message: 'Arrow: line without arrowhead drawn with an arrowhead' });
+          }
+          const body = dotted ? '--' : '-';
+          const tip = { open: '>>', cross: '>x' }[head] ?? '>';
+          const arrow = both ? `<${body}${tip}` : `${body}${tip}`;
+          const activation = { '+': ' ++', '-': ' --' }[entry.activation] ?? '';
+          const text = entry.text ? ` : ${toEscapes(entry.text)}` : '';
+          output.push(`${idOf(entry.from)} ${arrow} ${idOf(entry.to)}${activation}${text}`);
+          break;
+        }
+        case 'block': {
+          let { keyword, label } = entry;
+          if (keyword === 'end') {
+            output.push(blocks.pop() === 'box' ? 'end box' : 'end');
+            break;
+          }
+          if (keyword === 'and' || keyword === 'option') keyword = 'else';
+          if (keyword === 'rect') {
+            warnings.push({ line: entry.line, message: 'Highlight colour dropped; drawn as a group' });
+            keyword = 'group';
+            label = '';
+          }
+          if (SyntaxConverter.BLOCK_OPENERS.has(keyword)) blocks.push(keyword);
+          if (keyword === 'box') label = `"${label}"`;
+          output.push(label ? `${keyword} ${label}` : keyword);
+          break;
+        }
+        case 'command':
+          output.push([entry.keyword, ...entry.references.map(idOf)].join(' '));
+          break;
+        case 'separator':
+          output.push(`== ${entry.text} ==`);
+          break;
+        default:
+          output.push(entry.grammar === 'plantuml' ? entry.text : SyntaxConverter.emitRaw(entry, "'", warnings, 'plantuml'));
+      }
+    });
+
+    while (output[output.length - 1] === '') output.pop();
+    output.push('@enduml');
+    return output.join('\n') + '\n';
+  }
+
+  // ---------------------------------------------------------------------------
+  // UI
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Translate the active document to PlantUML for export
+   * @returns {Blob} PlantUML source
+   * @throws {Error} When the document is empty or not a sequence diagram
+   */
+  static createPlantUmlBlob() {
+    const source = elements.diagramText.value;
+    if (!source.trim()) {
+      throw new Error('Cannot export an empty diagram');
+    }
+
+    const from = SyntaxConverter.grammarOf(elements.diagramSelect.value);
+    const { text, warnings } = SyntaxConverter.convert(source, from, 'plantuml');
+    if (warnings.length) {
+      DialogManager.open({
+        title: 'Export to PlantUML',
+        content: SyntaxConverter.createWarningList(warnings),
+        actions: [{ label: 'OK', className: 'btn-primary' }]
+      });
+    }
+    return new Blob([text], { type: EXPORT_FORMATS.puml.mimeType });
+  }
+
+  /**
+   * Open a PlantUML file as a new, unsaved document in the selected syntax.
+   * The original file is never overwritten; saving asks for a new location.
+   * @param {string} content - PlantUML source
+   * @param {string} fileName - Name of the PlantUML file
+   * @throws {Error} When the file is not a PlantUML sequence diagram
+   */
+  static importPlantUml(content, fileName) {
+    const selected = SyntaxConverter.grammarOf(elements.diagramSelect.value);
+    // Sequence diagrams cannot be written in the grammars of other engines (DOT)
+    const grammar = selected === 'js-sequence' ? selected : 'mermaid';
+    const { text, warnings } = SyntaxConverter.convert(content, 'plantuml', grammar);
+    const name = `${fileName.replace(/\.[^/.]+$/, '')}${RendererRegistry.forGrammar(grammar).extensions[0]}`;
+
+    FileManager.loadFileContent(text, name);
+    appState.markAsChanged();
+    UIManager.updateFileStatus();
+
+    if (warnings.length) {
+      DialogManager.open({
+        title: `Imported ${fileName}`,
+        content: SyntaxConverter.createWarningList(warnings),
+        actions: [{ label: 'OK', className: 'btn-primary' }]
+      });
+    }
+  }
+
+  /**
+   * List of untranslated constructs for dialogs
+   * @param {Array<{line: number, message: string}>} warnings - Conversion warnings
+   * @returns {HTMLElement}
+   */
+  static createWarningList(warnings) {
+    const container = document.createElement('div');
+
+    const summary = document.createElement('p');
+    summary.className = 'options-note';
+    summary.textContent = warnings.length
+      ? `${warnings.length} construct${warnings.length === 1 ? '' : 's'} could not be translated exactly:`
+      : 'Everything was translated.';
+    container.appendChild(summary);
+
+    if (warnings.length) {
+      const list = document.createElement('ul');
+      list.className = 'convert-warnings';
+      warnings.forEach(({ line, message }) => {
+        const item = document.createElement('li');
+        item.textContent = `Line ${line}: ${message}`;
+        list.appendChild(item);
+      });
+      container.appendChild(list);
+    }
+
+    return container;
+  }
+
+  /**
+   * Preview the conversion of the active document to the other grammar and apply it on confirmation
+   */
+  static showDialog() {
+    const source = elements.diagramText.value;
+    const from = SyntaxConverter.grammarOf(elements.diagramSelect.value);
+    const to = from === 'mermaid' ? 'js-sequence' : 'mermaid';
+    const targetType = RendererRegistry.forGrammar(to).id;
+    const targetLabel = SyntaxConverter.GRAMMAR_LABELS[to];
+
+    if (!source.trim()) {
+      NotificationManager.show('Nothing to convert', 'info');
+      return;
+    }
+
+    let result;
+    try {
+      result = SyntaxConverter.convert(source, from, to);
+    } catch (error) {
+      NotificationManager.show(error.message, 'error');
+      return;
+    }
+
+    const content = document.createElement('div');
+    content.className = 'options-form';
+    content.appendChild(SyntaxConverter.createWarningList(result.warnings));
+
+    const preview = document.createElement('pre');
+    preview.className = 'convert-preview';
+    preview.textContent = result.text;
+    content.appendChild(preview);
+
+    DialogManager.open({
+      title: `Convert to ${targetLabel}`,
+      content,
+      actions: [
+        { label: 'Cancel' },
+        {
+          label: 'Convert',
+          className: 'btn-primary',
+          onClick: () => SyntaxConverter.apply(result.text, targetType, targetLabel)
+        }
+      ]
+    });
+  }
+
+  /**
+   * Replace the editor text with converted source and switch the diagram type
+   * @private
+   * @param {string} text - Converted source
+   * @param {string} diagramType - Diagram type of the converted source
+   * @param {string} label - Grammar name for the undo entry
+   */
+  static apply(text, diagramType, label) {
+    // One undo step restores both the text and the previous diagram type
+    HistoryManager.applyEdit(text, `Convert to ${label}`, { notify: false });
+    elements.diagramSelect.value = diagramType;
+    handleTextInput();
+    handleDiagramChange();
+    NotificationManager.show(`Converted to ${label}`, 'success');
+  }
+}
+
+/**
+ * Share links carrying the diagram in the URL fragment (deflate + base64url)
+ * @class
+ */
+class ShareLinkManager {
+  /**
+   * Build a link to this page that contains the active diagram
+   * @returns {Promise<string>} Share URL
+   */
+  static async createLink() {
+    const payload = JSON.stringify({
+      v: SHARE_LINK_VERSION,
+      type: elements.diagramSelect.value,
+      text: elements.diagramText.value
+    });
+    const bytes = await ShareLinkManager.transform(new TextEncoder().encode(payload), new CompressionStream('deflate-raw'));
+    const url = new URL(window.location.href);
+    url.hash = `${SHARE_LINK_HASH_KEY}=${ShareLinkManager.toBase64Url(bytes)}`;
+    return url.toString();
+  }
+
+  /**
+   * Decode the diagram carried by a URL fragment
+   * @param {string} hash - location.hash
+   * @returns {Promise<?{type: string, text: string}>} Diagram, or null when the fragment is not a share link
+   * @throws {Error} When the fragment is a damaged share link
+   */
+  static async decode(hash) {
+    const match = new RegExp(`^#${SHARE_LINK_HASH_KEY}=([A-Za-z0-9_-]+)$`).exec(hash || '');
+    if (!match) return null;
+
+    let payload;
+    try {
+      const bytes = await ShareLinkManager.transform(
+        ShareLinkManager.fromBase64Url(match[1]),
+        new DecompressionStream('deflate-raw')
+      );
+      payload = JSON.parse(new TextDecoder().decode(bytes));
+    } catch (error) {
+      throw new Error('The share link is damaged or incomplete');
+    }
+
+    if (typeof payload?.text !== 'string') {
+      throw new Error('The share link does not contain a diagram');
+    }
+    return {
+      type: RendererRegistry.has(payload.type) ? payload.type : elements.diagramSelect.value,
+      text: payload.text
+    };
+  }
+
+  /**
+   * Open the diagram from the page's share link, if any, as a new unsaved document.
+   * It goes into its own tab (or the blank one), so no open work is replaced.
+   * @returns {Promise<boolean>} True when a shared diagram was opened
+   */
+  static async openFromLocation() {
+    const shared = await ShareLinkManager.decode(window.location.hash);
+    if (!shared) return false;
+
+    // Drop the fragment so a reload does not open the diagram a second time
+    history.replaceState(null, '', `${window.location.pathname}${window.location.search}`);
+
+    TabManager.openDocumentTab();
+    elements.diagramSelect.value = shared.type;
+    HistoryManager.applyEdit(shared.text, 'Open shared link', { notify: false });
+    elements.filenameInput.value = '';
+    appState.markAsChanged();
+
+    TabManager.persist();
+    UIManager.updatePngFilename();
+    UIManager.updateFileStatus();
+    UIManager.updateHistoryButtons();
+    try {
+      DiagramRenderer.render();
+    } catch (error) {
+      // Error already shown in the diagram panel
+    }
+    NotificationManager.show('Opened shared diagram', 'success');
+    return true;
+  }
+
+  /**
+   * Copy a share link for the active diagram to the clipboard
+   * @returns {Promise<void>}
+   */
+  static async copyLink() {
+    if (!elements.diagramText.value.trim()) {
+      throw new Error('Nothing to share yet');
+    }
+
+    const link = await ShareLinkManager.createLink();
+    const tooLong = link.length > MAX_SHARE_LINK_LENGTH;
+
+    try {
+      await navigator.clipboard.writeText(link);
+    } catch (error) {
+      // Clipboard access can be refused; let the user copy it by hand
+      ShareLinkManager.showLinkDialog(link);
+      return;
+    }
+
+    NotificationManager.show(
+      tooLong ? 'Share link copied (very long links may be cut off by some apps)' : 'Share link copied to clipboard 🔗',
+      tooLong ? 'info' : 'success'
+    );
+  }
+
+  /**
+   * Show a share link in a dialog for manual copying
+   * @private
+   * @param {string} link - Share URL
+   */
+  static showLinkDialog(link) {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'filename-input share-link-input';
+    input.readOnly = true;
+    input.value = link;
+
+    DialogManager.open({
+      title: 'Share link',
+      content: input,
+      actions: [{ label: 'Close', className: 'btn-primary' }]
+    });
+    input.select();
+  }
+
+  /**
+   * Run bytes through a compression or decompression stream
+   * @private
+   * @param {Uint8Array} bytes - Input
+   * @param {CompressionStream|DecompressionStream} transformer - Stream to pipe through
+   * @returns {Promise<Uint8Array>} Output
+   */
+  static async transform(bytes, transformer) {
+    const stream = new Blob([bytes]).stream().pipeThrough(transformer);
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+
+  /**
+   * Encode bytes as unpadded base64url for the URL fragment
+   * @private
+   * @param {Uint8Array} bytes - Bytes to encode
+   * @returns {string} base64url text
+   */
+  static toBase64Url(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  /**
+   * Decode base64url text, with or without padding
+   * @private
+   * @param {string} value - base64url text
+   * @returns {Uint8Array} Decoded bytes
+   * @throws {DOMException} When the text is not valid base64
+   */
+  static fromBase64Url(value) {
+    const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+    return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+  }
+}
+
+/**
+ * Handle render button click
+ */
+const handleRenderClick = ErrorHandler.asyncWrapper(async () => {
+  DiagramRenderer.render();
+}, 'Failed to render diagram', 'RenderButton');
+
+/**
+ * Clipboard management utility class
+ * @class
+ */
+class ClipboardManager {
+  /** @constant {Object<string, number>} Pixels per absolute CSS length unit */
+  static SVG_LENGTH_UNITS = { px: 1, pt: 96 / 72, pc: 16, in: 96, cm: 96 / 2.54, mm: 96 / 25.4 };
+
+  /**
+   * Check if clipboard API is supported
+   * @returns {boolean} True if supported
+   */
+  static isSupported() {
+    return 'clipboard' in navigator && 'write' in navigator.clipboard;
+  }
+
+  /**
+   * Copy SVG diagram to clipboard, preferring PNG and falling back to SVG
+   * @param {SVGElement} svg - SVG element to copy
+   * @param {Object} [options] - Raster options (defaults to the saved export options)
+   * @returns {Promise<void>}
+   */
+  static async copyDiagram(svg, options = RasterExportOptions.load()) {
+    if (!ClipboardManager.isSupported()) {
+      throw new Error('Clipboard API not supported in this browser');
+    }
+
+    let pngError = null;
+
+    try {
+      const pngBlob = await ClipboardManager.svgToBlob(svg, options);
+      await navigator.clipboard.write([new ClipboardItem({ 'image/png': pngBlob })]);
+      return;
+    } catch (error) {
+      pngError = error instanceof Error ? error : new Error(String(error));
+    }
+
+    const svgBlob = ClipboardManager.createSvgBlob(svg);
+    try {
+      await navigator.clipboard.write([new ClipboardItem({ 'image/svg+xml': svgBlob })]);
+    } catch (error) {
+      const svgMessage = error instanceof Error ? error.message : String(error);
+      const pngMessage = pngError?.message || 'unknown PNG export failure';
+      throw new Error(`Failed to copy diagram: PNG export failed (${pngMessage}) and SVG fallback failed (${svgMessage})`);
+    }
+  }
+
+  /**
+   * Create SVG blob from rendered diagram
+   * @private
+   * @param {SVGElement} svg - SVG element to serialize
+   * @param {number} [width] - Optional width override
+   * @param {number} [height] - Optional height override
+   * @param {boolean} [sanitizeForCanvas=false] - Remove canvas-unsafe external resources
+   * @returns {Blob} SVG blob
+   */
+  static createSvgBlob(svg, width, height, sanitizeForCanvas = false) {
+    const renderSize = Number.isFinite(width) && Number.isFinite(height)
+      ? { width, height }
+      : ClipboardManager.getSvgRenderSize(svg);
+    const svgData = ClipboardManager.serializeSvgWithSize(
+      svg,
+      renderSize.width,
+      renderSize.height,
+      sanitizeForCanvas
+    );
+    return new Blob([svgData], { type: 'image/svg+xml;charset=utf-8' });
+  }
+
+  /**
+   * Create a self-contained SVG file blob: external images, including CSS url()
+   * references, are inlined as data URLs (or dropped when they cannot be fetched),
+   * style sheet imports are removed and no external hrefs remain
+   * @param {SVGElement} svg - SVG element to export
+   * @returns {Promise<Blob>} SVG blob
+   */
+  static async createStandaloneSvgBlob(svg) {
+    const { width, height } = ClipboardManager.getSvgRenderSize(svg);
+    const markup = ClipboardManager.serializeSvgWithSize(svg, width, height);
+    const root = new DOMParser().parseFromString(markup, 'image/svg+xml').documentElement;
+
+    await ClipboardManager.inlineExternalResources(root);
+
+    const svgData = `<?xml version="1.0" encoding="UTF-8" standalone="no"?>\n${new XMLSerializer().serializeToString(root)}`;
+    return new Blob([svgData], { type: 'image/svg+xml;charset=utf-8' });
+  }
+
+  /**
+   * Inline or remove every href and CSS reference that points outside the SVG document
+   * @private
+   * @param {Element} root - Parsed SVG root element
+   * @returns {Promise<void>}
+   */
+  static async inlineExternalResources(root) {
+    for (const style of Array.from(root.querySelectorAll('style'))) {
+      style.textContent = await ClipboardManager.inlineCssUrls(style.textContent);
+    }
+    for (const node of Array.from(root.querySelectorAll('[style]'))) {
+      node.setAttribute('style', await ClipboardManager.inlineCssUrls(node.getAttribute('style')));
+    }
+    if (root.hasAttribute('style')) {
+      root.setAttribute('style', await ClipboardManager.inlineCssUrls(root.getAttribute('style')));
+    }
+
+    const nodes = Array.from(root.querySelectorAll('[href], [*|href]'));
+
+    for (const node of nodes) {
+      const href = node.getAttribute('href') || node.getAttributeNS('http://www.w3.org/1999/xlink', 'href');
+      const trimmed = href?.trim() || '';
+      if (!trimmed || trimmed.startsWith('#') || trimmed.startsWith('data:')) continue;
+
+      if (node.localName === 'image') {
+        try {
+          const dataUrl = await ClipboardManager.fetchAsDataUrl(trimmed);
+          node.removeAttributeNS('http://www.w3.org/1999/xlink', 'href');
+          node.setAttribute('href', dataUrl);
+        } catch (error) {
+          console.warn(`Dropping external image from SVG export (${trimmed}): ${error.message}`);
+          node.remove();
+        }
+        continue;
+      }
+
+      node.removeAttribute('href');
+      node.removeAttributeNS('http://www.w3.org/1999/xlink', 'href');
+    }
+  }
+
+  /**
+   * Inline the url() references of a style sheet or style attribute as data URLs.
+   * Imports and references that cannot be fetched are dropped, as in SvgSanitizer.sanitizeCss.
+   * @private
+   * @param {string} css - Style sheet or style attribute
+   * @returns {Promise<string>}
+   */
+  static async inlineCssUrls(css) {
+    const source = css.replace(/@import[^;]*;?/gi, '');
+    let result = '';
+    let lastIndex = 0;
+
+    for (const match of source.matchAll(/url\(\s*(['"]?)([^)]*?)\1\s*\)/gi)) {
+      const url = match[2].trim();
+      let replacement = match[0];
+      if (url && !url.startsWith('#') && !url.startsWith('data:')) {
+        try {
+          replacement = `url("${await ClipboardManager.fetchAsDataUrl(url)}")`;
+        } catch (error) {
+          console.warn(`Dropping external CSS resource from SVG export (${url}): ${error.message}`);
+          replacement = 'none';
+        }
+      }
+      result += source.slice(lastIndex, match.index) + replacement;
+      lastIndex = match.index + match[0].length;
+    }
+    return result + source.slice(lastIndex);
+  }
+
+  /**
+   * Fetch a resource and encode it as a data URL
+   * @private
+   * @param {string} url - Resource URL
+   * @returns {Promise<string>} Data URL
+   */
+  static async fetchAsDataUrl(url) {
+    const response = await fetch(new URL(url, window.location.href));
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    const blob = await response.blob();
+
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(new Error('Failed to encode resource'));
+      reader.readAsDataURL(blob);
+    });
+  }
+
+  /**
+   * Convert SVG to a single PNG blob
+   * @private
+   * @param {SVGElement} svg - SVG element to convert
+   * @param {Object} [options] - Raster options (defaults to the saved export options)
+   * @returns {Promise<Blob>} PNG blob
+   */
+  static async svgToBlob(svg, options = RasterExportOptions.load()) {
+    const blobs = await ClipboardManager.svgToPngBlobs(svg, options);
+    if (blobs.length > 1) {
+      throw new Error(`Diagram is too large for one image (${blobs.length} pages); use Export to save it as pages`);
+    }
+    return blobs[0];
+  }
+
+  /**
+   * Convert SVG to PNG, splitting into numbered pages when it is too large for one image
+   * @param {SVGElement} svg - SVG element to convert
+   * @param {Object} [options] - Raster options (defaults to the saved export options)
+   * @returns {Promise<Blob[]>} One PNG blob, or page PNG blobs in reading order
+   */
+  static async svgToPngBlobs(svg, options = RasterExportOptions.load()) {
+    const preferSanitizedRender = ClipboardManager.containsForeignObject(svg);
+
+    try {
+      return await ClipboardManager.renderSvgToPng(svg, preferSanitizedRender, options);
+    } catch (error) {
+      if (!ClipboardManager.isCanvasSecurityError(error) && !preferSanitizedRender) {
+        throw error;
+      }
+    }
+
+    try {
+      return await ClipboardManager.renderSvgToPng(svg, !preferSanitizedRender, options);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : String(error);
+      throw new Error(`Failed to export PNG: ${message}`);
+    }
+  }
+
+  /**
+   * Render an SVG to PNG, in one canvas when it fits and in sections otherwise
+   * @private
+   * @param {SVGElement} svg - SVG element to render
+   * @param {boolean} sanitizeForCanvas - Whether to remove canvas-unsafe resources before rendering
+   * @param {Object} options - Raster options
+   * @returns {Promise<Blob[]>} PNG blob(s)
+   */
+  static async renderSvgToPng(svg, sanitizeForCanvas, options) {
+    const { width, height } = ClipboardManager.getSvgRenderSize(svg);
+    const { pixelWidth, pixelHeight } = RasterExportOptions.outputSize(width, height, options);
+
+    if (TiledRasterizer.fitsSingleCanvas(pixelWidth, pixelHeight)) {
+      return [await ClipboardManager.renderSvgToPngBlob(svg, sanitizeForCanvas, options)];
+    }
+    return TiledRasterizer.rasterize(svg, sanitizeForCanvas, options);
+  }
+
+  /**
+   * Render an SVG to a PNG blob
+   * @private
+   * @param {SVGElement} svg - SVG element to render
+   * @param {boolean} sanitizeForCanvas - Whether to remove canvas-unsafe resources before rendering
+   * @param {Object} [options] - Raster options (scale or target width, background, padding)
+   * @returns {Promise<Blob>} PNG blob
+   */
+  static renderSvgToPngBlob(svg, sanitizeForCanvas, options = RasterExportOptions.load()) {
+    return new Promise((resolve, reject) => {
+      const canvas = document.createElement('canvas');
+      const { width, height } = ClipboardManager.getSvgRenderSize(svg);
+      const svgBlob = ClipboardManager.createSvgBlob(svg, width, height, sanitizeForCanvas);
+      const url = URL.createObjectURL(svgBlob);
+
+      const img = new Image();
+      img.onload = () => {
+        try {
+          const safeWidth = Math.max(1, Math.round(width || img.width || 300));
+          const safeHeight = Math.max(1, Math.round(height || img.height || 150));
+          const { padding, transparent, background } = options;
+          const { outerWidth, outerHeight, scale, pixelWidth, pixelHeight } =
+            RasterExportOptions.outputSize(safeWidth, safeHeight, options);
+
+          canvas.width = pixelWidth;
+          canvas.height = pixelHeight;
+
+          const ctx = canvas.getContext('2d');
+          if (!ctx) {
+            throw new Error('Canvas 2D context is not available');
+          }
+
+          ctx.setTransform(scale, 0, 0, scale, 0, 0);
+          if (!transparent) {
+            ctx.fillStyle = background;
+            ctx.fillRect(0, 0, outerWidth, outerHeight);
+          }
+          ctx.drawImage(img, padding, padding, safeWidth, safeHeight);
+
+          canvas.toBlob((blob) => {
+            if (!blob) {
+              reject(new Error('Failed to convert SVG to PNG blob'));
+              return;
+            }
+            resolve(blob);
+          }, 'image/png');
+        } catch (error) {
+          if (ClipboardManager.isCanvasSecurityError(error)) {
+            reject(new Error('Canvas export blocked by browser security (tainted canvas)'));
+          } else {
+            reject(error instanceof Error ? error : new Error('Failed to convert SVG to image'));
+          }
+        } finally {
+          URL.revokeObjectURL(url);
+        }
+      };
+
+      img.onerror = () => {
+        URL.revokeObjectURL(url);
+        reject(new Error('Failed to convert SVG to image'));
+      };
+
+      img.src = url;
+    });
+  }
+
+  static containsForeignObject(svg) {
+    return svg.querySelector('foreignObject') !== null;
+  }
+
+  /**
+   * Remove external resources that can taint canvas rendering
+   * @private
+   * @param {SVGElement} svg - Cloned SVG element
+   */
+  static sanitizeSvgForCanvas(svg) {
+    ClipboardManager.replaceForeignObjectWithSvgText(svg);
+
+    const allNodes = svg.querySelectorAll('*');
+    allNodes.forEach((node) => {
+      const href = node.getAttribute('href') || node.getAttribute('xlink:href');
+      if (!href) return;
+
+      if (ClipboardManager.isSafeSvgResourceUrl(href)) return;
+
+      if (node.tagName?.toLowerCase() === 'image') {
+        node.remove();
+        return;
+      }
+
+      node.removeAttribute('href');
+      node.removeAttribute('xlink:href');
+    });
+  }
+
+  /**
+   * Replace HTML foreignObject labels with plain SVG text for reliable PNG export
+   * @private
+   * @param {SVGElement} svg - Cloned SVG element
+   */
+  static replaceForeignObjectWithSvgText(svg) {
+    const foreignObjects = Array.from(svg.querySelectorAll('foreignObject'));
+
+    foreignObjects.forEach((node) => {
+      const labelText = ClipboardManager.getForeignObjectText(node);
+      if (!labelText) {
+        node.remove();
+        return;
+      }
+
+      const x = ClipboardManager.parseSvgLength(node.getAttribute('x'));
+      const y = ClipboardManager.parseSvgLength(node.getAttribute('y'));
+      const width = ClipboardManager.parseSvgLength(node.getAttribute('width'));
+      const height = ClipboardManager.parseSvgLength(node.getAttribute('height'));
+      const centerX = x + (width > 0 ? width / 2 : 0);
+      const centerY = y + (height > 0 ? height / 2 : 0);
+
+      const textNode = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+      const className = node.getAttribute('class');
+      if (className) {
+        textNode.setAttribute('class', className);
+      }
+
+      textNode.setAttribute('x', `${centerX}`);
+      textNode.setAttribute('y', `${centerY}`);
+      textNode.setAttribute('text-anchor', 'middle');
+      textNode.setAttribute('dominant-baseline', 'middle');
+      textNode.setAttribute('fill', '#1f2937');
+      textNode.setAttribute('font-family', 'Arial, sans-serif');
+      textNode.setAttribute('font-size', '14');
+      textNode.setAttribute('pointer-events', 'none');
+
+      const maxCharsPerLine = Math.max(10, Math.floor((width || 140) / 7));
+      const lines = ClipboardManager.wrapTextForSvg(labelText, maxCharsPerLine);
+
+      if (lines.length <= 1) {
+        textNode.textContent = lines[0];
+      } else {
+        const lineHeightEm = 1.2;
+        const firstDy = ((1 - lines.length) / 2) * lineHeightEm;
+
+        lines.forEach((line, index) => {
+          const tspan = document.createElementNS('http://www.w3.org/2000/svg', 'tspan');
+          tspan.setAttribute('x', `${centerX}`);
+          tspan.setAttribute('dy', `${index === 0 ? firstDy : lineHeightEm}em`);
+          tspan.textContent = line;
+          textNode.appendChild(tspan);
+        });
+      }
+
+      node.replaceWith(textNode);
+    });
+  }
+
+  /**
+   * Extract readable label text from foreignObject content
+   * @private
+   * @param {Element} foreignObject - foreignObject element
+   * @returns {string} Normalized text content
+   */
+  static getForeignObjectText(foreignObject) {
+    return (foreignObject.textContent || '')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Wrap text to fit inside SVG node boxes
+   * @private
+   * @param {string} text - Label text
+   * @param {number} maxCharsPerLine - Approximate width cap in characters
+   * @returns {string[]} Wrapped lines
+   */
+  static wrapTextForSvg(text, maxCharsPerLine) {
+    const normalized = text.replace(/\s+/g, ' ').trim();
+    if (!normalized) return [''];
+    if (normalized.length <= maxCharsPerLine) return [normalized];
+
+    const words = normalized.split(' ');
+    const lines = [];
+    let currentLine = '';
+
+    words.forEach((word) => {
+      const candidate = currentLine ? `${currentLine} ${word}` : word;
+      if (candidate.length <= maxCharsPerLine || !currentLine) {
+        currentLine = candidate;
+      } else {
+        lines.push(currentLine);
+        currentLine = word;
+      }
+    });
+
+    if (currentLine) {
+      lines.push(currentLine);
+    }
+
+    return lines;
+  }
+
+  /**
+   * Check whether an SVG resource URL is safe to keep for canvas rendering
+   * @private
+   * @param {string} value - URL value from href/xlink:href
+   * @returns {boolean} True when URL is local/safe
+   */
+  static isSafeSvgResourceUrl(value) {
+    if (!value) return true;
+    const trimmed = value.trim();
+    if (!trimmed || trimmed.startsWith('#') || trimmed.startsWith('data:') || trimmed.startsWith('blob:')) {
+      return true;
+    }
+
+    try {
+      const url = new URL(trimmed, window.location.href);
+      return url.origin === window.location.origin;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Check whether an error comes from canvas tainting/CORS restrictions
+   * @private
+   * @param {unknown} error - Error to inspect
+   * @returns {boolean} True when canvas export is blocked by browser security
+   */
+  static isCanvasSecurityError(error) {
+    if (!(error instanceof Error)) return false;
+    const message = error.message || '';
+    return error.name === 'SecurityError' ||
+      /tainted canvases may not be exported/i.test(message) ||
+      /canvas export blocked by browser security/i.test(message) ||
+      /tainted canvas/i.test(message);
+  }
+
+  /**
+   * Get the on-screen size of the SVG at 100% zoom
+   * @private
+   * @param {SVGElement} svg - SVG element to measure
+   * @returns {{width: number, height: number}} Render size
+   */
+  static getSvgRenderSize(svg) {
+    const rect = svg.getBoundingClientRect?.();
+    const scale = ViewportManager.scaleOf(svg);
+    const width = rect?.width / scale || ClipboardManager.parseSvgLength(svg.getAttribute('width')) ||
+      ClipboardManager.getViewBoxSize(svg).width || 300;
+    const height = rect?.height / scale || ClipboardManager.parseSvgLength(svg.getAttribute('height')) ||
+      ClipboardManager.getViewBoxSize(svg).height || 150;
+
+    return { width, height };
+  }
+
+  /**
+   * Serialize SVG while forcing width/height to current render size
+   * @private
+   * @param {SVGElement} svg - SVG element to serialize
+   * @param {number} width - Target width
+   * @param {number} height - Target height
+   * @param {boolean} [sanitizeForCanvas=false] - Remove canvas-unsafe resources before serialization
+   * @returns {string} Serialized SVG
+   */
+  static serializeSvgWithSize(svg, width, height, sanitizeForCanvas = false) {
+    const clone = svg.cloneNode(true);
+    if (!clone.getAttribute('xmlns')) {
+      clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+    }
+    if (!clone.getAttribute('xmlns:xlink')) {
+      clone.setAttribute('xmlns:xlink', 'http://www.w3.org/1999/xlink');
+    }
+
+    if (Number.isFinite(width)) {
+      clone.setAttribute('width', `${width}`);
+    }
+    if (Number.isFinite(height)) {
+      clone.setAttribute('height', `${height}`);
+    }
+
+    if (sanitizeForCanvas) {
+      ClipboardManager.sanitizeSvgForCanvas(clone);
+    }
+
+    const viewBox = clone.getAttribute('viewBox');
+    if (!viewBox) {
+      clone.setAttribute('viewBox', `0 0 ${width} ${height}`);
+    }
+
+    return new XMLSerializer().serializeToString(clone);
+  }
+
+  /**
+   * Parse SVG length attribute to pixels (Graphviz, for one, sizes its output in points)
+   * @private
+   * @param {string|null} value - Length value
+   * @returns {number} Parsed number or 0
+   */
+  static parseSvgLength(value) {
+    if (!value) return 0;
+    const parsed = parseFloat(value);
+    if (!Number.isFinite(parsed)) return 0;
+
+    const unit = /(px|pt|pc|in|cm|mm)\s*$/i.exec(value)?.[1].toLowerCase();
+    return unit ? parsed * ClipboardManager.SVG_LENGTH_UNITS[unit] : parsed;
+  }
+
+  /**
+   * Get viewBox size if present
+   * @private
+   * @param {SVGElement} svg - SVG element
+   * @returns {{width: number, height: number}}
+   */
+  static getViewBoxSize(svg) {
+    const viewBox = svg.getAttribute('viewBox');
+    if (!viewBox) return { width: 0, height: 0 };
+    const parts = viewBox.split(/\s+/).map(Number);
+    if (parts.length !== 4 || parts.some((v) => !Number.isFinite(v))) {
+      return { width: 0, height: 0 };
+    }
+    return { width: parts[2], height: parts[3] };
+  }
+}
+
+/**
+ * PNG export and clipboard copy options (resolution, background, padding)
+ * @class
+ */
+class RasterExportOptions {
+  /**
+   * Read saved options, falling back to defaults for anything missing or invalid
+   * @returns {{sizing: string, scale: number, targetWidth: number, transparent: boolean, background: string, padding: number}}
+   */
+  static load() {
+    return RasterExportOptions.normalize(StorageManager.getJSON(STORAGE_KEY_RASTER_OPTIONS, {}));
+  }
+
+  /**
+   * Save options
+   * @param {Object} options - Options to save
+   */
+  static save(options) {
+    StorageManager.setJSON(STORAGE_KEY_RASTER_OPTIONS, RasterExportOptions.normalize(options));
+  }
+
+  /**
+   * Clamp and validate options
+   * @private
+   * @param {Object} options - Raw options
+   * @returns {Object} Normalized options
+   */
+  static normalize(options) {
+    const merged = { ...DEFAULT_RASTER_OPTIONS, ...(options && typeof options === 'object' ? options : {}) };
+    const clamp = (value, min, max, fallback) => {
+      const parsed = Number(value);
+      return Number.isFinite(parsed) ? Math.min(max, Math.max(min, parsed)) : fallback;
+    };
+
+    return {
+      sizing: merged.sizing === 'width' ? 'width' : 'scale',
+      scale: clamp(merged.scale, 1, 4, DEFAULT_RASTER_OPTIONS.scale),
+      targetWidth: Math.round(clamp(merged.targetWidth, 16, 16384, DEFAULT_RASTER_OPTIONS.targetWidth)),
+      transparent: Boolean(merged.transparent),
+      background: /^#[0-9a-f]{6}$/i.test(merged.background) ? merged.background : DEFAULT_RASTER_OPTIONS.background,
+      padding: Math.round(clamp(merged.padding, 0, 500, 0))
+    };
+  }
+
+  /**
+   * Pixel scale for a diagram of the given (padded) width
+   * @param {Object} options - Normalized options
+   * @param {number} outerWidth - Diagram width including padding, in CSS px
+   * @returns {number} Canvas scale factor
+   */
+  static resolveScale(options, outerWidth) {
+    return options.sizing === 'width' ? options.targetWidth / Math.max(1, outerWidth) : options.scale;
+  }
+
+  /**
+   * Output dimensions of a PNG export
+   * @param {number} width - Diagram width in CSS px
+   * @param {number} height - Diagram height in CSS px
+   * @param {Object} options - Normalized options
+   * @returns {{outerWidth: number, outerHeight: number, scale: number, pixelWidth: number, pixelHeight: number}}
+   */
+  static outputSize(width, height, options) {
+    const outerWidth = Math.max(1, Math.round(width || 300)) + 2 * options.padding;
+    const outerHeight = Math.max(1, Math.round(height || 150)) + 2 * options.padding;
+    const scale = RasterExportOptions.resolveScale(options, outerWidth);
+
+    return {
+      outerWidth,
+      outerHeight,
+      scale,
+      pixelWidth: Math.max(1, Math.round(outerWidth * scale)),
+      pixelHeight: Math.max(1, Math.round(outerHeight * scale))
+    };
+  }
+
+  /**
+   * Show the options dialog and save the result
+   */
+  static showDialog() {
+    const current = RasterExportOptions.load();
+    const form = document.createElement('div');
+    form.className = 'options-form';
+
+    const note = document.createElement('p');
+    note.className = 'options-note';
+    note.textContent = 'Used for PNG export and for copying the diagram to the clipboard.';
+    form.appendChild(note);
+
+    const addRow = (label, control) => {
+      const row = document.createElement('label');
+      row.className = 'options-row';
+      row.textContent = label;
+      row.appendChild(control);
+      form.appendChild(row);
+    };
+
+    const sizing = document.createElement('select');
+    sizing.add(new Option('Scale factor', 'scale', false, current.sizing === 'scale'));
+    sizing.add(new Option('Target width', 'width', false, current.sizing === 'width'));
+    addRow('Resolution', sizing);
+
+    const scale = document.createElement('select');
+    RASTER_SCALES.forEach((value) => scale.add(new Option(`${value}×`, String(value), false, value === current.scale)));
+    addRow('Scale', scale);
+
+    const targetWidth = document.createElement('input');
+    targetWidth.type = 'number';
+    targetWidth.min = '16';
+    targetWidth.max = '16384';
+    targetWidth.value = String(current.targetWidth);
+    addRow('Width (px)', targetWidth);
+
+    const transparent = document.createElement('input');
+    transparent.type = 'checkbox';
+    transparent.checked = current.transparent;
+    addRow('Transparent background', transparent);
+
+    const background = document.createElement('input');
+    background.type = 'color';
+    background.value = current.background;
+    addRow('Background colour', background);
+
+    const padding = document.createElement('input');
+    padding.type = 'number';
+    padding.min = '0';
+    padding.max = '500';
+    padding.value = String(current.padding);
+    addRow('Padding (px)', padding);
+
+    const exportTheme = document.createElement('select');
+    exportTheme.add(new Option('Always light', 'light', false, ThemeManager.getExportTheme() === 'light'));
+    exportTheme.add(new Option('Same as preview', 'preview', false, ThemeManager.getExportTheme() === 'preview'));
+    addRow('Theme (all formats)', exportTheme);
+
+    const updateVisibility = () => {
+      scale.parentElement.hidden = sizing.value !== 'scale';
+      targetWidth.parentElement.hidden = sizing.value !== 'width';
+      background.disabled = transparent.checked;
+    };
+    sizing.addEventListener('change', updateVisibility);
+    transparent.addEventListener('change', updateVisibility);
+    updateVisibility();
+
+    DialogManager.open({
+      title: 'Image export options',
+      content: form,
+      actions: [
+        {
+          label: 'Reset',
+          className: 'btn-secondary',
+          onClick: () => {
+            RasterExportOptions.save(DEFAULT_RASTER_OPTIONS);
+            StorageManager.setItem(STORAGE_KEY_EXPORT_THEME, 'light');
+          }
+        },
+        { label: 'Cancel', className: 'btn-secondary' },
+        {
+          label: 'Save',
+          className: 'btn-primary',
+          onClick: () => {
+            RasterExportOptions.save({
+              sizing: sizing.value,
+              scale: scale.value,
+              targetWidth: targetWidth.value,
+              transparent: transparent.checked,
+              background: background.value,
+              padding: padding.value
+            });
+            StorageManager.setItem(STORAGE_KEY_EXPORT_THEME, exportTheme.value);
+            NotificationManager.show('Export options saved', 'success');
+          }
+        }
+      ]
+    });
+  }
+}
+
+/**
+ * Streaming RGBA PNG encoder: rows are deflated as they arrive, so the full
+ * image never has to exist in a canvas or in memory uncompressed.
+ * Self-contained (no outside references) because its source is also loaded into a worker.
+ * @class
+ */
+class PngStreamEncoder {
+  /**
+   * @param {number} width - Image width in pixels
+   * @param {number} height - Image height in pixels
+   */
+  constructor(width, height) {
+    this.width = width;
+    this.height = height;
+    this.rowsWritten = 0;
+
+    const deflater = new CompressionStream('deflate');
+    this.writer = deflater.writable.getWriter();
+    this.compressed = new Response(deflater.readable).arrayBuffer();
+  }
+
+  /**
+   * Append rows of RGBA pixels (top to bottom)
+   * @param {Uint8ClampedArray} rgba - Pixel data, `width * 4` bytes per row
+   * @returns {Promise<void>}
+   */
+  async addRows(rgba) {
+    const stride = this.width * 4;
+    const rows = Math.min(Math.floor(rgba.length / stride), this.height - this.rowsWritten);
+    const filtered = new Uint8Array(rows * (stride + 1));
+
+    for (let row = 0; row < rows; row++) {
+      const source = row * stride;
+      const target = row * (stride + 1);
+      // Filter type 1 (Sub): each byte minus the same channel of the pixel to its left
+      filtered[target] = 1;
+      for (let i = 0; i < stride; i++) {
+        filtered[target + 1 + i] = i < 4 ? rgba[source + i] : (rgba[source + i] - rgba[source + i - 4]) & 0xff;
+      }
+    }
+
+    this.rowsWritten += rows;
+    await this.writer.write(filtered);
+  }
+
+  /**
+   * Finish the image
+   * @returns {Promise<Blob>} PNG blob
+   */
+  async finish() {
+    if (this.rowsWritten !== this.height) {
+      throw new Error(`PNG encoder received ${this.rowsWritten} of ${this.height} rows`);
+    }
+
+    await this.writer.close();
+    const data = new Uint8Array(await this.compressed);
+
+    const header = new Uint8Array(13);
+    const view = new DataView(header.buffer);
+    view.setUint32(0, this.width);
+    view.setUint32(4, this.height);
+    header.set([8, 6, 0, 0, 0], 8); // 8-bit RGBA, deflate, adaptive filtering, no interlace
+
+    const parts = [new Uint8Array([137, 80, 78, 71, 13, 10, 26, 10]), PngStreamEncoder.chunk('IHDR', header)];
+    const maxChunk = 8 * 1024 * 1024;
+    for (let offset = 0; offset < data.length; offset += maxChunk) {
+      parts.push(PngStreamEncoder.chunk('IDAT', data.subarray(offset, offset + maxChunk)));
+    }
+    parts.push(PngStreamEncoder.chunk('IEND', new Uint8Array(0)));
+
+    return new Blob(parts, { type: 'image/png' });
+  }
+
+  /**
+   * Build a PNG chunk (length, type, data, CRC)
+   * @private
+   * @param {string} type - Four-letter chunk type
+   * @param {Uint8Array} data - Chunk data
+   * @returns {Uint8Array} Chunk bytes
+   */
+  static chunk(type, data) {
+    const bytes = new Uint8Array(12 + data.length);
+    const view = new DataView(bytes.buffer);
+    view.setUint32(0, data.length);
+    for (let i = 0; i < 4; i++) bytes[4 + i] = type.charCodeAt(i);
+    bytes.set(data, 8);
+    view.setUint32(8 + data.length, PngStreamEncoder.crc32(bytes.subarray(4, 8 + data.length)));
+    return bytes;
+  }
+
+  /**
+   * CRC-32 as used by PNG, over the chunk type and data
+   * @private
+   * @param {Uint8Array} bytes - Bytes to checksum
+   * @returns {number} Unsigned 32-bit CRC
+   */
+  static crc32(bytes) {
+    if (!PngStreamEncoder.crcTable) {
+      PngStreamEncoder.crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        PngStreamEncoder.crcTable[n] = c >>> 0;
+      }
+    }
+
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+      crc = PngStreamEncoder.crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+}
+
+/**
+ * Worker entry point for stitching bands with OffscreenCanvas.
+ * Runs inside the worker, so it must only use PngStreamEncoder and worker globals.
+ */
+function pngStitchWorkerMain() {
+  let encoder = null;
+  let queue = Promise.resolve();
+
+  self.onmessage = (event) => {
+    const message = event.data;
+    queue = queue.then(async () => {
+      if (message.type === 'init') {
+        encoder = new PngStreamEncoder(message.width, message.height);
+      } else if (message.type === 'band') {
+        const { bitmap } = message;
+        const { width, height } = bitmap;
+        const canvas = new OffscreenCanvas(width, height);
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(bitmap, 0, 0);
+        bitmap.close();
+        await encoder.addRows(ctx.getImageData(0, 0, width, height).data);
+        self.postMessage({ type: 'band-done' });
+      } else if (message.type === 'finish') {
+        self.postMessage({ type: 'done', blob: await encoder.finish() });
+      }
+    }).catch((error) => {
+      self.postMessage({ type: 'error', message: error.message });
+    });
+  };
+}
+
+/**
+ * Collects horizontal bands into one PNG, in a worker when OffscreenCanvas is
+ * available and on the main thread otherwise
+ * @class
+ */
+class PngStitcher {
+  /**
+   * @param {number} width - Final image width
+   * @param {number} height - Final image height
+   */
+  constructor(width, height) {
+    this.width = width;
+    this.height = height;
+    this.worker = PngStitcher.createWorker();
+    this.encoder = this.worker ? null : new PngStreamEncoder(width, height);
+    this.pending = null;
+
+    if (this.worker) {
+      this.worker.postMessage({ type: 'init', width, height });
+    }
+  }
+
+  /**
+   * Check if PNG stitching is possible in this browser
+   * @returns {boolean}
+   */
+  static isSupported() {
+    return typeof CompressionStream !== 'undefined';
+  }
+
+  /**
+   * Start the stitching worker, or return null to encode on the main thread
+   * @private
+   * @returns {Worker|null}
+   */
+  static createWorker() {
+    if (typeof Worker === 'undefined' || typeof OffscreenCanvas === 'undefined' || typeof createImageBitmap === 'undefined') {
+      return null;
+    }
+
+    try {
+      const source = `${PngStreamEncoder.toString()}\n(${pngStitchWorkerMain.toString()})();`;
+      const url = URL.createObjectURL(new Blob([source], { type: 'text/javascript' }));
+      const worker = new Worker(url);
+      URL.revokeObjectURL(url);
+      return worker;
+    } catch (error) {
+      console.warn(`Stitching worker unavailable, encoding on the main thread: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Wait for the next message of a given type from the worker
+   * @private
+   * @param {string} type - Message type to wait for
+   * @returns {Promise<Object>} Message data
+   * @throws {Error} When the worker reports an error
+   */
+  awaitWorker(type) {
+    return new Promise((resolve, reject) => {
+      const handleMessage = (event) => {
+        if (event.data.type !== type && event.data.type !== 'error') return;
+        this.worker.removeEventListener('message', handleMessage);
+        if (event.data.type === 'error') {
+          reject(new Error(event.data.message));
+        } else {
+          resolve(event.data);
+        }
+      };
+      this.worker.addEventListener('message', handleMessage);
+    });
+  }
+
+  /**
+   * Append the next band (full width, top to bottom)
+   * @param {HTMLCanvasElement} canvas - Rendered band
+   * @returns {Promise<void>}
+   */
+  async addBand(canvas) {
+    if (this.worker) {
+      const bitmap = await createImageBitmap(canvas);
+      const done = this.awaitWorker('band-done');
+      this.worker.postMessage({ type: 'band', bitmap }, [bitmap]);
+      await done;
+      return;
+    }
+
+    const ctx = canvas.getContext('2d');
+    await this.encoder.addRows(ctx.getImageData(0, 0, canvas.width, canvas.height).data);
+  }
+
+  /**
+   * Finish the PNG
+   * @returns {Promise<Blob>}
+   */
+  async finish() {
+    if (!this.worker) {
+      return this.encoder.finish();
+    }
+
+    try {
+      const done = this.awaitWorker('done');
+      this.worker.postMessage({ type: 'finish' });
+      return (await done).blob;
+    } finally {
+      this.worker.terminate();
+    }
+  }
+
+  /**
+   * Stop the worker after a failure
+   */
+  abort() {
+    this.worker?.terminate();
+  }
+}
+
+/**
+ * Renders diagrams that exceed the browser canvas limits in sections
+ * @class
+ */
+class TiledRasterizer {
+  /**
+   * Check if an output size fits in a single canvas
+   * @param {number} width - Output width in pixels
+   * @param {number} height - Output height in pixels
+   * @returns {boolean}
+   */
+  static fitsSingleCanvas(width, height) {
+    return width <= MAX_CANVAS_DIMENSION && height <= MAX_CANVAS_DIMENSION && width * height <= MAX_CANVAS_AREA;
+  }
+
+  /**
+   * Check if sections of an oversized output can be stitched back into one PNG
+   * @param {number} width - Output width in pixels
+   * @param {number} height - Output height in pixels
+   * @returns {boolean}
+   */
+  static canStitch(width, height) {
+    return PngStitcher.isSupported() && width <= MAX_CANVAS_DIMENSION && width * height <= MAX_STITCHED_PIXELS;
+  }
+
+  /**
+   * Check if exporting an SVG will produce several page images instead of one PNG
+   * @param {SVGElement} svg - SVG element to export
+   * @param {Object} options - Normalized raster options
+   * @returns {boolean}
+   */
+  static needsPages(svg, options) {
+    const { width, height } = ClipboardManager.getSvgRenderSize(svg);
+    const { pixelWidth, pixelHeight } = RasterExportOptions.outputSize(width, height, options);
+    return !TiledRasterizer.fitsSingleCanvas(pixelWidth, pixelHeight) &&
+      !TiledRasterizer.canStitch(pixelWidth, pixelHeight);
+  }
+
+  /**
+   * Rasterize an SVG in sections: one stitched PNG when possible, otherwise
+   * numbered page images in reading order
+   * @param {SVGElement} svg - SVG element to render
+   * @param {boolean} sanitizeForCanvas - Remove canvas-unsafe resources first
+   * @param {Object} options - Normalized raster options
+   * @returns {Promise<Blob[]>} One PNG, or several page PNGs
+   */
+  static async rasterize(svg, sanitizeForCanvas, options) {
+    const { width, height } = ClipboardManager.getSvgRenderSize(svg);
+    const { outerWidth, outerHeight, scale, pixelWidth, pixelHeight } = RasterExportOptions.outputSize(width, height, options);
+
+    const wrapper = TiledRasterizer.buildWrapper(svg, width, height, outerWidth, outerHeight, sanitizeForCanvas, options);
+
+    if (TiledRasterizer.canStitch(pixelWidth, pixelHeight)) {
+      return [await TiledRasterizer.stitch(wrapper, pixelWidth, pixelHeight, scale)];
+    }
+    return TiledRasterizer.renderPages(wrapper, pixelWidth, pixelHeight, scale);
+  }
+
+  /**
+   * Wrap the diagram in an SVG that carries padding and background, so any
+   * region of the output can be rendered through its viewBox
+   * @private
+   * @param {SVGElement} svg - SVG element to render
+   * @param {number} width - Diagram width in CSS pixels
+   * @param {number} height - Diagram height in CSS pixels
+   * @param {number} outerWidth - Width including padding
+   * @param {number} outerHeight - Height including padding
+   * @param {boolean} sanitizeForCanvas - Remove canvas-unsafe resources first
+   * @param {Object} options - Normalized raster options
+   * @returns {SVGSVGElement} Detached wrapper element
+   */
+  static buildWrapper(svg, width, height, outerWidth, outerHeight, sanitizeForCanvas, { padding, transparent, background }) {
+    const inner = new DOMParser()
+      .parseFromString(ClipboardManager.serializeSvgWithSize(svg, width, height, sanitizeForCanvas), 'image/svg+xml')
+      .documentElement;
+    inner.setAttribute('x', `${padding}`);
+    inner.setAttribute('y', `${padding}`);
+
+    const namespace = 'http://www.w3.org/2000/svg';
+    const wrapper = document.createElementNS(namespace, 'svg');
+    wrapper.setAttribute('xmlns', namespace);
+    wrapper.setAttribute('xmlns:xlink', 'http://www.w3.org/1999/xlink');
+    wrapper.setAttribute('preserveAspectRatio', 'none');
+
+    if (!transparent) {
+      const backdrop = document.createElementNS(namespace, 'rect');
+      backdrop.setAttribute('width', `${outerWidth}`);
+      backdrop.setAttribute('height', `${outerHeight}`);
+      backdrop.setAttribute('fill', background);
+      wrapper.appendChild(backdrop);
+    }
+    wrapper.appendChild(document.importNode(inner, true));
+
+    return wrapper;
+  }
+
+  /**
+   * Render one region of the output into a canvas of exactly that size
+   * @private
+   * @param {SVGSVGElement} wrapper - Wrapper from buildWrapper
+   * @param {{x: number, y: number, width: number, height: number}} region - Output pixels
+   * @param {number} scale - Output pixels per CSS pixel
+   * @returns {Promise<HTMLCanvasElement>}
+   */
+  static async renderRegion(wrapper, region, scale) {
+    wrapper.setAttribute('width', `${region.width}`);
+    wrapper.setAttribute('height', `${region.height}`);
+    wrapper.setAttribute('viewBox',
+      `${region.x / scale} ${region.y / scale} ${region.width / scale} ${region.height / scale}`);
+
+    const blob = new Blob([new XMLSerializer().serializeToString(wrapper)], { type: 'image/svg+xml;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+
+    try {
+      const img = await new Promise((resolve, reject) => {
+        const image = new Image();
+        image.onload = () => resolve(image);
+        image.onerror = () => reject(new Error('Failed to convert SVG section to image'));
+        image.src = url;
+      });
+
+      const canvas = document.createElement('canvas');
+      canvas.width = region.width;
+      canvas.height = region.height;
+      const ctx = canvas.getContext('2d');
+      if (!ctx) {
+        throw new Error('Canvas 2D context is not available');
+      }
+      ctx.drawImage(img, 0, 0, region.width, region.height);
+      return canvas;
+    } finally {
+      URL.revokeObjectURL(url);
+    }
+  }
+
+  /**
+   * Render full-width bands and stitch them into one PNG
+   * @private
+   * @param {SVGSVGElement} wrapper - Wrapper from buildWrapper
+   * @param {number} pixelWidth - Output width in pixels
+   * @param {number} pixelHeight - Output height in pixels
+   * @param {number} scale - Output pixels per CSS pixel
+   * @returns {Promise<Blob>}
+   */
+  static async stitch(wrapper, pixelWidth, pixelHeight, scale) {
+    const bandHeight = Math.max(1, Math.min(MAX_CANVAS_DIMENSION, Math.floor(MAX_CANVAS_AREA / pixelWidth)));
+    const stitcher = new PngStitcher(pixelWidth, pixelHeight);
+
+    try {
+      for (let y = 0; y < pixelHeight; y += bandHeight) {
+        const region = { x: 0, y, width: pixelWidth, height: Math.min(bandHeight, pixelHeight - y) };
+        await stitcher.addBand(await TiledRasterizer.renderRegion(wrapper, region, scale));
+      }
+      return await stitcher.finish();
+    } catch (error) {
+      stitcher.abort();
+      throw ClipboardManager.isCanvasSecurityError(error)
+        ? new Error('Canvas export blocked by browser security (tainted canvas)')
+        : error;
+    }
+  }
+
+  /**
+   * Split the output into page-sized PNGs (rows, then columns)
+   * @private
+   * @param {SVGSVGElement} wrapper - Wrapper from buildWrapper
+   * @param {number} pixelWidth - Output width in pixels
+   * @param {number} pixelHeight - Output height in pixels
+   * @param {number} scale - Output pixels per CSS pixel
+   * @returns {Promise<Blob[]>}
+   */
+  static async renderPages(wrapper, pixelWidth, pixelHeight, scale) {
+    const pageWidth = Math.min(pixelWidth, MAX_CANVAS_DIMENSION);
+    const pageHeight = Math.max(1, Math.min(MAX_CANVAS_DIMENSION, Math.floor(MAX_CANVAS_AREA / pageWidth)));
+    const pages = [];
+
+    for (let y = 0; y < pixelHeight; y += pageHeight) {
+      for (let x = 0; x < pixelWidth; x += pageWidth) {
+        const region = {
+          x,
+          y,
+          width: Math.min(pageWidth, pixelWidth - x),
+          height: Math.min(pageHeight, pixelHeight - y)
+        };
+        const canvas = await TiledRasterizer.renderRegion(wrapper, region, scale);
+        pages.push(await new Promise((resolve, reject) => {
+          canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('Failed to convert SVG to PNG blob'))), 'image/png');
+        }));
+      }
+    }
+
+    return pages;
+  }
+}
+
+/**
+ * Panel management utility class
+ * @class
+ */
+class PanelManager {
+  /**
+   * Load saved panel widths from storage
+   */
+  static loadPanelWidths() {
+    const savedWidth = StorageManager.getItem(STORAGE_KEY_PANEL_WIDTH);
+    if (savedWidth && elements.editorPanel) {
+      elements.editorPanel.style.width = savedWidth;
+    }
+  }
+
+  /**
+   * Save current panel widths to storage
+   */
+  static savePanelWidths() {
+    if (elements.editorPanel?.style.width) {
+      StorageManager.setItem(STORAGE_KEY_PANEL_WIDTH, elements.editorPanel.style.width);
+    }
+  }
+
+  /**
+   * Handle panel resize
+   * @param {MouseEvent} event - Mouse event
+   */
+  static handleResize(event) {
+    if (!appState.isResizing) return;
+
+    const containerRect = document.querySelector('.main-content')?.getBoundingClientRect();
+    if (!containerRect) return;
+
+    // Measure from the editor's left edge, which the workspace sidebar can push right
+    const editorLeft = elements.editorPanel.getBoundingClientRect().left;
+    const mouseX = event.clientX - editorLeft;
+    const containerWidth = containerRect.width;
+    const resizerWidth = 6;
+
+    const minLeftPercent = (MIN_PANEL_WIDTH / containerWidth) * 100;
+    const maxLeftPercent = ((containerWidth - MIN_PANEL_WIDTH - resizerWidth) / containerWidth) * 100;
+
+    let leftPercent = (mouseX / containerWidth) * 100;
+    leftPercent = Math.max(minLeftPercent, Math.min(maxLeftPercent, leftPercent));
+
+    elements.editorPanel.style.width = `${leftPercent}%`;
+  }
+}
+
+/**
+ * Handle export button click (PNG, SVG or PDF, per the export format selector)
+ */
+const handlePngExportClick = ErrorHandler.asyncWrapper(async () => {
+  const formatKey = PngExporter.getFormatKey();
+  const preview = elements.diagramContainer.querySelector('svg');
+  // PlantUML is translated from the source, so it does not need a rendered diagram
+  if (!preview && formatKey !== 'puml') {
+    throw new Error('Please render a diagram first');
+  }
+
+  let pdfOptions = null;
+  let fileHandle = null;
+  if (formatKey === 'pdf') {
+    pdfOptions = await PdfExporter.promptOptions();
+    if (!pdfOptions) return;
+    // Ask where to save while the dialog's Save click still counts as user activation;
+    // generating the PDF can take longer than the browser allows
+    if (supportsFileSystemAccess) {
+      fileHandle = await PngExporter.chooseSaveFile(formatKey);
+    }
+  }
+
+  // Large PNGs are rendered in sections, which takes just as long: pick the target first,
+  // a folder when the diagram will be split into pages
+  const rasterOptions = formatKey === 'png' ? ThemeManager.exportRasterOptions() : null;
+  let directory = null;
+  if (formatKey === 'png' && supportsFileSystemAccess) {
+    if (!TiledRasterizer.needsPages(preview, rasterOptions)) {
+      fileHandle = await PngExporter.chooseSaveFile(formatKey);
+    } else if ('showDirectoryPicker' in window) {
+      directory = await PngExporter.chooseDirectory();
+    }
+  }
+
+  // Only image formats use the SVG; preparing it can mean a full re-render in the light theme
+  const svg = formatKey === 'puml' ? null : await ThemeManager.prepareExport(preview);
+
+  let blob;
+  if (formatKey === 'puml') {
+    blob = SyntaxConverter.createPlantUmlBlob();
+  } else if (formatKey === 'pdf') {
+    blob = await PdfExporter.createPdfBlob(svg, pdfOptions);
+  } else if (formatKey === 'svg') {
+    blob = await ClipboardManager.createStandaloneSvgBlob(svg);
+  } else {
+    const pages = await ClipboardManager.svgToPngBlobs(svg, rasterOptions);
+    if (pages.length > 1) {
+      await PngExporter.savePages(pages, directory);
+      return;
+    }
+    if (directory) {
+      // Rendered as one image after all: save it into the chosen folder
+      fileHandle = await directory.getFileHandle(PngExporter.generateFilename(formatKey), { create: true });
+    }
+    blob = pages[0];
+  }
+
+  if (supportsFileSystemAccess) {
+    await PngExporter.saveWithFilePicker(blob, formatKey, fileHandle);
+  } else {
+    PngExporter.saveAsDownload(blob, formatKey);
+  }
+}, 'Failed to export diagram', 'PngExport');
+
+/**
+ * Handle export format change
+ */
+const handleExportFormatChange = () => {
+  StorageManager.setItem(STORAGE_KEY_EXPORT_FORMAT, elements.exportFormat.value);
+  UIManager.updatePngFilename();
+};
+
+/**
+ * Image export utility class (all export formats share the naming and save logic)
+ * @class
+ */
+class PngExporter {
+  /**
+   * Get the selected export format key
+   * @returns {string} Key of EXPORT_FORMATS
+   */
+  static getFormatKey() {
+    const value = elements.exportFormat?.value;
+    return value && EXPORT_FORMATS[value] ? value : 'png';
+  }
+
+  /**
+   * Get the selected export format
+   * @returns {{label: string, extension: string, mimeType: string, description: string}}
+   */
+  static getFormat() {
+    return EXPORT_FORMATS[PngExporter.getFormatKey()];
+  }
+
+  /**
+   * Generate base filename without extension
+   * @returns {string} Base filename
+   */
+  static generateBaseFilename() {
+    if (appState.fileName) {
+      return PngExporter.baseNameOf(appState.fileName);
+    }
+
+    const inputName = elements.imageFilename.value.trim();
+    if (!inputName) return 'diagram';
+    return PngExporter.baseNameOf(inputName);
+  }
+
+  /**
+   * Strip the extension from a source or image file name
+   * @param {string} fileName - File name
+   * @returns {string} Name without its extension
+   */
+  static baseNameOf(fileName) {
+    return fileName.replace(/\.[^/.]+$/, '');
+  }
+
+  /**
+   * Numbered names for a PNG split into pages (diagram-page-01.png, ...)
+   * @param {string} baseName - Name without extension
+   * @param {number} count - Number of pages
+   * @returns {string[]} Page file names
+   */
+  static pageFilenames(baseName, count) {
+    const digits = String(count).length;
+    return Array.from({ length: count }, (_, index) =>
+      `${baseName}-page-${String(index + 1).padStart(Math.max(2, digits), '0')}.png`);
+  }
+
+  /**
+   * Generate export filename based on current file
+   * @param {string} [formatKey] - Key of EXPORT_FORMATS (defaults to the selected format)
+   * @returns {string} Generated filename
+   */
+  static generateFilename(formatKey = PngExporter.getFormatKey()) {
+    return `${PngExporter.generateBaseFilename()}${EXPORT_FORMATS[formatKey].extension}`;
+  }
+
+  /**
+   * Resolve preferred start directory for save picker
+   * @returns {Promise<FileSystemDirectoryHandle|undefined>}
+   */
+  static async resolveStartInDirectory() {
+    if (appState.fileHandle) {
+      try {
+        return (await appState.fileHandle.getParent?.()) || undefined;
+      } catch {
+        return appState.lastPngDirectory || undefined;
+      }
+    }
+    return appState.lastPngDirectory || undefined;
+  }
+
+  /**
+   * Build safe save picker options without invalid null startIn values
+   * @param {string} suggestedName - Suggested file name
+   * @param {Array<{description: string, accept: Object<string, string[]>}>} types - Allowed file types
+   * @param {FileSystemDirectoryHandle|undefined} startIn - Optional start directory
+   * @returns {Object} Save picker options
+   */
+  static buildSavePickerOptions(suggestedName, types, startIn) {
+    const options = { suggestedName, types };
+    if (startIn !== undefined && startIn !== null) {
+      options.startIn = startIn;
+    }
+    return options;
+  }
+
+  /**
+   * Ask where to save an export. Call it straight from a user action: the picker
+   * needs transient user activation, which long renders can outlast.
+   * @param {string} formatKey - Key of EXPORT_FORMATS
+   * @returns {Promise<FileSystemFileHandle>}
+   */
+  static async chooseSaveFile(formatKey) {
+    const format = EXPORT_FORMATS[formatKey];
+    const suggestedName = PngExporter.generateFilename(formatKey);
+    const startIn = await PngExporter.resolveStartInDirectory();
+    const types = [{
+      description: format.description,
+      accept: { [format.mimeType]: [format.extension] }
+    }];
+
+    return window.showSaveFilePicker(PngExporter.buildSavePickerOptions(suggestedName, types, startIn));
+  }
+
+  /**
+   * Save exported image with file picker
+   * @param {Blob} blob - Image blob to save
+   * @param {string} [formatKey='png'] - Key of EXPORT_FORMATS
+   * @param {FileSystemFileHandle|null} [fileHandle] - File chosen beforehand (otherwise the picker opens)
+   * @returns {Promise<void>}
+   */
+  static async saveWithFilePicker(blob, formatKey = 'png', fileHandle = null) {
+    const format = EXPORT_FORMATS[formatKey];
+    fileHandle = fileHandle || await PngExporter.chooseSaveFile(formatKey);
+
+    const writable = await fileHandle.createWritable();
+    await writable.write(blob);
+    await writable.close();
+
+    try {
+      // startIn also accepts a file handle and opens the picker in that file's folder
+      appState.lastPngDirectory = (await fileHandle.getParent?.()) || fileHandle;
+    } catch {
+      // getParent might not be available
+      appState.lastPngDirectory = fileHandle;
+    }
+    RecentFilesManager.rememberExportDirectory(appState.lastPngDirectory);
+
+    const file = await fileHandle.getFile();
+    const locationInfo = appState.fileName ? ' (same directory as source)' : '';
+    NotificationManager.show(`${format.label} exported: ${file.name}${locationInfo}`, 'success');
+  }
+
+  /**
+   * Ask for the folder that receives page images. Like chooseSaveFile, call it
+   * straight from a user action.
+   * @returns {Promise<FileSystemDirectoryHandle>}
+   */
+  static async chooseDirectory() {
+    const startIn = await PngExporter.resolveStartInDirectory();
+    return window.showDirectoryPicker(startIn ? { mode: 'readwrite', startIn } : { mode: 'readwrite' });
+  }
+
+  /**
+   * Save a diagram that was split into several page images (numbered files)
+   * @param {Blob[]} pages - Page PNG blobs in reading order
+   * @param {FileSystemDirectoryHandle|null} [directory] - Folder chosen beforehand (otherwise the picker opens)
+   * @returns {Promise<void>}
+   */
+  static async savePages(pages, directory = null) {
+    const names = PngExporter.pageFilenames(PngExporter.generateBaseFilename(), pages.length);
+
+    if (directory || (supportsFileSystemAccess && 'showDirectoryPicker' in window)) {
+      directory = directory || await PngExporter.chooseDirectory();
+
+      for (let i = 0; i < pages.length; i++) {
+        const fileHandle = await directory.getFileHandle(names[i], { create: true });
+        const writable = await fileHandle.createWritable();
+        await writable.write(pages[i]);
+        await writable.close();
+      }
+
+      appState.lastPngDirectory = directory;
+      RecentFilesManager.rememberExportDirectory(directory);
+      NotificationManager.show(`Diagram too large for one image: exported ${pages.length} pages (${names[0]} …)`, 'success');
+      return;
     }
 
-    if (newType && newType !== current) {
-      elements.diagramSelect.value = newType;
-      StorageManager.setItem(STORAGE_KEY_DIAGRAM_TYPE, newType);
+    for (let i = 0; i < pages.length; i++) {
+      const url = URL.createObjectURL(pages[i]);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = names[i];
+      link.click();
+      URL.revokeObjectURL(url);
+      // Give the browser a moment between downloads so none are dropped
+      await new Promise((resolve) => setTimeout(resolve, 200));
     }
+    NotificationManager.show(`Diagram too large for one image: downloaded ${pages.length} pages`, 'success');
   }
-}
 
-/**
- * Handle render button click
- */
-const handleRenderClick = ErrorHandler.asyncWrapper(async () => {
-  DiagramRenderer.render();
-}, 'Failed to render diagram', 'RenderButton');
+  /**
+   * Save exported image as download (fallback)
+   * @param {Blob} blob - Image blob to save
+   * @param {string} [formatKey='png'] - Key of EXPORT_FORMATS
+   */
+  static saveAsDownload(blob, formatKey = 'png') {
+    const format = EXPORT_FORMATS[formatKey];
+    const filename = PngExporter.generateFilename(formatKey);
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+
+    URL.revokeObjectURL(url);
+
+    const message = appState.fileName
+      ? `${format.label} downloaded: ${filename} (based on source filename)`
+      : `${format.label} downloaded: ${filename}`;
+    NotificationManager.show(message, 'success');
+  }
+}
 
 /**
- * Clipboard management utility class
+ * Batch export: renders every diagram source below a folder off-screen and writes
+ * the images next to each source, named like single exports
  * @class
  */
-class ClipboardManager {
+class BatchExporter {
   /**
-   * Check if clipboard API is supported
-   * @returns {boolean} True if supported
+   * Extensions of the sources batch export picks up
+   * @returns {string[]}
    */
-  static isSupported() {
-    return 'clipboard' in navigator && 'write' in navigator.clipboard;
+  static extensions() {
+    return RendererRegistry.fileExtensions(Object.keys(BATCH_EXPORT_EXTENSIONS));
   }
 
   /**
-   * Copy SVG diagram to clipboard, preferring PNG and falling back to SVG
-   * @param {SVGElement} svg - SVG element to copy
-   * @returns {Promise<void>}
+   * Diagram type of a source, from its name alone so that the output does not
+   * depend on what the editor has selected
+   * @param {string} fileName - File name
+   * @returns {string} Diagram type
    */
-  static async copyDiagram(svg) {
-    if (!ClipboardManager.isSupported()) {
-      throw new Error('Clipboard API not supported in this browser');
-    }
+  static typeOf(fileName) {
+    const ext = fileName.slice(fileName.lastIndexOf('.')).toLowerCase();
+    return RendererRegistry.forExtension(ext)[0]?.id || BATCH_EXPORT_EXTENSIONS[ext] || DEFAULT_DIAGRAM_TYPE;
+  }
 
-    let pngError = null;
+  /**
+   * Show the batch export dialog: folder, formats, then a per-file progress list
+   */
+  static showDialog() {
+    let directory = WorkspaceManager.directory;
+    let running = false;
+    let cancelled = false;
+
+    const form = document.createElement('div');
+    form.className = 'options-form';
+
+    const note = document.createElement('p');
+    note.className = 'options-note';
+    note.textContent = `Renders every ${BatchExporter.extensions().join(', ')} file in a folder and its subfolders, ` +
+      'and saves the images next to each source. PNG uses the ⚙️ export options; images are always light themed.';
+    form.appendChild(note);
+
+    const folderRow = document.createElement('div');
+    folderRow.className = 'options-row';
+    const folderName = document.createElement('span');
+    folderName.className = 'batch-folder';
+    const chooseBtn = document.createElement('button');
+    chooseBtn.type = 'button';
+    chooseBtn.className = 'btn btn-secondary';
+    chooseBtn.textContent = '📂 Choose folder…';
+    folderRow.append('Folder', folderName, chooseBtn);
+    form.appendChild(folderRow);
+
+    const formats = {};
+    ['png', 'svg'].forEach((formatKey) => {
+      const row = document.createElement('label');
+      row.className = 'options-row';
+      row.textContent = EXPORT_FORMATS[formatKey].label;
+      formats[formatKey] = document.createElement('input');
+      formats[formatKey].type = 'checkbox';
+      formats[formatKey].checked = formatKey === 'png' || PngExporter.getFormatKey() === formatKey;
+      row.appendChild(formats[formatKey]);
+      form.appendChild(row);
+    });
 
-    try {
-      const pngBlob = await ClipboardManager.svgToBlob(svg);
-      await navigator.clipboard.write([new ClipboardItem({ 'image/png': pngBlob })]);
+    const progress = document.createElement('ol');
+    progress.className = 'batch-progress';
+    progress.hidden = true;
+    const summary = document.createElement('p');
+    summary.className = 'batch-summary';
+    form.append(progress, summary);
+
+    const showFolder = () => {
+      folderName.textContent = directory ? directory.name : 'No folder chosen';
+    };
+    showFolder();
+
+    chooseBtn.addEventListener('click', ErrorHandler.asyncWrapper(async () => {
+      directory = await window.showDirectoryPicker({ id: 'batch-export', mode: 'readwrite', startIn: directory || undefined });
+      showFolder();
+    }, 'Failed to choose folder', 'BatchExportFolder'));
+
+    const dialog = DialogManager.open({
+      title: 'Batch export',
+      content: form,
+      onClose: () => {
+        cancelled = true;
+      },
+      actions: [
+        { label: 'Close', className: 'btn-secondary' },
+        {
+          label: 'Export',
+          className: 'btn-primary',
+          onClick: async () => {
+            if (running) return false;
+
+            const formatKeys = Object.keys(formats).filter((formatKey) => formats[formatKey].checked);
+            if (!directory) {
+              NotificationManager.show('Choose a folder first', 'error');
+              return false;
+            }
+            if (!formatKeys.length) {
+              NotificationManager.show('Choose at least one format', 'error');
+              return false;
+            }
+
+            running = true;
+            startBtn.disabled = true;
+            chooseBtn.disabled = true;
+            try {
+              await BatchExporter.run(directory, formatKeys, progress, summary, () => cancelled);
+            } catch (error) {
+              ErrorHandler.handle(error, 'Batch export failed', 'BatchExport');
+            } finally {
+              running = false;
+              startBtn.disabled = false;
+              chooseBtn.disabled = false;
+            }
+            return false;
+          }
+        }
+      ]
+    });
+    const startBtn = dialog.element.querySelector('.modal-actions .btn-primary');
+  }
+
+  /**
+   * Export every source below a folder, reporting each file in the progress list
+   * @param {FileSystemDirectoryHandle} directory - Folder to walk
+   * @param {string[]} formatKeys - Keys of EXPORT_FORMATS to write ('png', 'svg')
+   * @param {HTMLOListElement} progress - Progress list to fill
+   * @param {HTMLElement} summary - Element for the closing summary
+   * @param {function(): boolean} isCancelled - Stops the run once it returns true
+   * @returns {Promise<void>}
+   */
+  static async run(directory, formatKeys, progress, summary, isCancelled) {
+    progress.innerHTML = '';
+    progress.hidden = false;
+    summary.textContent = 'Looking for diagrams…';
+
+    const files = await BatchExporter.collectFiles(directory);
+    if (!files.length) {
+      progress.hidden = true;
+      summary.textContent = `No ${BatchExporter.extensions().join(', ')} files in ${directory.name}.`;
       return;
-    } catch (error) {
-      pngError = error instanceof Error ? error : new Error(String(error));
     }
 
-    const svgBlob = ClipboardManager.createSvgBlob(svg);
-    try {
-      await navigator.clipboard.write([new ClipboardItem({ 'image/svg+xml': svgBlob })]);
-    } catch (error) {
-      const svgMessage = error instanceof Error ? error.message : String(error);
-      const pngMessage = pngError?.message || 'unknown PNG export failure';
-      throw new Error(`Failed to copy diagram: PNG export failed (${pngMessage}) and SVG fallback failed (${svgMessage})`);
+    const items = files.map((node) => {
+      const item = document.createElement('li');
+      item.className = 'batch-item pending';
+      item.textContent = `⏳ ${node.path}`;
+      progress.appendChild(item);
+      return item;
+    });
+
+    const options = RasterExportOptions.load();
+    let exported = 0;
+    let failed = 0;
+    let written = 0;
+
+    for (let i = 0; i < files.length; i++) {
+      if (isCancelled()) break;
+
+      const item = items[i];
+      item.textContent = `🔄 ${files[i].path}`;
+      item.scrollIntoView?.({ block: 'nearest' });
+      summary.textContent = `Exporting ${i + 1} of ${files.length}…`;
+
+      try {
+        const names = await BatchExporter.exportFile(files[i], formatKeys, options);
+        exported++;
+        written += names.length;
+        item.className = 'batch-item success';
+        item.textContent = `✅ ${files[i].path} → ${names.join(', ')}`;
+      } catch (error) {
+        failed++;
+        item.className = 'batch-item error';
+        item.textContent = `❌ ${files[i].path}: ${error.message}`;
+      }
     }
+
+    const skipped = files.length - exported - failed;
+    summary.textContent = `Exported ${exported} of ${files.length} diagram${files.length === 1 ? '' : 's'} ` +
+      `(${written} file${written === 1 ? '' : 's'} written)` +
+      `${failed ? `, ${failed} failed` : ''}${skipped ? `, ${skipped} skipped after stopping` : ''}.`;
+    NotificationManager.show(summary.textContent, failed ? 'error' : 'success');
+    WorkspaceManager.refresh().catch((error) => console.warn(`Failed to refresh workspace: ${error.message}`));
   }
 
   /**
-   * Create SVG blob from rendered diagram
+   * Find the sources to export, in the order the workspace tree lists them
    * @private
-   * @param {SVGElement} svg - SVG element to serialize
-   * @param {number} [width] - Optional width override
-   * @param {number} [height] - Optional height override
-   * @param {boolean} [sanitizeForCanvas=false] - Remove canvas-unsafe external resources
-   * @returns {Blob} SVG blob
+   * @param {FileSystemDirectoryHandle} directory - Folder to walk
+   * @returns {Promise<Object[]>} File nodes with path, handle and parent folder
    */
-  static createSvgBlob(svg, width, height, sanitizeForCanvas = false) {
-    const renderSize = Number.isFinite(width) && Number.isFinite(height)
-      ? { width, height }
-      : ClipboardManager.getSvgRenderSize(svg);
-    const svgData = ClipboardManager.serializeSvgWithSize(
-      svg,
-      renderSize.width,
-      renderSize.height,
-      sanitizeForCanvas
-    );
-    return new Blob([svgData], { type: 'image/svg+xml;charset=utf-8' });
+  static async collectFiles(directory) {
+    const files = [];
+    const visit = (node) => {
+      node.children.forEach((child) => {
+        if (child.kind === 'directory') {
+          visit(child);
+        } else if (BatchExporter.extensions().some((ext) => child.name.toLowerCase().endsWith(ext))) {
+          files.push(child);
+        }
+      });
+    };
+    visit(await WorkspaceManager.scan(directory, '', 0));
+    return files;
   }
 
   /**
-   * Convert SVG to PNG blob
+   * Render one source and write its images into the same folder
    * @private
-   * @param {SVGElement} svg - SVG element to convert
-   * @returns {Promise<Blob>} PNG blob
+   * @param {{name: string, handle: FileSystemFileHandle, parent: FileSystemDirectoryHandle}} node - Source file
+   * @param {string[]} formatKeys - Keys of EXPORT_FORMATS to write
+   * @param {Object} options - Raster options for PNG
+   * @returns {Promise<string[]>} Names of the files written
    */
-  static async svgToBlob(svg) {
-    const preferSanitizedRender = ClipboardManager.containsForeignObject(svg);
+  static async exportFile(node, formatKeys, options) {
+    const file = await node.handle.getFile();
+    const text = (await file.text()).trim();
+    if (!text) {
+      throw new Error('The file is empty');
+    }
 
+    const diagramType = BatchExporter.typeOf(file.name);
+    let svg;
     try {
-      return await ClipboardManager.renderSvgToPngBlob(svg, preferSanitizedRender);
+      svg = await DiagramRenderer.renderDetached(text, diagramType);
     } catch (error) {
-      if (!ClipboardManager.isCanvasSecurityError(error) && !preferSanitizedRender) {
-        throw error;
+      const diagnostic = RendererRegistry.parseError(diagramType, error, text);
+      throw new Error(`Line ${diagnostic.line}: ${diagnostic.message}`);
+    }
+
+    const baseName = PngExporter.baseNameOf(node.name);
+    const outputs = [];
+    for (const formatKey of formatKeys) {
+      if (formatKey === 'svg') {
+        outputs.push([`${baseName}.svg`, await ClipboardManager.createStandaloneSvgBlob(svg)]);
+      } else {
+        const pages = await ClipboardManager.svgToPngBlobs(svg, options);
+        const names = pages.length > 1 ? PngExporter.pageFilenames(baseName, pages.length) : [`${baseName}.png`];
+        pages.forEach((page, index) => outputs.push([names[index], page]));
       }
     }
 
-    try {
-      return await ClipboardManager.renderSvgToPngBlob(svg, !preferSanitizedRender);
-    } catch (error) {
-      const message = error instanceof Error ? error.message : String(error);
-      throw new Error(`Failed to export PNG: ${message}`);
+    for (const [name, blob] of outputs) {
+      const handle = await node.parent.getFileHandle(name, { create: true });
+      await WorkspaceManager.writeFile(handle, blob);
     }
+    return outputs.map(([name]) => name);
+  }
+}
+
+/**
+ * Minimal PDF 1.4 file writer (objects, streams, cross-reference table)
+ * @class
+ */
+class PdfDocumentWriter {
+  constructor() {
+    /** @private {string[]} Object bodies as binary strings, index = object number - 1 */
+    this._objects = [];
   }
 
   /**
-   * Render an SVG to a PNG blob
+   * Reserve an object number to be filled in later
+   * @returns {number} Object number
+   */
+  reserve() {
+    this._objects.push(null);
+    return this._objects.length;
+  }
+
+  /**
+   * Set the body of a reserved object
+   * @param {number} id - Object number
+   * @param {string} body - Object body (PDF syntax)
+   */
+  set(id, body) {
+    this._objects[id - 1] = body;
+  }
+
+  /**
+   * Add an object
+   * @param {string} body - Object body (PDF syntax)
+   * @returns {number} Object number
+   */
+  add(body) {
+    const id = this.reserve();
+    this.set(id, body);
+    return id;
+  }
+
+  /**
+   * Add a stream object, deflate-compressed when the browser supports it
+   * @param {string} dictEntries - Extra dictionary entries (without Length/Filter)
+   * @param {string} content - Stream content as a binary string
+   * @param {number} [id] - Reserved object number to fill
+   * @returns {Promise<number>} Object number
+   */
+  async addStream(dictEntries, content, id = this.reserve()) {
+    let data = content;
+    let filter = '';
+
+    if (typeof CompressionStream !== 'undefined') {
+      try {
+        data = await PdfDocumentWriter.deflate(content);
+        filter = ' /Filter /FlateDecode';
+      } catch (error) {
+        console.warn(`PDF stream compression failed, writing uncompressed: ${error.message}`);
+      }
+    }
+
+    this.set(id, `<< ${dictEntries} /Length ${data.length}${filter} >>\nstream\n${data}\nendstream`);
+    return id;
+  }
+
+  /**
+   * Deflate (zlib) a binary string
    * @private
-   * @param {SVGElement} svg - SVG element to render
-   * @param {boolean} sanitizeForCanvas - Whether to remove canvas-unsafe resources before rendering
-   * @returns {Promise<Blob>} PNG blob
+   * @param {string} content - Binary string
+   * @returns {Promise<string>} Compressed binary string
    */
-  static renderSvgToPngBlob(svg, sanitizeForCanvas) {
-    return new Promise((resolve, reject) => {
-      const canvas = document.createElement('canvas');
-      const { width, height } = ClipboardManager.getSvgRenderSize(svg);
-      const svgBlob = ClipboardManager.createSvgBlob(svg, width, height, sanitizeForCanvas);
-      const url = URL.createObjectURL(svgBlob);
+  static async deflate(content) {
+    const stream = new Blob([PdfDocumentWriter.toBytes(content)]).stream()
+      .pipeThrough(new CompressionStream('deflate'));
+    const bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+
+    let result = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      result += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return result;
+  }
 
-      const img = new Image();
-      img.onload = () => {
-        try {
-          const safeWidth = Math.max(1, Math.round(width || img.width || 300));
-          const safeHeight = Math.max(1, Math.round(height || img.height || 150));
-          const scale = window.devicePixelRatio || 1;
+  /**
+   * Convert a binary string (char codes 0-255) to bytes
+   * @private
+   * @param {string} content - Binary string
+   * @returns {Uint8Array}
+   */
+  static toBytes(content) {
+    const bytes = new Uint8Array(content.length);
+    for (let i = 0; i < content.length; i++) {
+      bytes[i] = content.charCodeAt(i) & 0xff;
+    }
+    return bytes;
+  }
 
-          canvas.width = Math.round(safeWidth * scale);
-          canvas.height = Math.round(safeHeight * scale);
+  /**
+   * Serialize the document
+   * @param {number} rootId - Catalog object number
+   * @returns {Blob} PDF blob
+   */
+  toBlob(rootId) {
+    let output = '%PDF-1.4\n%\xe2\xe3\xcf\xd3\n';
+    const offsets = [];
 
-          const ctx = canvas.getContext('2d');
-          if (!ctx) {
-            throw new Error('Canvas 2D context is not available');
-          }
+    this._objects.forEach((body, index) => {
+      offsets.push(output.length);
+      output += `${index + 1} 0 obj\n${body ?? 'null'}\nendobj\n`;
+    });
 
-          ctx.setTransform(scale, 0, 0, scale, 0, 0);
-          ctx.fillStyle = 'white';
-          ctx.fillRect(0, 0, safeWidth, safeHeight);
-          ctx.drawImage(img, 0, 0, safeWidth, safeHeight);
+    const xrefOffset = output.length;
+    output += `xref\n0 ${this._objects.length + 1}\n0000000000 65535 f \n`;
+    offsets.forEach((offset) => {
+      output += `${String(offset).padStart(10, '0')} 00000 n \n`;
+    });
+    output += `trailer\n<< /Size ${this._objects.length + 1} /Root ${rootId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
 
-          canvas.toBlob((blob) => {
-            if (!blob) {
-              reject(new Error('Failed to convert SVG to PNG blob'));
-              return;
-            }
-            resolve(blob);
-          }, 'image/png');
-        } catch (error) {
-          if (ClipboardManager.isCanvasSecurityError(error)) {
-            reject(new Error('Canvas export blocked by browser security (tainted canvas)'));
-          } else {
-            reject(error instanceof Error ? error : new Error('Failed to convert SVG to image'));
-          }
-        } finally {
-          URL.revokeObjectURL(url);
+    return new Blob([PdfDocumentWriter.toBytes(output)], { type: 'application/pdf' });
+  }
+}
+
+/**
+ * Translate a rendered SVG into PDF drawing operators (paths and text, no bitmaps).
+ * Works on an attached element so computed styles and text metrics are available.
+ * @class
+ */
+class SvgPdfRenderer {
+  /** @constant {Object<string, number[]>} Glyph widths (1/1000 em) for ASCII 32-126 */
+  static FONT_WIDTHS = {
+    Helvetica: [
+      278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+      556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+      1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+      667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+      333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+      556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+    ],
+    'Helvetica-Bold': [
+      278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+      556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+      975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+      667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+      333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+      611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+    ]
+  };
+
+  /** @constant {Object<number, number>} Unicode code points mapped into WinAnsiEncoding 0x80-0x9F */
+  static WIN_ANSI_EXTRAS = {
+    0x20ac: 0x80, 0x201a: 0x82, 0x0192: 0x83, 0x201e: 0x84, 0x2026: 0x85, 0x2020: 0x86, 0x2021: 0x87,
+    0x02c6: 0x88, 0x2030: 0x89, 0x0160: 0x8a, 0x2039: 0x8b, 0x0152: 0x8c, 0x017d: 0x8e, 0x2018: 0x91,
+    0x2019: 0x92, 0x201c: 0x93, 0x201d: 0x94, 0x2022: 0x95, 0x2013: 0x96, 0x2014: 0x97, 0x02dc: 0x98,
+    0x2122: 0x99, 0x0161: 0x9a, 0x203a: 0x9b, 0x0153: 0x9c, 0x017e: 0x9e, 0x0178: 0x9f
+  };
+
+  /** @constant {Set<string>} Elements that are never drawn directly */
+  static SKIPPED_ELEMENTS = new Set([
+    'defs', 'marker', 'symbol', 'clipPath', 'mask', 'pattern', 'linearGradient', 'radialGradient',
+    'filter', 'style', 'title', 'desc', 'metadata', 'script', 'foreignObject'
+  ]);
+
+  /**
+   * @param {SVGSVGElement} root - Attached SVG element to translate
+   */
+  constructor(root) {
+    this.root = root;
+    /** @type {string[]} Content stream operators */
+    this.ops = [];
+    /** @type {Map<string, string>} PDF base font → resource name */
+    this.fonts = new Map();
+    /** @type {Map<string, {name: string, fill: number, stroke: number}>} Alpha key → graphics state */
+    this.graphicsStates = new Map();
+    /** @private {CanvasRenderingContext2D|null} Used to normalize CSS colours */
+    this._colorContext = null;
+    /** @type {number} Embedded <image> elements left out of the vector output */
+    this.skippedImages = 0;
+  }
+
+  /**
+   * Draw the whole SVG in its own user space (y pointing down)
+   * @returns {string} Content stream
+   */
+  render() {
+    this.renderChildren(this.root, { opacity: 1, inherited: null });
+    return this.ops.join('\n');
+  }
+
+  /**
+   * Format a number for PDF output
+   * @private
+   * @param {number} value - Number
+   * @returns {string}
+   */
+  static num(value) {
+    return String(Math.round((Number.isFinite(value) ? value : 0) * 1000) / 1000);
+  }
+
+  /**
+   * Draw the child elements in document order
+   * @private
+   * @param {Element} element - Parent element
+   * @param {{opacity: number, inherited: Object|null}} context - Inherited drawing state
+   */
+  renderChildren(element, context) {
+    Array.from(element.children).forEach((child) => this.renderElement(child, context));
+  }
+
+  /**
+   * Draw one element and its descendants
+   * @private
+   * @param {Element} element - SVG element
+   * @param {{opacity: number, inherited: Object|null}} context - Inherited drawing state
+   */
+  renderElement(element, context) {
+    const tag = element.localName;
+    if (SvgPdfRenderer.SKIPPED_ELEMENTS.has(tag)) return;
+
+    const style = getComputedStyle(element);
+    if (style.display === 'none') return;
+
+    const opacity = context.opacity * SvgPdfRenderer.parseOpacity(style.opacity);
+    if (opacity <= 0) return;
+
+    const childContext = { ...context, opacity };
+    const matrix = SvgPdfRenderer.parseTransform(element.getAttribute('transform'));
+
+    this.ops.push('q');
+    if (matrix) {
+      this.ops.push(`${matrix.map(SvgPdfRenderer.num).join(' ')} cm`);
+    }
+
+    switch (tag) {
+      case 'svg': {
+        const x = SvgPdfRenderer.length(element, 'x');
+        const y = SvgPdfRenderer.length(element, 'y');
+        if (x || y) this.ops.push(`1 0 0 1 ${SvgPdfRenderer.num(x)} ${SvgPdfRenderer.num(y)} cm`);
+        this.renderChildren(element, childContext);
+        break;
+      }
+      case 'g':
+      case 'a':
+      case 'switch':
+        this.renderChildren(element, childContext);
+        break;
+      case 'use':
+        this.renderUse(element, style, childContext);
+        break;
+      case 'text':
+        this.renderText(element, childContext);
+        break;
+      case 'image':
+        this.skippedImages++;
+        break;
+      default: {
+        const geometry = this.buildGeometry(element);
+        if (geometry) {
+          this.paintShape(element, style, geometry, childContext);
         }
-      };
+      }
+    }
 
-      img.onerror = () => {
-        URL.revokeObjectURL(url);
-        reject(new Error('Failed to convert SVG to image'));
-      };
+    this.ops.push('Q');
+  }
 
-      img.src = url;
-    });
+  /**
+   * Draw the element referenced by a <use>
+   * @private
+   * @param {SVGUseElement} element - The <use> element
+   * @param {CSSStyleDeclaration} style - Computed style of the <use>
+   * @param {{opacity: number, inherited: Object|null}} context - Inherited drawing state
+   */
+  renderUse(element, style, context) {
+    const target = this.findReferencedElement(
+      element.getAttribute('href') || element.getAttributeNS('http://www.w3.org/1999/xlink', 'href')
+    );
+    if (!target) return;
+
+    const x = SvgPdfRenderer.length(element, 'x');
+    const y = SvgPdfRenderer.length(element, 'y');
+    if (x || y) this.ops.push(`1 0 0 1 ${SvgPdfRenderer.num(x)} ${SvgPdfRenderer.num(y)} cm`);
+
+    // Referenced content inherits paint from the <use>, not from its place in <defs>
+    const inherited = { fill: style.fill, stroke: style.stroke, strokeWidth: style.strokeWidth };
+    const useContext = { ...context, inherited };
+
+    if (target.localName === 'symbol') {
+      this.renderChildren(target, useContext);
+    } else {
+      this.renderElement(target, useContext);
+    }
   }
 
-  static containsForeignObject(svg) {
-    return svg.querySelector('foreignObject') !== null;
+  /**
+   * Resolve a local "#id" reference inside the SVG
+   * @private
+   * @param {string|null} reference - href or url(#id) value
+   * @returns {Element|null}
+   */
+  findReferencedElement(reference) {
+    const match = /#([^"')\s]+)/.exec(reference || '');
+    if (!match) return null;
+    const id = match[1];
+    return Array.from(this.root.querySelectorAll('[id]')).find((node) => node.id === id) || null;
+  }
+
+  /**
+   * Build path operators and end-point directions for a basic shape
+   * @private
+   * @param {Element} element - Shape element
+   * @returns {{ops: string, start: Object|null, end: Object|null, closed: boolean}|null}
+   */
+  buildGeometry(element) {
+    const len = (name) => SvgPdfRenderer.length(element, name);
+
+    switch (element.localName) {
+      case 'rect': {
+        const x = len('x');
+        const y = len('y');
+        const width = len('width');
+        const height = len('height');
+        if (width <= 0 || height <= 0) return null;
+
+        let rx = len('rx');
+        let ry = len('ry');
+        if (!element.hasAttribute('rx')) rx = ry;
+        if (!element.hasAttribute('ry')) ry = rx;
+        rx = Math.min(rx, width / 2);
+        ry = Math.min(ry, height / 2);
+
+        if (rx <= 0 || ry <= 0) {
+          return { ops: SvgPdfRenderer.parsePath(`M${x},${y}h${width}v${height}h${-width}Z`).ops, start: null, end: null, closed: true };
+        }
+        const d = `M${x + rx},${y}H${x + width - rx}A${rx},${ry} 0 0 1 ${x + width},${y + ry}` +
+          `V${y + height - ry}A${rx},${ry} 0 0 1 ${x + width - rx},${y + height}` +
+          `H${x + rx}A${rx},${ry} 0 0 1 ${x},${y + height - ry}` +
+          `V${y + ry}A${rx},${ry} 0 0 1 ${x + rx},${y}Z`;
+        return { ...SvgPdfRenderer.parsePath(d), closed: true };
+      }
+      case 'circle':
+      case 'ellipse': {
+        const cx = len('cx');
+        const cy = len('cy');
+        const rx = element.localName === 'circle' ? len('r') : len('rx');
+        const ry = element.localName === 'circle' ? len('r') : len('ry');
+        if (rx <= 0 || ry <= 0) return null;
+        const d = `M${cx - rx},${cy}A${rx},${ry} 0 1 0 ${cx + rx},${cy}A${rx},${ry} 0 1 0 ${cx - rx},${cy}Z`;
+        return { ...SvgPdfRenderer.parsePath(d), start: null, end: null, closed: true };
+      }
+      case 'line':
+        return { ...SvgPdfRenderer.parsePath(`M${len('x1')},${len('y1')}L${len('x2')},${len('y2')}`), closed: false };
+      case 'polyline':
+      case 'polygon': {
+        const points = (element.getAttribute('points') || '').trim();
+        if (!points) return null;
+        const closed = element.localName === 'polygon';
+        return { ...SvgPdfRenderer.parsePath(`M${points}${closed ? 'Z' : ''}`), closed };
+      }
+      case 'path': {
+        const d = element.getAttribute('d');
+        if (!d) return null;
+        return { ...SvgPdfRenderer.parsePath(d), closed: false };
+      }
+      default:
+        return null;
+    }
   }
 
   /**
-   * Remove external resources that can taint canvas rendering
+   * Fill and/or stroke a shape, then draw its markers
    * @private
-   * @param {SVGElement} svg - Cloned SVG element
+   * @param {Element} element - Shape element
+   * @param {CSSStyleDeclaration} style - Computed style of the shape
+   * @param {{ops: string, start: Object|null, end: Object|null, closed: boolean}} geometry - From buildGeometry()
+   * @param {{opacity: number, inherited: Object|null}} context - Inherited drawing state
    */
-  static sanitizeSvgForCanvas(svg) {
-    ClipboardManager.replaceForeignObjectWithSvgText(svg);
-
-    const allNodes = svg.querySelectorAll('*');
-    allNodes.forEach((node) => {
-      const href = node.getAttribute('href') || node.getAttribute('xlink:href');
-      if (!href) return;
+  paintShape(element, style, geometry, context) {
+    if (!geometry.ops) return;
 
-      if (ClipboardManager.isSafeSvgResourceUrl(href)) return;
+    const paint = (property) => {
+      const own = element.getAttribute(property) || element.style?.getPropertyValue(property);
+      return !own && context.inherited ? context.inherited[property] : style[property];
+    };
 
-      if (node.tagName?.toLowerCase() === 'image') {
-        node.remove();
-        return;
+    const isLine = element.localName === 'line';
+    const fill = isLine ? null : this.parseColor(paint('fill'));
+    const stroke = this.parseColor(paint('stroke'));
+    const strokeWidthValue = !element.getAttribute('stroke-width') && !element.style?.strokeWidth && context.inherited
+      ? context.inherited.strokeWidth
+      : style.strokeWidth;
+    const strokeWidth = parseFloat(strokeWidthValue);
+    const hasStroke = stroke && !(strokeWidth === 0);
+
+    if (fill || hasStroke) {
+      const fillAlpha = fill ? fill.a * SvgPdfRenderer.parseOpacity(style.fillOpacity) * context.opacity : 1;
+      const strokeAlpha = hasStroke ? stroke.a * SvgPdfRenderer.parseOpacity(style.strokeOpacity) * context.opacity : 1;
+      this.setAlpha(fillAlpha, strokeAlpha);
+
+      if (fill) this.ops.push(`${SvgPdfRenderer.colorOperands(fill)} rg`);
+      if (hasStroke) {
+        this.ops.push(`${SvgPdfRenderer.colorOperands(stroke)} RG`);
+        this.ops.push(`${SvgPdfRenderer.num(Number.isFinite(strokeWidth) ? strokeWidth : 1)} w`);
+        this.ops.push(`${{ round: 1, square: 2 }[style.strokeLinecap] || 0} J`);
+        this.ops.push(`${{ round: 1, bevel: 2 }[style.strokeLinejoin] || 0} j`);
+
+        const dashes = (style.strokeDasharray || 'none') === 'none'
+          ? []
+          : style.strokeDasharray.split(/[\s,]+/).map(parseFloat).filter((value) => Number.isFinite(value) && value >= 0);
+        const dashPattern = dashes.some((value) => value > 0) ? dashes.map(SvgPdfRenderer.num).join(' ') : '';
+        this.ops.push(`[${dashPattern}] ${SvgPdfRenderer.num(parseFloat(style.strokeDashoffset) || 0)} d`);
       }
 
-      node.removeAttribute('href');
-      node.removeAttribute('xlink:href');
-    });
+      const evenOdd = style.fillRule === 'evenodd' ? '*' : '';
+      const operator = fill && hasStroke ? `B${evenOdd}` : fill ? `f${evenOdd}` : 'S';
+      this.ops.push(geometry.ops, operator);
+    }
+
+    if (!geometry.closed) {
+      this.renderMarkers(style, geometry, Number.isFinite(strokeWidth) ? strokeWidth : 1, context);
+    }
   }
 
   /**
-   * Replace HTML foreignObject labels with plain SVG text for reliable PNG export
+   * Draw marker-start / marker-end (arrowheads)
    * @private
-   * @param {SVGElement} svg - Cloned SVG element
+   * @param {CSSStyleDeclaration} style - Computed style of the shape
+   * @param {{start: Object|null, end: Object|null}} geometry - End points and directions of the shape
+   * @param {number} strokeWidth - Stroke width of the shape, scales the markers
+   * @param {{opacity: number, inherited: Object|null}} context - Inherited drawing state
    */
-  static replaceForeignObjectWithSvgText(svg) {
-    const foreignObjects = Array.from(svg.querySelectorAll('foreignObject'));
+  renderMarkers(style, geometry, strokeWidth, context) {
+    [['markerStart', 'start'], ['markerEnd', 'end']].forEach(([property, which]) => {
+      const value = style[property];
+      const point = geometry[which];
+      if (!value || value === 'none' || !point) return;
+
+      const marker = this.findReferencedElement(value);
+      if (marker?.localName !== 'marker') return;
+
+      const orient = marker.getAttribute('orient') || '0';
+      let angle = parseFloat(orient) || 0;
+      if (orient === 'auto' || orient === 'auto-start-reverse') {
+        angle = orient === 'auto-start-reverse' && which === 'start' ? point.angle + 180 : point.angle;
+      }
 
-    foreignObjects.forEach((node) => {
-      const labelText = ClipboardManager.getForeignObjectText(node);
-      if (!labelText) {
-        node.remove();
-        return;
+      const unitScale = (marker.getAttribute('markerUnits') || 'strokeWidth') === 'strokeWidth' ? strokeWidth : 1;
+      const markerWidth = marker.hasAttribute('markerWidth') ? SvgPdfRenderer.length(marker, 'markerWidth') : 3;
+      const markerHeight = marker.hasAttribute('markerHeight') ? SvgPdfRenderer.length(marker, 'markerHeight') : 3;
+      const viewBox = ClipboardManager.getViewBoxSize(marker);
+
+      let scaleX = 1;
+      let scaleY = 1;
+      if (viewBox.width > 0 && viewBox.height > 0) {
+        scaleX = markerWidth / viewBox.width;
+        scaleY = markerHeight / viewBox.height;
+        if (!/^none/.test(marker.getAttribute('preserveAspectRatio') || '')) {
+          scaleX = scaleY = Math.min(scaleX, scaleY);
+        }
       }
 
-      const x = ClipboardManager.parseSvgLength(node.getAttribute('x'));
-      const y = ClipboardManager.parseSvgLength(node.getAttribute('y'));
-      const width = ClipboardManager.parseSvgLength(node.getAttribute('width'));
-      const height = ClipboardManager.parseSvgLength(node.getAttribute('height'));
-      const centerX = x + (width > 0 ? width / 2 : 0);
-      const centerY = y + (height > 0 ? height / 2 : 0);
+      const radians = (angle * Math.PI) / 180;
+      const cos = Math.cos(radians);
+      const sin = Math.sin(radians);
+      const num = SvgPdfRenderer.num;
+
+      this.ops.push('q');
+      this.ops.push(`${num(cos)} ${num(sin)} ${num(-sin)} ${num(cos)} ${num(point.x)} ${num(point.y)} cm`);
+      this.ops.push(`${num(unitScale * scaleX)} 0 0 ${num(unitScale * scaleY)} 0 0 cm`);
+      this.ops.push(`1 0 0 1 ${num(-SvgPdfRenderer.length(marker, 'refX'))} ${num(-SvgPdfRenderer.length(marker, 'refY'))} cm`);
+      this.renderChildren(marker, { ...context, inherited: null });
+      this.ops.push('Q');
+    });
+  }
 
-      const textNode = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-      const className = node.getAttribute('class');
-      if (className) {
-        textNode.setAttribute('class', className);
-      }
+  /**
+   * Draw a <text> element as PDF text, one run per leaf <tspan>
+   * @private
+   * @param {SVGTextElement} element - Text element
+   * @param {{opacity: number, inherited: Object|null}} context - Inherited drawing state
+   */
+  renderText(element, context) {
+    const leafSpans = Array.from(element.querySelectorAll('tspan')).filter((span) => !span.querySelector('tspan'));
+    const runs = leafSpans.length ? leafSpans : [element];
 
-      textNode.setAttribute('x', `${centerX}`);
-      textNode.setAttribute('y', `${centerY}`);
-      textNode.setAttribute('text-anchor', 'middle');
-      textNode.setAttribute('dominant-baseline', 'middle');
-      textNode.setAttribute('fill', '#1f2937');
-      textNode.setAttribute('font-family', 'Arial, sans-serif');
-      textNode.setAttribute('font-size', '14');
-      textNode.setAttribute('pointer-events', 'none');
+    runs.forEach((run) => {
+      const text = (run.textContent || '').replace(/\s+/g, ' ').trim();
+      if (!text) return;
 
-      const maxCharsPerLine = Math.max(10, Math.floor((width || 140) / 7));
-      const lines = ClipboardManager.wrapTextForSvg(labelText, maxCharsPerLine);
+      const style = getComputedStyle(run);
+      if (style.display === 'none' || style.visibility === 'hidden') return;
 
-      if (lines.length <= 1) {
-        textNode.textContent = lines[0];
-      } else {
-        const lineHeightEm = 1.2;
-        const firstDy = ((1 - lines.length) / 2) * lineHeightEm;
+      const fill = this.parseColor(style.fill);
+      if (!fill) return;
 
-        lines.forEach((line, index) => {
-          const tspan = document.createElementNS('http://www.w3.org/2000/svg', 'tspan');
-          tspan.setAttribute('x', `${centerX}`);
-          tspan.setAttribute('dy', `${index === 0 ? firstDy : lineHeightEm}em`);
-          tspan.textContent = line;
-          textNode.appendChild(tspan);
-        });
+      const fontSize = parseFloat(style.fontSize) || 14;
+      const fontName = SvgPdfRenderer.pickFont(style);
+      const measuredWidth = SvgPdfRenderer.measure(run);
+      const naturalWidth = SvgPdfRenderer.textWidth(text, fontName, fontSize);
+
+      let position = null;
+      try {
+        position = run.getNumberOfChars?.() > 0 ? run.getStartPositionOfChar(0) : null;
+      } catch {
+        position = null;
+      }
+      if (!position) {
+        const anchor = style.textAnchor;
+        const width = measuredWidth || naturalWidth;
+        const shift = anchor === 'middle' ? width / 2 : anchor === 'end' ? width : 0;
+        position = {
+          x: SvgPdfRenderer.length(run, 'x') || SvgPdfRenderer.length(element, 'x') - shift,
+          y: SvgPdfRenderer.length(run, 'y') || SvgPdfRenderer.length(element, 'y')
+        };
       }
 
-      node.replaceWith(textNode);
+      const horizontalScale = measuredWidth > 0 && naturalWidth > 0
+        ? Math.max(50, Math.min(200, (measuredWidth / naturalWidth) * 100))
+        : 100;
+      const num = SvgPdfRenderer.num;
+
+      this.setAlpha(fill.a * SvgPdfRenderer.parseOpacity(style.fillOpacity) * context.opacity, 1);
+      this.ops.push(
+        'BT',
+        `/${this.fontResource(fontName)} ${num(fontSize)} Tf`,
+        `${SvgPdfRenderer.colorOperands(fill)} rg`,
+        `${num(horizontalScale)} Tz`,
+        `1 0 0 -1 ${num(position.x)} ${num(position.y)} Tm`,
+        `(${SvgPdfRenderer.encodeText(text)}) Tj`,
+        'ET'
+      );
     });
   }
 
   /**
-   * Extract readable label text from foreignObject content
+   * Rendered width of a text run in user units (0 when unavailable)
    * @private
-   * @param {Element} foreignObject - foreignObject element
-   * @returns {string} Normalized text content
+   * @param {SVGTextContentElement} run - <text> or <tspan>
+   * @returns {number}
    */
-  static getForeignObjectText(foreignObject) {
-    return (foreignObject.textContent || '')
-      .replace(/\s+/g, ' ')
-      .trim();
+  static measure(run) {
+    try {
+      return run.getComputedTextLength?.() || 0;
+    } catch {
+      return 0;
+    }
   }
 
   /**
-   * Wrap text to fit inside SVG node boxes
+   * Map CSS font properties to one of the PDF standard 14 fonts
    * @private
-   * @param {string} text - Label text
-   * @param {number} maxCharsPerLine - Approximate width cap in characters
-   * @returns {string[]} Wrapped lines
+   * @param {CSSStyleDeclaration} style - Computed style
+   * @returns {string} PDF base font name
    */
-  static wrapTextForSvg(text, maxCharsPerLine) {
-    const normalized = text.replace(/\s+/g, ' ').trim();
-    if (!normalized) return [''];
-    if (normalized.length <= maxCharsPerLine) return [normalized];
-
-    const words = normalized.split(' ');
-    const lines = [];
-    let currentLine = '';
-
-    words.forEach((word) => {
-      const candidate = currentLine ? `${currentLine} ${word}` : word;
-      if (candidate.length <= maxCharsPerLine || !currentLine) {
-        currentLine = candidate;
-      } else {
-        lines.push(currentLine);
-        currentLine = word;
-      }
-    });
+  static pickFont(style) {
+    const family = (style.fontFamily || '').toLowerCase();
+    const bold = style.fontWeight === 'bold' || parseInt(style.fontWeight, 10) >= 600;
+    const italic = /italic|oblique/.test(style.fontStyle || '');
 
-    if (currentLine) {
-      lines.push(currentLine);
+    if (/mono|courier|consol/.test(family)) {
+      return `Courier${bold || italic ? '-' : ''}${bold ? 'Bold' : ''}${italic ? 'Oblique' : ''}`;
     }
-
-    return lines;
+    if (/(^|[\s,"'])(serif|times|georgia)/.test(family) && !/sans-serif/.test(family.split(',')[0])) {
+      if (bold && italic) return 'Times-BoldItalic';
+      if (bold) return 'Times-Bold';
+      return italic ? 'Times-Italic' : 'Times-Roman';
+    }
+    return `Helvetica${bold || italic ? '-' : ''}${bold ? 'Bold' : ''}${italic ? 'Oblique' : ''}`;
   }
 
   /**
-   * Check whether an SVG resource URL is safe to keep for canvas rendering
+   * Approximate width of a string in a standard font
    * @private
-   * @param {string} value - URL value from href/xlink:href
-   * @returns {boolean} True when URL is local/safe
+   * @param {string} text - Text to measure
+   * @param {string} fontName - PDF base font
+   * @param {number} fontSize - Font size in user units
+   * @returns {number} Width in user units
    */
-  static isSafeSvgResourceUrl(value) {
-    if (!value) return true;
-    const trimmed = value.trim();
-    if (!trimmed || trimmed.startsWith('#') || trimmed.startsWith('data:') || trimmed.startsWith('blob:')) {
-      return true;
-    }
-
-    try {
-      const url = new URL(trimmed, window.location.href);
-      return url.origin === window.location.origin;
-    } catch {
-      return false;
+  static textWidth(text, fontName, fontSize) {
+    if (fontName.startsWith('Courier')) return text.length * 0.6 * fontSize;
+
+    const widths = SvgPdfRenderer.FONT_WIDTHS[fontName.includes('Bold') ? 'Helvetica-Bold' : 'Helvetica'];
+    let total = 0;
+    for (const char of text) {
+      const code = char.codePointAt(0);
+      total += code >= 32 && code <= 126 ? widths[code - 32] : 556;
     }
+    return (total / 1000) * fontSize;
   }
 
   /**
-   * Check whether an error comes from canvas tainting/CORS restrictions
+   * Encode text as a WinAnsi PDF literal string body
    * @private
-   * @param {unknown} error - Error to inspect
-   * @returns {boolean} True when canvas export is blocked by browser security
+   * @param {string} text - Text
+   * @returns {string} Escaped binary string
    */
-  static isCanvasSecurityError(error) {
-    if (!(error instanceof Error)) return false;
-    const message = error.message || '';
-    return error.name === 'SecurityError' ||
-      /tainted canvases may not be exported/i.test(message) ||
-      /canvas export blocked by browser security/i.test(message) ||
-      /tainted canvas/i.test(message);
+  static encodeText(text) {
+    let result = '';
+    for (const char of text) {
+      const code = char.codePointAt(0);
+      let byte;
+      if ((code >= 32 && code <= 126) || (code >= 0xa0 && code <= 0xff)) {
+        byte = code;
+      } else {
+        byte = SvgPdfRenderer.WIN_ANSI_EXTRAS[code] ?? 0x3f;
+      }
+
+      const encoded = String.fromCharCode(byte);
+      result += encoded === '(' || encoded === ')' || encoded === '\\' ? `\\${encoded}` : encoded;
+    }
+    return result;
   }
 
   /**
-   * Get the current on-screen size of the SVG
+   * Register a font and return its resource name
    * @private
-   * @param {SVGElement} svg - SVG element to measure
-   * @returns {{width: number, height: number}} Render size
+   * @param {string} fontName - PDF base font
+   * @returns {string} Resource name (F1, F2, ...)
    */
-  static getSvgRenderSize(svg) {
-    const rect = svg.getBoundingClientRect?.();
-    const width = rect?.width || ClipboardManager.parseSvgLength(svg.getAttribute('width')) ||
-      ClipboardManager.getViewBoxSize(svg).width || 300;
-    const height = rect?.height || ClipboardManager.parseSvgLength(svg.getAttribute('height')) ||
-      ClipboardManager.getViewBoxSize(svg).height || 150;
-
-    return { width, height };
+  fontResource(fontName) {
+    if (!this.fonts.has(fontName)) {
+      this.fonts.set(fontName, `F${this.fonts.size + 1}`);
+    }
+    return this.fonts.get(fontName);
   }
 
   /**
-   * Serialize SVG while forcing width/height to current render size
+   * Set fill/stroke alpha through an ExtGState (only when not fully opaque)
    * @private
-   * @param {SVGElement} svg - SVG element to serialize
-   * @param {number} width - Target width
-   * @param {number} height - Target height
-   * @param {boolean} [sanitizeForCanvas=false] - Remove canvas-unsafe resources before serialization
-   * @returns {string} Serialized SVG
+   * @param {number} fillAlpha - Fill alpha from 0 to 1
+   * @param {number} strokeAlpha - Stroke alpha from 0 to 1
    */
-  static serializeSvgWithSize(svg, width, height, sanitizeForCanvas = false) {
-    const clone = svg.cloneNode(true);
-    if (!clone.getAttribute('xmlns')) {
-      clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
-    }
-    if (!clone.getAttribute('xmlns:xlink')) {
-      clone.setAttribute('xmlns:xlink', 'http://www.w3.org/1999/xlink');
+  setAlpha(fillAlpha, strokeAlpha) {
+    const fill = Math.max(0, Math.min(1, fillAlpha));
+    const stroke = Math.max(0, Math.min(1, strokeAlpha));
+    const key = `${fill.toFixed(3)}/${stroke.toFixed(3)}`;
+
+    if (!this.graphicsStates.has(key)) {
+      if (fill === 1 && stroke === 1 && this.graphicsStates.size === 0) return;
+      this.graphicsStates.set(key, { name: `GS${this.graphicsStates.size + 1}`, fill, stroke });
     }
+    this.ops.push(`/${this.graphicsStates.get(key).name} gs`);
+  }
 
-    if (Number.isFinite(width)) {
-      clone.setAttribute('width', `${width}`);
-    }
-    if (Number.isFinite(height)) {
-      clone.setAttribute('height', `${height}`);
+  /**
+   * Parse a CSS colour into 0-1 RGB components and alpha
+   * @private
+   * @param {string} value - CSS colour (computed)
+   * @returns {{r: number, g: number, b: number, a: number}|null} Colour, or null for none/url()
+   */
+  parseColor(value) {
+    const raw = (value || '').trim();
+    if (!raw || raw === 'none' || raw === 'transparent' || raw.startsWith('url(')) return null;
+
+    let normalized = raw;
+    if (!/^(rgba?\(|#)/i.test(raw)) {
+      if (!this._colorContext) {
+        this._colorContext = document.createElement('canvas').getContext('2d');
+      }
+      if (this._colorContext) {
+        this._colorContext.fillStyle = '#000000';
+        this._colorContext.fillStyle = raw;
+        normalized = this._colorContext.fillStyle;
+      }
     }
 
-    if (sanitizeForCanvas) {
-      ClipboardManager.sanitizeSvgForCanvas(clone);
+    const rgb = /^rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)(?:\s*[,/]\s*([\d.]+%?))?\s*\)$/i.exec(normalized);
+    if (rgb) {
+      const alpha = rgb[4] === undefined ? 1 : rgb[4].endsWith('%') ? parseFloat(rgb[4]) / 100 : parseFloat(rgb[4]);
+      return alpha <= 0 ? null : { r: rgb[1] / 255, g: rgb[2] / 255, b: rgb[3] / 255, a: alpha };
     }
 
-    const viewBox = clone.getAttribute('viewBox');
-    if (!viewBox) {
-      clone.setAttribute('viewBox', `0 0 ${width} ${height}`);
+    const hex = /^#([0-9a-f]{3,8})$/i.exec(normalized);
+    if (hex) {
+      let digits = hex[1];
+      if (digits.length <= 4) digits = digits.split('').map((d) => d + d).join('');
+      const alpha = digits.length === 8 ? parseInt(digits.slice(6, 8), 16) / 255 : 1;
+      return alpha <= 0 ? null : {
+        r: parseInt(digits.slice(0, 2), 16) / 255,
+        g: parseInt(digits.slice(2, 4), 16) / 255,
+        b: parseInt(digits.slice(4, 6), 16) / 255,
+        a: alpha
+      };
     }
 
-    return new XMLSerializer().serializeToString(clone);
+    return null;
   }
 
   /**
-   * Parse SVG length attribute to number
+   * Format a colour as PDF colour operands
    * @private
-   * @param {string|null} value - Length value
-   * @returns {number} Parsed number or 0
+   * @param {{r: number, g: number, b: number}} color - Components from 0 to 1
+   * @returns {string} "r g b"
    */
-  static parseSvgLength(value) {
-    if (!value) return 0;
-    const parsed = parseFloat(value);
-    return Number.isFinite(parsed) ? parsed : 0;
+  static colorOperands({ r, g, b }) {
+    return [r, g, b].map(SvgPdfRenderer.num).join(' ');
   }
 
   /**
-   * Get viewBox size if present
+   * Parse a CSS opacity, clamped to 0-1
    * @private
-   * @param {SVGElement} svg - SVG element
-   * @returns {{width: number, height: number}}
-   */
-  static getViewBoxSize(svg) {
-    const viewBox = svg.getAttribute('viewBox');
-    if (!viewBox) return { width: 0, height: 0 };
-    const parts = viewBox.split(/\s+/).map(Number);
-    if (parts.length !== 4 || parts.some((v) => !Number.isFinite(v))) {
-      return { width: 0, height: 0 };
-    }
-    return { width: parts[2], height: parts[3] };
-  }
-}
-
-/**
- * Panel management utility class
- * @class
- */
-class PanelManager {
-  /**
-   * Load saved panel widths from storage
+   * @param {string} value - Computed opacity
+   * @returns {number} Opacity, 1 when the value is not a number
    */
-  static loadPanelWidths() {
-    const savedWidth = StorageManager.getItem(STORAGE_KEY_PANEL_WIDTH);
-    if (savedWidth && elements.editorPanel) {
-      elements.editorPanel.style.width = savedWidth;
-    }
+  static parseOpacity(value) {
+    const parsed = parseFloat(value);
+    return Number.isFinite(parsed) ? Math.max(0, Math.min(1, parsed)) : 1;
   }
 
   /**
-   * Save current panel widths to storage
+   * Read a length attribute in user units
+   * @private
+   * @param {Element} element - SVG element
+   * @param {string} name - Attribute name
+   * @returns {number}
    */
-  static savePanelWidths() {
-    if (elements.editorPanel?.style.width) {
-      StorageManager.setItem(STORAGE_KEY_PANEL_WIDTH, elements.editorPanel.style.width);
-    }
+  static length(element, name) {
+    const animated = element[name]?.baseVal;
+    if (animated && typeof animated.value === 'number') return animated.value;
+    return ClipboardManager.parseSvgLength(element.getAttribute(name));
   }
 
   /**
-   * Handle panel resize
-   * @param {MouseEvent} event - Mouse event
+   * Parse an SVG transform attribute into a PDF matrix [a b c d e f]
+   * @private
+   * @param {string|null} value - transform attribute
+   * @returns {number[]|null} Matrix, or null for identity/absent
    */
-  static handleResize(event) {
-    if (!appState.isResizing) return;
-
-    const containerRect = document.querySelector('.main-content')?.getBoundingClientRect();
-    if (!containerRect) return;
-
-    const mouseX = event.clientX - containerRect.left;
-    const containerWidth = containerRect.width;
-    const resizerWidth = 6;
-
-    const minLeftPercent = (MIN_PANEL_WIDTH / containerWidth) * 100;
-    const maxLeftPercent = ((containerWidth - MIN_PANEL_WIDTH - resizerWidth) / containerWidth) * 100;
-
-    let leftPercent = (mouseX / containerWidth) * 100;
-    leftPercent = Math.max(minLeftPercent, Math.min(maxLeftPercent, leftPercent));
-
-    elements.editorPanel.style.width = `${leftPercent}%`;
-  }
-}
+  static parseTransform(value) {
+    if (!value || !value.trim()) return null;
+
+    const multiply = (m, n) => [
+      m[0] * n[0] + m[2] * n[1], m[1] * n[0] + m[3] * n[1],
+      m[0] * n[2] + m[2] * n[3], m[1] * n[2] + m[3] * n[3],
+      m[0] * n[4] + m[2] * n[5] + m[4], m[1] * n[4] + m[3] * n[5] + m[5]
+    ];
+
+    let matrix = [1, 0, 0, 1, 0, 0];
+    const pattern = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g;
+    let match;
+
+    while ((match = pattern.exec(value)) !== null) {
+      const args = match[2].split(/[\s,]+/).filter(Boolean).map(Number);
+      let next = null;
+
+      switch (match[1]) {
+        case 'matrix':
+          if (args.length === 6) next = args;
+          break;
+        case 'translate':
+          next = [1, 0, 0, 1, args[0] || 0, args[1] || 0];
+          break;
+        case 'scale':
+          next = [args[0] ?? 1, 0, 0, args[1] ?? args[0] ?? 1, 0, 0];
+          break;
+        case 'rotate': {
+          const radians = ((args[0] || 0) * Math.PI) / 180;
+          const cos = Math.cos(radians);
+          const sin = Math.sin(radians);
+          next = [cos, sin, -sin, cos, 0, 0];
+          if (args.length >= 3) {
+            next = multiply(multiply([1, 0, 0, 1, args[1], args[2]], next), [1, 0, 0, 1, -args[1], -args[2]]);
+          }
+          break;
+        }
+        case 'skewX':
+          next = [1, 0, Math.tan(((args[0] || 0) * Math.PI) / 180), 1, 0, 0];
+          break;
+        case 'skewY':
+          next = [1, Math.tan(((args[0] || 0) * Math.PI) / 180), 0, 1, 0, 0];
+          break;
+        default:
+          break;
+      }
 
-/**
- * Handle PNG export button click
- */
-const handlePngExportClick = ErrorHandler.asyncWrapper(async () => {
-  const svg = elements.diagramContainer.querySelector('svg');
-  if (!svg) {
-    throw new Error('Please render a diagram first');
-  }
+      if (next && next.every(Number.isFinite)) {
+        matrix = multiply(matrix, next);
+      }
+    }
 
-  const blob = await ClipboardManager.svgToBlob(svg);
-  if (supportsFileSystemAccess) {
-    await PngExporter.saveWithFilePicker(blob);
-  } else {
-    PngExporter.saveAsDownload(blob);
+    return matrix;
   }
-}, 'Failed to export PNG', 'PngExport');
 
-/**
- * PNG export utility class
- * @class
- */
-class PngExporter {
   /**
-   * Generate base filename without extension
-   * @returns {string} Base filename
+   * Convert SVG path data to PDF path operators, tracking end-point directions
+   * @private
+   * @param {string} d - SVG path data
+   * @returns {{ops: string, start: {x: number, y: number, angle: number}|null, end: {x: number, y: number, angle: number}|null}}
    */
-  static generateBaseFilename() {
-    if (appState.fileName) {
-      return appState.fileName.replace(/\.[^/.]+$/, '');
+  static parsePath(d) {
+    const tokens = d.match(/[MmLlHhVvCcSsQqTtAaZz]|[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/g) || [];
+    const num = SvgPdfRenderer.num;
+    const ops = [];
+    const angleOf = (fromX, fromY, toX, toY) => (Math.atan2(toY - fromY, toX - fromX) * 180) / Math.PI;
+
+    let index = 0;
+    let command = null;
+    let x = 0;
+    let y = 0;
+    let startX = 0;
+    let startY = 0;
+    let lastControl = null;
+    let lastQuadControl = null;
+    let start = null;
+    let end = null;
+    let lastPoint = null;
+
+    const next = () => Number(tokens[index++]);
+    const hasNumber = () => index < tokens.length && !/^[A-Za-z]$/.test(tokens[index]);
+
+    const lineTo = (nx, ny) => {
+      if (!start && lastPoint && (nx !== lastPoint.x || ny !== lastPoint.y)) {
+        start = { x: lastPoint.x, y: lastPoint.y, angle: angleOf(lastPoint.x, lastPoint.y, nx, ny) };
+      }
+      if (nx !== x || ny !== y) end = { x: nx, y: ny, angle: angleOf(x, y, nx, ny) };
+      ops.push(`${num(nx)} ${num(ny)} l`);
+      x = nx;
+      y = ny;
+    };
+
+    const curveTo = (x1, y1, x2, y2, nx, ny) => {
+      if (!start && lastPoint) {
+        const [tx, ty] = x1 !== x || y1 !== y ? [x1, y1] : x2 !== x || y2 !== y ? [x2, y2] : [nx, ny];
+        start = { x, y, angle: angleOf(x, y, tx, ty) };
+      }
+      const [fx, fy] = x2 !== nx || y2 !== ny ? [x2, y2] : x1 !== nx || y1 !== ny ? [x1, y1] : [x, y];
+      end = { x: nx, y: ny, angle: angleOf(fx, fy, nx, ny) };
+      ops.push(`${num(x1)} ${num(y1)} ${num(x2)} ${num(y2)} ${num(nx)} ${num(ny)} c`);
+      lastControl = [x2, y2];
+      x = nx;
+      y = ny;
+    };
+
+    while (index < tokens.length) {
+      if (/^[A-Za-z]$/.test(tokens[index])) {
+        command = tokens[index++];
+      } else if (!command) {
+        break;
+      }
+
+      const relative = command === command.toLowerCase();
+      const upper = command.toUpperCase();
+      const baseX = () => (relative ? x : 0);
+      const baseY = () => (relative ? y : 0);
+      const previousControl = lastControl;
+      const previousQuadControl = lastQuadControl;
+      lastControl = null;
+      lastQuadControl = null;
+
+      if (upper === 'Z') {
+        // Numbers directly after a closepath are malformed; stop at the next command
+        command = null;
+        ops.push('h');
+        if (x !== startX || y !== startY) end = { x: startX, y: startY, angle: angleOf(x, y, startX, startY) };
+        x = startX;
+        y = startY;
+        continue;
+      }
+      if (!hasNumber()) continue;
+
+      switch (upper) {
+        case 'M': {
+          x = baseX() + next();
+          y = baseY() + next();
+          startX = x;
+          startY = y;
+          lastPoint = { x, y };
+          ops.push(`${num(x)} ${num(y)} m`);
+          // Extra coordinate pairs after a moveto are implicit linetos
+          command = relative ? 'l' : 'L';
+          break;
+        }
+        case 'L':
+          lineTo(baseX() + next(), baseY() + next());
+          break;
+        case 'H':
+          lineTo(baseX() + next(), y);
+          break;
+        case 'V':
+          lineTo(x, baseY() + next());
+          break;
+        case 'C': {
+          const bx = baseX();
+          const by = baseY();
+          curveTo(bx + next(), by + next(), bx + next(), by + next(), bx + next(), by + next());
+          break;
+        }
+        case 'S': {
+          const [x1, y1] = previousControl ? [2 * x - previousControl[0], 2 * y - previousControl[1]] : [x, y];
+          const bx = baseX();
+          const by = baseY();
+          curveTo(x1, y1, bx + next(), by + next(), bx + next(), by + next());
+          break;
+        }
+        case 'Q':
+        case 'T': {
+          const bx = baseX();
+          const by = baseY();
+          let qx;
+          let qy;
+          if (upper === 'Q') {
+            qx = bx + next();
+            qy = by + next();
+          } else {
+            [qx, qy] = previousQuadControl ? [2 * x - previousQuadControl[0], 2 * y - previousQuadControl[1]] : [x, y];
+          }
+          const nx = bx + next();
+          const ny = by + next();
+          curveTo(x + (2 / 3) * (qx - x), y + (2 / 3) * (qy - y), nx + (2 / 3) * (qx - nx), ny + (2 / 3) * (qy - ny), nx, ny);
+          lastQuadControl = [qx, qy];
+          break;
+        }
+        case 'A': {
+          const rx = next();
+          const ry = next();
+          const rotation = next();
+          const largeArc = next();
+          const sweep = next();
+          const nx = baseX() + next();
+          const ny = baseY() + next();
+          const curves = SvgPdfRenderer.arcToCurves(x, y, rx, ry, rotation, largeArc, sweep, nx, ny);
+          if (!curves.length) {
+            lineTo(nx, ny);
+          } else {
+            curves.forEach((curve) => curveTo(...curve));
+          }
+          break;
+        }
+        default:
+          index = tokens.length;
+      }
     }
 
-    const inputName = elements.imageFilename.value.trim();
-    if (!inputName) return 'diagram';
-    return inputName.replace(/\.[^/.]+$/, '');
+    return { ops: ops.join('\n'), start, end };
   }
 
   /**
-   * Generate PNG filename based on current file
-   * @returns {string} Generated filename
+   * Convert an SVG elliptical arc to cubic Bézier segments (SVG spec, appendix B.2.4)
+   * @private
+   * @param {number} x1 - Start x
+   * @param {number} y1 - Start y
+   * @param {number} rx - X radius
+   * @param {number} ry - Y radius
+   * @param {number} rotation - X-axis rotation in degrees
+   * @param {number} largeArc - large-arc-flag (0 or 1)
+   * @param {number} sweep - sweep-flag (0 or 1)
+   * @param {number} x2 - End x
+   * @param {number} y2 - End y
+   * @returns {number[][]} Segments as [x1, y1, x2, y2, x, y]
    */
-  static generateFilename() {
-    return `${PngExporter.generateBaseFilename()}.png`;
+  static arcToCurves(x1, y1, rx, ry, rotation, largeArc, sweep, x2, y2) {
+    if ((x1 === x2 && y1 === y2) || rx === 0 || ry === 0) return [];
+
+    const phi = (rotation * Math.PI) / 180;
+    const cosPhi = Math.cos(phi);
+    const sinPhi = Math.sin(phi);
+    let rxAbs = Math.abs(rx);
+    let ryAbs = Math.abs(ry);
+
+    const dx = (x1 - x2) / 2;
+    const dy = (y1 - y2) / 2;
+    const x1p = cosPhi * dx + sinPhi * dy;
+    const y1p = -sinPhi * dx + cosPhi * dy;
+
+    const lambda = (x1p * x1p) / (rxAbs * rxAbs) + (y1p * y1p) / (ryAbs * ryAbs);
+    if (lambda > 1) {
+      rxAbs *= Math.sqrt(lambda);
+      ryAbs *= Math.sqrt(lambda);
+    }
+
+    const numerator = rxAbs * rxAbs * ryAbs * ryAbs - rxAbs * rxAbs * y1p * y1p - ryAbs * ryAbs * x1p * x1p;
+    const denominator = rxAbs * rxAbs * y1p * y1p + ryAbs * ryAbs * x1p * x1p;
+    let factor = Math.sqrt(Math.max(0, numerator / denominator));
+    if (Boolean(largeArc) === Boolean(sweep)) factor = -factor;
+
+    const cxp = (factor * rxAbs * y1p) / ryAbs;
+    const cyp = (-factor * ryAbs * x1p) / rxAbs;
+    const cx = cosPhi * cxp - sinPhi * cyp + (x1 + x2) / 2;
+    const cy = sinPhi * cxp + cosPhi * cyp + (y1 + y2) / 2;
+
+    const vectorAngle = (ux, uy, vx, vy) => {
+      const sign = ux * vy - uy * vx < 0 ? -1 : 1;
+      const dot = (ux * vx + uy * vy) / (Math.hypot(ux, uy) * Math.hypot(vx, vy));
+      return sign * Math.acos(Math.max(-1, Math.min(1, dot)));
+    };
+
+    const theta1 = vectorAngle(1, 0, (x1p - cxp) / rxAbs, (y1p - cyp) / ryAbs);
+    let delta = vectorAngle((x1p - cxp) / rxAbs, (y1p - cyp) / ryAbs, (-x1p - cxp) / rxAbs, (-y1p - cyp) / ryAbs);
+    if (!sweep && delta > 0) delta -= 2 * Math.PI;
+    if (sweep && delta < 0) delta += 2 * Math.PI;
+
+    const segments = Math.ceil(Math.abs(delta) / (Math.PI / 2));
+    const step = delta / segments;
+    const kappa = (4 / 3) * Math.tan(step / 4);
+    const point = (angle) => [
+      cx + rxAbs * Math.cos(angle) * cosPhi - ryAbs * Math.sin(angle) * sinPhi,
+      cy + rxAbs * Math.cos(angle) * sinPhi + ryAbs * Math.sin(angle) * cosPhi
+    ];
+    const derivative = (angle) => [
+      -rxAbs * Math.sin(angle) * cosPhi - ryAbs * Math.cos(angle) * sinPhi,
+      -rxAbs * Math.sin(angle) * sinPhi + ryAbs * Math.cos(angle) * cosPhi
+    ];
+
+    const curves = [];
+    for (let i = 0; i < segments; i++) {
+      const a1 = theta1 + i * step;
+      const a2 = a1 + step;
+      const [px1, py1] = point(a1);
+      const [px2, py2] = point(a2);
+      const [dx1, dy1] = derivative(a1);
+      const [dx2, dy2] = derivative(a2);
+      curves.push([px1 + kappa * dx1, py1 + kappa * dy1, px2 - kappa * dx2, py2 - kappa * dy2, px2, py2]);
+    }
+    // Land exactly on the requested end point
+    curves[curves.length - 1][4] = x2;
+    curves[curves.length - 1][5] = y2;
+    return curves;
   }
+}
 
+/**
+ * Vector PDF export of the rendered diagram
+ * @class
+ */
+class PdfExporter {
   /**
-   * Resolve preferred start directory for save picker
-   * @returns {Promise<FileSystemDirectoryHandle|undefined>}
+   * Build a PDF from the rendered SVG
+   * @param {SVGElement} svg - Rendered diagram
+   * @param {{pageSize: string, orientation: string, layout: string}} options - Page options
+   * @returns {Promise<Blob>} PDF blob
    */
-  static async resolveStartInDirectory() {
-    if (appState.fileHandle) {
-      try {
-        return (await appState.fileHandle.getParent?.()) || undefined;
-      } catch {
-        return appState.lastPngDirectory || undefined;
+  static async createPdfBlob(svg, options) {
+    const { width, height } = ClipboardManager.getSvgRenderSize(svg);
+    const host = PdfExporter.attachWorkingCopy(svg, width, height);
+
+    try {
+      const root = host.querySelector('svg');
+      const renderer = new SvgPdfRenderer(root);
+      const drawing = renderer.render();
+      if (renderer.skippedImages) {
+        NotificationManager.show(
+          `${renderer.skippedImages} embedded image${renderer.skippedImages === 1 ? ' was' : 's were'} left out of the PDF (vector output only)`,
+          'info'
+        );
       }
+      return await PdfExporter.assemble(renderer, drawing, root, width, height, options);
+    } finally {
+      host.remove();
     }
-    return appState.lastPngDirectory || undefined;
   }
 
   /**
-   * Build safe save picker options without invalid null startIn values
-   * @param {string} suggestedName - Suggested file name
-   * @param {Array<{description: string, accept: Object<string, string[]>}>} types - Allowed file types
-   * @param {FileSystemDirectoryHandle|undefined} startIn - Optional start directory
-   * @returns {Object} Save picker options
+   * Attach an invisible, sanitized copy of the SVG so computed styles and
+   * text metrics can be read without touching the preview
+   * @private
+   * @param {SVGElement} svg - Rendered diagram
+   * @param {number} width - Diagram width in CSS pixels
+   * @param {number} height - Diagram height in CSS pixels
+   * @returns {HTMLElement} Host element (remove when done)
    */
-  static buildSavePickerOptions(suggestedName, types, startIn) {
-    const options = { suggestedName, types };
-    if (startIn !== undefined && startIn !== null) {
-      options.startIn = startIn;
-    }
-    return options;
+  static attachWorkingCopy(svg, width, height) {
+    const markup = ClipboardManager.serializeSvgWithSize(svg, width, height, true);
+    const parsed = new DOMParser().parseFromString(markup, 'image/svg+xml').documentElement;
+
+    const host = document.createElement('div');
+    host.setAttribute('aria-hidden', 'true');
+    host.style.cssText = 'position:fixed;left:-100000px;top:0;opacity:0;pointer-events:none;';
+    host.appendChild(document.importNode(parsed, true));
+    document.body.appendChild(host);
+    return host;
   }
 
   /**
-   * Save PNG with file picker
-   * @param {Blob} blob - PNG blob to save
-   * @returns {Promise<void>}
+   * Lay out the drawing on pages and write the PDF
+   * @private
+   * @param {SvgPdfRenderer} renderer - Renderer that drew the diagram (fonts and graphics states)
+   * @param {string} drawing - Content stream of the diagram
+   * @param {SVGSVGElement} root - Attached working copy of the SVG
+   * @param {number} width - Diagram width in CSS pixels
+   * @param {number} height - Diagram height in CSS pixels
+   * @param {{pageSize: string, orientation: string, layout: string}} options - Page options
+   * @returns {Promise<Blob>} PDF blob
    */
-  static async saveWithFilePicker(blob) {
-    const suggestedName = PngExporter.generateFilename();
-    const startIn = await PngExporter.resolveStartInDirectory();
-    const types = [{
-      description: 'PNG images',
-      accept: { 'image/png': ['.png'] }
-    }];
+  static async assemble(renderer, drawing, root, width, height, { pageSize, orientation, layout }) {
+    const num = SvgPdfRenderer.num;
+    const writer = new PdfDocumentWriter();
+
+    // Diagram size in points (CSS px are 0.75pt)
+    const diagramWidth = width * PDF_POINTS_PER_PIXEL;
+    const diagramHeight = height * PDF_POINTS_PER_PIXEL;
+
+    const preset = PDF_PAGE_SIZES[pageSize] || PDF_PAGE_SIZES.a4;
+    const landscape = orientation === 'landscape' ||
+      (orientation === 'auto' && layout !== 'tile' && diagramWidth > diagramHeight);
+    const pageWidth = landscape ? preset.height : preset.width;
+    const pageHeight = landscape ? preset.width : preset.height;
+    const contentWidth = pageWidth - 2 * PDF_PAGE_MARGIN;
+    const contentHeight = pageHeight - 2 * PDF_PAGE_MARGIN - (layout === 'tile' ? PDF_FOOTER_HEIGHT : 0);
+
+    // Never enlarge past natural size; vector output stays sharp when zoomed in
+    const scale = layout === 'tile'
+      ? Math.min(1, contentWidth / diagramWidth)
+      : Math.min(1, contentWidth / diagramWidth, contentHeight / diagramHeight);
+    const pageCount = layout === 'tile' ? Math.max(1, Math.ceil((diagramHeight * scale - 0.5) / contentHeight)) : 1;
+
+    // Map the SVG viewBox into the form's (y-up, point) space
+    const viewBox = ClipboardManager.getViewBoxSize(root);
+    const viewBoxOrigin = (root.getAttribute('viewBox') || '0 0').split(/[\s,]+/).map(Number);
+    const fit = viewBox.width > 0 && viewBox.height > 0 ? Math.min(width / viewBox.width, height / viewBox.height) : 1;
+    const offsetX = viewBox.width > 0 ? (width - viewBox.width * fit) / 2 - (viewBoxOrigin[0] || 0) * fit : 0;
+    const offsetY = viewBox.height > 0 ? (height - viewBox.height * fit) / 2 - (viewBoxOrigin[1] || 0) * fit : 0;
+
+    const formContent = [
+      `1 0 0 -1 0 ${num(diagramHeight)} cm`,
+      `${PDF_POINTS_PER_PIXEL} 0 0 ${PDF_POINTS_PER_PIXEL} 0 0 cm`,
+      `${num(fit)} 0 0 ${num(fit)} ${num(offsetX)} ${num(offsetY)} cm`,
+      drawing
+    ].join('\n');
+
+    const catalogId = writer.reserve();
+    const pagesId = writer.reserve();
+
+    const fontIds = new Map();
+    const fontEntry = (fontName) => {
+      if (!fontIds.has(fontName)) {
+        fontIds.set(fontName, writer.add(`<< /Type /Font /Subtype /Type1 /BaseFont /${fontName} /Encoding /WinAnsiEncoding >>`));
+      }
+      return fontIds.get(fontName);
+    };
+
+    const formFonts = Array.from(renderer.fonts, ([fontName, resource]) => `/${resource} ${fontEntry(fontName)} 0 R`).join(' ');
+    const formStates = Array.from(renderer.graphicsStates.values(), ({ name, fill, stroke }) =>
+      `/${name} ${writer.add(`<< /Type /ExtGState /ca ${num(fill)} /CA ${num(stroke)} >>`)} 0 R`).join(' ');
 
-    const fileHandle = await window.showSaveFilePicker(
-      PngExporter.buildSavePickerOptions(suggestedName, types, startIn)
+    const formId = await writer.addStream(
+      `/Type /XObject /Subtype /Form /BBox [0 0 ${num(diagramWidth)} ${num(diagramHeight)}] ` +
+      `/Resources << /Font << ${formFonts} >> /ExtGState << ${formStates} >> >>`,
+      formContent
     );
 
-    const writable = await fileHandle.createWritable();
-    await writable.write(blob);
-    await writable.close();
+    const footerFontId = fontEntry('Helvetica');
+    const pageIds = [];
+    const drawnWidth = diagramWidth * scale;
+    const drawnHeight = diagramHeight * scale;
+    const originX = PDF_PAGE_MARGIN + (contentWidth - drawnWidth) / 2;
+    const top = pageHeight - PDF_PAGE_MARGIN;
+
+    for (let page = 0; page < pageCount; page++) {
+      const content = [];
+
+      if (layout === 'tile') {
+        const clipBottom = top - contentHeight;
+        content.push(
+          'q',
+          `${num(PDF_PAGE_MARGIN)} ${num(clipBottom)} ${num(contentWidth)} ${num(contentHeight)} re W n`,
+          `${num(scale)} 0 0 ${num(scale)} ${num(originX)} ${num(top - drawnHeight + page * contentHeight)} cm`,
+          '/X1 Do',
+          'Q'
+        );
+        if (pageCount > 1) {
+          const label = `Page ${page + 1} of ${pageCount}`;
+          const labelWidth = SvgPdfRenderer.textWidth(label, 'Helvetica', 9);
+          content.push(
+            'BT', '/F1 9 Tf', '0.4 0.45 0.53 rg',
+            `1 0 0 1 ${num((pageWidth - labelWidth) / 2)} ${num(PDF_PAGE_MARGIN / 2)} Tm`,
+            `(${label}) Tj`, 'ET'
+          );
+        }
+      } else {
+        const originY = PDF_PAGE_MARGIN + (contentHeight - drawnHeight) / 2;
+        content.push('q', `${num(scale)} 0 0 ${num(scale)} ${num(originX)} ${num(originY)} cm`, '/X1 Do', 'Q');
+      }
 
-    try {
-      appState.lastPngDirectory = await fileHandle.getParent?.();
-    } catch {
-      // getParent might not be available
+      const contentId = await writer.addStream('', content.join('\n'));
+      pageIds.push(writer.add(
+        `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${num(pageWidth)} ${num(pageHeight)}] ` +
+        `/Resources << /XObject << /X1 ${formId} 0 R >> /Font << /F1 ${footerFontId} 0 R >> >> ` +
+        `/Contents ${contentId} 0 R >>`
+      ));
     }
 
-    const file = await fileHandle.getFile();
-    const locationInfo = appState.fileName ? ' (same directory as source)' : '';
-    NotificationManager.show(`PNG exported: ${file.name}${locationInfo}`, 'success');
+    writer.set(pagesId, `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`);
+    writer.set(catalogId, `<< /Type /Catalog /Pages ${pagesId} 0 R >>`);
+
+    return writer.toBlob(catalogId);
   }
 
   /**
-   * Save PNG as download (fallback)
-   * @param {Blob} blob - PNG blob to save
+   * Ask for page options (remembered between exports)
+   * @returns {Promise<{pageSize: string, orientation: string, layout: string}|null>} Options, or null if cancelled
    */
-  static saveAsDownload(blob) {
-    const filename = PngExporter.generateFilename();
-    const url = URL.createObjectURL(blob);
-
-    const link = document.createElement('a');
-    link.href = url;
-    link.download = filename;
-    link.click();
-
-    URL.revokeObjectURL(url);
+  static promptOptions() {
+    const saved = { pageSize: 'a4', orientation: 'auto', layout: 'fit', ...StorageManager.getJSON(STORAGE_KEY_PDF_OPTIONS, {}) };
+
+    const form = document.createElement('div');
+    form.className = 'options-form';
+
+    const addSelect = (label, name, choices) => {
+      const row = document.createElement('label');
+      row.className = 'options-row';
+      row.textContent = label;
+
+      const select = document.createElement('select');
+      select.name = name;
+      Object.entries(choices).forEach(([value, text]) => {
+        select.add(new Option(text, value, false, value === saved[name]));
+      });
+      row.appendChild(select);
+      form.appendChild(row);
+      return select;
+    };
 
-    const message = appState.fileName
-      ? `PNG downloaded: ${filename} (based on source filename)`
-      : `PNG downloaded: ${filename}`;
-    NotificationManager.show(message, 'success');
+    const pageSize = addSelect('Page size', 'pageSize',
+      Object.fromEntries(Object.entries(PDF_PAGE_SIZES).map(([key, { label }]) => [key, label])));
+    const orientation = addSelect('Orientation', 'orientation',
+      { auto: 'Automatic', portrait: 'Portrait', landscape: 'Landscape' });
+    const layout = addSelect('Layout', 'layout',
+      { fit: 'Fit to one page', tile: 'Tile across pages (full width)' });
+
+    return new Promise((resolve) => {
+      let result = null;
+      DialogManager.open({
+        title: 'Export PDF',
+        content: form,
+        actions: [
+          { label: 'Cancel', className: 'btn-secondary' },
+          {
+            label: 'Export',
+            className: 'btn-primary',
+            onClick: () => {
+              result = { pageSize: pageSize.value, orientation: orientation.value, layout: layout.value };
+              StorageManager.setJSON(STORAGE_KEY_PDF_OPTIONS, result);
+            }
+          }
+        ],
+        onClose: () => resolve(result)
+      });
+    });
   }
 }
 
@@ -1227,9 +10809,11 @@ class PngExporter {
 const handleTextInput = () => {
   appState.markAsChanged();
   UIManager.updateFileStatus();
+  DraftStore.scheduleSnapshot();
 
   clearTimeout(appState.renderTimeoutId);
   appState.renderTimeoutId = setTimeout(() => {
+    TabManager.persist();
     try {
       DiagramRenderer.render();
     } catch (error) {
@@ -1242,8 +10826,9 @@ const handleTextInput = () => {
  * Handle diagram selection change
  */
 const handleDiagramChange = () => {
-  // Persist the user's selection
+  // Persist the user's selection, both as the default and for the active tab
   StorageManager.setItem(STORAGE_KEY_DIAGRAM_TYPE, elements.diagramSelect.value);
+  TabManager.persist();
 
   // Re-render diagram with new selection if there's content
   if (elements.diagramText.value.trim()) {
@@ -1255,21 +10840,114 @@ const handleDiagramChange = () => {
   }
 };
 
+/**
+ * Follow the OS switching between light and dark while the app theme is 'system'
+ */
+const handleSystemThemeChange = () => {
+  if (ThemeManager.getSetting() !== 'system') return;
+  ThemeManager.apply();
+  ThemeManager.refreshPreviews();
+};
+
+/**
+ * Handle rendering security level change for the active document
+ */
+const handleSecurityLevelChange = () => {
+  const level = elements.securityLevel.value;
+
+  if (level === 'loose' && !confirm(
+    'Loose mode lets this diagram run click handlers and HTML labels inside the editor page. ' +
+    'Only use it for diagrams you trust. Continue?'
+  )) {
+    UIManager.updateSecurityLevel();
+    return;
+  }
+
+  appState.activeDocument.securityLevel = level;
+  // Opening files and shared links ignores this default and always starts strict
+  StorageManager.setItem(STORAGE_KEY_SECURITY_LEVEL, level);
+  UIManager.updateSecurityLevel();
+  TabManager.persist();
+
+  if (elements.diagramText.value.trim()) {
+    try {
+      DiagramRenderer.render();
+    } catch (error) {
+      // Error already handled in DiagramRenderer.render()
+    }
+  }
+};
+
+/**
+ * Handle share button click
+ */
+const handleShareClick = ErrorHandler.asyncWrapper(async () => {
+  await ShareLinkManager.copyLink();
+}, 'Failed to create share link', 'ShareButton');
+
+/**
+ * Open share links pasted into the address bar while the app is running
+ */
+const handleHashChange = ErrorHandler.asyncWrapper(async () => {
+  await ShareLinkManager.openFromLocation();
+}, 'Failed to open shared diagram', 'ShareLink');
+
 /**
  * Handle diagram container click for clipboard functionality
  */
-const handleDiagramClick = ErrorHandler.asyncWrapper(async () => {
+const handleDiagramClick = () => {
+  // The click that ends a pan is not a request to copy
+  if (ViewportManager.consumePanClick()) return;
+  if (!elements.diagramContainer.querySelector('svg')) return;
+
+  handleCopyImage();
+};
+
+/**
+ * Copy the rendered diagram to the clipboard as an image
+ */
+const handleCopyImage = ErrorHandler.asyncWrapper(async () => {
   const svg = elements.diagramContainer.querySelector('svg');
-  if (!svg) return;
+  if (!svg) {
+    NotificationManager.show('Draw a diagram first', 'info');
+    return;
+  }
 
   if (!ClipboardManager.isSupported()) {
     NotificationManager.show('Clipboard API not supported in this browser', 'info');
     return;
   }
 
-  await ClipboardManager.copyDiagram(svg);
+  await ClipboardManager.copyDiagram(await ThemeManager.prepareExport(svg), ThemeManager.exportRasterOptions());
   NotificationManager.show('Diagram copied to clipboard! 📋', 'success');
-}, 'Failed to copy diagram to clipboard', 'DiagramClick');
+}, 'Failed to copy diagram to clipboard', 'CopyImage');
+
+/**
+ * Handle zoom preset selection
+ */
+const handleZoomPresetChange = () => {
+  const preset = elements.zoomPreset.value;
+  if (preset !== 'current') {
+    ViewportManager.setPreset(preset);
+  }
+};
+
+/**
+ * Handle clicks in the tab strip (switch, close, new)
+ * @param {MouseEvent} event - Click event
+ */
+const handleTabStripClick = (event) => {
+  const actionButton = event.target.closest('[data-action]');
+  const tab = event.target.closest('.tab');
+
+  if (actionButton?.dataset.action === 'new') {
+    TabManager.newTab();
+  } else if (actionButton?.dataset.action === 'close' && tab) {
+    TabManager.close(tab.dataset.documentId);
+  } else if (tab) {
+    TabManager.activate(tab.dataset.documentId);
+  }
+};
 
 /**
  * Handle resizer mouse down
@@ -1307,6 +10985,414 @@ const handleSelectStart = (event) => {
   }
 };
 
+/**
+ * Every user action as a named command, with customisable keyboard shortcuts.
+ * Bindings are written as "Mod+Shift+E", where Mod is Ctrl (Cmd on macOS).
+ * @class
+ */
+class ShortcutManager {
+  /**
+   * Commands in palette order
+   * @returns {Array<{id: string, label: string, binding: string, run: Function}>}
+   */
+  static get commands() {
+    const diagramTypes = Array.from(elements.diagramSelect?.options || []).map((option) => ({
+      id: `diagram.type.${option.value}`,
+      label: `Diagram type: ${option.textContent}`,
+      binding: '',
+      run: () => {
+        elements.diagramSelect.value = option.value;
+        handleDiagramChange();
+      }
+    }));
+
+    return [
+      { id: 'app.commandPalette', label: 'Show command palette', binding: 'Mod+Shift+P', run: () => CommandPalette.open() },
+      { id: 'file.open', label: 'File: Open…', binding: 'Mod+O', run: () => handleLoadClick() },
+      { id: 'file.recent', label: 'File: Open recent…', binding: '', run: () => handleRecentClick() },
+      { id: 'file.openFolder', label: 'File: Open folder…', binding: '', run: () => handleOpenFolderClick() },
+      { id: 'file.save', label: 'File: Save', binding: 'Mod+S', run: () => handleSaveClick() },
+      { id: 'diagram.draw', label: 'Diagram: Draw', binding: 'Mod+Enter', run: () => handleRenderClick() },
+      { id: 'diagram.export', label: 'Diagram: Export', binding: 'Mod+Shift+E', run: () => handlePngExportClick() },
+      { id: 'diagram.copy', label: 'Diagram: Copy image to clipboard', binding: 'Mod+Shift+C', run: () => handleCopyImage() },
+      { id: 'diagram.batchExport', label: 'Diagram: Batch export a folder…', binding: '', run: () => BatchExporter.showDialog() },
+      { id: 'diagram.share', label: 'Diagram: Copy share link', binding: '', run: () => handleShareClick() },
+      { id: 'diagram.convert', label: 'Diagram: Convert to…', binding: '', run: () => SyntaxConverter.showDialog() },
+      ...diagramTypes,
+      { id: 'edit.undo', label: 'Edit: Undo', binding: '', run: () => HistoryManager.undo() },
+      { id: 'edit.redo', label: 'Edit: Redo', binding: '', run: () => HistoryManager.redo() },
+      { id: 'edit.unfoldAll', label: 'Edit: Unfold all', binding: '', run: () => elements.diagramText.unfoldAll?.() },
+      { id: 'history.snapshot', label: 'History: Save snapshot…', binding: '', run: () => SnapshotManager.promptAndCapture() },
+      { id: 'history.timeline', label: 'History: Show or hide timeline', binding: '', run: () => SnapshotManager.toggleTimeline() },
+      { id: 'tab.new', label: 'Tabs: New tab', binding: '', run: () => TabManager.newTab() },
+      { id: 'tab.close', label: 'Tabs: Close tab', binding: '', run: () => TabManager.close(appState.activeDocument.id) },
+      { id: 'tab.next', label: 'Tabs: Next tab', binding: 'Alt+Shift+ArrowRight', run: () => ShortcutManager.cycleTab(1) },
+      { id: 'tab.previous', label: 'Tabs: Previous tab', binding: 'Alt+Shift+ArrowLeft', run: () => ShortcutManager.cycleTab(-1) },
+      { id: 'view.workspace', label: 'View: Show or hide workspace sidebar', binding: '', run: () => WorkspaceManager.toggleCollapsed() },
+      { id: 'view.zoomIn', label: 'View: Zoom in', binding: '', run: () => ViewportManager.zoomBy(ZOOM_STEP) },
+      { id: 'view.zoomOut', label: 'View: Zoom out', binding: '', run: () => ViewportManager.zoomBy(1 / ZOOM_STEP) },
+      { id: 'view.actualSize', label: 'View: Zoom to 100%', binding: '', run: () => ViewportManager.setPreset('actual') },
+      { id: 'view.fitWidth', label: 'View: Fit width', binding: '', run: () => ViewportManager.setPreset('width') },
+      { id: 'view.fitPage', label: 'View: Fit page', binding: '', run: () => ViewportManager.setPreset('page') },
+      ...APP_THEMES.map((theme) => ({
+        id: `view.theme.${theme}`,
+        label: `View: ${theme[0].toUpperCase()}${theme.slice(1)} theme`,
+        binding: '',
+        run: () => ThemeManager.setTheme(theme)
+      })),
+      { id: 'settings.mermaid', label: 'Settings: Mermaid theme and options…', binding: '', run: () => MermaidSettings.showDialog() },
+      { id: 'settings.export', label: 'Settings: Export options…', binding: '', run: () => RasterExportOptions.showDialog() },
+      { id: 'settings.shortcuts', label: 'Settings: Keyboard shortcuts…', binding: '', run: () => ShortcutManager.showDialog() }
+    ];
+  }
+
+  /**
+   * Current bindings: defaults with the saved customisations applied
+   * @returns {Object<string, string>} Command id → binding ('' for none)
+   */
+  static getBindings() {
+    const saved = StorageManager.getJSON(STORAGE_KEY_SHORTCUTS, {});
+    const overrides = saved && typeof saved === 'object' ? saved : {};
+
+    return Object.fromEntries(ShortcutManager.commands.map(({ id, binding }) => [
+      id,
+      typeof overrides[id] === 'string' ? overrides[id] : binding
+    ]));
+  }
+
+  /**
+   * Save bindings, keeping only those that differ from the defaults
+   * @param {Object<string, string>} bindings - Command id → binding
+   */
+  static saveBindings(bindings) {
+    const overrides = {};
+    ShortcutManager.commands.forEach(({ id, binding }) => {
+      if (typeof bindings[id] === 'string' && bindings[id] !== binding) {
+        overrides[id] = bindings[id];
+      }
+    });
+    StorageManager.setJSON(STORAGE_KEY_SHORTCUTS, overrides);
+    ShortcutManager.updateButtonTitles();
+  }
+
+  /**
+   * Binding for a key event, or null for events that cannot be shortcuts
+   * (lone modifiers, and plain keys that would otherwise type text)
+   * @param {KeyboardEvent} event - Keydown event
+   * @returns {string|null}
+   */
+  static bindingFromEvent(event) {
+    if (['Control', 'Meta', 'Shift', 'Alt', 'AltGraph'].includes(event.key)) return null;
+
+    let key;
+    if (/^[a-z]$/i.test(event.key)) {
+      key = event.key.toUpperCase();
+    } else if (/^(?:Key[A-Z]|Digit\d)$/.test(event.code || '')) {
+      // Shift and Alt change the character, so use the physical key
+      key = event.code.slice(-1);
+    } else if (event.key === ' ') {
+      key = 'Space';
+    } else {
+      key = event.key.length === 1 ? event.key.toUpperCase() : event.key;
+    }
+
+    const hasModifier = event.ctrlKey || event.metaKey || event.altKey;
+    if (!hasModifier && !/^F\d{1,2}$/.test(key)) return null;
+
+    return [
+      (event.ctrlKey || event.metaKey) && 'Mod',
+      event.altKey && 'Alt',
+      event.shiftKey && 'Shift',
+      key
+    ].filter(Boolean).join('+');
+  }
+
+  /**
+   * Human-readable binding for the current platform
+   * @param {string} binding - Binding such as "Mod+Shift+E"
+   * @returns {string}
+   */
+  static formatBinding(binding) {
+    if (!binding) return '';
+    const isMac = /Mac|iPhone|iPad/.test(navigator.platform || '');
+    const names = isMac
+      ? { Mod: '⌘', Alt: '⌥', Shift: '⇧', Enter: '↩', ArrowLeft: '←', ArrowRight: '→', ArrowUp: '↑', ArrowDown: '↓' }
+      : { Mod: 'Ctrl', ArrowLeft: '←', ArrowRight: '→', ArrowUp: '↑', ArrowDown: '↓' };
+    return binding.split('+').map((part) => names[part] || part).join(isMac ? '' : '+');
+  }
+
+  /**
+   * Run the command bound to a key press anywhere in the app
+   * @param {KeyboardEvent} event - Keydown event
+   */
+  static handleKeyDown(event) {
+    // Dialogs handle their own keys; the editor's autocomplete may have used this one
+    if (event.defaultPrevented || document.querySelector('.modal-overlay')) return;
+
+    const binding = ShortcutManager.bindingFromEvent(event);
+    if (!binding) return;
+
+    const bindings = ShortcutManager.getBindings();
+    const command = ShortcutManager.commands.find(({ id }) => bindings[id] === binding);
+    if (!command) return;
+
+    event.preventDefault();
+    command.run();
+  }
+
+  /**
+   * Activate the next or previous tab
+   * @private
+   * @param {number} direction - 1 for next, -1 for previous
+   */
+  static cycleTab(direction) {
+    const { documents } = appState;
+    const index = documents.indexOf(appState.activeDocument);
+    TabManager.activate(documents[(index + direction + documents.length) % documents.length].id);
+  }
+
+  /**
+   * Show shortcuts in the tooltips of the toolbar buttons they trigger
+   */
+  static updateButtonTitles() {
+    const bindings = ShortcutManager.getBindings();
+    const buttons = {
+      'file.open': [elements.loadBtn, 'Open a diagram file'],
+      'file.save': [elements.saveBtn, 'Save the diagram'],
+      'diagram.draw': [elements.renderBtn, 'Draw the diagram'],
+      'diagram.export': [elements.savePngBtn, 'Export the diagram']
+    };
+
+    Object.entries(buttons).forEach(([id, [button, description]]) => {
+      if (!button) return;
+      const shortcut = ShortcutManager.formatBinding(bindings[id]);
+      button.title = shortcut ? `${description} (${shortcut})` : description;
+    });
+  }
+
+  /**
+   * Show the dialog for changing shortcuts. Focus a field and press the new
+   * combination; Backspace removes the shortcut.
+   */
+  static showDialog() {
+    const bindings = ShortcutManager.getBindings();
+    const form = document.createElement('div');
+    form.className = 'options-form shortcut-form';
+
+    const note = document.createElement('p');
+    note.className = 'options-note';
+    note.textContent = 'Click a shortcut and press the new key combination. Backspace removes it.';
+    form.appendChild(note);
+
+    const inputs = new Map();
+    const refresh = () => inputs.forEach((input, id) => {
+      input.value = ShortcutManager.formatBinding(bindings[id]);
+      input.placeholder = 'None';
+    });
+
+    ShortcutManager.commands.forEach(({ id, label }) => {
+      const row = document.createElement('label');
+      row.className = 'options-row';
+      row.textContent = label;
+
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.readOnly = true;
+      input.className = 'shortcut-input';
+      input.addEventListener('focus', () => { input.placeholder = 'Press keys…'; });
+      input.addEventListener('blur', refresh);
+      input.addEventListener('keydown', (event) => {
+        if (event.key === 'Tab') return;
+        // Keep Escape and the keys being recorded away from the dialog and global shortcuts
+        event.preventDefault();
+        event.stopPropagation();
+
+        if (event.key === 'Escape') {
+          input.blur();
+          return;
+        }
+        if (event.key === 'Backspace' || event.key === 'Delete') {
+          bindings[id] = '';
+          refresh();
+          return;
+        }
+
+        const binding = ShortcutManager.bindingFromEvent(event);
+        if (!binding) return;
+
+        // A combination runs one command only, so take it away from any other
+        const previous = Object.keys(bindings).find((other) => other !== id && bindings[other] === binding);
+        if (previous) {
+          bindings[previous] = '';
+          const previousLabel = ShortcutManager.commands.find((command) => command.id === previous).label;
+          NotificationManager.show(`${ShortcutManager.formatBinding(binding)} removed from "${previousLabel}"`, 'info');
+        }
+        bindings[id] = binding;
+        refresh();
+      });
+
+      inputs.set(id, input);
+      row.appendChild(input);
+      form.appendChild(row);
+    });
+    refresh();
+
+    DialogManager.open({
+      title: 'Keyboard shortcuts',
+      content: form,
+      actions: [
+        {
+          label: 'Reset',
+          className: 'btn-secondary',
+          onClick: () => {
+            ShortcutManager.commands.forEach(({ id, binding }) => { bindings[id] = binding; });
+            refresh();
+            return false;
+          }
+        },
+        { label: 'Cancel', className: 'btn-secondary' },
+        {
+          label: 'Save',
+          className: 'btn-primary',
+          onClick: () => {
+            ShortcutManager.saveBindings(bindings);
+            NotificationManager.show('Keyboard shortcuts saved', 'success');
+          }
+        }
+      ]
+    });
+  }
+}
+
+/**
+ * Searchable list of all commands (Ctrl+Shift+P)
+ * @class
+ */
+class CommandPalette {
+  /**
+   * Fuzzy match: every query character must appear in order. Labels containing
+   * the query as typed rank first; otherwise runs of consecutive characters and
+   * matches at word starts score higher. Shorter labels win ties.
+   * @param {string} query - Search text
+   * @param {string} text - Command label
+   * @returns {number|null} Score (higher is better), or null when it does not match
+   */
+  static fuzzyScore(query, text) {
+    const needle = query.toLowerCase().replace(/\s+/g, '');
+    const haystack = text.toLowerCase();
+    if (!needle) return 0;
+
+    const substring = haystack.indexOf(query.trim().toLowerCase());
+    if (substring >= 0) {
+      const wordStart = substring === 0 || /[\s:.…-]/.test(haystack[substring - 1]);
+      return 100 + (wordStart ? 10 : 0) - haystack.length * 0.01;
+    }
+
+    let score = 0;
+    let position = -1;
+    for (const char of needle) {
+      const found = haystack.indexOf(char, position + 1);
+      if (found < 0) return null;
+
+      if (found === position + 1) score += 3;
+      if (found === 0 || /[\s:.…-]/.test(haystack[found - 1])) score += 2;
+      if (position >= 0) score -= (found - position - 1) * 0.1;
+      position = found;
+    }
+    return score - haystack.length * 0.01;
+  }
+
+  /**
+   * Open the palette
+   */
+  static open() {
+    const bindings = ShortcutManager.getBindings();
+    const commands = ShortcutManager.commands.filter(({ id }) => id !== 'app.commandPalette');
+    let matches = commands;
+    let selected = 0;
+
+    const content = document.createElement('div');
+    content.className = 'command-palette';
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'command-palette-input';
+    input.placeholder = 'Type a command…';
+    input.setAttribute('aria-label', 'Search commands');
+
+    const list = document.createElement('ul');
+    list.className = 'command-palette-list';
+    list.setAttribute('role', 'listbox');
+    content.append(input, list);
+
+    let dialog = null;
+    const run = (command) => {
+      dialog.close();
+      command.run();
+    };
+
+    const render = () => {
+      list.innerHTML = '';
+      matches.forEach((command, index) => {
+        const item = document.createElement('li');
+        item.className = `command-palette-item${index === selected ? ' selected' : ''}`;
+        item.setAttribute('role', 'option');
+        item.setAttribute('aria-selected', String(index === selected));
+
+        const label = document.createElement('span');
+        label.textContent = command.label;
+        item.appendChild(label);
+
+        const shortcut = ShortcutManager.formatBinding(bindings[command.id]);
+        if (shortcut) {
+          const kbd = document.createElement('kbd');
+          kbd.textContent = shortcut;
+          item.appendChild(kbd);
+        }
+
+        item.addEventListener('mousedown', (event) => event.preventDefault());
+        item.addEventListener('click', () => run(command));
+        list.appendChild(item);
+      });
+
+      if (!matches.length) {
+        const empty = document.createElement('li');
+        empty.className = 'command-palette-empty';
+        empty.textContent = 'No matching commands';
+        list.appendChild(empty);
+      }
+      list.children[selected]?.scrollIntoView?.({ block: 'nearest' });
+    };
+
+    input.addEventListener('input', () => {
+      matches = commands
+        .map((command, index) => ({ command, index, score: CommandPalette.fuzzyScore(input.value, command.label) }))
+        .filter(({ score }) => score !== null)
+        .sort((a, b) => b.score - a.score || a.index - b.index)
+        .map(({ command }) => command);
+      selected = 0;
+      render();
+    });
+
+    input.addEventListener('keydown', (event) => {
+      if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+        event.preventDefault();
+        if (!matches.length) return;
+        selected = (selected + (event.key === 'ArrowDown' ? 1 : -1) + matches.length) % matches.length;
+        render();
+      } else if (event.key === 'Enter' && matches[selected]) {
+        event.preventDefault();
+        run(matches[selected]);
+      }
+    });
+
+    dialog = DialogManager.open({ title: 'Command palette', content });
+    dialog.element.classList.add('command-palette-dialog');
+    render();
+    input.focus();
+  }
+}
+
 // =============================================================================
 // EVENT LISTENER REGISTRATION
 // =============================================================================
@@ -1317,18 +11403,84 @@ const handleSelectStart = (event) => {
 function initializeEventListeners() {
   // Button event listeners
   elements.loadBtn?.addEventListener('click', handleLoadClick);
+  elements.recentBtn?.addEventListener('click', handleRecentClick);
+  elements.openFolderBtn?.addEventListener('click', handleOpenFolderClick);
   elements.saveBtn?.addEventListener('click', handleSaveClick);
   elements.renderBtn?.addEventListener('click', handleRenderClick);
   elements.savePngBtn?.addEventListener('click', handlePngExportClick);
 
+  // Undo/redo history and snapshot timeline
+  elements.undoBtn?.addEventListener('click', () => HistoryManager.undo());
+  elements.redoBtn?.addEventListener('click', () => HistoryManager.redo());
+  elements.snapshotBtn?.addEventListener('click', () => SnapshotManager.promptAndCapture());
+  elements.historyBtn?.addEventListener('click', () => SnapshotManager.toggleTimeline());
+  elements.convertBtn?.addEventListener('click', () => SyntaxConverter.showDialog());
+  elements.mermaidSettingsBtn?.addEventListener('click', () => MermaidSettings.showDialog());
+  elements.shareBtn?.addEventListener('click', handleShareClick);
+  window.addEventListener('hashchange', handleHashChange);
+  elements.diagramText?.addEventListener('keydown', AutocompleteManager.handleKeyDown);
+  elements.diagramText?.addEventListener('keydown', HistoryManager.handleKeyDown);
+  elements.diagramText?.addEventListener('input', HistoryManager.recordInput);
+
   // Input event listeners
   elements.fileInput?.addEventListener('change', handleFileInputChange);
   elements.diagramText?.addEventListener('input', handleTextInput);
+  elements.diagramText?.addEventListener('input', AutocompleteManager.handleInput);
+  ['blur', 'scroll', 'mousedown'].forEach((type) => {
+    elements.diagramText?.addEventListener(type, () => AutocompleteManager.close());
+  });
   elements.diagramSelect?.addEventListener('change', handleDiagramChange);
+  elements.exportFormat?.addEventListener('change', handleExportFormatChange);
+  elements.exportOptionsBtn?.addEventListener('click', () => RasterExportOptions.showDialog());
+  elements.batchExportBtn?.addEventListener('click', () => BatchExporter.showDialog());
   elements.filenameInput?.addEventListener('input', () => UIManager.updateFileStatus());
 
+  // Keyboard shortcuts and the command palette
+  document.addEventListener('keydown', ShortcutManager.handleKeyDown);
+
   // Diagram interaction
   elements.diagramContainer?.addEventListener('click', handleDiagramClick);
+  [elements.editorPanel, elements.diagramPanel].forEach((panel) => {
+    panel?.addEventListener('dragenter', FileDropManager.handleDragOver);
+    panel?.addEventListener('dragover', FileDropManager.handleDragOver);
+    panel?.addEventListener('dragleave', FileDropManager.handleDragLeave);
+    panel?.addEventListener('drop', handleFileDrop);
+  });
+  elements.diagramContainer?.addEventListener('wheel', ViewportManager.handleWheel, { passive: false });
+  elements.diagramContainer?.addEventListener('pointerdown', ViewportManager.handlePointerDown);
+  elements.diagramContainer?.addEventListener('pointermove', ViewportManager.handlePointerMove);
+  ['pointerup', 'pointercancel'].forEach((type) => {
+    elements.diagramContainer?.addEventListener(type, ViewportManager.handlePointerUp);
+  });
+  elements.zoomInBtn?.addEventListener('click', () => ViewportManager.zoomBy(ZOOM_STEP));
+  elements.zoomOutBtn?.addEventListener('click', () => ViewportManager.zoomBy(1 / ZOOM_STEP));
+  elements.zoomPreset?.addEventListener('change', handleZoomPresetChange);
+  elements.securityLevel?.addEventListener('change', handleSecurityLevelChange);
+  elements.appTheme?.addEventListener('change', () => ThemeManager.setTheme(elements.appTheme.value));
+  ThemeManager.systemQuery()?.addEventListener?.('change', handleSystemThemeChange);
+  if (elements.diagramContainer && typeof ResizeObserver !== 'undefined') {
+    // Keep fit-to-width/page presets fitted while the panel is resized
+    new ResizeObserver(() => ViewportManager.apply()).observe(elements.diagramContainer);
+  }
+
+  // Workspace sidebar
+  elements.workspaceTree?.addEventListener('click', handleWorkspaceTreeClick);
+  elements.workspaceNewBtn?.addEventListener('click', handleWorkspaceNewClick);
+  elements.workspaceRefreshBtn?.addEventListener('click', handleWorkspaceRefreshClick);
+  elements.workspaceCollapseBtn?.addEventListener('click', () => WorkspaceManager.toggleCollapsed());
+  elements.workspaceCloseBtn?.addEventListener('click', () => WorkspaceManager.close());
+
+  // Changes made to the open file by other programs
+  elements.externalReloadBtn?.addEventListener('click', () => ExternalChangeWatcher.reload());
+  elements.externalKeepBtn?.addEventListener('click', () => ExternalChangeWatcher.keepMine());
+  elements.externalDiffBtn?.addEventListener('click', () => ExternalChangeWatcher.showDiff());
+
+  // Document tabs
+  elements.tabStrip?.addEventListener('click', handleTabStripClick);
+  window.addEventListener('beforeunload', () => {
+    TabManager.persist();
+    DraftStore.flush();
+  });
 
   // Panel resizing
   elements.resizer?.addEventListener('mousedown', handleResizerMouseDown);
@@ -1347,21 +11499,49 @@ function initializeEventListeners() {
 function initializeApplication() {
   try {
     // Load saved preferences
+    ThemeManager.apply();
     PanelManager.loadPanelWidths();
 
     // Restore last selected diagram type
     const savedType = StorageManager.getItem(STORAGE_KEY_DIAGRAM_TYPE);
-    if (savedType && VALID_DIAGRAM_TYPES.includes(savedType)) {
+    if (savedType && RendererRegistry.has(savedType)) {
       elements.diagramSelect.value = savedType;
     }
 
+    // Restore last selected export format
+    const savedFormat = StorageManager.getItem(STORAGE_KEY_EXPORT_FORMAT);
+    if (savedFormat && EXPORT_FORMATS[savedFormat] && elements.exportFormat) {
+      elements.exportFormat.value = savedFormat;
+    }
+
+    // Upgrade the textarea to the highlighting code editor before anything listens to it
+    if (elements.diagramText) {
+      elements.diagramText = CodeEditor.attach(elements.diagramText);
+    }
+
     // Initialize event listeners
     initializeEventListeners();
+    ShortcutManager.updateButtonTitles();
 
-    // Render initial diagram if text exists
-    if (elements.diagramText?.value.trim()) {
-      DiagramRenderer.render();
-    }
+    // Restore open tabs and render the active one
+    TabManager.initialize();
+
+    // Open a diagram shared through the URL fragment
+    ShareLinkManager.openFromLocation().catch((error) => {
+      NotificationManager.show(`Could not open shared diagram: ${error.message}`, 'error');
+    });
+
+    // Offer to recover drafts left behind by a crash or closed browser
+    DraftRecovery.checkForDrafts().catch((error) => {
+      console.warn(`Draft recovery failed: ${error.message}`);
+    });
+
+    // Reopen the workspace folder and recent handles from the last session
+    WorkspaceManager.initialize();
+    RecentFilesManager.initialize();
+
+    // Watch the open file for changes made by other programs
+    ExternalChangeWatcher.start();
 
     console.log('✅ Sequence Diagram Editor initialized successfully');
   } catch (error) {